@@ -5,8 +5,10 @@
  */
 
 import { execSync } from 'child_process';
-import { writeFileSync, readdirSync, statSync, readFileSync, existsSync, mkdirSync, rmSync } from 'fs';
+import { writeFileSync, readdirSync, statSync, readFileSync, existsSync, mkdirSync, rmSync, mkdtempSync } from 'fs';
 import { join, dirname, basename } from 'path';
+import { tmpdir } from 'os';
+import { pathToFileURL } from 'url';
 import { CONFIG, getCommitURL } from './config.js';
 
 // =============================================================================
@@ -597,6 +599,14 @@ Commands:
   ledger write      Append a new entry to the session ledger
   handoff           [Claude-triggered] Generate compaction handoff for next session
   refresh           Generate CERTIFIED refresh packet (ZIP)
+  backtest          Replay past rankings vs recorded outcomes
+                    --from=YYYY-MM-DD --to=YYYY-MM-DD [--top=10] [--horizon=30] [--step=1] [--json]
+  diff              Ranking diff: working tree vs a git ref, or two saved outputs
+                    [--base=HEAD] | --a=<output.json> --b=<output.json>  [--now=ISO] [--limit=20] [--json]
+  sensitivity       Ranking weight sensitivity: top-k stability per perturbed weight
+                    [--k=10] [--factors=0,0.5,1.5,2] [--params=sourceType.goalBoost,...] [--now=ISO] [--json]
+  ingest meetings   Ingest meetings into packages/core/raw/meetings (deduped across sources)
+                    --source=granola|markdown|ics|transcript|zoom|otter [--path=<file|dir>] [--out=<dir>] [--dry-run]
 `);
 }
 
@@ -1063,6 +1073,243 @@ function cmdLedger(subcommand) {
   }
 }
 
+/**
+ * Parse --key=value flags (bare --key → true)
+ */
+function parseFlags(args) {
+  const flags = {};
+  for (const arg of args) {
+    const match = arg.match(/^--([\w-]+)(?:=(.*))?$/);
+    if (match) flags[match[1]] = match[2] === undefined ? true : match[2];
+  }
+  return flags;
+}
+
+async function cmdBacktest(args) {
+  const flags = parseFlags(args);
+  const to = flags.to || new Date().toISOString().slice(0, 10);
+  const from = flags.from || new Date(new Date(to).getTime() - 14 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  const { loadRawData } = await import('../packages/core/raw/loadRawData.js');
+  const { runBacktest } = await import('../packages/core/runtime/backtest.js');
+
+  let report;
+  try {
+    report = runBacktest(loadRawData(), {
+      from,
+      to,
+      ...(flags.top ? { topN: parseInt(flags.top, 10) } : {}),
+      ...(flags.horizon ? { horizonDays: parseInt(flags.horizon, 10) } : {}),
+      ...(flags.step ? { stepDays: parseInt(flags.step, 10) } : {})
+    });
+  } catch (err) {
+    console.log(`BACKTEST - ${err.message}`);
+    process.exit(1);
+  }
+
+  if (flags.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  const fmt = v => (v === null ? '   -  ' : v.toFixed(3).padStart(6));
+  const { model, baseline, calibration, comparison } = report;
+
+  console.log(`BACKTEST - ${report.range.from.slice(0, 10)} → ${report.range.to.slice(0, 10)} (${report.range.days} runs, top ${report.params.topN}, horizon ${report.params.horizonDays}d)\n`);
+  console.log(`Outcomes available: ${comparison.outcomesAvailable}\n`);
+  console.log('                     model   baseline (severity)');
+  console.log(`Matched (top-N)     ${String(model.matched).padStart(6)}   ${String(baseline.matched).padStart(6)}`);
+  console.log(`Hit rate            ${fmt(model.hitRate)}   ${fmt(baseline.hitRate)}`);
+  console.log(`Rank correlation    ${fmt(model.rankCorrelation)}   ${fmt(baseline.rankCorrelation)}`);
+  console.log('\nMean outcome by rank bucket:');
+  model.byRankBucket.forEach((b, i) => {
+    const base = baseline.byRankBucket[i];
+    console.log(`  ${b.bucket.padEnd(6)}  ${fmt(b.meanOutcome)} (n=${b.observations})   ${fmt(base.meanOutcome)} (n=${base.observations})`);
+  });
+  console.log(`\nCalibration of probabilityOfSuccess (Brier ${fmt(calibration.brierScore).trim()}, n=${calibration.observations}):`);
+  for (const bin of calibration.bins) {
+    console.log(`  ${bin.range[0].toFixed(1)}-${bin.range[1].toFixed(1)}  predicted ${fmt(bin.meanPredicted)}  observed ${fmt(bin.observedRate)}  (n=${bin.observations})`);
+  }
+}
+
+/**
+ * Compute engine output with the packages/core tree at `coreDir`
+ */
+async function computeWithCore(coreDir, now) {
+  const { loadRawData } = await import(pathToFileURL(join(coreDir, 'raw/loadRawData.js')).href);
+  const { compute } = await import(pathToFileURL(join(coreDir, 'runtime/engine.js')).href);
+  return compute(loadRawData(), now);
+}
+
+async function cmdDiff(args) {
+  const flags = parseFlags(args);
+  const { diffRankings } = await import('../packages/core/runtime/rankingDiff.js');
+  const now = flags.now ? new Date(flags.now) : new Date();
+  if (isNaN(now.getTime())) {
+    console.log(`DIFF - Invalid --now: ${flags.now}`);
+    process.exit(1);
+  }
+
+  let outputA, outputB, labelA, labelB;
+  if (flags.a || flags.b) {
+    if (!flags.a || !flags.b) {
+      console.log('DIFF - Both --a and --b are required when diffing saved outputs');
+      process.exit(1);
+    }
+    outputA = JSON.parse(readFileSync(flags.a, 'utf8'));
+    outputB = JSON.parse(readFileSync(flags.b, 'utf8'));
+    labelA = flags.a;
+    labelB = flags.b;
+  } else {
+    // Extract packages/core at the base ref, run both trees at the same instant
+    const base = typeof flags.base === 'string' ? flags.base : 'HEAD';
+    const tmp = mkdtempSync(join(tmpdir(), 'backbone-diff-'));
+    try {
+      const extract = exec(`git archive ${base} packages/core | tar -x -C ${tmp}`, true);
+      if (!extract.success) {
+        console.log(`DIFF - Could not extract packages/core at ${base}: ${extract.error}`);
+        process.exit(1);
+      }
+      outputA = await computeWithCore(join(tmp, 'packages/core'), now);
+      outputB = await computeWithCore(join(process.cwd(), 'packages/core'), now);
+    } finally {
+      rmSync(tmp, { recursive: true, force: true });
+    }
+    labelA = base;
+    labelB = 'working tree';
+  }
+
+  const diff = diffRankings(outputA, outputB);
+  if (flags.json) {
+    console.log(JSON.stringify(diff, null, 2));
+    return;
+  }
+
+  const limit = flags.limit ? parseInt(flags.limit, 10) : 20;
+  const s = diff.summary;
+  console.log(`DIFF - ${labelA} → ${labelB}\n`);
+  console.log(`Actions: ${s.countA} → ${s.countB}   added ${s.added}  dropped ${s.dropped}  moved ${s.moved} (${s.displaced} displaced)  rescored ${s.rescored}  unchanged ${s.unchanged}`);
+  const drivers = Object.entries(s.driverCounts).sort((x, y) => y[1] - x[1]);
+  if (drivers.length > 0) {
+    console.log(`Drivers: ${drivers.map(([k, n]) => `${k} ${n}`).join(', ')}`);
+  }
+
+  if (diff.moved.length > 0) {
+    console.log('\nMoved:');
+    for (const m of diff.moved.slice(0, limit)) {
+      const arrow = m.rankDelta > 0 ? `↑${m.rankDelta}` : `↓${-m.rankDelta}`;
+      console.log(`  ${arrow.padEnd(5)} #${m.rankA} → #${m.rankB}  ${m.title}  (${m.scoreA} → ${m.scoreB})`);
+      if (m.reason === 'displaced') {
+        console.log('          displaced by other actions (own score unchanged)');
+      }
+      for (const c of m.components) {
+        const sign = c.contribution > 0 ? '+' : '';
+        const effect = c.context ? 'context only' : `${sign}${c.contribution} to score`;
+        console.log(`          ${c.component.padEnd(26)} ${c.a} → ${c.b}  (${effect})`);
+      }
+    }
+    if (diff.moved.length > limit) console.log(`  … ${diff.moved.length - limit} more (--limit, --json)`);
+  }
+  for (const [label, list] of [['Added', diff.added], ['Dropped', diff.dropped]]) {
+    if (list.length === 0) continue;
+    console.log(`\n${label}:`);
+    for (const a of list.slice(0, limit)) console.log(`  #${a.rank}  ${a.title}  (${a.rankScore})`);
+    if (list.length > limit) console.log(`  … ${list.length - limit} more`);
+  }
+}
+
+async function cmdSensitivity(args) {
+  const flags = parseFlags(args);
+  const now = flags.now ? new Date(flags.now) : new Date();
+  if (isNaN(now.getTime())) {
+    console.log(`SENSITIVITY - Invalid --now: ${flags.now}`);
+    process.exit(1);
+  }
+  const factors = typeof flags.factors === 'string' ? flags.factors.split(',').map(Number) : undefined;
+  if (factors && factors.some(f => !Number.isFinite(f))) {
+    console.log(`SENSITIVITY - Invalid --factors: ${flags.factors}`);
+    process.exit(1);
+  }
+
+  const { loadRawData } = await import('../packages/core/raw/loadRawData.js');
+  const { runSensitivity } = await import('../packages/core/runtime/sensitivity.js');
+
+  let report;
+  try {
+    report = runSensitivity(loadRawData(), {
+      now,
+      factors,
+      ...(flags.k ? { k: parseInt(flags.k, 10) } : {}),
+      ...(typeof flags.params === 'string' ? { params: flags.params.split(',') } : {})
+    });
+  } catch (err) {
+    console.log(`SENSITIVITY - ${err.message}`);
+    process.exit(1);
+  }
+
+  if (flags.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  const fmt = v => (v === null ? '   -  ' : v.toFixed(3).padStart(6));
+  console.log(`SENSITIVITY - top ${report.params.k} of ${report.baseline.totalActions} actions, factors ${report.params.factors.join(', ')}\n`);
+  console.log('Weight                          value   min overlap  mean overlap  min tau  flips');
+  for (const p of report.byParam) {
+    console.log(`  ${p.param.padEnd(30)}${String(p.value).padStart(6)}   ${fmt(p.minOverlap)}       ${fmt(p.meanOverlap)}     ${fmt(p.minKendallTau)}  ${String(p.flips).padStart(5)}`);
+  }
+
+  const unstable = report.runs.filter(r => r.flippedIn.length > 0);
+  if (unstable.length > 0) {
+    console.log('\nFlips:');
+    for (const r of unstable) {
+      console.log(`  ${r.param} × ${r.factor} (= ${r.value})  overlap ${fmt(r.overlap).trim()}  tau ${fmt(r.kendallTau).trim()}`);
+      for (const id of r.flippedOut) console.log(`      out  ${report.titles[id] || id}`);
+      for (const id of r.flippedIn) console.log(`      in   ${report.titles[id] || id}`);
+    }
+  }
+}
+
+async function cmdIngest(args) {
+  const [what, ...rest] = args;
+  const flags = parseFlags(rest);
+  if (what !== 'meetings' || typeof flags.source !== 'string') {
+    console.log('INGEST - Usage: ingest meetings --source=<adapter> [--path=<file|dir>] [--out=<dir>] [--dry-run]');
+    process.exit(1);
+  }
+
+  const { ingestMeetings } = await import('./meeting-ingest.js');
+
+  let report;
+  try {
+    report = await ingestMeetings({
+      source: flags.source,
+      path: typeof flags.path === 'string' ? flags.path : undefined,
+      ...(typeof flags.out === 'string' ? { out: flags.out } : {}),
+      dryRun: Boolean(flags['dry-run'])
+    });
+  } catch (err) {
+    console.log(`INGEST - ${err.message}`);
+    process.exit(1);
+  }
+
+  if (flags.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  console.log(`INGEST - ${report.source}${flags['dry-run'] ? ' (dry run)' : ''}\n`);
+  console.log(`Read          ${report.read}`);
+  console.log(`Added         ${report.added}`);
+  console.log(`Replaced      ${report.replaced.length}`);
+  console.log(`Merged        ${report.merged.length}`);
+  console.log(`Invalid       ${report.invalid.length}`);
+  console.log(`Transcripts   ${report.transcripts}`);
+  console.log(`Total stored  ${report.total}${report.chunks ? ` (${report.chunks} chunks)` : ''}`);
+  for (const m of report.merged) console.log(`  merged  ${m.id} → ${m.into}`);
+  for (const m of report.invalid) console.log(`  invalid ${m.provenance}: ${m.errors.join('; ')}`);
+}
+
 // =============================================================================
 // MAIN
 // =============================================================================
@@ -1100,6 +1347,18 @@ else if (command === 'refresh') {
     console.log('refresh.js not found. Run from workspace root.');
   }
 }
+else if (command === 'backtest') {
+  await cmdBacktest(args.slice(1));
+}
+else if (command === 'diff') {
+  await cmdDiff(args.slice(1));
+}
+else if (command === 'sensitivity') {
+  await cmdSensitivity(args.slice(1));
+}
+else if (command === 'ingest') {
+  await cmdIngest(args.slice(1));
+}
 else if (command === 'handoff') {
   // Claude-triggered compaction handoff
   const handoffPath = join(process.cwd(), '.backbone/handoff.js');
@@ -189,6 +189,7 @@ function extractEntryPoints() {
   return `packages/core/runtime/main.js         core engine
 packages/core/runtime/engine.js       DAG executor
 packages/core/runtime/graph.js        DAG definition
+packages/core/runtime/registry.js     custom DAG node registration
 packages/core/qa/qa_gate.js           QA validation
 packages/core/decide/ranking.js       THE ranking function
 packages/core/derive/meetingParsing.js NLP extraction
@@ -22,7 +22,6 @@ export const GRANOLA = {
 
   // Paths (relative to project root)
   STATE_FILE: '.backbone/granola-state.json',
-  OUTPUT_DIR: 'raw/meetings',
-  TRANSCRIPT_DIR: 'raw/meetings/transcripts',
   LOG_FILE: '.backbone/granola-sync.log'
+  // Meetings and transcripts: .backbone/meeting-ingest.js (packages/core/raw/meetings)
 };
@@ -4,8 +4,10 @@
  * GRANOLA MCP SYNC
  * Pulls meeting notes from Granola MCP, stores as raw JSON for ETL ingestion.
  * Zero dependencies — uses only Node.js built-ins.
+ * One of the meeting ingest adapters (.backbone/meeting-ingest.js).
  *
  * Usage: node .backbone/granola.js
+ *        node .backbone/cli.js ingest meetings --source=granola
  */
 
 import { execSync } from 'node:child_process';
@@ -15,6 +17,8 @@ import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 
 import { GRANOLA } from './granola-config.js';
+import { ingestMeetings } from './meeting-ingest.js';
+import { normalizeMeeting } from '../packages/core/raw/meetingSchema.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.resolve(__dirname, '..');
@@ -296,80 +300,33 @@ function saveState(state) {
   fs.writeFileSync(stateFile, JSON.stringify(state, null, 2) + '\n');
 }
 
-// ── Meeting normalization ────────────────────────────────────────────────────
-
-function normalizeMeeting(m) {
-  return {
-    id: m.id,
-    title: m.title || 'Untitled Meeting',
-    date: m.date || null,
-    participants: (m.participants || []),
-    summary: m.summary || '',
-    source: 'granola',
-    provenance: 'granola-mcp-sync',
-    asOf: new Date().toISOString()
-  };
-}
-
-// ── Output (chunk/manifest pattern) ──────────────────────────────────────────
-
-function writeOutput(meetings) {
-  const outDir = path.join(ROOT, GRANOLA.OUTPUT_DIR);
-  fs.mkdirSync(outDir, { recursive: true });
-  fs.mkdirSync(path.join(ROOT, GRANOLA.TRANSCRIPT_DIR), { recursive: true });
-
-  // Write chunk file
-  const chunkFile = 'meetings_0.json';
-  fs.writeFileSync(
-    path.join(outDir, chunkFile),
-    JSON.stringify(meetings, null, 2) + '\n'
-  );
-
-  // Write manifest
-  const manifest = {
-    source: 'granola-mcp-sync',
-    baseName: 'meetings',
-    generatedAt: new Date().toISOString(),
-    chunks: [
-      {
-        key: 'meetings',
-        index: 0,
-        file: chunkFile,
-        count: meetings.length
-      }
-    ],
-    meta: {
-      generatedAt: new Date().toISOString(),
-      version: '9.0'
-    }
-  };
-  fs.writeFileSync(
-    path.join(outDir, 'meetings_manifest.json'),
-    JSON.stringify(manifest, null, 2) + '\n'
-  );
-}
+// ── Fetch ────────────────────────────────────────────────────────────────────
 
-function writeTranscript(meetingId, text) {
-  const dir = path.join(ROOT, GRANOLA.TRANSCRIPT_DIR);
-  fs.mkdirSync(dir, { recursive: true });
-  fs.writeFileSync(path.join(dir, `mtg_${meetingId}.txt`), text);
-}
-
-// ── Main sync ────────────────────────────────────────────────────────────────
-
-async function main() {
-  log('=== Granola MCP Sync starting ===');
+/**
+ * Fetch meetings not seen by a previous sync, normalized, plus transcripts.
+ * Sync state (known ids, status) is saved unless dryRun.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.asOf] - Ingestion time (ISO)
+ * @param {boolean} [options.dryRun]
+ * @returns {Promise<{ meetings: Object[], transcripts: Map<string, string> }>}
+ */
+export async function fetchGranolaMeetings({ asOf = new Date().toISOString(), dryRun = false } = {}) {
   const state = loadState();
+  const finish = (status, newIds = []) => {
+    if (dryRun) return;
+    state.knownMeetingIds = [...new Set([...state.knownMeetingIds, ...newIds])];
+    state.lastSync = new Date().toISOString();
+    state.lastSyncStatus = status;
+    saveState(state);
+  };
 
   let accessToken;
   try {
     accessToken = await getValidToken();
   } catch (err) {
-    log(`ERROR: Failed to get OAuth token: ${err.message}`);
-    state.lastSync = new Date().toISOString();
-    state.lastSyncStatus = 'error_auth';
-    saveState(state);
-    process.exit(1);
+    finish('error_auth');
+    throw new Error(`Failed to get OAuth token: ${err.message}`);
   }
 
   // 1. List meetings
@@ -380,11 +337,8 @@ async function main() {
       time_range: GRANOLA.LIST_TIME_RANGE
     });
   } catch (err) {
-    log(`ERROR: list_meetings failed: ${err.message}`);
-    state.lastSync = new Date().toISOString();
-    state.lastSyncStatus = 'error_list';
-    saveState(state);
-    process.exit(1);
+    finish('error_list');
+    throw new Error(`list_meetings failed: ${err.message}`);
   }
 
   // Parse XML response from Granola MCP
@@ -395,21 +349,11 @@ async function main() {
 
   // 2. Filter to new meetings
   const knownSet = new Set(state.knownMeetingIds);
-  const newMeetings = meetingList.filter(m => !knownSet.has(m.id));
-  log(`${newMeetings.length} new meetings to fetch`);
-
-  if (newMeetings.length === 0) {
-    log('No new meetings — sync complete');
-    state.lastSync = new Date().toISOString();
-    state.lastSyncStatus = 'success';
-    saveState(state);
-    return;
-  }
+  const newIds = meetingList.filter(m => !knownSet.has(m.id)).map(m => m.id);
+  log(`${newIds.length} new meetings to fetch`);
 
   // 3. Get meeting details in batches
-  const newIds = newMeetings.map(m => m.id);
   const detailed = [];
-
   for (let i = 0; i < newIds.length; i += GRANOLA.GET_MEETINGS_BATCH) {
     const batch = newIds.slice(i, i + GRANOLA.GET_MEETINGS_BATCH);
     log(`Fetching details batch ${Math.floor(i / GRANOLA.GET_MEETINGS_BATCH) + 1} (${batch.length} meetings)...`);
@@ -425,46 +369,37 @@ async function main() {
   }
 
   // 4. Optionally fetch transcripts
+  const transcripts = new Map();
   if (GRANOLA.fetchTranscripts) {
     for (const mtg of detailed) {
       try {
         log(`Fetching transcript for ${mtg.id}...`);
         const transcript = await mcpCall(accessToken, 'get_meeting_transcript', { meeting_id: mtg.id });
-        const text = typeof transcript === 'string' ? transcript : (transcript.transcript || JSON.stringify(transcript));
-        writeTranscript(mtg.id, text);
+        transcripts.set(mtg.id, typeof transcript === 'string' ? transcript : (transcript.transcript || JSON.stringify(transcript)));
       } catch (err) {
         log(`WARN: transcript fetch failed for ${mtg.id}: ${err.message}`);
       }
     }
   }
 
-  // 5. Normalize and save
-  const normalized = detailed.map(normalizeMeeting);
-
-  // Merge with existing meetings if any
-  const outFile = path.join(ROOT, GRANOLA.OUTPUT_DIR, 'meetings_0.json');
-  let existing = [];
-  if (fs.existsSync(outFile)) {
-    try {
-      existing = JSON.parse(fs.readFileSync(outFile, 'utf8'));
-    } catch { /* start fresh */ }
-  }
-
-  const merged = [...existing, ...normalized];
-  writeOutput(merged);
-  log(`Wrote ${merged.length} total meetings (${normalized.length} new)`);
+  // 5. Normalize
+  const meetings = detailed.map(m => normalizeMeeting(m, { source: 'granola', provenance: 'granola-mcp-sync', asOf }));
+  finish('success', newIds);
+  return { meetings, transcripts };
+}
 
-  // 6. Update state
-  state.knownMeetingIds = [...new Set([...state.knownMeetingIds, ...newIds])];
-  state.lastSync = new Date().toISOString();
-  state.lastSyncStatus = 'success';
-  state.totalMeetings = merged.length;
-  saveState(state);
+// ── Main sync ────────────────────────────────────────────────────────────────
 
-  log(`=== Sync complete: ${normalized.length} new meetings added ===`);
+async function main() {
+  log('=== Granola MCP Sync starting ===');
+  const result = await ingestMeetings({ source: 'granola' });
+  log(`Wrote ${result.total} total meetings (${result.added} new, ${result.merged.length} merged)`);
+  log(`=== Sync complete: ${result.added} new meetings added ===`);
 }
 
-main().catch(err => {
-  log(`FATAL: ${err.message}`);
-  process.exit(1);
-});
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(err => {
+    log(`FATAL: ${err.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,173 @@
+/**
+ * MEETING INGEST
+ * Runs a meeting source adapter and writes the normalized result into the
+ * raw meetings store read by loadRawData():
+ *
+ *   packages/core/raw/meetings/meetings_manifest.json
+ *   packages/core/raw/meetings/meetings_<i>.json       (MEETINGS_PER_CHUNK per file)
+ *   packages/core/raw/meetings/transcripts/mtg_<id>.txt
+ *
+ * Adapters:
+ *   granola      Granola MCP sync (.backbone/granola.js)
+ *   markdown     --path=<folder of .md notes>
+ *   ics          --path=<calendar.ics | folder>
+ *   transcript   --path=<folder of Zoom .vtt/.txt or Otter .txt>  (aliases: zoom, otter)
+ *
+ * Incoming meetings are merged with the stored ones (raw/meetingSchema.js
+ * mergeMeetings): the same meeting seen by two sources is kept once, and a
+ * re-ingested meeting (same id) replaces its stored record and transcript.
+ *
+ * Usage: node .backbone/cli.js ingest meetings --source=<adapter> [--path=...] [--out=...] [--dry-run]
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { validateMeeting, mergeMeetings } from '../packages/core/raw/meetingSchema.js';
+import { FILE_ADAPTERS } from '../packages/core/raw/meetingSources.js';
+import { loadMeetings } from '../packages/core/raw/loadRawData.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, '..');
+
+export const MEETINGS_DIR = path.join(ROOT, 'packages/core/raw/meetings');
+export const MEETINGS_PER_CHUNK = 200;
+
+const ALIASES = { zoom: 'transcript', otter: 'transcript' };
+
+export const ADAPTER_NAMES = ['granola', ...Object.keys(FILE_ADAPTERS)];
+
+// ── File adapters ────────────────────────────────────────────────────────────
+
+function listFiles(target, extensions) {
+  const stat = fs.statSync(target);
+  if (stat.isFile()) return [target];
+  return fs.readdirSync(target, { withFileTypes: true })
+    .flatMap(entry => {
+      const full = path.join(target, entry.name);
+      if (entry.isDirectory()) return listFiles(full, extensions);
+      return extensions.includes(path.extname(entry.name).toLowerCase()) ? [full] : [];
+    })
+    .sort();
+}
+
+function readFileAdapter(adapter, target, asOf) {
+  if (!target) throw new Error('--path is required for file sources');
+  if (!fs.existsSync(target)) throw new Error(`Path not found: ${target}`);
+
+  const meetings = [];
+  const transcripts = new Map();
+  for (const file of listFiles(target, adapter.extensions)) {
+    const parsed = adapter.parse({
+      path: path.relative(process.cwd(), file),
+      name: path.basename(file),
+      text: fs.readFileSync(file, 'utf8'),
+      mtime: fs.statSync(file).mtime.toISOString()
+    }, { asOf });
+    for (const { meeting, transcript } of parsed) {
+      meetings.push(meeting);
+      if (transcript) transcripts.set(meeting.id, transcript);
+    }
+  }
+  return { meetings, transcripts };
+}
+
+// ── Store output (chunk/manifest pattern) ────────────────────────────────────
+
+/**
+ * Write meetings as manifest + chunks, and the given transcripts
+ * (overwriting any stored file for the same id).
+ */
+export function writeMeetingStore(dir, meetings, transcripts, { source }) {
+  fs.mkdirSync(path.join(dir, 'transcripts'), { recursive: true });
+
+  const chunks = [];
+  for (let i = 0; i * MEETINGS_PER_CHUNK < meetings.length || i === 0; i++) {
+    const slice = meetings.slice(i * MEETINGS_PER_CHUNK, (i + 1) * MEETINGS_PER_CHUNK);
+    const file = `meetings_${i}.json`;
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(slice, null, 2) + '\n');
+    chunks.push({ key: 'meetings', index: i, file, count: slice.length });
+  }
+
+  // Drop chunks left over from a larger previous write
+  for (const name of fs.readdirSync(dir)) {
+    const match = /^meetings_(\d+)\.json$/.exec(name);
+    if (match && Number(match[1]) >= chunks.length) fs.rmSync(path.join(dir, name));
+  }
+
+  const generatedAt = new Date().toISOString();
+  fs.writeFileSync(path.join(dir, 'meetings_manifest.json'), JSON.stringify({
+    source,
+    baseName: 'meetings',
+    generatedAt,
+    chunks,
+    meta: { generatedAt, version: '9.0' }
+  }, null, 2) + '\n');
+
+  let written = 0;
+  for (const [id, text] of transcripts) {
+    fs.writeFileSync(path.join(dir, 'transcripts', `mtg_${id}.txt`), text);
+    written++;
+  }
+  return { chunks: chunks.length, transcriptsWritten: written };
+}
+
+// ── Ingest ───────────────────────────────────────────────────────────────────
+
+/**
+ * Run one adapter and merge its meetings into the store.
+ *
+ * @param {Object} options
+ * @param {string} options.source - Adapter name (or zoom/otter alias)
+ * @param {string} [options.path] - Input file or folder (file adapters)
+ * @param {string} [options.out] - Meetings dir (default packages/core/raw/meetings)
+ * @param {boolean} [options.dryRun] - Parse and merge, write nothing
+ * @returns {Promise<{ source, read, added, replaced, merged, invalid, total, chunks, transcriptsWritten }>}
+ */
+export async function ingestMeetings({ source, path: target, out = MEETINGS_DIR, dryRun = false }) {
+  const name = ALIASES[source] || source;
+  if (!ADAPTER_NAMES.includes(name)) {
+    throw new Error(`Unknown source: ${source} (expected ${[...ADAPTER_NAMES, ...Object.keys(ALIASES)].join(', ')})`);
+  }
+  const asOf = new Date().toISOString();
+
+  let incoming;
+  if (name === 'granola') {
+    const { fetchGranolaMeetings } = await import('./granola.js');
+    incoming = await fetchGranolaMeetings({ asOf, dryRun });
+  } else {
+    incoming = readFileAdapter(FILE_ADAPTERS[name], target, asOf);
+  }
+
+  const invalid = [];
+  const valid = incoming.meetings.filter(m => {
+    const { valid: ok, errors } = validateMeeting(m);
+    if (!ok) invalid.push({ id: m.id, provenance: m.provenance, errors });
+    return ok;
+  });
+
+  const existing = loadMeetings(out);
+  const result = mergeMeetings(existing.meetings, valid, incoming.transcripts);
+  // New transcripts, plus replacements for re-ingested meetings
+  const replaced = new Set(result.replaced);
+  const fresh = new Map([...result.transcripts].filter(([id]) => replaced.has(id) || !existing.transcripts.has(id)));
+
+  const written = dryRun
+    ? { chunks: 0, transcriptsWritten: 0 }
+    : writeMeetingStore(out, result.meetings, fresh, { source: name });
+
+  return {
+    source: name,
+    read: incoming.meetings.length,
+    added: result.added,
+    replaced: result.replaced,
+    merged: result.merged,
+    invalid,
+    total: result.meetings.length,
+    transcripts: fresh.size,
+    ...written
+  };
+}
+
+export default { ingestMeetings, writeMeetingStore, ADAPTER_NAMES, MEETINGS_DIR, MEETINGS_PER_CHUNK };
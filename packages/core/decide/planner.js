@@ -0,0 +1,313 @@
+/**
+ * planner.js – Capacity-Aware Daily / Weekly Plan
+ *
+ * Packs ranked actions into each team member's available hours instead of
+ * truncating the ranking to a fixed top-N. Every considered action comes
+ * back either included or deferred, with the reasons why.
+ *
+ * Packing order:
+ *   1. Actions whose deadline (buildDeadlineMap) falls inside the horizon,
+ *      soonest first
+ *   2. Everything else in rank order
+ *
+ * An action is deferred when:
+ *   - a dependency is still pending and not planned ahead of it
+ *   - its entity already has maxPerEntityPerSource planned actions (Gate 18)
+ *   - its owner (or, if unassigned, every team member) lacks the hours
+ *   - ranking already deferred it past its owner's capacity
+ *
+ * Effort: resolution `defaultEffort` (days of work for the company) is
+ * converted to partner hours via hoursPerEffortDay.
+ *
+ * INVARIANT: Does not re-score or re-rank. Rank order comes from rankActions.
+ * INVARIANT: Pure function of its inputs; plans are never persisted.
+ *
+ * @module decide/planner
+ */
+
+import { getAnyResolution } from '../predict/actionCandidates.js';
+import { MAX_PER_COMPANY_PER_TYPE, OWNER_CAPACITY_DEFER } from './ranking.js';
+
+// =============================================================================
+// CONFIG
+// =============================================================================
+
+export const PLAN_HORIZONS = { day: 1, week: 7 };
+
+export const PLAN_DEFAULTS = {
+  horizon: 'day',
+  // Per member, when neither availability nor team record says otherwise
+  hoursPerDay: 6,
+  workDaysPerWeek: 5,
+  // Partner hours per day of resolution effort (the company does most of the work)
+  hoursPerEffortDay: 0.5,
+  minActionHours: 0.25,
+  // Matches the actionImpact fallback for unknown resolutions
+  defaultEffortDays: 7,
+  maxPerEntityPerSource: MAX_PER_COMPANY_PER_TYPE
+};
+
+const DEFER = {
+  BLOCKED: 'blocked',
+  ENTITY_CAP: 'entity_cap',
+  OVER_BUDGET: 'over_budget',
+  NO_OWNER_BUDGET: 'no_owner_budget',
+  OWNER_CAPACITY: OWNER_CAPACITY_DEFER
+};
+
+function round(n, places = 2) {
+  const f = 10 ** places;
+  return Math.round(n * f) / f;
+}
+
+// =============================================================================
+// INPUTS
+// =============================================================================
+
+/**
+ * Partner hours an action needs.
+ * Explicit `effortHours` wins; otherwise resolution effort days × hoursPerEffortDay.
+ * @param {Object} action
+ * @param {Object} [config]
+ * @returns {number}
+ */
+export function estimateActionHours(action, config = PLAN_DEFAULTS) {
+  if (typeof action.effortHours === 'number' && action.effortHours >= 0) {
+    return Math.max(config.minActionHours, action.effortHours);
+  }
+  const effortDays = getAnyResolution(action.resolutionId)?.defaultEffort ?? config.defaultEffortDays;
+  return Math.max(config.minActionHours, round(effortDays * config.hoursPerEffortDay));
+}
+
+/**
+ * Action ids an action waits on:
+ *   - explicit `dependsOn`
+ *   - a followup waits on the action it follows up
+ *   - a goal action waits on the primary action of each goal its goal depends on
+ * @param {Object} action
+ * @param {Map<string, string>} primaryActionByGoal - goalId → primary actionId
+ * @param {Map<string, Object>} goalById
+ * @returns {string[]}
+ */
+export function dependenciesOf(action, primaryActionByGoal = new Map(), goalById = new Map()) {
+  const deps = new Set(action.dependsOn || []);
+  const source = action.sources?.[0];
+  if (source?.sourceType === 'FOLLOWUP' && source.originalActionId) {
+    deps.add(source.originalActionId);
+  }
+  if (action.goalId) {
+    for (const goalId of goalById.get(action.goalId)?.dependencies || []) {
+      const primary = primaryActionByGoal.get(goalId);
+      if (primary) deps.add(primary);
+    }
+  }
+  deps.delete(action.actionId);
+  return [...deps];
+}
+
+/**
+ * Hours each member has for the horizon.
+ * Precedence: availability[id] → team record hoursPerDay / hoursPerWeek → defaults.
+ * With no team, a single unowned budget (`options.hours` or the default).
+ */
+function buildBudgets(team, availability, config, horizon, hours) {
+  const defaultHours = horizon === 'week'
+    ? config.hoursPerDay * config.workDaysPerWeek
+    : config.hoursPerDay;
+
+  if (team.length === 0) {
+    const available = typeof hours === 'number' ? hours : defaultHours;
+    return [{ ownerId: null, name: 'Portfolio', hoursAvailable: available, hoursRemaining: available, actions: [] }];
+  }
+
+  return team.map(member => {
+    const fromRecord = horizon === 'week'
+      ? (member.hoursPerWeek ?? (member.hoursPerDay != null ? member.hoursPerDay * config.workDaysPerWeek : undefined))
+      : member.hoursPerDay;
+    const available = availability[member.id] ?? fromRecord ?? defaultHours;
+    return { ownerId: member.id, name: member.name || member.id, hoursAvailable: available, hoursRemaining: available, actions: [] };
+  });
+}
+
+/**
+ * Deadline-bound actions first (soonest first), then rank order.
+ * Reorders the packing queue only; ranks are reported unchanged.
+ */
+function packingOrder(ranked, deadlinesByAction, horizonDays) {
+  const dueInHorizon = [];
+  const rest = [];
+  for (const action of ranked) {
+    const days = deadlinesByAction.get(action.actionId);
+    if (typeof days === 'number' && days <= horizonDays) dueInHorizon.push(action);
+    else rest.push(action);
+  }
+  dueInHorizon.sort((a, b) => deadlinesByAction.get(a.actionId) - deadlinesByAction.get(b.actionId) || a.rank - b.rank);
+  return [...dueInHorizon, ...rest];
+}
+
+// =============================================================================
+// PLAN
+// =============================================================================
+
+/**
+ * Build an explainable plan from ranked actions.
+ *
+ * @param {Object[]} rankedActions - Output of rankActions (rank order)
+ * @param {Object} [options]
+ * @param {'day'|'week'} [options.horizon='day']
+ * @param {Object[]} [options.team] - rawData.team
+ * @param {Object<string, number>} [options.availability] - team member id → hours for the horizon
+ * @param {number} [options.hours] - Budget when there is no team
+ * @param {Map<string, number>} [options.deadlinesByAction] - From buildDeadlineMap()
+ * @param {Map<string, string>} [options.assigneeByAction] - From buildAssigneeMap()
+ * @param {Object[]} [options.goals] - rawData.goals (for goal dependencies)
+ * @param {Object} [options.config] - Overrides for PLAN_DEFAULTS
+ * @returns {{ horizon: string, owners: Object[], included: Object[], deferred: Object[], summary: Object }}
+ */
+export function planActions(rankedActions = [], options = {}) {
+  const config = { ...PLAN_DEFAULTS, ...(options.config || {}) };
+  const horizon = options.horizon || config.horizon;
+  const horizonDays = PLAN_HORIZONS[horizon];
+  if (!horizonDays) {
+    throw new Error(`PLANNER: unknown horizon '${horizon}' (expected ${Object.keys(PLAN_HORIZONS).join(', ')})`);
+  }
+
+  const {
+    team = [],
+    availability = {},
+    deadlinesByAction = new Map(),
+    assigneeByAction = new Map(),
+    goals = []
+  } = options;
+
+  const budgets = buildBudgets(team, availability, config, horizon, options.hours);
+  const budgetByOwner = new Map(budgets.map(b => [b.ownerId, b]));
+
+  const goalById = new Map(goals.map(g => [g.id, g]));
+  const primaryActionByGoal = new Map();
+  for (const action of rankedActions) {
+    if (action.goalId && action.isPrimary) primaryActionByGoal.set(action.goalId, action.actionId);
+  }
+  const pendingIds = new Set(rankedActions.map(a => a.actionId));
+  const titleById = new Map(rankedActions.map(a => [a.actionId, a.title]));
+
+  const includedIds = new Set();
+  const countByEntitySource = {};
+  const included = [];
+  const deferred = [];
+
+  for (const action of packingOrder(rankedActions, deadlinesByAction, horizonDays)) {
+    const hours = estimateActionHours(action, config);
+    const deadlineDays = deadlinesByAction.get(action.actionId) ?? null;
+    const assignee = assigneeByAction.get(action.actionId) || null;
+    const entry = {
+      actionId: action.actionId,
+      title: action.title,
+      rank: action.rank,
+      hours,
+      deadlineDays: deadlineDays === null ? null : round(deadlineDays, 1),
+      ownerId: assignee,
+      reasons: []
+    };
+    const defer = (code, reason) => {
+      deferred.push({ ...entry, code, reasons: [reason] });
+    };
+
+    // Owner capacity: rankActions marked it; it waits for earlier actions to clear
+    if (action.deferred?.code === DEFER.OWNER_CAPACITY) {
+      defer(DEFER.OWNER_CAPACITY, action.deferred.reason);
+      continue;
+    }
+
+    // Dependencies: pending prerequisites must already be in the plan
+    const waitingOn = dependenciesOf(action, primaryActionByGoal, goalById)
+      .filter(dep => pendingIds.has(dep) && !includedIds.has(dep));
+    if (waitingOn.length > 0) {
+      defer(DEFER.BLOCKED, `Waits on ${waitingOn.map(id => `"${titleById.get(id) || id}"`).join(', ')}, not yet planned`);
+      continue;
+    }
+
+    // Gate 18: per entity per source
+    const sourceType = action.sources?.[0]?.sourceType || 'UNKNOWN';
+    const entityKey = `${action.entityRef?.id || 'unknown'}::${sourceType}`;
+    if ((countByEntitySource[entityKey] || 0) >= config.maxPerEntityPerSource) {
+      defer(DEFER.ENTITY_CAP, `${action.entityRef?.name || action.entityRef?.id} already has ${config.maxPerEntityPerSource} ${sourceType} actions planned`);
+      continue;
+    }
+
+    // Owner: assigned member, else the member with the most hours left
+    let budget;
+    let ownerReason;
+    if (assignee && budgets[0].ownerId !== null) {
+      budget = budgetByOwner.get(assignee);
+      if (!budget) {
+        defer(DEFER.NO_OWNER_BUDGET, `Assigned to ${assignee}, who has no hours in this plan`);
+        continue;
+      }
+      if (budget.hoursRemaining < hours) {
+        defer(DEFER.OVER_BUDGET, `Needs ${hours}h; ${budget.name} has ${round(budget.hoursRemaining)}h left`);
+        continue;
+      }
+      ownerReason = `Assigned to ${budget.name}`;
+    } else {
+      const roomiest = budgets.reduce((best, b) => (b.hoursRemaining > best.hoursRemaining ? b : best), budgets[0]);
+      if (roomiest.hoursRemaining < hours) {
+        defer(DEFER.OVER_BUDGET, `Needs ${hours}h; most left is ${round(roomiest.hoursRemaining)}h (${roomiest.name})`);
+        continue;
+      }
+      budget = roomiest;
+      ownerReason = budget.ownerId === null ? null : `Proposed for ${budget.name} (most hours left)`;
+    }
+
+    budget.hoursRemaining = round(budget.hoursRemaining - hours);
+    countByEntitySource[entityKey] = (countByEntitySource[entityKey] || 0) + 1;
+    includedIds.add(action.actionId);
+
+    entry.ownerId = budget.ownerId;
+    entry.reasons.push(`Rank #${action.rank}`);
+    if (deadlineDays !== null && deadlineDays <= horizonDays) {
+      entry.reasons.push(`Deadline in ${round(deadlineDays, 1)} days, inside the ${horizon}`);
+    }
+    if (ownerReason) entry.reasons.push(ownerReason);
+    entry.reasons.push(`Fits: ${hours}h, ${budget.hoursRemaining}h left`);
+
+    budget.actions.push(entry);
+    included.push(entry);
+  }
+
+  const byReason = {};
+  for (const d of deferred) byReason[d.code] = (byReason[d.code] || 0) + 1;
+
+  const hoursAvailable = budgets.reduce((s, b) => s + b.hoursAvailable, 0);
+  const hoursRemaining = budgets.reduce((s, b) => s + b.hoursRemaining, 0);
+
+  return {
+    horizon,
+    owners: budgets.map(({ ownerId, name, hoursAvailable: available, hoursRemaining: remaining, actions }) => ({
+      ownerId,
+      name,
+      hoursAvailable: available,
+      hoursPlanned: round(available - remaining),
+      hoursRemaining: remaining,
+      actions
+    })),
+    included,
+    deferred,
+    summary: {
+      considered: rankedActions.length,
+      included: included.length,
+      deferred: deferred.length,
+      deferredByReason: byReason,
+      hoursAvailable: round(hoursAvailable),
+      hoursPlanned: round(hoursAvailable - hoursRemaining)
+    }
+  };
+}
+
+export default {
+  PLAN_HORIZONS,
+  PLAN_DEFAULTS,
+  estimateActionHours,
+  dependenciesOf,
+  planActions
+};
@@ -24,7 +24,7 @@ import {
   computeTimeCriticalityBoost,
   computeSourceTypeBoost
 } from './weights.js';
-import { computeAllPatternLifts, LIFT_MAX } from '../derive/patternLift.js';
+import { computeAllPatternLifts } from '../derive/patternLift.js';
 import { computeExpectedNetImpact } from '../derive/impact.js';
 
 export { computeExpectedNetImpact };
@@ -42,21 +42,22 @@ export { computeExpectedNetImpact };
  * @param {Object} options - Additional context
  * @param {number} [options.trustRisk] - Trust risk score (0-1)
  * @param {number} [options.daysUntilDeadline] - Days until action deadline
+ * @param {Object} [options.weights] - From resolveWeights(); defaults to WEIGHTS
  * @returns {{ rankScore: number, components: Object }}
  */
 export function computeRankScore(action, options = {}) {
-  const { trustRisk = 0, daysUntilDeadline = null } = options;
+  const { trustRisk = 0, daysUntilDeadline = null, weights = WEIGHTS } = options;
 
   // Base expected net impact
   const expectedNetImpact = computeExpectedNetImpact(action.impact);
 
   // Penalties
-  const trustPenalty = computeTrustPenalty(trustRisk);
-  const executionFrictionPenalty = computeExecutionFrictionPenalty(action);
+  const trustPenalty = computeTrustPenalty(trustRisk, weights);
+  const executionFrictionPenalty = computeExecutionFrictionPenalty(action, weights);
 
   // Boosts
-  const timeCriticalityBoost = computeTimeCriticalityBoost(daysUntilDeadline);
-  const sourceTypeBoost = computeSourceTypeBoost(action);
+  const timeCriticalityBoost = computeTimeCriticalityBoost(daysUntilDeadline, weights);
+  const sourceTypeBoost = computeSourceTypeBoost(action, weights);
 
   // Final score
   const rankScore = expectedNetImpact - trustPenalty - executionFrictionPenalty + timeCriticalityBoost + sourceTypeBoost;
@@ -75,6 +76,18 @@ export function computeRankScore(action, options = {}) {
 // =============================================================================
 // ACTION RANKING
 // =============================================================================
+
+/**
+ * Per-entity cap: max ranked actions per company per source type (Gate 18).
+ * Gives diversity while avoiding spam.
+ */
+export const MAX_PER_COMPANY_PER_TYPE = 5;
+
+/**
+ * Defer code for actions past their owner's capacity (see decide/planner.js).
+ */
+export const OWNER_CAPACITY_DEFER = 'owner_capacity';
+
 /**
  * Rank all actions by rankScore (single surface).
  * EXECUTION PATH: Called by engine `actionRanker` node and portfolio-level re-rank.
@@ -86,6 +99,10 @@ export function computeRankScore(action, options = {}) {
  * @param {Map<string, number>} [context.deadlinesByAction] - Days until deadline per action
  * @param {Object[]} [context.events] - Event stream for pattern detection
  * @param {Date} [context.now] - Current time for pattern decay
+ * @param {Object} [context.weights] - From resolveWeights(); defaults to WEIGHTS
+ * @param {Map<string, string>} [context.assigneeByAction] - Current owner per action
+ * @param {Object<string, number>} [context.ownerCapacity] - Max ranked actions per owner
+ * @param {Set<string>} [context.excludedActionIds] - Lifecycle exclusions (getExcludedActionIds); hold no capacity
  * @returns {Object[]} - Actions sorted by rankScore, with rank and components
  */
 export function rankActions(actions, context = {}) {
@@ -95,17 +112,22 @@ export function rankActions(actions, context = {}) {
     trustRiskByAction = new Map(),
     deadlinesByAction = new Map(),
     events = [],
-    now = new Date()
+    now = new Date(),
+    weights = WEIGHTS,
+    assigneeByAction = new Map(),
+    ownerCapacity = {},
+    excludedActionIds = new Set()
   } = context;
 
   // Compute pattern lifts (runtime-derived, never persisted)
-  const patternLifts = computeAllPatternLifts(actions, events, now);
+  const patternLifts = computeAllPatternLifts(actions, events, now, weights.patternLift.liftMax);
 
   // Compute rankScore for each action
   const scored = actions.map(action => {
     const options = {
       trustRisk: trustRiskByAction.get(action.actionId) || action.trustRisk || 0,
-      daysUntilDeadline: deadlinesByAction.get(action.actionId) || action.daysUntilDeadline
+      daysUntilDeadline: deadlinesByAction.get(action.actionId) || action.daysUntilDeadline,
+      weights
     };
 
     const { rankScore: baseScore, components } = computeRankScore(action, options);
@@ -134,9 +156,7 @@ export function rankActions(actions, context = {}) {
     return a.actionId.localeCompare(b.actionId);
   });
 
-  // Allow up to 5 actions per company per source type (reactive/proactive)
-  // This gives diversity while avoiding spam
-  const MAX_PER_COMPANY_PER_TYPE = 5;
+  // Allow up to MAX_PER_COMPANY_PER_TYPE actions per company per source type
   const countByCompanyType = {};
   const deduped = scored.filter(action => {
     const companyName = (action.entityRef?.name || action.companyName || 'unknown').toLowerCase().replace(/\s+/g, '');
@@ -147,11 +167,32 @@ export function rankActions(actions, context = {}) {
     return countByCompanyType[key] <= MAX_PER_COMPANY_PER_TYPE;
   });
 
-  // Filter out negative scores - these are actions where effort > upside
-  const positive = deduped.filter(action => action.rankScore > 0);
+  // Filter out negative scores - these are actions where effort > upside.
+  // Partner-created (MANUAL) actions stay, ranked wherever their score lands.
+  const positive = deduped.filter(action => action.rankScore > 0 || action.sources?.[0]?.sourceType === 'MANUAL');
+
+  // Per-owner capacity: an owner's lower-ranked actions wait until earlier ones clear.
+  // Skipped, snoozed and observed actions hold no slot; actions past capacity
+  // stay ranked, marked deferred. Unassigned actions and owners without a
+  // capacity are unconstrained.
+  const countByOwner = {};
+  const withCapacity = positive.map(action => {
+    const owner = assigneeByAction.get(action.actionId);
+    if (!owner || ownerCapacity[owner] === undefined || excludedActionIds.has(action.actionId)) return action;
+
+    countByOwner[owner] = (countByOwner[owner] || 0) + 1;
+    if (countByOwner[owner] <= ownerCapacity[owner]) return action;
+    return {
+      ...action,
+      deferred: {
+        code: OWNER_CAPACITY_DEFER,
+        reason: `${owner} already has ${ownerCapacity[owner]} higher-ranked actions`
+      }
+    };
+  });
 
   // Assign ranks (1-indexed)
-  return positive.map((action, index) => ({
+  return withCapacity.map((action, index) => ({
     ...action,
     rank: index + 1
   }));
@@ -202,6 +243,8 @@ export function validateRanking(rankedActions) {
 }
 
 export default {
+  MAX_PER_COMPANY_PER_TYPE,
+  OWNER_CAPACITY_DEFER,
   computeExpectedNetImpact,
   computeRankScore,
   rankActions,
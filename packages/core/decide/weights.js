@@ -8,6 +8,7 @@
  */
 
 import { timePenalty } from '../derive/impact.js';
+import { LIFT_MAX } from '../derive/patternLift.js';
 
 // =============================================================================
 // RANKING FORMULA WEIGHTS
@@ -55,9 +56,17 @@ export const WEIGHTS = {
     issueBoost: 10,
     preissueBoost: 10,
     // GOAL = proactive advancement
-    goalBoost: 5
+    goalBoost: 5,
+    // OPPORTUNITY = positive-sum, nothing is wrong yet
+    opportunityBoost: 5
   },
   
+  // Pattern lift: learned adjustment from recorded outcomes
+  patternLift: {
+    // max absolute lift (canonical default in derive/patternLift.js)
+    liftMax: LIFT_MAX
+  },
+
   // Impact model weights (from actionSchema)
   impact: {
     // Time penalty: days / weeksPerPenaltyPoint
@@ -95,6 +104,51 @@ export const WEIGHTS = {
   }
 };
 
+// =============================================================================
+// OVERRIDES (what-if scenarios, sensitivity analysis)
+// =============================================================================
+
+/**
+ * Sections read by computeRankScore/rankActions at call time.
+ * Other sections feed derived constants and upstream nodes; not overridable.
+ */
+export const OVERRIDABLE_WEIGHT_SECTIONS = [
+  'trustPenalty', 'executionFriction', 'timeCriticality', 'sourceType', 'patternLift'
+];
+
+/**
+ * Resolve WEIGHTS with partial overrides, e.g. { trustPenalty: { multiplier: 40 } }.
+ * Never mutates WEIGHTS. Unknown sections/keys and non-numeric values throw.
+ *
+ * @param {Object|null} overrides - Same shape as WEIGHTS (partial)
+ * @returns {Object} weights
+ */
+export function resolveWeights(overrides = null) {
+  if (!overrides) return WEIGHTS;
+
+  const resolved = {};
+  for (const [section, values] of Object.entries(WEIGHTS)) {
+    resolved[section] = { ...values };
+  }
+
+  for (const [section, values] of Object.entries(overrides)) {
+    if (!OVERRIDABLE_WEIGHT_SECTIONS.includes(section) || !values || typeof values !== 'object') {
+      throw new Error(`WEIGHTS: '${section}' is not an overridable weight section`);
+    }
+    for (const [key, value] of Object.entries(values)) {
+      if (!WEIGHTS[section].hasOwnProperty(key)) {
+        throw new Error(`WEIGHTS: unknown weight '${section}.${key}'`);
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`WEIGHTS: '${section}.${key}' must be a finite number`);
+      }
+      resolved[section][key] = value;
+    }
+  }
+
+  return resolved;
+}
+
 // =============================================================================
 // DERIVED CONSTANTS (from weights, for convenience)
 // =============================================================================
@@ -111,24 +165,26 @@ export const IMMINENT_DAYS = WEIGHTS.preissue.imminentDays;
 /**
  * Compute trust penalty
  * @param {number} trustRisk - 0-1 risk score
+ * @param {Object} [weights] - From resolveWeights(); defaults to WEIGHTS
  * @returns {number} - penalty to subtract from rankScore
  */
-export function computeTrustPenalty(trustRisk) {
-  if (trustRisk <= WEIGHTS.trustPenalty.threshold) return 0;
-  return (trustRisk - WEIGHTS.trustPenalty.threshold) * WEIGHTS.trustPenalty.multiplier;
+export function computeTrustPenalty(trustRisk, weights = WEIGHTS) {
+  if (trustRisk <= weights.trustPenalty.threshold) return 0;
+  return (trustRisk - weights.trustPenalty.threshold) * weights.trustPenalty.multiplier;
 }
 
 /**
  * Compute execution friction penalty
  * @param {Object} action - Action with steps array
+ * @param {Object} [weights] - From resolveWeights(); defaults to WEIGHTS
  * @returns {number} - penalty to subtract from rankScore
  */
-export function computeExecutionFrictionPenalty(action) {
-  const stepCount = Math.min(action.steps?.length || 0, WEIGHTS.executionFriction.maxSteps);
-  let penalty = stepCount * WEIGHTS.executionFriction.perStep;
+export function computeExecutionFrictionPenalty(action, weights = WEIGHTS) {
+  const stepCount = Math.min(action.steps?.length || 0, weights.executionFriction.maxSteps);
+  let penalty = stepCount * weights.executionFriction.perStep;
   
   if (action.complexity) {
-    penalty += action.complexity * WEIGHTS.executionFriction.complexityMultiplier;
+    penalty += action.complexity * weights.executionFriction.complexityMultiplier;
   }
   
   return penalty;
@@ -137,13 +193,14 @@ export function computeExecutionFrictionPenalty(action) {
 /**
  * Compute time criticality boost
  * @param {number} daysUntilDeadline - days until action's deadline
+ * @param {Object} [weights] - From resolveWeights(); defaults to WEIGHTS
  * @returns {number} - boost to add to rankScore
  */
-export function computeTimeCriticalityBoost(daysUntilDeadline) {
+export function computeTimeCriticalityBoost(daysUntilDeadline, weights = WEIGHTS) {
   if (daysUntilDeadline == null || daysUntilDeadline <= 0) return 0;
-  if (daysUntilDeadline > WEIGHTS.timeCriticality.urgentThreshold * 4) return 0;
+  if (daysUntilDeadline > weights.timeCriticality.urgentThreshold * 4) return 0;
   
-  const { maxBoost, decayRate } = WEIGHTS.timeCriticality;
+  const { maxBoost, decayRate } = weights.timeCriticality;
   return maxBoost * Math.exp(-daysUntilDeadline / decayRate);
 }
 
@@ -154,17 +211,20 @@ export { timePenalty };
  * Compute source type urgency boost
  * ISSUE (reactive) > PREISSUE (preventative) > GOAL (proactive)
  * @param {Object} action - Action with sources array
+ * @param {Object} [weights] - From resolveWeights(); defaults to WEIGHTS
  * @returns {number} - boost to add to rankScore
  */
-export function computeSourceTypeBoost(action) {
+export function computeSourceTypeBoost(action, weights = WEIGHTS) {
   const sourceType = action.sources?.[0]?.sourceType;
   switch (sourceType) {
     case 'ISSUE':
-      return WEIGHTS.sourceType.issueBoost;
+      return weights.sourceType.issueBoost;
     case 'PREISSUE':
-      return WEIGHTS.sourceType.preissueBoost;
+      return weights.sourceType.preissueBoost;
     case 'GOAL':
-      return WEIGHTS.sourceType.goalBoost;
+      return weights.sourceType.goalBoost;
+    case 'OPPORTUNITY':
+      return weights.sourceType.opportunityBoost;
     default:
       return 0;
   }
@@ -172,6 +232,8 @@ export function computeSourceTypeBoost(action) {
 
 export default {
   WEIGHTS,
+  OVERRIDABLE_WEIGHT_SECTIONS,
+  resolveWeights,
   BASELINE_CONVERSION,
   SECOND_ORDER_MIN_LIFT,
   MAX_PATH_DEPTH,
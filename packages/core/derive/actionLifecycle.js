@@ -0,0 +1,362 @@
+/**
+ * actionLifecycle.js – Event-Sourced Action Lifecycle (HC5)
+ *
+ * Folds the action event stream into per-action lifecycle state:
+ *
+ *   proposed → assigned → started → executed → observed
+ *       └──────────┴─────────┴──→ abandoned (outcome 'abandoned' before execution)
+ *
+ * skipped and snoozed are overlays on proposed / assigned / started: the
+ * action is out of the queue until the overlay lapses (skip: 24h cooldown;
+ * snooze: payload.until, or payload.condition firing against raw data — see
+ * derive/snoozeConditions.js), then it is back in its underlying state with
+ * `resurfaced` recording why. Any lifecycle event clears an overlay
+ * (e.g. executing a skipped action).
+ *
+ * Illegal events (outcome before execution, double completion, anything
+ * after a terminal state) are recorded as violations and do not change state.
+ *
+ * INVARIANT: Lifecycle is event-derived. Nothing here writes events.
+ * INVARIANT: Legality depends only on event order, never on `now`;
+ *            `now` and raw data only decide whether an overlay has lapsed.
+ *            Without raw data a conditional snooze holds.
+ *
+ * @module derive/actionLifecycle
+ */
+
+import { evaluateSnoozeCondition } from './snoozeConditions.js';
+import { ACTION_EVENT_SCHEMA_VERSION } from '../raw/actionEvent.js';
+import { isReviewEvent } from '../raw/actionEventsSchema.js';
+
+// =============================================================================
+// STATES + TRANSITIONS
+// =============================================================================
+
+export const LIFECYCLE_STATES = [
+  'proposed', 'assigned', 'started', 'executed', 'observed', 'skipped', 'snoozed', 'abandoned'
+];
+
+export const TERMINAL_STATES = ['observed', 'abandoned'];
+
+// Effective states that keep an action in the daily queue
+export const ELIGIBLE_STATES = ['proposed', 'assigned', 'started', 'executed'];
+
+export const SKIP_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+const OPEN = ['proposed', 'assigned', 'started'];
+
+/**
+ * eventType → legal underlying states and the resulting state.
+ * `to` may be a function of (state, event); `overlay` marks skip/snooze.
+ */
+const TRANSITIONS = {
+  assigned: {
+    from: [...OPEN, 'executed'],
+    to: (state, event) => (state === 'proposed' || state === 'assigned'
+      ? (event.payload?.assignee ? 'assigned' : 'proposed')
+      : state)
+  },
+  started: { from: ['proposed', 'assigned'], to: () => 'started' },
+  executed: { from: OPEN, to: () => 'executed' },
+  completed: { from: OPEN, to: () => 'executed' },
+  outcome_recorded: {
+    from: [...OPEN, 'executed'],
+    to: (state, event) => (state === 'executed' ? 'observed' : 'abandoned'),
+    // Before execution only an abandonment can be recorded
+    guard: (state, event) => state === 'executed' || event.payload?.outcome === 'abandoned'
+  },
+  skipped: { from: OPEN, overlay: 'skipped' },
+  snoozed: { from: OPEN, overlay: 'snoozed' },
+  note_added: { from: LIFECYCLE_STATES, passive: true },
+  followup_created: { from: LIFECYCLE_STATES, passive: true },
+  intro_outcome: { from: LIFECYCLE_STATES, passive: true }
+};
+
+function eventTypeOf(event) {
+  return event.eventType || event.type;
+}
+
+function createOverlay(kind, event) {
+  if (kind === 'skipped') {
+    return { state: kind, since: event.timestamp, until: new Date(Date.parse(event.timestamp) + SKIP_COOLDOWN_MS).toISOString(), condition: null };
+  }
+  return { state: kind, since: event.timestamp, until: event.payload?.until || null, condition: event.payload?.condition || null };
+}
+
+// =============================================================================
+// REDUCER
+// =============================================================================
+
+function initialLifecycle(actionId) {
+  return {
+    actionId,
+    state: 'proposed',
+    baseState: 'proposed',
+    overlay: null,
+    assignee: null,
+    outcome: null,
+    resurfaced: null,
+    lastEventAt: null,
+    history: [],
+    violations: []
+  };
+}
+
+/**
+ * Would `event` be legal next? Ignores overlays (see module note).
+ * @param {Object} lifecycle - From reduceActionLifecycle()
+ * @param {Object} event
+ * @returns {{ allowed: boolean, from: string, to: string|null, reason?: string }}
+ */
+export function checkTransition(lifecycle, event) {
+  const eventType = eventTypeOf(event);
+  const from = lifecycle.baseState;
+
+  if (eventType === 'created') {
+    return lifecycle.history.length === 0
+      ? { allowed: true, from, to: 'proposed' }
+      : { allowed: false, from, to: null, reason: 'created must be the first event for an action' };
+  }
+
+  const rule = TRANSITIONS[eventType];
+  if (!rule) {
+    return { allowed: false, from, to: null, reason: `no lifecycle transition for '${eventType}'` };
+  }
+  if (!rule.from.includes(from) || (rule.guard && !rule.guard(from, event))) {
+    const reason = TERMINAL_STATES.includes(from)
+      ? `action is ${from} (terminal); '${eventType}' not allowed`
+      : `'${eventType}' not allowed from ${from}`;
+    return { allowed: false, from, to: null, reason };
+  }
+  if (rule.passive) return { allowed: true, from, to: from };
+  if (rule.overlay) return { allowed: true, from, to: rule.overlay };
+  return { allowed: true, from, to: rule.to(from, event) };
+}
+
+/**
+ * Event types that would be legal next (outcome_recorded before execution
+ * only as an abandonment).
+ * @param {Object} lifecycle
+ * @returns {string[]}
+ */
+export function nextEventTypes(lifecycle) {
+  const candidates = ['created', ...Object.keys(TRANSITIONS)];
+  return candidates.filter(eventType => checkTransition(lifecycle, {
+    eventType,
+    payload: { assignee: lifecycle.assignee, outcome: lifecycle.baseState === 'executed' ? undefined : 'abandoned' }
+  }).allowed);
+}
+
+function applyEvent(lifecycle, event) {
+  const eventType = eventTypeOf(event);
+  const check = checkTransition(lifecycle, event);
+  if (!check.allowed) {
+    lifecycle.violations.push({ eventId: event.id, eventType, from: check.from, reason: check.reason, timestamp: event.timestamp });
+    return;
+  }
+
+  const rule = TRANSITIONS[eventType];
+  if (rule?.overlay) {
+    lifecycle.overlay = createOverlay(rule.overlay, event);
+    lifecycle.resurfaced = null;
+  } else if (!rule?.passive) {
+    lifecycle.overlay = null;
+    lifecycle.resurfaced = null;
+    lifecycle.baseState = check.to;
+  }
+
+  if (eventType === 'assigned') lifecycle.assignee = event.payload?.assignee ?? null;
+  if (eventType === 'outcome_recorded') lifecycle.outcome = event.payload?.outcome ?? null;
+  lifecycle.lastEventAt = event.timestamp;
+  lifecycle.history.push({ eventId: event.id, eventType, from: check.from, to: check.to, timestamp: event.timestamp });
+}
+
+/**
+ * Has the overlay lapsed at `now`? Whichever of until / condition comes first.
+ * @returns {{ firedAt: string, reason: string }|null}
+ */
+function overlayLapse(overlay, now, rawData) {
+  if (overlay.until && now.getTime() >= Date.parse(overlay.until)) {
+    return { firedAt: overlay.until, reason: overlay.state === 'skipped' ? 'skip cooldown ended' : 'snooze date passed' };
+  }
+  if (overlay.condition) {
+    const check = evaluateSnoozeCondition(overlay.condition, { rawData, since: overlay.since, now });
+    if (check.fired) return { firedAt: check.firedAt, reason: check.reason };
+    overlay.waitingFor = check.reason;
+    if (check.until && !overlay.until) overlay.until = check.until;
+  }
+  return null;
+}
+
+/**
+ * Effective state at `now`: an active overlay, else the underlying state.
+ */
+function resolveState(lifecycle, now, rawData) {
+  const { overlay } = lifecycle;
+  const lapse = overlay && overlayLapse(overlay, now, rawData);
+  if (lapse) {
+    lifecycle.resurfaced = { from: overlay.state, since: overlay.since, ...lapse };
+    lifecycle.overlay = null;
+  }
+  lifecycle.state = lifecycle.overlay ? lifecycle.overlay.state : lifecycle.baseState;
+  return lifecycle;
+}
+
+function chronological(events) {
+  return events
+    .map((e, index) => ({ e, index }))
+    .sort((a, b) => Date.parse(a.e.timestamp) - Date.parse(b.e.timestamp) || a.index - b.index)
+    .map(({ e }) => e);
+}
+
+/**
+ * Lifecycle of one action from its events (any order).
+ * @param {string} actionId
+ * @param {Object[]} events - Events for this action
+ * @param {Date} [now]
+ * @param {Object} [options]
+ * @param {Object} [options.rawData] - Evaluates conditional snoozes
+ * @returns {Object} lifecycle
+ */
+export function reduceActionLifecycle(actionId, events = [], now = new Date(), { rawData } = {}) {
+  const lifecycle = initialLifecycle(actionId);
+  for (const event of chronological(events)) applyEvent(lifecycle, event);
+  return resolveState(lifecycle, now, rawData);
+}
+
+/**
+ * Lifecycle per action id present in the event stream.
+ * @param {Object[]} events
+ * @param {Date} [now]
+ * @param {{ rawData?: Object }} [options] - See reduceActionLifecycle()
+ * @returns {Map<string, Object>}
+ */
+export function buildLifecycleMap(events = [], now = new Date(), options = {}) {
+  const byAction = new Map();
+  for (const event of events) {
+    if (!event.actionId || isReviewEvent(event)) continue;
+    if (!byAction.has(event.actionId)) byAction.set(event.actionId, []);
+    byAction.get(event.actionId).push(event);
+  }
+  const lifecycles = new Map();
+  for (const [actionId, actionEvents] of byAction) {
+    lifecycles.set(actionId, reduceActionLifecycle(actionId, actionEvents, now, options));
+  }
+  return lifecycles;
+}
+
+// =============================================================================
+// CONSUMERS
+// =============================================================================
+
+/**
+ * Actions out of the queue at `now`: terminal, cooling after a skip, or snoozed.
+ * @param {Map<string, Object>} lifecycles - From buildLifecycleMap()
+ * @returns {string[]}
+ */
+export function getExcludedActionIds(lifecycles) {
+  const excluded = [];
+  for (const [actionId, lifecycle] of lifecycles) {
+    if (!ELIGIBLE_STATES.includes(lifecycle.state)) excluded.push(actionId);
+  }
+  return excluded;
+}
+
+/**
+ * Snoozes at `now`: still holding (with what they wait for) and resurfaced
+ * (with what fired). Skip cooldowns are not snoozes and are left out.
+ * @param {Map<string, Object>} lifecycles - From buildLifecycleMap()
+ * @returns {{ active: Object[], resurfaced: Object[] }}
+ */
+export function getSnoozeStatus(lifecycles) {
+  const active = [];
+  const resurfaced = [];
+  for (const [actionId, lifecycle] of lifecycles) {
+    if (lifecycle.overlay?.state === 'snoozed') {
+      const { since, until, condition, waitingFor = null } = lifecycle.overlay;
+      active.push({ actionId, since, until, condition, waitingFor });
+    } else if (lifecycle.resurfaced?.from === 'snoozed') {
+      resurfaced.push({ actionId, ...lifecycle.resurfaced });
+    }
+  }
+  return { active, resurfaced };
+}
+
+/**
+ * Write-time gate: throw unless `event` is legal given the action's prior
+ * events. Replay orders by timestamp, so the event is judged at its
+ * chronological position, not at the end of the stream: a back-dated event
+ * must be legal where it lands and must leave every later event legal.
+ * Errors carry `code` ('ILLEGAL_TRANSITION' | 'UNKNOWN_ACTION') and the
+ * current `lifecycle`.
+ *
+ * @param {Object[]} priorEvents - Stored events for event.actionId
+ * @param {Object} event
+ * @param {Object} [options]
+ * @param {Set<string>} [options.knownActionIds] - When set, a first event must name a known action
+ * @param {Date} [options.now]
+ * @returns {Object|null} lifecycle before the event; null for review events,
+ *   which are not action steps
+ */
+export function assertTransition(priorEvents, event, { knownActionIds, now = new Date() } = {}) {
+  if (isReviewEvent(event)) return null;
+  const lifecycle = reduceActionLifecycle(event.actionId, priorEvents, now);
+
+  if (knownActionIds && priorEvents.length === 0 && !knownActionIds.has(event.actionId)) {
+    const error = new Error(`LIFECYCLE: unknown action '${event.actionId}'`);
+    error.code = 'UNKNOWN_ACTION';
+    throw error;
+  }
+
+  // Violations the event introduces, at its place in the replay
+  const known = new Set(lifecycle.violations.map(v => v.eventId));
+  const replayed = reduceActionLifecycle(event.actionId, [...priorEvents, event], now);
+  const introduced = replayed.violations.find(v => !known.has(v.eventId));
+  if (introduced) {
+    const reason = introduced.eventId === event.id
+      ? introduced.reason
+      : `'${eventTypeOf(event)}' at ${event.timestamp} precedes event ${introduced.eventId}, which would become illegal: ${introduced.reason}`;
+    const error = new Error(`LIFECYCLE: ${reason}`);
+    error.code = 'ILLEGAL_TRANSITION';
+    error.lifecycle = lifecycle;
+    throw error;
+  }
+  return lifecycle;
+}
+
+/**
+ * Whole-stream check for Gate 7: every event must be a legal transition.
+ * With `stampedOnly`, the whole history is still replayed but only events
+ * stamped with the current schemaVersion are judged: ledger events written
+ * before the v2 cut-over predate enforcement and are history, not input.
+ *
+ * @param {Object[]} events
+ * @param {{ stampedOnly?: boolean }} [options]
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateLifecycleEvents(events = [], { stampedOnly = false } = {}) {
+  const stamped = new Set(events.filter(e => e.schemaVersion === ACTION_EVENT_SCHEMA_VERSION).map(e => e.id));
+  const errors = [];
+  for (const [actionId, lifecycle] of buildLifecycleMap(events)) {
+    for (const v of lifecycle.violations) {
+      if (stampedOnly && !stamped.has(v.eventId)) continue;
+      errors.push(`Action ${actionId}: event ${v.eventId} — ${v.reason}`);
+    }
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+export default {
+  LIFECYCLE_STATES,
+  TERMINAL_STATES,
+  ELIGIBLE_STATES,
+  SKIP_COOLDOWN_MS,
+  checkTransition,
+  nextEventTypes,
+  reduceActionLifecycle,
+  buildLifecycleMap,
+  getExcludedActionIds,
+  getSnoozeStatus,
+  assertTransition,
+  validateLifecycleEvents
+};
@@ -0,0 +1,118 @@
+/**
+ * assignments.js – Action Ownership from the Event Log
+ *
+ * Who owns an action is not stored on the action; it is replayed from
+ * `assigned` events (payload.assignee = team member id, or null to unassign).
+ * The latest event wins; every event is kept as re-assignment history.
+ *
+ * INVARIANT: Assignment is event-derived. Nothing here writes events.
+ * INVARIANT: Owner capacity comes from raw team records or caller overrides.
+ *
+ * @module derive/assignments
+ */
+
+// =============================================================================
+// ASSIGNMENT STATE
+// =============================================================================
+
+/**
+ * Event type, accepting both the core ledger (`eventType`) and the UI
+ * event store (`type`) shapes.
+ */
+function eventTypeOf(event) {
+  return event.eventType || event.type;
+}
+
+/**
+ * Replay assignment events into current owner + history per action.
+ *
+ * @param {Object[]} events - Action events (any order)
+ * @returns {Map<string, { assignee: string|null, assignedAt: string, assignedBy: string|null, history: Object[] }>}
+ */
+export function buildAssignmentMap(events = []) {
+  const assigned = events
+    .filter(e => eventTypeOf(e) === 'assigned' && e.actionId)
+    .map((e, index) => ({ e, index }))
+    .sort((a, b) => new Date(a.e.timestamp) - new Date(b.e.timestamp) || a.index - b.index);
+
+  const assignments = new Map();
+  for (const { e } of assigned) {
+    const previous = assignments.get(e.actionId);
+    const entry = {
+      assignee: e.payload?.assignee ?? null,
+      previousAssignee: previous?.assignee ?? null,
+      assignedAt: e.timestamp,
+      assignedBy: e.actor || null
+    };
+    assignments.set(e.actionId, {
+      assignee: entry.assignee,
+      assignedAt: entry.assignedAt,
+      assignedBy: entry.assignedBy,
+      history: [...(previous?.history || []), entry]
+    });
+  }
+  return assignments;
+}
+
+/**
+ * Current owner per action (unassigned actions omitted).
+ * @param {Map} assignments - From buildAssignmentMap()
+ * @returns {Map<string, string>} actionId → team member id
+ */
+export function buildAssigneeMap(assignments) {
+  const byAction = new Map();
+  for (const [actionId, { assignee }] of assignments) {
+    if (assignee) byAction.set(actionId, assignee);
+  }
+  return byAction;
+}
+
+/**
+ * Validate an assignee against the team roster. null = unassign.
+ * @param {string|null} assignee
+ * @param {Object[]} team - rawData.team
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateAssignee(assignee, team = []) {
+  if (assignee === null) return { valid: true };
+  if (typeof assignee !== 'string' || assignee.length === 0) {
+    return { valid: false, error: 'assignee must be a team member id or null' };
+  }
+  if (!team.some(member => member.id === assignee)) {
+    return { valid: false, error: `Unknown team member: ${assignee}` };
+  }
+  return { valid: true };
+}
+
+// =============================================================================
+// CAPACITY
+// =============================================================================
+
+/**
+ * Per-owner capacity: max ranked actions any one team member is handed.
+ * Team records may carry `capacity`; overrides win. Owners without a
+ * capacity are unconstrained.
+ *
+ * @param {Object[]} team - rawData.team
+ * @param {Object<string, number>} [overrides] - team member id → capacity
+ * @returns {Object<string, number>}
+ */
+export function buildOwnerCapacity(team = [], overrides = {}) {
+  const capacity = {};
+  for (const member of team) {
+    if (Number.isInteger(member.capacity) && member.capacity >= 0) {
+      capacity[member.id] = member.capacity;
+    }
+  }
+  for (const [id, value] of Object.entries(overrides || {})) {
+    if (Number.isInteger(value) && value >= 0) capacity[id] = value;
+  }
+  return capacity;
+}
+
+export default {
+  buildAssignmentMap,
+  buildAssigneeMap,
+  validateAssignee,
+  buildOwnerCapacity
+};
@@ -0,0 +1,233 @@
+/**
+ * calibration.js – Outcome Calibration of Impact Priors
+ *
+ * predict/actionImpact.js gives every action two priors:
+ *   probabilityOfSuccess  will it work if executed?
+ *   executionProbability  will it get done?
+ *
+ * This module fits what actually happened, per (resolutionId, company stage),
+ * from each action's lifecycle (derive/actionLifecycle.js):
+ *   execution  executed / completed → 1, abandoned before execution → 0
+ *   success    structured outcome after execution (OUTCOME_VALUE)
+ *
+ *   calibrated = (prior × PRIOR_STRENGTH + Σ realized) / (PRIOR_STRENGTH + n)
+ *   adjustment = calibrated − prior
+ *
+ * Beta-binomial shrinkage: a handful of outcomes nudge the prior, many
+ * outcomes dominate it. Cells with no outcomes fall back to the
+ * resolution across all stages; no data → no adjustment.
+ *
+ * Execution priors absorbed into confidence (executionProbability = 1 for
+ * ISSUE / PREISSUE / GOAL actions) are not calibrated.
+ *
+ * INVARIANT: Derived and ephemeral. Never persisted; priors are never rewritten.
+ * INVARIANT: Only structured outcomes count as success evidence. Notes do not.
+ *
+ * @module derive/calibration
+ */
+
+import { buildLifecycleMap } from './actionLifecycle.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Realized value of each recorded outcome
+ */
+export const OUTCOME_VALUE = {
+  success: 1,
+  partial: 0.5,
+  failed: 0,
+  abandoned: 0
+};
+
+// Pseudo-observations the prior is worth
+export const PRIOR_STRENGTH = 5;
+
+const UNKNOWN_STAGE = 'unknown';
+
+const round = v => Math.round(v * 1000) / 1000;
+
+// =============================================================================
+// OBSERVATIONS
+// =============================================================================
+
+function companyIdOf(action, events) {
+  if (action?.entityRef?.type === 'company') return action.entityRef.id;
+  const withCompany = events.find(e => e.payload?.companyId || e.entityId);
+  return withCompany?.payload?.companyId || withCompany?.entityId || null;
+}
+
+function resolutionIdOf(action, events) {
+  if (action?.resolutionId) return action.resolutionId;
+  const typed = events.find(e => e.payload?.actionType || e.payload?.resolutionId);
+  return typed?.payload?.actionType || typed?.payload?.resolutionId || null;
+}
+
+/**
+ * One realized observation per action with a decisive lifecycle.
+ * @returns {{ actionId, resolutionId, stage, executed: number|null, success: number|null }[]}
+ */
+function collectObservations(events, actionsById, stageByCompany, now) {
+  const eventsByAction = new Map();
+  for (const e of events) {
+    if (!e.actionId) continue;
+    if (!eventsByAction.has(e.actionId)) eventsByAction.set(e.actionId, []);
+    eventsByAction.get(e.actionId).push(e);
+  }
+
+  const observations = [];
+  for (const [actionId, lifecycle] of buildLifecycleMap(events, now)) {
+    const wasExecuted = lifecycle.history.some(h => h.to === 'executed');
+    const executed = wasExecuted ? 1 : lifecycle.baseState === 'abandoned' ? 0 : null;
+    const success = lifecycle.baseState === 'observed' && lifecycle.outcome in OUTCOME_VALUE
+      ? OUTCOME_VALUE[lifecycle.outcome]
+      : null;
+    if (executed === null && success === null) continue;
+
+    const action = actionsById.get(actionId);
+    const actionEvents = eventsByAction.get(actionId);
+    const resolutionId = resolutionIdOf(action, actionEvents);
+    if (!resolutionId) continue;
+    const stage = stageByCompany.get(companyIdOf(action, actionEvents)) || UNKNOWN_STAGE;
+    observations.push({ actionId, resolutionId, stage, executed, success });
+  }
+  return observations;
+}
+
+// =============================================================================
+// FIT
+// =============================================================================
+
+const METRICS = [
+  { key: 'probabilityOfSuccess', observed: 'success' },
+  { key: 'executionProbability', observed: 'executed' }
+];
+
+function priorOf(action, key) {
+  const value = action?.impact?.[key];
+  if (typeof value !== 'number') return null;
+  if (key === 'executionProbability' && value === 1) return null; // absorbed into confidence
+  return value;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((s, v) => s + v, 0) / values.length : null;
+}
+
+function shrink(prior, sum, n) {
+  return (prior * PRIOR_STRENGTH + sum) / (PRIOR_STRENGTH + n);
+}
+
+/**
+ * Accumulate realized values and priors for one grouping key.
+ */
+function accumulate(groups, groupKey, fields, observation, action, currentPriors) {
+  if (!groups.has(groupKey)) {
+    groups.set(groupKey, { ...fields, probabilityOfSuccess: { n: 0, sum: 0, priors: [] }, executionProbability: { n: 0, sum: 0, priors: [] } });
+  }
+  const group = groups.get(groupKey);
+  for (const { key, observed } of METRICS) {
+    const value = observation[observed];
+    const prior = priorOf(action, key) ?? currentPriors.get(`${groupKey}|${key}`) ?? null;
+    if (value === null || prior === null) continue;
+    group[key].n += 1;
+    group[key].sum += value;
+    group[key].priors.push(prior);
+  }
+}
+
+function summarize(stats) {
+  if (stats.n === 0) return null;
+  const prior = mean(stats.priors);
+  const calibrated = shrink(prior, stats.sum, stats.n);
+  return {
+    n: stats.n,
+    prior: round(prior),
+    realized: round(stats.sum / stats.n),
+    calibrated: round(calibrated),
+    adjustment: round(calibrated - prior)
+  };
+}
+
+/**
+ * Fit realized execution and success rates against impact priors.
+ *
+ * @param {Object[]} actions - Ranked actions with impact (current engine run)
+ * @param {Object[]} events - Canonical action events
+ * @param {Object[]} companies - Raw companies (stage)
+ * @param {Date} [now]
+ * @returns {{
+ *   cells: Object[],
+ *   byAction: Map<string, Object>,
+ *   meta: { observations: number, priorStrength: number }
+ * }}
+ */
+export function calibrateImpactPriors(actions = [], events = [], companies = [], now = new Date()) {
+  const stageByCompany = new Map(companies.map(c => [c.id, c.stage || UNKNOWN_STAGE]));
+  const actionsById = new Map(actions.map(a => [a.actionId, a]));
+  const stageOf = action => stageByCompany.get(companyIdOf(action, [])) || UNKNOWN_STAGE;
+
+  // Mean current prior per cell / resolution, for outcomes whose action is no longer proposed
+  const priorLists = new Map();
+  for (const action of actions) {
+    for (const { key } of METRICS) {
+      const prior = priorOf(action, key);
+      if (prior === null) continue;
+      for (const groupKey of [`${action.resolutionId}|${stageOf(action)}`, action.resolutionId]) {
+        const listKey = `${groupKey}|${key}`;
+        if (!priorLists.has(listKey)) priorLists.set(listKey, []);
+        priorLists.get(listKey).push(prior);
+      }
+    }
+  }
+  const currentPriors = new Map([...priorLists].map(([k, list]) => [k, mean(list)]));
+
+  const cellGroups = new Map();
+  const resolutionGroups = new Map();
+  const observations = collectObservations(events, actionsById, stageByCompany, now);
+  for (const observation of observations) {
+    const { resolutionId, stage } = observation;
+    const action = actionsById.get(observation.actionId);
+    accumulate(cellGroups, `${resolutionId}|${stage}`, { resolutionId, stage }, observation, action, currentPriors);
+    accumulate(resolutionGroups, resolutionId, { resolutionId }, observation, action, currentPriors);
+  }
+
+  const cells = [...cellGroups.values()].map(group => ({
+    resolutionId: group.resolutionId,
+    stage: group.stage,
+    probabilityOfSuccess: summarize(group.probabilityOfSuccess),
+    executionProbability: summarize(group.executionProbability)
+  })).filter(cell => cell.probabilityOfSuccess || cell.executionProbability);
+
+  // Per action: own prior shrunk toward its cell's outcomes (else its resolution's)
+  const byAction = new Map();
+  for (const action of actions) {
+    const entry = {};
+    for (const { key } of METRICS) {
+      const prior = priorOf(action, key);
+      if (prior === null) continue;
+      const cell = cellGroups.get(`${action.resolutionId}|${stageOf(action)}`)?.[key];
+      const stats = cell?.n ? cell : resolutionGroups.get(action.resolutionId)?.[key];
+      if (!stats?.n) continue;
+      const calibrated = shrink(prior, stats.sum, stats.n);
+      entry[key] = {
+        prior,
+        calibrated: round(calibrated),
+        adjustment: round(calibrated - prior),
+        n: stats.n,
+        basis: stats === cell ? 'stage' : 'resolution'
+      };
+    }
+    if (Object.keys(entry).length > 0) byAction.set(action.actionId, entry);
+  }
+
+  return { cells, byAction, meta: { observations: observations.length, priorStrength: PRIOR_STRENGTH } };
+}
+
+export default {
+  OUTCOME_VALUE,
+  PRIOR_STRENGTH,
+  calibrateImpactPriors
+};
@@ -0,0 +1,280 @@
+/**
+ * commitments.js – Meeting action items as tracked commitments
+ *
+ * Each action item extracted from a company's meetings (meetingParsing.js
+ * parseActionItems, tagged with its meeting by deriveMeetingIntelligence)
+ * becomes a commitment:
+ *
+ *   id         content hash of company + owner + text: stable when meetings
+ *              are added, the same promise restated keeps its id
+ *   owner      resolved to a team member, a meeting participant or a person
+ *   direction  'we_owe' (our side promised), 'they_owe' (the company side
+ *              promised), 'mutual' (joint items) or 'unknown'
+ *   dueDate    the item's deadline ("by Friday", "end of month", "Mar 15")
+ *              read relative to the meeting date; null when none given
+ *   status     'open' | 'overdue' | 'done' | 'dropped'
+ *
+ * The commitment id is also its action id: executing the action marks the
+ * commitment done, abandoning it marks it dropped.
+ *
+ * INVARIANT: Pure derivation from meetings, people and action events.
+ *
+ * @module derive/commitments
+ */
+
+import { createHash } from 'crypto';
+import { indexPeople, resolveParticipant, isSelfParticipant } from './entityResolution.js';
+import { buildLifecycleMap } from './actionLifecycle.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const COMMITMENT_DIRECTIONS = ['we_owe', 'they_owe', 'mutual', 'unknown'];
+export const COMMITMENT_STATUSES = ['open', 'overdue', 'done', 'dropped'];
+export const COMMITMENT_ID_PREFIX = 'commitment-';
+
+// "immediate" / "asap" read as this many days after the meeting
+const IMMEDIATE_DAYS = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const SELF_OWNERS = /^(i|me|we|us|our team|backbone|backbone team)$/i;
+const COMPANY_OWNERS = /^(they|them|founders?|company|management)$/i;
+const MUTUAL_OWNERS = /\b(joint|both|all|team|everyone)\b/i;
+
+// Inline owners: "Elliot: Draft update", "Matt to repost roles", "We will send"
+const INLINE_OWNER = /^([A-Z][a-zA-Z'-]+(?: [A-Z][a-zA-Z'-]+)?)(?::\s+|\s+to\s+|\s+(?=will\b))/;
+const NOT_OWNERS = new Set(['the', 'this', 'that', 'it', 'there', 'next', 'action', 'follow']);
+// Inline deadline: "... by Friday", "... for Wednesday"
+const INLINE_DEADLINE = /\b(?:by|for|before)\s+((?:next |this )?\w+(?: \d{1,2}(?:st|nd|rd|th)?)?|end of (?:week|month|quarter)|\d{1,2}\/\d{1,2})\b/i;
+
+// =============================================================================
+// DUE DATES
+// =============================================================================
+
+function toDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function isoDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function endOfMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0));
+}
+
+// The first date on or after `from` that is the given month/day
+function nextMonthDay(from, month, day) {
+  let year = from.getUTCFullYear();
+  const candidate = (y) => (day ? new Date(Date.UTC(y, month, day)) : endOfMonth(y, month));
+  if (candidate(year) < from) year++;
+  return candidate(year);
+}
+
+/**
+ * Read a free-text deadline relative to the meeting date.
+ *
+ * @param {string|null} deadline - "by Friday", "end of month", "Mar 15", "3/20", "immediate"
+ * @param {string|Date} meetingDate
+ * @returns {string|null} YYYY-MM-DD, or null when the text has no date
+ */
+export function parseDueDate(deadline, meetingDate) {
+  if (!deadline || !meetingDate) return null;
+  const met = new Date(meetingDate);
+  if (isNaN(met.getTime())) return null;
+  const day = toDay(met);
+  const text = deadline.toLowerCase();
+  const plus = (n) => isoDay(new Date(day.getTime() + n * DAY_MS));
+
+  const iso = /\b(\d{4}-\d{2}-\d{2})\b/.exec(text);
+  if (iso) return iso[1];
+  if (/\b(today|eod|end of day)\b/.test(text)) return plus(0);
+  if (/\btomorrow\b/.test(text)) return plus(1);
+  if (/\b(immediate(ly)?|asap|right away)\b/.test(text)) return plus(IMMEDIATE_DAYS);
+  if (/\bnext week\b/.test(text)) return plus(7);
+  if (/\bend of (the )?week\b/.test(text)) return plus((5 - day.getUTCDay() + 7) % 7);
+  if (/\bend of (the )?month\b/.test(text)) return isoDay(endOfMonth(day.getUTCFullYear(), day.getUTCMonth()));
+  if (/\bend of (the )?quarter\b/.test(text)) {
+    return isoDay(endOfMonth(day.getUTCFullYear(), Math.floor(day.getUTCMonth() / 3) * 3 + 2));
+  }
+
+  const quarter = /\bq([1-4])\b/.exec(text);
+  if (quarter) return isoDay(nextMonthDay(day, Number(quarter[1]) * 3 - 1, null));
+
+  const weekday = WEEKDAYS.findIndex(w => new RegExp(`\\b${w}\\b`).test(text));
+  if (weekday !== -1) return plus(((weekday - day.getUTCDay() + 6) % 7) + 1);
+
+  const slash = /\b(\d{1,2})\/(\d{1,2})\b/.exec(text);
+  if (slash) return isoDay(nextMonthDay(day, Number(slash[1]) - 1, Number(slash[2])));
+
+  const month = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?(?:\s+(\d{1,2})(?:st|nd|rd|th)?)?\b/.exec(text);
+  if (month) return isoDay(nextMonthDay(day, MONTHS.indexOf(month[1]), month[2] ? Number(month[2]) : null));
+
+  return null;
+}
+
+// =============================================================================
+// OWNERS
+// =============================================================================
+
+function nameKey(name) {
+  return (name || '').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+function firstName(name) {
+  return nameKey((name || '').split(/\s+/)[0]);
+}
+
+// Owner name matches a full name, or its first name
+function nameMatches(ownerName, fullName) {
+  const key = nameKey(ownerName);
+  return key !== '' && (key === nameKey(fullName) || key === firstName(fullName));
+}
+
+/**
+ * Resolve an owner name against the team, the meeting's participants and people.
+ *
+ * @param {string|null} ownerName
+ * @param {Object} context
+ * @param {Object[]} [context.participants] - The meeting's participants
+ * @param {Object[]} [context.team] - [{ personId, name }]
+ * @param {Object} [context.peopleIndex] - From indexPeople()
+ * @returns {{ owner: { type: string, id: string|null, name: string|null }, direction: string }}
+ */
+export function resolveOwner(ownerName, { participants = [], team = [], peopleIndex = indexPeople([]) } = {}) {
+  if (!ownerName) return { owner: { type: 'unknown', id: null, name: null }, direction: 'unknown' };
+  if (SELF_OWNERS.test(ownerName.trim())) return { owner: { type: 'team', id: null, name: ownerName }, direction: 'we_owe' };
+  if (COMPANY_OWNERS.test(ownerName.trim())) return { owner: { type: 'company', id: null, name: ownerName }, direction: 'they_owe' };
+  if (MUTUAL_OWNERS.test(ownerName)) return { owner: { type: 'mutual', id: null, name: ownerName }, direction: 'mutual' };
+
+  const member = team.find(t => nameMatches(ownerName, t.name));
+  if (member) return { owner: { type: 'team', id: member.personId || null, name: member.name }, direction: 'we_owe' };
+
+  const participant = participants.find(p => nameMatches(ownerName, p.name) || nameKey(ownerName) === nameKey((p.email || '').split('@')[0]));
+  if (participant) {
+    const person = resolveParticipant(participant, peopleIndex);
+    const id = person.status === 'accepted' ? person.personId : null;
+    const name = participant.name || ownerName;
+    return isSelfParticipant(participant)
+      ? { owner: { type: 'team', id, name }, direction: 'we_owe' }
+      : { owner: { type: id ? 'person' : 'participant', id, name }, direction: 'they_owe' };
+  }
+
+  const [person, ...others] = peopleIndex.byName.get(nameKey(ownerName)) || [];
+  if (person && others.length === 0) {
+    return { owner: { type: 'person', id: person.id, name: ownerName }, direction: 'they_owe' };
+  }
+  return { owner: { type: 'unknown', id: null, name: ownerName }, direction: 'unknown' };
+}
+
+// =============================================================================
+// COMMITMENTS
+// =============================================================================
+
+/**
+ * Stable id: the same company, owner and text always hash the same.
+ * @param {string} companyId
+ * @param {string|null} ownerName
+ * @param {string} text
+ * @returns {string}
+ */
+export function commitmentIdFor(companyId, ownerName, text) {
+  const key = [companyId, nameKey(ownerName), text.toLowerCase().replace(/\s+/g, ' ').trim()].join('|');
+  return `${COMMITMENT_ID_PREFIX}${createHash('sha256').update(key).digest('hex').slice(0, 12)}`;
+}
+
+/**
+ * Whether an action id names a commitment (see commitmentIdFor).
+ * @param {string} actionId
+ * @returns {boolean}
+ */
+export function isCommitmentId(actionId) {
+  return typeof actionId === 'string' && actionId.startsWith(COMMITMENT_ID_PREFIX);
+}
+
+function splitInline(item) {
+  const match = item.assignee ? null : INLINE_OWNER.exec(item.text);
+  const inline = match && !NOT_OWNERS.has(match[1].split(' ')[0].toLowerCase()) ? match : null;
+  return {
+    ownerName: item.assignee || inline?.[1] || null,
+    text: inline ? item.text.slice(inline[0].length).trim() : item.text,
+    deadline: item.deadline || INLINE_DEADLINE.exec(item.text)?.[1] || null
+  };
+}
+
+function statusOf(id, dueDate, lifecycles, now) {
+  const state = lifecycles.get(id)?.state;
+  if (state === 'executed' || state === 'observed') return { status: 'done', daysOverdue: 0 };
+  if (state === 'abandoned') return { status: 'dropped', daysOverdue: 0 };
+  if (!dueDate) return { status: 'open', daysOverdue: 0 };
+  // Due at the end of the due day
+  const late = Math.floor((now.getTime() - (Date.parse(dueDate) + DAY_MS)) / DAY_MS) + 1;
+  return late > 0 ? { status: 'overdue', daysOverdue: late } : { status: 'open', daysOverdue: 0 };
+}
+
+/**
+ * Build one company's commitments from its extracted meeting actions.
+ *
+ * @param {Object} company
+ * @param {Object[]} extractedActions - derived.meetings.extractedActions
+ * @param {Object} context
+ * @param {Object[]} [context.meetings] - The company's meetings (participants, dates)
+ * @param {Object[]} [context.people]
+ * @param {Object[]} [context.team]
+ * @param {Object[]} [context.events] - Action events (done/dropped status)
+ * @param {Date} context.now
+ * @returns {Object[]} Commitments, overdue first, then by due date
+ */
+export function deriveCommitments(company, extractedActions = [], { meetings = [], people = [], team = [], events = [], now }) {
+  const meetingById = new Map(meetings.map(m => [m.id, m]));
+  const peopleIndex = indexPeople(people);
+  const byId = new Map();
+
+  for (const item of extractedActions) {
+    if (!item || typeof item.text !== 'string') continue;
+    const { ownerName, text, deadline } = splitInline(item);
+    const id = commitmentIdFor(company.id, ownerName, text);
+    if (byId.has(id)) continue;
+
+    const meeting = meetingById.get(item.meetingId) || null;
+    const { owner, direction } = resolveOwner(ownerName, { participants: meeting?.participants || [], team, peopleIndex });
+    byId.set(id, {
+      id,
+      companyId: company.id,
+      text,
+      owner,
+      direction,
+      deadlineText: deadline,
+      dueDate: parseDueDate(deadline, item.meetingDate || meeting?.date),
+      meetingId: item.meetingId || null,
+      meetingTitle: meeting?.title || null,
+      meetingDate: item.meetingDate || meeting?.date || null,
+      source: item.source || null
+    });
+  }
+
+  const ids = new Set(byId.keys());
+  const lifecycles = buildLifecycleMap(events.filter(e => ids.has(e.actionId)), now);
+  const order = { overdue: 0, open: 1, done: 2, dropped: 3 };
+
+  return [...byId.values()]
+    .map(c => ({ ...c, ...statusOf(c.id, c.dueDate, lifecycles, now) }))
+    .sort((a, b) => order[a.status] - order[b.status] ||
+      (a.dueDate || '9999').localeCompare(b.dueDate || '9999') ||
+      a.id.localeCompare(b.id));
+}
+
+export default {
+  COMMITMENT_DIRECTIONS,
+  COMMITMENT_STATUSES,
+  COMMITMENT_ID_PREFIX,
+  parseDueDate,
+  resolveOwner,
+  commitmentIdFor,
+  isCommitmentId,
+  deriveCommitments
+};
@@ -0,0 +1,464 @@
+/**
+ * entityResolution.js – Meeting participants → people, meetings → companies
+ *
+ * Scored, explainable matching. Every candidate carries a confidence in
+ * [0, 1] and the evidence behind it:
+ *
+ *   Participant → person   email (exact), name, name + org/email domain
+ *   Meeting → company      email domain, participant org (exact or whole
+ *                          words), company name in the title (whole words;
+ *                          short names weigh less), resolved participants
+ *                          who are founders (founderPersonIds) or work there
+ *
+ * Signals combine as a noisy-or. A signal source (one participant's org,
+ * one email domain, the title) that supports several companies goes to the
+ * strongest; the rest keep it at half weight and are marked contested.
+ *
+ *   confidence ≥ AUTO_MATCH_CONFIDENCE   → accepted
+ *   confidence ≥ REVIEW_MIN_CONFIDENCE   → review (partner confirms or rejects)
+ *   below                                → dropped
+ *
+ * Partner decisions are `match_reviewed` events; the latest decision per
+ * match wins (confirm → confidence 1, reject → dropped).
+ *
+ * INVARIANT: Pure and event-derived. Nothing here writes events or raw data.
+ *
+ * @module derive/entityResolution
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const AUTO_MATCH_CONFIDENCE = 0.7;
+export const REVIEW_MIN_CONFIDENCE = 0.35;
+
+// Signal weights
+const W = {
+  email: 0.98,
+  name: 0.6,
+  nameAndOrg: 0.9,
+  domain: 0.9,
+  orgExact: 0.8,
+  orgWords: 0.45,
+  title: 0.6,
+  titleShortName: 0.3,
+  founder: 0.9,
+  worksAt: 0.7
+};
+
+// Names shorter than this (normalized) are weak title evidence ("Oak", "Lava")
+const SHORT_NAME_LENGTH = 5;
+
+// Our own org and shared mail hosts never identify a company
+const SELF_ORGS = new Set(['backbone', 'backboneam']);
+const GENERIC_DOMAINS = new Set(['backboneam.com', 'gmail.com', 'outlook.com', 'hotmail.com', 'yahoo.com', 'icloud.com']);
+
+const STRIP_SUFFIXES = /\b(inc|llc|corp|ltd|co|corporation|incorporated|limited|group)\b\.?/gi;
+
+// =============================================================================
+// NORMALIZATION
+// =============================================================================
+
+function words(str) {
+  return (str || '').toLowerCase().replace(STRIP_SUFFIXES, ' ').split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function compact(str) {
+  return words(str).join('');
+}
+
+// Does `needle` appear in `haystack` as a run of whole words?
+function containsWords(haystack, needle) {
+  if (needle.length === 0 || needle.length > haystack.length) return false;
+  for (let i = 0; i + needle.length <= haystack.length; i++) {
+    if (needle.every((w, j) => haystack[i + j] === w)) return true;
+  }
+  return false;
+}
+
+function domainOf(email) {
+  return (email || '').toLowerCase().split('@')[1] || '';
+}
+
+function fullName(person) {
+  return person.name || [person.fn, person.ln].filter(Boolean).join(' ');
+}
+
+/**
+ * Is this participant on our side (Backbone org or mail domain)?
+ * @param {{ org?: string, email?: string }} participant
+ * @returns {boolean}
+ */
+export function isSelfParticipant(participant) {
+  return SELF_ORGS.has(compact(participant.org)) || domainOf(participant.email) === 'backboneam.com';
+}
+
+function combine(signals) {
+  const miss = signals.reduce((acc, s) => acc * (1 - s.weight), 1);
+  return Math.round((1 - miss) * 100) / 100;
+}
+
+function statusFor(confidence) {
+  if (confidence >= AUTO_MATCH_CONFIDENCE) return 'accepted';
+  if (confidence >= REVIEW_MIN_CONFIDENCE) return 'review';
+  return null;
+}
+
+// =============================================================================
+// PARTICIPANT → PERSON
+// =============================================================================
+
+/**
+ * Index people for participant lookups.
+ * @param {Object[]} people
+ * @returns {{ byEmail: Map, byName: Map, byId: Map }}
+ */
+export function indexPeople(people = []) {
+  const byEmail = new Map();
+  const byName = new Map();
+  const byId = new Map();
+  for (const p of people) {
+    byId.set(p.id, p);
+    if (p.email) byEmail.set(p.email.toLowerCase(), p);
+    const key = compact(fullName(p));
+    if (key) byName.set(key, [...(byName.get(key) || []), p]);
+  }
+  return { byEmail, byName, byId };
+}
+
+/**
+ * Score one participant against known people.
+ *
+ * @param {{ name?: string, email?: string, org?: string }} participant
+ * @param {Object} index - From indexPeople()
+ * @returns {{ personId: string|null, confidence: number, status: string|null, evidence: string[], candidates: Object[] }}
+ */
+export function resolveParticipant(participant, index) {
+  const email = (participant.email || '').toLowerCase();
+  const candidates = [];
+
+  const byEmail = email ? index.byEmail.get(email) : null;
+  if (byEmail) {
+    candidates.push({ personId: byEmail.id, confidence: W.email, evidence: [`email ${email}`] });
+  } else {
+    const org = compact(participant.org);
+    const domain = domainOf(email);
+    for (const person of index.byName.get(compact(participant.name)) || []) {
+      const orgMatch = (org && (org === compact(person.orgName) || org === compact(person.org))) ||
+        (domain && !GENERIC_DOMAINS.has(domain) && domain === domainOf(person.email));
+      candidates.push({
+        personId: person.id,
+        confidence: orgMatch ? W.nameAndOrg : W.name,
+        evidence: orgMatch ? [`name ${participant.name}`, `org ${participant.org || domain}`] : [`name ${participant.name}`]
+      });
+    }
+  }
+
+  candidates.sort((a, b) => b.confidence - a.confidence || a.personId.localeCompare(b.personId));
+  const [best, second] = candidates;
+  if (!best) return { personId: null, confidence: 0, status: null, evidence: [], candidates };
+
+  // Two people fit equally well: a partner has to pick
+  const tied = second && second.confidence === best.confidence;
+  return {
+    personId: best.personId,
+    confidence: best.confidence,
+    status: tied ? 'review' : statusFor(best.confidence),
+    evidence: tied ? [...best.evidence, `${candidates.length} people share this name`] : best.evidence,
+    candidates
+  };
+}
+
+// =============================================================================
+// MEETING → COMPANY
+// =============================================================================
+
+function companySignals(meeting, companies, people, resolvedPeople) {
+  const signals = [];
+  const titleWords = words(meeting.title);
+  const participants = meeting.participants || [];
+
+  for (const c of companies) {
+    const nameWords = words(c.name);
+    const domain = (c.domain || '').toLowerCase().replace(/^www\./, '');
+    const founders = new Set(Array.isArray(c.founderPersonIds) ? c.founderPersonIds : []);
+    const add = (source, weight, evidence) => {
+      if (signals.some(s => s.companyId === c.id && s.source === source)) return;
+      signals.push({ companyId: c.id, source, weight, evidence });
+    };
+
+    participants.forEach((p, i) => {
+      const orgWords = words(p.org);
+      if (orgWords.length > 0 && !SELF_ORGS.has(orgWords.join(''))) {
+        if (orgWords.join('') === nameWords.join('')) add(`org:${i}`, W.orgExact, `${p.name || p.email} works at ${p.org}`);
+        else if (containsWords(orgWords, nameWords)) add(`org:${i}`, W.orgWords, `${p.name || p.email}'s org "${p.org}" names ${c.name}`);
+      }
+      const d = domainOf(p.email);
+      if (d && domain && !GENERIC_DOMAINS.has(d) && d === domain) add(`domain:${d}`, W.domain, `${p.email} is on ${domain}`);
+
+      const resolved = resolvedPeople[i];
+      if (resolved?.personId && resolved.status !== 'review') {
+        const person = people.get(resolved.personId);
+        if (founders.has(resolved.personId)) add(`person:${i}`, W.founder, `${fullName(person)} is a founder`);
+        else if (person?.org === c.id) add(`person:${i}`, W.worksAt, `${fullName(person)} works at ${c.name}`);
+      }
+    });
+
+    if (containsWords(titleWords, nameWords)) {
+      const short = nameWords.join('').length < SHORT_NAME_LENGTH;
+      add('title', short ? W.titleShortName : W.title, `title "${meeting.title}" names ${c.name}${short ? ' (short name)' : ''}`);
+    }
+  }
+  return signals;
+}
+
+/**
+ * Score a meeting against every company.
+ *
+ * @param {Object} meeting
+ * @param {Object[]} companies
+ * @param {Object} [context]
+ * @param {Map} [context.people] - personId → person
+ * @param {Object[]} [context.resolvedPeople] - resolveParticipant() per participant
+ * @returns {Object[]} [{ companyId, confidence, status, evidence, contested }] best first
+ */
+export function scoreMeetingCompanies(meeting, companies, { people = new Map(), resolvedPeople = [] } = {}) {
+  const signals = companySignals(meeting, companies, people, resolvedPeople);
+
+  // A source supporting several companies counts fully for the strongest only
+  const bySource = new Map();
+  for (const s of signals) bySource.set(s.source, [...(bySource.get(s.source) || []), s]);
+  for (const group of bySource.values()) {
+    if (new Set(group.map(s => s.companyId)).size < 2) continue;
+    const top = Math.max(...group.map(s => s.weight));
+    const winners = group.filter(s => s.weight === top);
+    for (const s of group) {
+      if (winners.length === 1 && s === winners[0]) continue;
+      s.weight /= 2;
+      s.contested = true;
+    }
+  }
+
+  const byCompany = new Map();
+  for (const s of signals) byCompany.set(s.companyId, [...(byCompany.get(s.companyId) || []), s]);
+
+  return [...byCompany.entries()]
+    .map(([companyId, list]) => {
+      const confidence = combine(list);
+      const contested = list.some(s => s.contested);
+      return {
+        companyId,
+        confidence,
+        status: statusFor(confidence),
+        evidence: list.map(s => (s.contested ? `${s.evidence} (contested)` : s.evidence)),
+        contested
+      };
+    })
+    .filter(m => m.status)
+    .sort((a, b) => b.confidence - a.confidence || a.companyId.localeCompare(b.companyId));
+}
+
+// =============================================================================
+// REVIEWS
+// =============================================================================
+
+/**
+ * Key identifying one reviewable match.
+ * @param {{ meetingId: string, targetType: string, targetId: string, participantIndex?: number }} match
+ * @returns {string}
+ */
+export function matchKey({ meetingId, targetType, targetId, participantIndex }) {
+  return targetType === 'person'
+    ? `${meetingId}:person:${participantIndex}:${targetId}`
+    : `${meetingId}:company:${targetId}`;
+}
+
+/**
+ * Latest partner decision per match, from `match_reviewed` events.
+ * @param {Object[]} events
+ * @returns {Map<string, { decision: string, actor: string, timestamp: string }>}
+ */
+export function collectMatchReviews(events = []) {
+  const reviews = new Map();
+  const ordered = events
+    .filter(e => (e.eventType || e.type) === 'match_reviewed' && e.payload?.meetingId)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  for (const e of ordered) {
+    reviews.set(matchKey(e.payload), { decision: e.payload.decision, actor: e.actor, timestamp: e.timestamp });
+  }
+  return reviews;
+}
+
+// Decisions recorded for one meeting target slot (a participant, or the
+// meeting's companies): targetId → latest review
+function decisionsFor(reviews, prefix) {
+  const decisions = new Map();
+  for (const [key, review] of reviews) {
+    if (key.startsWith(prefix)) decisions.set(key.slice(prefix.length), review);
+  }
+  return decisions;
+}
+
+function confirmed(targetKey, targetId, review, evidence = []) {
+  return { [targetKey]: targetId, confidence: 1, status: 'confirmed', evidence: [...evidence, `confirmed by ${review.actor}`] };
+}
+
+function reviewedParticipant(resolution, decisions, index) {
+  const confirms = [...decisions].filter(([id, r]) => r.decision === 'confirm' && index.byId.has(id));
+  if (confirms.length > 0) {
+    const [personId, review] = confirms.sort((a, b) => new Date(b[1].timestamp) - new Date(a[1].timestamp))[0];
+    const evidence = personId === resolution.personId ? resolution.evidence : [];
+    return { ...resolution, ...confirmed('personId', personId, review, evidence) };
+  }
+  if (resolution.personId && decisions.get(resolution.personId)?.decision === 'reject') {
+    return { ...resolution, personId: null, confidence: 0, status: 'rejected', evidence: [] };
+  }
+  return resolution;
+}
+
+function reviewedCompanies(scored, decisions, companyById) {
+  const matches = [];
+  for (const m of scored) {
+    const review = decisions.get(m.companyId);
+    if (review?.decision === 'reject') continue;
+    matches.push(review ? { ...m, ...confirmed('companyId', m.companyId, review, m.evidence) } : m);
+  }
+  for (const [companyId, review] of decisions) {
+    if (review.decision !== 'confirm' || !companyById.has(companyId) || scored.some(m => m.companyId === companyId)) continue;
+    matches.push({ ...confirmed('companyId', companyId, review), contested: false });
+  }
+  return matches;
+}
+
+// =============================================================================
+// RESOLVE
+// =============================================================================
+
+function reviewItem(meeting, fields) {
+  return { meetingId: meeting.id, meetingTitle: meeting.title, date: meeting.date, ...fields };
+}
+
+/**
+ * Resolve every meeting's participants and companies.
+ *
+ * @param {Object[]} meetings
+ * @param {Object} context
+ * @param {Object[]} context.companies
+ * @param {Object[]} [context.people]
+ * @param {Map} [context.reviews] - From collectMatchReviews()
+ * @returns {{ byCompany: Map<string, Object[]>, meetings: Object[], review: Object[] }}
+ *   meetings: [{ meetingId, companies: [...], participants: [...] }]
+ *   review:   open matches awaiting a partner decision
+ */
+export function resolveMeetings(meetings = [], { companies = [], people = [], reviews = new Map() } = {}) {
+  const index = indexPeople(people);
+  const companyById = new Map(companies.map(c => [c.id, c]));
+  const byCompany = new Map();
+  const resolved = [];
+  const review = [];
+
+  for (const meeting of meetings) {
+    const participants = (meeting.participants || []).map((p, participantIndex) => ({
+      participantIndex,
+      ...reviewedParticipant(resolveParticipant(p, index), decisionsFor(reviews, `${meeting.id}:person:${participantIndex}:`), index)
+    }));
+
+    const scored = scoreMeetingCompanies(meeting, companies, { people: index.byId, resolvedPeople: participants });
+    const matches = reviewedCompanies(scored, decisionsFor(reviews, `${meeting.id}:company:`), companyById);
+
+    for (const m of matches) {
+      if (m.status === 'review') {
+        review.push(reviewItem(meeting, {
+          id: matchKey({ meetingId: meeting.id, targetType: 'company', targetId: m.companyId }),
+          targetType: 'company',
+          targetId: m.companyId,
+          targetName: companyById.get(m.companyId).name,
+          confidence: m.confidence,
+          evidence: m.evidence,
+          alternatives: matches.filter(o => o !== m).map(o => ({ targetId: o.companyId, confidence: o.confidence }))
+        }));
+        continue;
+      }
+      if (!byCompany.has(m.companyId)) byCompany.set(m.companyId, []);
+      byCompany.get(m.companyId).push(meeting);
+    }
+
+    for (const p of participants) {
+      if (p.status !== 'review') continue;
+      review.push(reviewItem(meeting, {
+        id: matchKey({ meetingId: meeting.id, targetType: 'person', targetId: p.personId, participantIndex: p.participantIndex }),
+        targetType: 'person',
+        targetId: p.personId,
+        targetName: fullName(index.byId.get(p.personId)),
+        participantIndex: p.participantIndex,
+        participant: meeting.participants[p.participantIndex],
+        confidence: p.confidence,
+        evidence: p.evidence,
+        alternatives: p.candidates.filter(c => c.personId !== p.personId).map(c => ({ targetId: c.personId, confidence: c.confidence }))
+      }));
+    }
+
+    resolved.push({ meetingId: meeting.id, companies: matches, participants });
+  }
+
+  review.sort((a, b) => b.confidence - a.confidence || a.id.localeCompare(b.id));
+  return { byCompany, meetings: resolved, review };
+}
+
+// =============================================================================
+// RELATIONSHIP CONTACT
+// =============================================================================
+
+/**
+ * Relationships with lastContact moved up to the latest meeting both
+ * people attended (accepted or confirmed participant matches only).
+ * Returns new objects for touched relationships; others are unchanged.
+ *
+ * @param {Object[]} relationships - p1Id/p2Id or fromPersonId/toPersonId
+ * @param {Object[]} meetings
+ * @param {Object[]} resolvedMeetings - resolveMeetings().meetings
+ * @returns {Object[]}
+ */
+export function applyMeetingContacts(relationships = [], meetings = [], resolvedMeetings = []) {
+  const dateById = new Map(meetings.map(m => [m.id, m.date]));
+  const latest = new Map();
+  for (const { meetingId, participants } of resolvedMeetings) {
+    const date = dateById.get(meetingId);
+    if (!date || isNaN(new Date(date).getTime())) continue;
+    const ids = [...new Set(participants.filter(p => p.personId && p.status !== 'review' && p.status !== 'rejected').map(p => p.personId))];
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const key = [ids[i], ids[j]].sort().join('|');
+        const prior = latest.get(key);
+        if (!prior || new Date(date) > new Date(prior.date)) latest.set(key, { date, meetingId });
+      }
+    }
+  }
+  if (latest.size === 0) return relationships;
+
+  return relationships.map(r => {
+    const a = r.p1Id || r.fromPersonId;
+    const b = r.p2Id || r.toPersonId;
+    const hit = latest.get([a, b].sort().join('|'));
+    if (!hit) return r;
+    const field = 'lastContact' in r || !('lastTouchAt' in r) ? 'lastContact' : 'lastTouchAt';
+    const current = r[field] ? new Date(r[field]).getTime() : 0;
+    const met = new Date(hit.date).getTime();
+    if (met <= current) return r;
+    return { ...r, [field]: new Date(met).toISOString(), lastContactMeetingId: hit.meetingId };
+  });
+}
+
+export default {
+  AUTO_MATCH_CONFIDENCE,
+  REVIEW_MIN_CONFIDENCE,
+  isSelfParticipant,
+  indexPeople,
+  resolveParticipant,
+  scoreMeetingCompanies,
+  matchKey,
+  collectMatchReviews,
+  resolveMeetings,
+  applyMeetingContacts
+};
@@ -0,0 +1,86 @@
+/**
+ * introLedger.js – Intro Outcome Ledger from the Event Log
+ *
+ * IntroOutcome records (raw/introOutcome.js) are stored as `intro_outcome`
+ * events on the intro action's stream: payload.introOutcome is the full
+ * record after each change. Records from rawData.introOutcomes seed the
+ * ledger. Replaying in timestamp order gives the current record per id;
+ * a status change that skips backwards is a violation and is ignored.
+ *
+ * Ghost detection runs at read time: a record still 'sent' after
+ * GHOST_THRESHOLD_DAYS reads as ghosted (autoGhosted: true). A late reply
+ * can still be recorded, since the stored status is 'sent'.
+ *
+ * INVARIANT: The ledger is event-derived. Nothing here writes events.
+ *
+ * @module derive/introLedger
+ */
+
+import { validateIntroOutcome, canTransition, applyGhostDetection } from '../raw/introOutcome.js';
+
+// =============================================================================
+// REPLAY
+// =============================================================================
+
+function eventTypeOf(event) {
+  return event.eventType || event.type;
+}
+
+/**
+ * Can `next` replace `prior` (same id)? Field edits keep the status;
+ * status changes follow INTRO_TRANSITIONS.
+ * @param {Object|null} prior
+ * @param {Object} next
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+export function checkIntroUpdate(prior, next) {
+  const { valid, errors } = validateIntroOutcome(next);
+  if (!valid) return { allowed: false, reason: errors[0] };
+  if (!prior) return { allowed: true };
+  if (prior.actionId !== next.actionId) {
+    return { allowed: false, reason: `intro ${next.id} belongs to action ${prior.actionId}` };
+  }
+  if (prior.status === next.status || canTransition(prior.status, next.status)) return { allowed: true };
+  return { allowed: false, reason: `intro status '${prior.status}' → '${next.status}' not allowed` };
+}
+
+/**
+ * Replay intro outcome events into current records.
+ *
+ * @param {Object[]} events - Action events (any order)
+ * @param {Object} [options]
+ * @param {Object[]} [options.introOutcomes] - Seed records (rawData.introOutcomes)
+ * @param {Date} [options.now] - Ghost detection instant; omit to skip it
+ * @returns {{ outcomes: Object[], violations: Object[] }}
+ */
+export function buildIntroLedger(events = [], { introOutcomes = [], now } = {}) {
+  const byId = new Map();
+  const violations = [];
+
+  for (const outcome of introOutcomes) {
+    if (validateIntroOutcome(outcome).valid && !byId.has(outcome.id)) byId.set(outcome.id, outcome);
+  }
+
+  const ordered = events
+    .filter(e => eventTypeOf(e) === 'intro_outcome' && e.payload?.introOutcome)
+    .map((e, index) => ({ e, index }))
+    .sort((a, b) => new Date(a.e.timestamp) - new Date(b.e.timestamp) || a.index - b.index);
+
+  for (const { e } of ordered) {
+    const next = e.payload.introOutcome;
+    const check = checkIntroUpdate(byId.get(next.id) || null, next);
+    if (!check.allowed) {
+      violations.push({ eventId: e.id, introId: next.id, reason: check.reason, timestamp: e.timestamp });
+      continue;
+    }
+    byId.set(next.id, next);
+  }
+
+  const outcomes = [...byId.values()];
+  return { outcomes: now ? applyGhostDetection(outcomes, now) : outcomes, violations };
+}
+
+export default {
+  checkIntroUpdate,
+  buildIntroLedger
+};
@@ -15,6 +15,7 @@ import {
   classifyTopics,
   scoreSentiment,
 } from './meetingParsing.js';
+import { resolveMeetings } from './entityResolution.js';
 
 // =============================================================================
 // COMPANY MATCHING
@@ -30,79 +31,19 @@ function normalize(str) {
 /**
  * Match meetings to companies.
  *
- * Strategy (checked in order, first match wins per company):
- * 1. Participant org vs company name
- * 2. Title parsing — company name in meeting title
- * 3. Email domain vs company domain
+ * Scored by derive/entityResolution.js (email domain, participant org,
+ * title, founders). Only accepted or partner-confirmed matches count;
+ * ambiguous ones wait in the review queue.
  *
  * A meeting can match multiple companies (multi-party meetings).
  *
  * @param {Array} meetings - Meeting objects from raw/meetings
  * @param {Array} companies - Company objects
+ * @param {Object} [context] - { people, reviews } (see resolveMeetings)
  * @returns {Map<string, Array>} Map of companyId → meetings[]
  */
-export function matchMeetingsToCompanies(meetings, companies) {
-  const result = new Map();
-
-  // Pre-build lookup structures
-  const byNormalizedName = new Map();
-  const byDomain = new Map();
-  for (const c of companies) {
-    const nn = normalize(c.name);
-    if (nn) byNormalizedName.set(nn, c);
-    if (c.domain) {
-      const domainKey = c.domain.toLowerCase().replace(/^www\./, '');
-      byDomain.set(domainKey, c);
-    }
-  }
-
-  for (const meeting of meetings) {
-    const matchedCompanyIds = new Set();
-
-    // Strategy 1: Participant org
-    for (const p of (meeting.participants || [])) {
-      if (!p.org) continue;
-      const normOrg = normalize(p.org);
-      // Skip our own org
-      if (normOrg === 'backbone' || normOrg === 'backboneam') continue;
-
-      for (const [nn, c] of byNormalizedName) {
-        if (normOrg === nn || normOrg.includes(nn) || nn.includes(normOrg)) {
-          matchedCompanyIds.add(c.id);
-        }
-      }
-    }
-
-    // Strategy 2: Title parsing
-    const normTitle = normalize(meeting.title || '');
-    for (const [nn, c] of byNormalizedName) {
-      if (nn.length >= 3 && normTitle.includes(nn)) {
-        matchedCompanyIds.add(c.id);
-      }
-    }
-
-    // Strategy 3: Email domain
-    for (const p of (meeting.participants || [])) {
-      if (!p.email) continue;
-      const domain = p.email.split('@')[1];
-      if (!domain) continue;
-      // Skip our own domains
-      if (domain === 'backboneam.com' || domain === 'gmail.com' || domain === 'outlook.com') continue;
-
-      const domainKey = domain.toLowerCase();
-      if (byDomain.has(domainKey)) {
-        matchedCompanyIds.add(byDomain.get(domainKey).id);
-      }
-    }
-
-    // Add meeting to each matched company
-    for (const cid of matchedCompanyIds) {
-      if (!result.has(cid)) result.set(cid, []);
-      result.get(cid).push(meeting);
-    }
-  }
-
-  return result;
+export function matchMeetingsToCompanies(meetings, companies, context = {}) {
+  return resolveMeetings(meetings, { companies, ...context }).byCompany;
 }
 
 // =============================================================================
@@ -183,7 +124,7 @@ export function deriveMeetingIntelligence(meetings, transcripts, now) {
     const topics = classifyTopics(text);
     const sentiment = scoreSentiment(text);
 
-    allActions.push(...actions);
+    allActions.push(...actions.map(a => ({ ...a, meetingId: m.id, meetingDate: m.date })));
     allDecisions.push(...decisions);
     allRisks.push(...risks);
     allMetrics.push(...metrics);
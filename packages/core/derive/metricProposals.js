@@ -0,0 +1,236 @@
+/**
+ * metricProposals.js – Proposed metricFacts from meeting text
+ *
+ * Metric mentions in a company's meeting notes and transcripts
+ * (meetingParsing.js parseMetricMentions) become proposed metricFacts:
+ *
+ *   "We hit $2.5M ARR"        → arr     2500000  usd_annual
+ *   "burning $150k a month"   → burn    150000   usd_monthly
+ *   "churn is down to 3%"     → churn_rate  3    percentage
+ *   "42 employees"            → employees   42   count
+ *
+ * The metric is the keyword nearest the number; mentions with no metric
+ * keyword, or for derived metrics (runway, valuation), are dropped.
+ * Proposals wait in a queue until a partner reviews them
+ * (`metric_reviewed` events): accept, edit (accept with a corrected value,
+ * unit or metric) or reject. Only accepted and edited proposals become
+ * metricFacts, with source 'meeting_transcript' and the meeting's id.
+ *
+ * INVARIANT: Pure derivation from meetings, transcripts and action events.
+ *
+ * @module derive/metricProposals
+ */
+
+import { createHash } from 'crypto';
+import { parseMetricMentions } from './meetingParsing.js';
+import { validateMetricFact } from '../raw/metricFactSchema.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const PROPOSAL_STATUSES = ['pending', 'accepted', 'edited', 'rejected'];
+
+// Keyword → metric, first match wins on equal distance. Revenue is stored
+// monthly, like the spreadsheet and bank feeds.
+const METRIC_KEYWORDS = [
+  { metricKey: 'mrr', unit: 'usd_monthly', re: /\bmrr\b|monthly recurring/gi },
+  { metricKey: 'arr', unit: 'usd_annual', re: /\barr\b|annual recurring|run[- ]rate/gi },
+  { metricKey: 'burn', unit: 'usd_monthly', re: /\bburn(?:ing|s)?\b/gi },
+  { metricKey: 'cash', unit: 'usd', re: /\bcash\b|in the bank|bank balance/gi },
+  { metricKey: 'raised_to_date', unit: 'usd', re: /\b(?:total raised|raised to date|raised so far)\b/gi },
+  { metricKey: 'pipeline_value', unit: 'usd', re: /\bpipeline\b/gi },
+  { metricKey: 'revenue', unit: 'usd_monthly', re: /\brevenue\b/gi },
+  { metricKey: 'churn_rate', unit: 'percentage', re: /\bchurn\b/gi },
+  { metricKey: 'gross_margin', unit: 'percentage', re: /\bgross margin\b|\bmargins?\b/gi }
+];
+
+// Mention types that carry a value of each kind
+const MONEY_TYPES = new Set(['currency', 'arr']);
+const PERCENT_TYPES = new Set(['percentage']);
+
+// A keyword further than this from the number describes something else
+const MAX_KEYWORD_DISTANCE = 40;
+
+const SUFFIX_MULTIPLIERS = { k: 1e3, thousand: 1e3, m: 1e6, mm: 1e6, million: 1e6, b: 1e9, billion: 1e9 };
+const ANNUAL_PHRASE = /\b(?:per year|a year|annual(?:ly)?|yearly|\/\s?yr)\b/i;
+
+// =============================================================================
+// UNIT NORMALIZATION
+// =============================================================================
+
+/**
+ * Read "$2.5M", "$400k", "$1,200,000", "3.5%" or "42" (with an optional
+ * spelled-out "million"/"thousand" following it) as a plain number.
+ *
+ * @param {string} value - The matched mention
+ * @param {string} [after] - Text right after the mention
+ * @returns {number|null}
+ */
+export function parseAmount(value, after = '') {
+  const match = /(\d[\d,]*(?:\.\d+)?)\s*(k|mm|m|b)?\b/i.exec(value);
+  if (!match) return null;
+  const number = Number(match[1].replace(/,/g, ''));
+  if (!Number.isFinite(number)) return null;
+  const suffix = (match[2] || /^\s*(thousand|million|billion)\b/i.exec(after)?.[1] || '').toLowerCase();
+  return number * (SUFFIX_MULTIPLIERS[suffix] || 1);
+}
+
+function nearestMetric(text, at, length) {
+  let best = null;
+  for (const keyword of METRIC_KEYWORDS) {
+    for (const match of text.matchAll(keyword.re)) {
+      const distance = match.index > at ? match.index - (at + length) : at - (match.index + match[0].length);
+      if (distance > MAX_KEYWORD_DISTANCE) continue;
+      if (!best || distance < best.distance) best = { ...keyword, distance };
+    }
+  }
+  return best;
+}
+
+/**
+ * Turn one parsed mention into a normalized metric reading.
+ *
+ * @param {{ text: string, type: string, value: string }} mention
+ * @returns {{ metricKey: string, value: number, unit: string }|null}
+ */
+export function normalizeMention(mention) {
+  const { text, type, value } = mention;
+  const at = Math.max(0, text.indexOf(value));
+  const after = text.slice(at + value.length, at + value.length + 12);
+
+  if (type === 'headcount') {
+    const count = parseAmount(value);
+    return count ? { metricKey: 'employees', value: count, unit: 'count' } : null;
+  }
+
+  const metric = nearestMetric(text, at, value.length);
+  if (!metric) return null;
+
+  if (PERCENT_TYPES.has(type)) {
+    return metric.unit === 'percentage' ? { metricKey: metric.metricKey, value: parseAmount(value), unit: 'percentage' } : null;
+  }
+  if (!MONEY_TYPES.has(type) || metric.unit === 'percentage') return null;
+  // "ARR 15" without $ or a scale is a year or a count, not money
+  if (!/\$|\d\s*(?:k|mm|m|b)\b/i.test(value) && !/^\s*(?:thousand|million|billion)\b/i.test(after)) return null;
+
+  let amount = parseAmount(value, after);
+  if (!amount) return null;
+  // "burning $1.8M a year" → monthly
+  if (metric.unit === 'usd_monthly' && ANNUAL_PHRASE.test(text.slice(at, at + value.length + 30))) amount /= 12;
+  return { metricKey: metric.metricKey, value: Math.round(amount * 100) / 100, unit: metric.unit };
+}
+
+// =============================================================================
+// PROPOSALS
+// =============================================================================
+
+function hashOf(...parts) {
+  return createHash('sha256').update(parts.join('|')).digest('hex').slice(0, 12);
+}
+
+function combineText(summary, transcript) {
+  return [summary, transcript].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Latest `metric_reviewed` decision per proposal.
+ * @param {Object[]} events
+ * @returns {Map<string, Object>} proposalId → { decision, value?, unit?, metricKey?, actor, timestamp }
+ */
+export function collectMetricReviews(events = []) {
+  const reviews = new Map();
+  const ordered = events
+    .filter(e => (e.eventType || e.type) === 'metric_reviewed' && e.payload?.proposalId)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  for (const e of ordered) {
+    const { proposalId, decision, value, unit, metricKey } = e.payload;
+    reviews.set(proposalId, { decision, value, unit, metricKey, actor: e.actor, timestamp: e.timestamp });
+  }
+  return reviews;
+}
+
+function reviewed(proposal, review) {
+  if (!review) return proposal;
+  const reviewedBy = { actor: review.actor, timestamp: review.timestamp };
+  if (review.decision === 'reject') return { ...proposal, status: 'rejected', reviewedBy };
+  if (review.decision === 'accept') return { ...proposal, status: 'accepted', reviewedBy };
+  const fact = {
+    ...proposal.fact,
+    ...(review.metricKey !== undefined && { metricKey: review.metricKey }),
+    ...(review.value !== undefined && { value: review.value }),
+    ...(review.unit !== undefined && { unit: review.unit })
+  };
+  return { ...proposal, fact, status: 'edited', proposed: proposal.fact, reviewedBy };
+}
+
+/**
+ * Proposed metricFacts for every company's matched meetings.
+ *
+ * @param {Map<string, Object[]>} meetingsByCompany - resolveMeetings().byCompany
+ * @param {Object} context
+ * @param {{ get: Function }} [context.transcripts] - meetingId → transcript text
+ * @param {Map} [context.reviews] - From collectMetricReviews()
+ * @returns {Object[]} [{ proposalId, companyId, meetingId, meetingTitle, mention, fact, status, reviewedBy? }]
+ */
+export function proposeMetricFacts(meetingsByCompany, { transcripts = new Map(), reviews = new Map() } = {}) {
+  const proposals = new Map();
+
+  for (const [companyId, meetings] of meetingsByCompany) {
+    for (const meeting of meetings) {
+      const asOf = new Date(meeting.date);
+      if (isNaN(asOf.getTime())) continue;
+
+      for (const mention of parseMetricMentions(combineText(meeting.summary, transcripts.get(meeting.id)))) {
+        const reading = normalizeMention(mention);
+        if (!reading) continue;
+        const hash = hashOf(companyId, meeting.id, reading.metricKey, reading.value);
+        const proposalId = `metric-proposal-${hash}`;
+        if (proposals.has(proposalId)) continue;
+
+        const fact = {
+          id: `mf-${companyId}-${reading.metricKey}-meeting-${hash}`,
+          companyId,
+          ...reading,
+          source: 'meeting_transcript',
+          asOf: asOf.toISOString(),
+          meetingId: meeting.id,
+          notes: mention.text.slice(0, 200)
+        };
+        proposals.set(proposalId, reviewed({
+          proposalId,
+          companyId,
+          meetingId: meeting.id,
+          meetingTitle: meeting.title,
+          mention: mention.text,
+          fact,
+          status: 'pending'
+        }, reviews.get(proposalId)));
+      }
+    }
+  }
+
+  return [...proposals.values()].sort((a, b) =>
+    b.fact.asOf.localeCompare(a.fact.asOf) || a.proposalId.localeCompare(b.proposalId));
+}
+
+/**
+ * metricFacts from accepted and edited proposals; facts an edit left
+ * invalid are dropped.
+ * @param {Object[]} proposals - From proposeMetricFacts()
+ * @returns {Object[]}
+ */
+export function acceptedMetricFacts(proposals = []) {
+  return proposals
+    .filter(p => (p.status === 'accepted' || p.status === 'edited') && validateMetricFact(p.fact).valid)
+    .map(p => p.fact);
+}
+
+export default {
+  PROPOSAL_STATUSES,
+  parseAmount,
+  normalizeMention,
+  collectMetricReviews,
+  proposeMetricFacts,
+  acceptedMetricFacts
+};
@@ -12,6 +12,8 @@
  * @module derive/patternLift
  */
 
+import { OUTCOME_VALUE } from './calibration.js';
+
 // =============================================================================
 // CONSTANTS (Doctrine: bounded, cannot dominate ranking)
 // =============================================================================
@@ -55,19 +57,22 @@ function getActionType(action) {
 function computePatternStats(events, now) {
   const stats = new Map();
   
-  // Filter to outcome_recorded events only
-  const observations = events.filter(e => e.eventType === 'outcome_recorded');
+  // Observations and skips (canonical events, see raw/actionEvent.js)
+  const observations = events.filter(e => e.eventType === 'outcome_recorded' || e.eventType === 'skipped');
   
   for (const event of observations) {
     const actionType = event.payload?.actionType || event.actionType || 'UNKNOWN';
-    const hasNotes = !!(event.payload?.notes);
+    const outcome = event.payload?.outcome;
     
     // Weight: recent observations count more
     const decay = computeDecay(event.timestamp, now);
     
-    // Signal: observation with notes = positive signal (user engaged)
-    // observation without notes = neutral (still completed the loop)
-    const signal = hasNotes ? 1 : 0.5;
+    // Signal: structured outcome = realized value (success 1 … failed 0)
+    // observation without an outcome = neutral (notes measure engagement, not success)
+    // skip = negative signal (user passed on it)
+    const signal = event.eventType === 'skipped'
+      ? 0
+      : (outcome in OUTCOME_VALUE ? OUTCOME_VALUE[outcome] : 0.5);
     
     if (!stats.has(actionType)) {
       stats.set(actionType, { observedCount: 0, weightedSum: 0 });
@@ -130,9 +135,10 @@ export function computePatternLift(action, events, now = new Date()) {
  * @param {Object[]} actions - Actions to compute lifts for
  * @param {Object[]} events - Event stream
  * @param {Date} now - Current time
+ * @param {number} [liftMax] - Lift bound (weights.patternLift.liftMax); defaults to LIFT_MAX
  * @returns {Map<string, number>} - actionId -> lift
  */
-export function computeAllPatternLifts(actions, events, now = new Date()) {
+export function computeAllPatternLifts(actions, events, now = new Date(), liftMax = LIFT_MAX) {
   const lifts = new Map();
   
   // Pre-compute stats once (efficiency)
@@ -148,8 +154,8 @@ export function computeAllPatternLifts(actions, events, now = new Date()) {
       const avgSignal = typeStats.weightedSum / typeStats.observedCount;
       const normalized = (avgSignal - 0.5) * 2;
       const confidenceScale = Math.min(1, Math.log(typeStats.observedCount) / Math.log(20));
-      const rawLift = normalized * confidenceScale * LIFT_MAX;
-      lift = Math.max(-LIFT_MAX, Math.min(LIFT_MAX, rawLift));
+      const rawLift = normalized * confidenceScale * liftMax;
+      lift = Math.max(-liftMax, Math.min(liftMax, rawLift));
     }
     
     lifts.set(action.actionId, lift);
@@ -0,0 +1,120 @@
+/**
+ * snoozeConditions.js – When Does a Conditional Snooze Fire?
+ *
+ * A `snoozed` event may carry payload.condition instead of (or besides)
+ * payload.until. Condition shapes are validated in raw/actionEventsSchema.js
+ * (SNOOZE_CONDITION_FIELDS); this module decides, against current raw data,
+ * whether a condition has fired since the snooze was recorded:
+ *
+ *   constraint     { companyId, constraintType?, constraintId? }
+ *                  fires once the company's next matching constraint date
+ *                  (on or after the snooze) has passed
+ *   metric_update  { companyId, metricKey }
+ *                  fires when a metricFact for that key is newer than the snooze
+ *   deal_status    { dealId, fromStatus? }
+ *                  fires when the deal's status differs from fromStatus
+ *                  (without fromStatus: when the deal record is newer than the snooze)
+ *
+ * INVARIANT: Pure read of raw data + the snooze event. Nothing here writes events.
+ * INVARIANT: Missing data never fires a condition; the snooze holds.
+ *
+ * @module derive/snoozeConditions
+ */
+
+const toMs = value => (value === undefined || value === null ? NaN : new Date(value).getTime());
+
+const waiting = (reason, extra = {}) => ({ fired: false, firedAt: null, reason, ...extra });
+const fired = (firedAt, reason) => ({ fired: true, firedAt: new Date(firedAt).toISOString(), reason });
+
+// =============================================================================
+// EVALUATORS
+// =============================================================================
+
+function evaluateConstraint(condition, rawData, sinceMs, nowMs) {
+  const candidates = (rawData.constraints || [])
+    .filter(c => c.companyId === condition.companyId)
+    .filter(c => !condition.constraintId || c.id === condition.constraintId)
+    .filter(c => !condition.constraintType || c.type === condition.constraintType)
+    .map(c => ({ constraint: c, at: toMs(c.date) }))
+    .filter(c => !isNaN(c.at) && (condition.constraintId || c.at >= sinceMs));
+
+  if (candidates.length === 0) {
+    return waiting(`no upcoming ${condition.constraintType || 'constraint'} for ${condition.companyId}`);
+  }
+  const next = candidates.reduce((a, b) => (b.at < a.at ? b : a));
+  const label = next.constraint.title || next.constraint.type;
+  return next.at <= nowMs
+    ? fired(next.at, `${label} passed`)
+    : waiting(`until ${label}`, { until: new Date(next.at).toISOString() });
+}
+
+function evaluateMetricUpdate(condition, rawData, sinceMs) {
+  const updates = (rawData.metricFacts || [])
+    .filter(f => f.companyId === condition.companyId && f.metricKey === condition.metricKey)
+    .map(f => toMs(f.asOf))
+    .filter(at => !isNaN(at) && at > sinceMs);
+
+  return updates.length > 0
+    ? fired(Math.min(...updates), `${condition.metricKey} updated`)
+    : waiting(`until ${condition.metricKey} updates`);
+}
+
+function evaluateDealStatus(condition, rawData, sinceMs) {
+  const deal = (rawData.deals || []).find(d => d.id === condition.dealId);
+  if (!deal) return waiting(`deal ${condition.dealId} not found`);
+
+  const asOf = toMs(deal.asOf);
+  const changed = condition.fromStatus
+    ? deal.status !== condition.fromStatus
+    : !isNaN(asOf) && asOf > sinceMs;
+  if (!changed) return waiting(`until deal ${condition.dealId} changes status`);
+  return fired(isNaN(asOf) ? sinceMs : Math.max(asOf, sinceMs), `deal ${condition.dealId} is now ${deal.status}`);
+}
+
+const EVALUATORS = {
+  constraint: evaluateConstraint,
+  metric_update: evaluateMetricUpdate,
+  deal_status: evaluateDealStatus
+};
+
+// =============================================================================
+// API
+// =============================================================================
+
+/**
+ * Has a snooze condition fired?
+ *
+ * @param {Object} condition - payload.condition of a snoozed event
+ * @param {Object} context
+ * @param {Object} context.rawData - constraints, metricFacts, deals
+ * @param {string} context.since - Snooze event timestamp
+ * @param {Date} [context.now]
+ * @returns {{ fired: boolean, firedAt: string|null, reason: string, until?: string }}
+ */
+export function evaluateSnoozeCondition(condition, { rawData, since, now = new Date() }) {
+  const evaluate = EVALUATORS[condition?.type];
+  if (!evaluate) return waiting(`unknown condition type '${condition?.type}'`);
+  if (!rawData) return waiting('no data to evaluate condition');
+  return evaluate(condition, rawData, toMs(since), now.getTime());
+}
+
+/**
+ * Status at snooze time that a condition compares against later
+ * (deal_status: the deal's current status as fromStatus).
+ *
+ * @param {Object} condition
+ * @param {Object} rawData
+ * @returns {Object} condition, completed where possible
+ */
+export function captureSnoozeBaseline(condition, rawData) {
+  if (condition?.type === 'deal_status' && !condition.fromStatus) {
+    const deal = (rawData?.deals || []).find(d => d.id === condition.dealId);
+    if (deal?.status) return { ...condition, fromStatus: deal.status };
+  }
+  return condition;
+}
+
+export default {
+  evaluateSnoozeCondition,
+  captureSnoozeBaseline
+};
@@ -15,6 +15,8 @@
 import { getResolution, getResolutionById, RESOLUTIONS } from './resolutions.js';
 import { createAction } from './actionSchema.js';
 import { getGoalActionResolution } from './goalActions.js';
+import { OPPORTUNITY_RESOLUTIONS } from './opportunityActions.js';
+import { FOLLOWUP_RESOLUTIONS } from './followup.js';
 
 // =============================================================================
 // PREVENTATIVE RESOLUTION TEMPLATES (for pre-issues)
@@ -562,6 +564,8 @@ export function getAnyResolution(resolutionId) {
   return RESOLUTIONS[resolutionId] ||
          PREVENTATIVE_RESOLUTIONS[resolutionId] ||
          GOAL_RESOLUTIONS[resolutionId] ||
+         OPPORTUNITY_RESOLUTIONS[resolutionId] ||
+         FOLLOWUP_RESOLUTIONS[resolutionId] ||
          getGoalActionResolution(resolutionId) ||
          null;
 }
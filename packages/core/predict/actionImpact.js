@@ -379,6 +379,18 @@ function getGoalWeight(goal, company) {
   return Math.round(baseWeight * modifier);
 }
 
+/**
+ * Linked goal with the most weighted gap (MANUAL actions linking several goals)
+ */
+function topLinkedGoal(goals, company) {
+  const value = g => {
+    const tgt = g.tgt ?? g.target ?? 100;
+    const gap = tgt > 0 ? Math.max(0, tgt - (g.cur ?? g.current ?? 0)) / tgt : 0.5;
+    return getGoalWeight(g, company) * gap;
+  };
+  return goals.reduce((best, g) => (value(g) > value(best) ? g : best));
+}
+
 /**
  * Get goals affected by an action
  */
@@ -393,6 +405,11 @@ function getAffectedGoals(action, context) {
     const goal = goals.find(g => g.id === source.goalId);
     return goal ? [goal] : [];
   }
+
+  // MANUAL: goals the partner linked
+  if (source.goalIds?.length) {
+    return goals.filter(g => source.goalIds.includes(g.id));
+  }
   
   // PREISSUE with goalId (e.g., GOAL_MISS)
   if (source.sourceType === 'PREISSUE') {
@@ -484,6 +501,25 @@ function probabilityLift(action, goal, context) {
       // Introductions affect relationship/fundraise goals
       return 0.10;
     }
+
+    case 'OPPORTUNITY': {
+      // Positive-sum lever on a linked goal; optionality is time-discounted
+      const cur = goal.cur ?? goal.current ?? 0;
+      const tgt = goal.tgt ?? goal.target ?? 100;
+      const gapRatio = tgt > 0 ? Math.max(0, tgt - cur) / tgt : 0.5;
+      const effectiveness = getAnyResolution(action.resolutionId)?.effectiveness ?? 0.5;
+      const lift = gapRatio * effectiveness * 0.3 * (source.timeDiscount ?? 1);
+      return Math.min(0.25, Math.max(0.05, lift));
+    }
+
+    case 'MANUAL': {
+      // Partner-linked goal: same gap × effectiveness lift as goal-sourced actions
+      const cur = goal.cur ?? goal.current ?? 0;
+      const tgt = goal.tgt ?? goal.target ?? 100;
+      const gapRatio = tgt > 0 ? Math.max(0, tgt - cur) / tgt : 0.5;
+      const effectiveness = getAnyResolution(action.resolutionId)?.effectiveness ?? 0.5;
+      return Math.min(0.35, Math.max(0.08, gapRatio * effectiveness * 0.4));
+    }
     
     default:
       return 0.05;
@@ -592,8 +628,12 @@ function deriveUpsideMagnitude(action, context) {
     : goalImpacts;
 
   // GOAL source: upside = goalWeight × gap × effectiveness
-  if (source?.sourceType === 'GOAL') {
-    const goal = (context.goals || []).find(g => g.id === source.goalId);
+  // MANUAL / OPPORTUNITY with linked goals: same formula on the most valuable linked goal
+  const linkedGoals = ['MANUAL', 'OPPORTUNITY'].includes(source?.sourceType) ? affectedGoals : [];
+  if (source?.sourceType === 'GOAL' || linkedGoals.length > 0) {
+    const goal = source.sourceType === 'GOAL'
+      ? (context.goals || []).find(g => g.id === source.goalId)
+      : topLinkedGoal(linkedGoals, context.company);
     const resolution = getAnyResolution(action.resolutionId);
     const effectiveness = resolution?.effectiveness ?? 0.5;
 
@@ -787,6 +827,11 @@ function deriveExecutionProbability(action, context) {
     return { value: 1.0, explain: 'Absorbed into confidence' };
   }
 
+  // MANUAL: a partner committed to it when creating it
+  if (source?.sourceType === 'MANUAL') {
+    return { value: 1.0, explain: 'Partner-committed' };
+  }
+
   // Entity type
   const entityType = action.entityRef?.type;
   if (entityType === 'relationship') value -= 0.05;
@@ -222,9 +222,10 @@ export function generateActionId({ entityRef, resolutionId, sources }) {
       switch (s.sourceType) {
         case 'ISSUE': return `issue:${s.issueId}`;
         case 'PREISSUE': return `preissue:${s.preIssueId}`;
-        case 'MANUAL': return `manual:${s.note.slice(0, 20)}`;
+        case 'MANUAL': return `manual:${s.manualId || s.note.slice(0, 20)}`;
         case 'GOAL': return `goal:${s.goalId || 'unknown'}`;
         case 'INTRODUCTION': return `intro:${s.introId || 'unknown'}`;
+        case 'OPPORTUNITY': return `opportunity:${s.opportunityClass}:${opportunityKey(s)}`;
         default: return 'unknown';
       }
     }).sort()
@@ -238,6 +239,11 @@ export function generateActionId({ entityRef, resolutionId, sources }) {
   return `action-${hash}`;
 }
 
+// What an opportunity is about, per class (target, window, partner company, lever)
+function opportunityKey(s) {
+  return s.targetPersonId || s.eventId || s.firmId || s.personId || s.otherCompanyId || s.acceleratorType || s.goalId || 'general';
+}
+
 // =============================================================================
 // EXPECTED NET IMPACT COMPUTATION — canonical source: derive/impact.js
 // =============================================================================
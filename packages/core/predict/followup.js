@@ -21,6 +21,22 @@ import { getOutcomesNeedingFollowup, FOLLOWUP_THRESHOLD_DAYS } from '../raw/intr
 
 const FOLLOWUP_SOURCE_TYPE = 'FOLLOWUP';
 
+// Resolution template: one short message, so light effort
+export const FOLLOWUP_RESOLUTIONS = {
+  FOLLOWUP: {
+    resolutionId: 'FOLLOWUP',
+    title: 'Follow up on introduction',
+    defaultEffort: 1,
+    defaultImpact: 0.3,
+    effectiveness: 0.35,
+    actionSteps: [
+      'Check with the introducer for updates',
+      'Send a polite follow-up message',
+      'Update the intro outcome based on the response'
+    ]
+  }
+};
+
 // =============================================================================
 // FOLLOWUP GENERATION
 // =============================================================================
@@ -66,22 +82,29 @@ export function generateFollowupAction(outcome, originalAction = null, now = new
   if (outcome.companyId) {
     entityRef.type = 'company';
     entityRef.id = outcome.companyId;
+    if (originalAction?.entityRef?.name) entityRef.name = originalAction.entityRef.name;
   }
+
+  const targetName = originalAction?.targetPersonName || outcome.targetPersonId || outcome.targetOrgId;
+  const introducerName = originalAction?.introducerName || outcome.introducerPersonId;
+  const goalId = originalAction?.goalId || originalAction?.sources?.[0]?.goalId;
   
   // Build action
   return {
     actionId,
-    title: `Follow up on introduction to ${outcome.targetPersonId || outcome.targetOrgId}`,
+    title: `${entityRef.name ? `${entityRef.name}: ` : ''}Follow up on introduction to ${targetName}`,
     entityRef,
     sources: [{
       sourceType: FOLLOWUP_SOURCE_TYPE,
       originalActionId: outcome.actionId,
       outcomeId: outcome.id,
-      daysSinceSent
+      daysSinceSent,
+      ...(goalId && { goalId })
     }],
-    resolutionId: 'followup-intro',
+    resolutionId: 'FOLLOWUP',
+    ...(outcome.companyId && { companyId: outcome.companyId }),
     steps: [
-      `Check if ${outcome.introducerPersonId} has any updates`,
+      `Check if ${introducerName} has any updates`,
       `Send a polite follow-up message`,
       `Update outcome status based on response`
     ],
@@ -191,6 +214,7 @@ export function verifyNoFollowupDuplicates(actions) {
 
 export default {
   FOLLOWUP_SOURCE_TYPE,
+  FOLLOWUP_RESOLUTIONS,
   generateFollowupActionId,
   generateFollowupAction,
   generateFollowupActions,
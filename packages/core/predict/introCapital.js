@@ -0,0 +1,141 @@
+/**
+ * introCapital.js – Per-Introducer Intro Capital and Reputation
+ *
+ * Each introducer has a small budget of asks per CAPITAL_WINDOW_DAYS
+ * (trustRisk.getIntroCapitalRemaining). This module derives, per person,
+ * what has been spent from the intro ledger (derive/introLedger.js):
+ *
+ *   requested  - every ledger record through this person (drafts included)
+ *   sent       - records that left 'drafted'
+ *   converted  - records that reached 'positive'
+ *   pending    - drafts not yet sent; they hold capital until sent or dropped
+ *
+ * capitalRemaining = getIntroCapitalRemaining(introsLast90Days + pending).
+ * reputation is Laplace-smoothed conversion over terminal outcomes, so an
+ * introducer with no history reads 0.5 and one bad intro does not zero them.
+ *
+ * Intro opportunities are generated per company, so the budget is enforced
+ * again across the portfolio after ranking (enforceIntroCapital): an
+ * introducer's remaining asks go to the highest-ranked intros, the rest are
+ * suppressed.
+ *
+ * INVARIANT: Derived from ledger records only. Nothing here writes events.
+ *
+ * @module predict/introCapital
+ */
+
+import { getIntroducerHistory } from '../raw/introOutcome.js';
+import { getIntroCapitalRemaining } from './trustRisk.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+// Reputation with no terminal outcomes: (0 + 1) / (0 + 2)
+export const NEUTRAL_REPUTATION = 0.5;
+
+// =============================================================================
+// LEDGER
+// =============================================================================
+
+/**
+ * Capital and reputation for one introducer.
+ * @param {Object[]} outcomes - Current intro records (ledger, ghosting applied)
+ * @param {string} personId
+ * @param {Date} now
+ * @returns {Object}
+ */
+export function getIntroCapital(outcomes, personId, now = new Date()) {
+  const history = getIntroducerHistory(outcomes, personId, now);
+  const requested = outcomes.filter(o => o.introducerPersonId === personId).length;
+  const pending = requested - history.total;
+  return {
+    personId,
+    requested,
+    sent: history.total,
+    converted: history.positive,
+    pending,
+    introsLast90Days: history.introsLast90Days,
+    conversionRate: history.conversionRate,
+    reputation: Math.round(((history.positive + 1) / (history.terminal + 2)) * 100) / 100,
+    capitalRemaining: getIntroCapitalRemaining(history.introsLast90Days + pending)
+  };
+}
+
+/**
+ * Capital entries for every introducer in the ledger, sorted by person id.
+ * @param {Object[]} outcomes
+ * @param {Date} now
+ * @returns {Object[]}
+ */
+export function buildIntroCapital(outcomes = [], now = new Date()) {
+  const personIds = [...new Set(outcomes.map(o => o.introducerPersonId))].sort();
+  return personIds.map(personId => getIntroCapital(outcomes, personId, now));
+}
+
+/**
+ * Path-score multiplier for an introducer: 0.5 + reputation, so 1.0 for
+ * no history and within [0.5, 1.5] otherwise.
+ * @param {Object|undefined} capital - Entry from buildIntroCapital
+ * @returns {number}
+ */
+export function reputationWeight(capital) {
+  return 0.5 + (capital?.reputation ?? NEUTRAL_REPUTATION);
+}
+
+// =============================================================================
+// PORTFOLIO BUDGET
+// =============================================================================
+
+/**
+ * Spend each introducer's remaining capital on the highest-ranked intro
+ * actions across all companies; lower-ranked intros through an exhausted
+ * introducer are suppressed. Intros already in the ledger (drafted or sent)
+ * are counted in capitalRemaining, so they pass without spending again.
+ *
+ * @param {Object[]} rankedActions - Portfolio actions, best first
+ * @param {Object[]} introCapital - From buildIntroCapital()
+ * @param {Object} [options]
+ * @param {Object[]} [options.introOutcomes] - Ledger records (their actionIds are already asked)
+ * @returns {{ actions: Object[], suppressed: Object[] }}
+ */
+export function enforceIntroCapital(rankedActions, introCapital = [], { introOutcomes = [] } = {}) {
+  const capitalByPerson = new Map(introCapital.map(c => [c.personId, c]));
+  const asked = new Set(introOutcomes.map(o => o.actionId));
+  const spent = new Map();
+  const actions = [];
+  const suppressed = [];
+
+  for (const action of rankedActions) {
+    const introducerId = action.type === 'INTRODUCTION' ? action.introducerId : null;
+    if (!introducerId || asked.has(action.actionId)) {
+      actions.push(action);
+      continue;
+    }
+    const remaining = (capitalByPerson.get(introducerId)?.capitalRemaining ?? getIntroCapitalRemaining(0)) -
+      (spent.get(introducerId) || 0);
+    if (remaining <= 0) {
+      suppressed.push({
+        actionId: action.actionId,
+        companyId: action.companyId,
+        introducerId,
+        targetPersonId: action.targetPersonId,
+        rankScore: action.rankScore,
+        reason: 'intro capital spent on higher-ranked intros'
+      });
+      continue;
+    }
+    spent.set(introducerId, (spent.get(introducerId) || 0) + 1);
+    actions.push({ ...action, introCapitalRemaining: remaining - 1 });
+  }
+
+  return { actions, suppressed };
+}
+
+export default {
+  NEUTRAL_REPUTATION,
+  getIntroCapital,
+  buildIntroCapital,
+  reputationWeight,
+  enforceIntroCapital
+};
@@ -11,7 +11,9 @@
  * NO PERSISTENCE - all derived, ephemeral, deterministic.
  */
 
-import { calculateTrustRisk, shouldBlockAmplification } from './trustRisk.js';
+import { calculateTrustRisk, shouldBlockAmplification, getIntroCapitalRemaining } from './trustRisk.js';
+import { getIntroducerHistory } from '../raw/introOutcome.js';
+import { reputationWeight } from './introCapital.js';
 import { ASSUMPTIONS } from '../raw/assumptions_policy.js';
 
 /**
@@ -579,11 +581,20 @@ export function generateIntroOpportunities({
   investors,
   team,
   goalTrajectories = [],
+  introOutcomes = [],
+  introCapital = [],
   now = new Date()
 }) {
   const opportunities = [];
   const graph = buildRelationshipGraph(relationships);
   
+  // Intro capital per introducer (predict/introCapital.js). Asks proposed in
+  // this run are spent too, so one introducer is not offered for every target.
+  const capitalByPerson = new Map(introCapital.map(c => [c.personId, c]));
+  const spent = new Map();
+  const remainingCapital = (personId) =>
+    (capitalByPerson.get(personId)?.capitalRemaining ?? getIntroCapitalRemaining(0)) - (spent.get(personId) || 0);
+  
   // Get team person IDs (potential introducers)
   const teamPersonIds = team.map(t => t.personId).filter(Boolean);
   
@@ -615,26 +626,32 @@ export function generateIntroOpportunities({
       
       if (filteredPaths.length === 0) continue;
       
-      // Take best path (considering conversion lift for second-order)
-      const bestPath = filteredPaths.reduce((best, current) => {
-        // Score combines path strength and conversion lift
-        const currentScore = scorePath(current.path, current.relationships) * 
-          (current.secondOrder?.conversionLift || 1);
-        const bestScore = scorePath(best.path, best.relationships) *
-          (best.secondOrder?.conversionLift || 1);
-        return currentScore > bestScore ? current : best;
-      });
+      // Take best path: path strength × conversion lift (second-order) ×
+      // introducer reputation. Introducers out of capital are passed over
+      // for the next path; with none left the intro is suppressed.
+      const pathScore = (p) => scorePath(p.path, p.relationships) *
+        (p.secondOrder?.conversionLift || 1) *
+        reputationWeight(capitalByPerson.get(p.path[0]));
+      const rankedPaths = [...filteredPaths].sort((a, b) => pathScore(b) - pathScore(a));
+      const bestPath = rankedPaths.find(p => remainingCapital(p.path[0]) > 0);
+      
+      if (!bestPath) continue;
       
       // Get introducer (first person in path who is on team)
       const introducerId = bestPath.path[0];
       const introducer = team.find(t => t.personId === introducerId) || 
                          people.find(p => p.id === introducerId);
       
-      // Calculate trust risk
+      // Calculate trust risk. Capital spent and conversion come from the
+      // intro ledger once the introducer has history there.
       const primaryRelationship = bestPath.relationships[0];
-      const introsLast90Days = primaryRelationship?.introCount || 0;
+      const history = getIntroducerHistory(introOutcomes, introducerId, now);
+      const introsLast90Days = history.total > 0
+        ? history.introsLast90Days
+        : primaryRelationship?.introCount || 0;
       
       const trustRisk = calculateTrustRisk({
+        introSuccessRate: history.conversionRate,
         relationship: primaryRelationship,
         pathLength: bestPath.path.length - 1,
         introsLast90Days,
@@ -691,6 +708,13 @@ export function generateIntroOpportunities({
         targetOrg: target.person.orgId,
         path: bestPath.path,
         pathLength: bestPath.path.length - 1,
+        ...(bestPath !== rankedPaths[0] && {
+          reroutedFrom: { introducerId: rankedPaths[0].path[0], reason: 'intro capital exhausted' }
+        }),
+        
+        // Intro capital after this ask
+        introducerReputation: capitalByPerson.get(introducerId)?.reputation ?? null,
+        introCapitalRemaining: remainingCapital(introducerId) - 1,
         
         // Scores
         probability,
@@ -717,6 +741,7 @@ export function generateIntroOpportunities({
       };
       
       opportunities.push(opportunity);
+      spent.set(introducerId, (spent.get(introducerId) || 0) + 1);
     }
   }
   
@@ -746,6 +771,8 @@ export function generatePortfolioIntroOpportunities({
   investors,
   team,
   goalTrajectoriesByCompany = {},
+  introOutcomes = [],
+  introCapital = [],
   now = new Date()
 }) {
   const allOpportunities = [];
@@ -759,6 +786,8 @@ export function generatePortfolioIntroOpportunities({
       investors,
       team,
       goalTrajectories: goalTrajectoriesByCompany[company.id] || [],
+      introOutcomes,
+      introCapital,
       now
     });
     
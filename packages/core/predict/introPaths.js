@@ -0,0 +1,268 @@
+/**
+ * introPaths.js – k-Best Intro Path Search
+ *
+ * introOpportunity.js keeps one best path per target. This module returns
+ * the k best distinct paths from one or more people to a target person or
+ * firm, so a partner can choose the route. Each path is scored on:
+ *
+ *   strength  - geometric mean of edge strengths, × 0.7 per extra hop
+ *   recency   - per edge, halving every relationshipDecayHalfLife days
+ *   capital   - introducer's remaining asks (predict/introCapital.js)
+ *   trust     - 1 − trustRiskScore/100 for the introducer's onward edge,
+ *               with the introducer's ledger conversion when known
+ *
+ * score = strength × capital × trust, 0–100. Every edge carries a plain
+ * explanation; paths are distinct person sequences (parallel edges between
+ * the same pair collapse to the strongest).
+ *
+ * Relationships may use either edge shape: fromPersonId/toPersonId with
+ * numeric strength, or p1Id/p2Id with strength bands and lastContact.
+ *
+ * INVARIANT: Pure and deterministic for a fixed `now`. Ties break on path id.
+ *
+ * @module predict/introPaths
+ */
+
+import { ASSUMPTIONS } from '../raw/assumptions_policy.js';
+import { getIntroCapitalRemaining, calculateTrustRisk } from './trustRisk.js';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const DEFAULT_K = 3;
+
+// Longest search allowed through the API; the engine uses introMaxPathDepth
+export const MAX_SEARCH_HOPS = 4;
+
+// Numeric strength for banded relationships (relationshipStrengthBands)
+const BAND_STRENGTH = { strong: 85, medium: 55, moderate: 55, weak: 25 };
+
+const HOP_PENALTY = 0.7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// =============================================================================
+// GRAPH
+// =============================================================================
+
+/**
+ * One relationship in a single shape.
+ * @param {Object} r
+ * @returns {{ id: string, a: string, b: string, strength: number, lastTouchAt: string|null, type: string|null, introCount: number, introSuccessCount: number }}
+ */
+export function normalizeEdge(r) {
+  const strength = typeof r.strength === 'number' ? r.strength : BAND_STRENGTH[r.strength] ?? 50;
+  return {
+    id: r.id,
+    a: r.fromPersonId ?? r.p1Id,
+    b: r.toPersonId ?? r.p2Id,
+    strength,
+    lastTouchAt: r.lastTouchAt ?? r.lastContact ?? null,
+    type: r.relationshipType ?? r.type ?? null,
+    introCount: r.introCount ?? 0,
+    introSuccessCount: r.introSuccessCount ?? 0
+  };
+}
+
+function strengthLabel(strength) {
+  const bands = ASSUMPTIONS.relationshipStrengthBands;
+  if (strength >= bands.strong) return 'strong';
+  if (strength >= bands.moderate) return 'moderate';
+  return 'weak';
+}
+
+/**
+ * Undirected adjacency, strongest edge per pair.
+ * @param {Object[]} relationships
+ * @returns {Map<string, Map<string, Object>>}
+ */
+function buildAdjacency(relationships) {
+  const adjacency = new Map();
+  const link = (from, to, edge) => {
+    if (!adjacency.has(from)) adjacency.set(from, new Map());
+    const existing = adjacency.get(from).get(to);
+    if (!existing || edge.strength > existing.strength) adjacency.get(from).set(to, edge);
+  };
+  for (const r of relationships) {
+    const edge = normalizeEdge(r);
+    if (!edge.a || !edge.b || edge.a === edge.b) continue;
+    link(edge.a, edge.b, edge);
+    link(edge.b, edge.a, edge);
+  }
+  return adjacency;
+}
+
+/**
+ * Every simple path from a source to a target, up to maxHops edges.
+ * Paths stop at the first target reached.
+ */
+function enumeratePaths(adjacency, sourceIds, targetSet, maxHops) {
+  const found = [];
+  const walk = (path, edges) => {
+    const current = path[path.length - 1];
+    if (edges.length > 0 && targetSet.has(current)) {
+      found.push({ path: [...path], edges: [...edges] });
+      return;
+    }
+    if (edges.length >= maxHops) return;
+    const neighbors = [...(adjacency.get(current) || new Map())].sort(([x], [y]) => x.localeCompare(y));
+    for (const [nextId, edge] of neighbors) {
+      if (path.includes(nextId)) continue;
+      path.push(nextId);
+      edges.push(edge);
+      walk(path, edges);
+      path.pop();
+      edges.pop();
+    }
+  };
+  for (const sourceId of sourceIds) walk([sourceId], []);
+  return found;
+}
+
+// =============================================================================
+// SCORING
+// =============================================================================
+
+function recencyOf(edge, now) {
+  if (!edge.lastTouchAt) return { days: null, factor: 0.5 ** (ASSUMPTIONS.relationshipColdThreshold / ASSUMPTIONS.relationshipDecayHalfLife) };
+  const days = Math.max(0, Math.floor((now - new Date(edge.lastTouchAt)) / DAY_MS));
+  return { days, factor: 0.5 ** (days / ASSUMPTIONS.relationshipDecayHalfLife) };
+}
+
+function explainEdge(edge, fromName, toName, days) {
+  const kind = edge.type ? ` ${edge.type.replace(/_/g, ' ')}` : '';
+  const touched = days == null ? 'no recorded contact' : `last contact ${days} days ago`;
+  return `${fromName} → ${toName}: ${strengthLabel(edge.strength)}${kind} tie (${edge.strength}), ${touched}`;
+}
+
+function scorePath({ path, edges }, { nameOf, personOf, capitalByPerson, now }) {
+  const edgeDetails = edges.map((edge, i) => {
+    const recency = recencyOf(edge, now);
+    return {
+      relationshipId: edge.id,
+      from: path[i],
+      to: path[i + 1],
+      strength: edge.strength,
+      type: edge.type,
+      lastTouchAt: edge.lastTouchAt,
+      daysSinceTouch: recency.days,
+      weight: (edge.strength / 100) * (0.5 + 0.5 * recency.factor),
+      explain: explainEdge(edge, nameOf(path[i]), nameOf(path[i + 1]), recency.days)
+    };
+  });
+
+  const product = edgeDetails.reduce((acc, e) => acc * e.weight, 1);
+  const strength = Math.pow(product, 1 / edgeDetails.length) * HOP_PENALTY ** (edgeDetails.length - 1);
+
+  // Direct paths need no introducer; otherwise the first hop asks the second
+  const direct = path.length === 2;
+  const introducerId = direct ? null : path[1];
+  const onwardEdge = direct ? edges[0] : edges[1];
+  const capital = introducerId ? capitalByPerson.get(introducerId) : null;
+  const capitalRemaining = introducerId
+    ? capital?.capitalRemaining ?? getIntroCapitalRemaining(onwardEdge.introCount)
+    : null;
+  const capitalFactor = introducerId ? (1 + capitalRemaining) / 4 : 1;
+
+  const trustRisk = calculateTrustRisk({
+    relationship: onwardEdge,
+    pathLength: edges.length,
+    introsLast90Days: capital?.introsLast90Days ?? onwardEdge.introCount,
+    targetPerson: personOf(path[path.length - 1]),
+    introducer: introducerId ? personOf(introducerId) : personOf(path[0]),
+    introSuccessRate: capital?.conversionRate,
+    now
+  });
+  const trustFactor = 1 - trustRisk.trustRiskScore / 100;
+
+  const score = Math.round(strength * capitalFactor * trustFactor * 10000) / 100;
+  const explain = [
+    direct
+      ? `Direct: ${nameOf(path[0])} knows ${nameOf(path[1])}.`
+      : `${nameOf(introducerId)} introduces (${capitalRemaining} ${capitalRemaining === 1 ? 'ask' : 'asks'} of intro capital left).`,
+    ...edgeDetails.map(e => e.explain),
+    `Trust risk: ${trustRisk.trustRiskBand} (${trustRisk.trustRiskScore}/100).`
+  ];
+
+  return {
+    id: path.join('>'),
+    path,
+    names: path.map(nameOf),
+    hops: edges.length,
+    score,
+    factors: {
+      strength: Math.round(strength * 100) / 100,
+      capital: capitalFactor,
+      trust: Math.round(trustFactor * 100) / 100
+    },
+    introducer: introducerId
+      ? { personId: introducerId, name: nameOf(introducerId), capitalRemaining, reputation: capital?.reputation ?? null }
+      : null,
+    trustRisk: {
+      score: trustRisk.trustRiskScore,
+      band: trustRisk.trustRiskBand,
+      reasons: trustRisk.trustRiskReason
+    },
+    edges: edgeDetails.map(({ weight, ...edge }) => edge),
+    explain
+  };
+}
+
+// =============================================================================
+// SEARCH
+// =============================================================================
+
+/**
+ * The k best intro paths to a person or firm.
+ *
+ * @param {Object} params
+ * @param {string[]} params.fromPersonIds - People asking (partner, founders)
+ * @param {string} params.to - Target person id, or a firm/org id (any person there)
+ * @param {Object[]} params.people
+ * @param {Object[]} params.relationships
+ * @param {Object[]} [params.introCapital] - From buildIntroCapital
+ * @param {number} [params.k]
+ * @param {number} [params.maxHops] - Capped at MAX_SEARCH_HOPS
+ * @param {Date} [params.now]
+ * @returns {{ targets: string[], paths: Object[], considered: number }}
+ */
+export function findIntroPaths({
+  fromPersonIds,
+  to,
+  people = [],
+  relationships = [],
+  introCapital = [],
+  k = DEFAULT_K,
+  maxHops = ASSUMPTIONS.introMaxPathDepth,
+  now = new Date()
+}) {
+  const peopleById = new Map(people.map(p => [p.id, p]));
+  const personOf = (id) => peopleById.get(id) || { id };
+  const nameOf = (id) => {
+    const p = peopleById.get(id);
+    return p?.name || [p?.fn, p?.ln].filter(Boolean).join(' ') || id;
+  };
+
+  const sources = new Set(fromPersonIds);
+  const targets = (peopleById.has(to) ? [to] : people.filter(p => (p.orgId ?? p.org) === to).map(p => p.id))
+    .filter(id => !sources.has(id));
+  if (targets.length === 0 || sources.size === 0) return { targets, paths: [], considered: 0 };
+
+  const capitalByPerson = new Map(introCapital.map(c => [c.personId, c]));
+
+  const hops = Math.max(1, Math.min(maxHops, MAX_SEARCH_HOPS));
+  const found = enumeratePaths(buildAdjacency(relationships), [...sources].sort(), new Set(targets), hops);
+  const paths = found
+    .map(p => scorePath(p, { nameOf, personOf, capitalByPerson, now }))
+    .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id))
+    .slice(0, Math.max(1, k));
+
+  return { targets, paths, considered: found.length };
+}
+
+export default {
+  DEFAULT_K,
+  MAX_SEARCH_HOPS,
+  normalizeEdge,
+  findIntroPaths
+};
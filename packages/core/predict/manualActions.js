@@ -0,0 +1,185 @@
+/**
+ * manualActions.js – Partner-Defined Actions
+ *
+ * A partner adds an action by recording a `created` event whose
+ * payload.manual holds the definition (raw input only):
+ *
+ *   { manualId, title, entityRef: { type, id }, resolutionId?, steps?, goalIds?, note? }
+ *
+ * The actionId is generateActionId over a MANUAL source keyed by manualId,
+ * so the definition event and every later lifecycle event share it.
+ * Candidates built here carry no impact: the engine attaches one through
+ * attachCompanyImpactModels and ranks them with generated actions.
+ *
+ * INVARIANT: Definitions live only in events. Impact, rank and scores are
+ *            recomputed every run, never stored.
+ *
+ * @module predict/manualActions
+ */
+
+import { createAction, generateActionId } from './actionSchema.js';
+import { RESOLUTIONS } from './resolutions.js';
+import { PREVENTATIVE_RESOLUTIONS, GOAL_RESOLUTIONS, getAnyResolution } from './actionCandidates.js';
+import { ACTION_TEMPLATES, getGoalActionResolution } from './goalActions.js';
+import { OPPORTUNITY_RESOLUTIONS } from './opportunityActions.js';
+import { FOLLOWUP_RESOLUTIONS } from './followup.js';
+
+// Entities a partner can attach an action to (each resolves to a company)
+export const MANUAL_ENTITY_TYPES = ['company', 'deal', 'person'];
+
+const COLLECTIONS = { company: 'companies', deal: 'deals', person: 'people' };
+
+// =============================================================================
+// TEMPLATES + ENTITIES
+// =============================================================================
+
+/**
+ * Every resolution template a partner can pick, with its default steps.
+ * @returns {{ resolutionId: string, title: string, steps: string[], defaultEffort: number|null }[]}
+ */
+export function listResolutionTemplates() {
+  const fromLibrary = [RESOLUTIONS, PREVENTATIVE_RESOLUTIONS, GOAL_RESOLUTIONS, OPPORTUNITY_RESOLUTIONS, FOLLOWUP_RESOLUTIONS]
+    .flatMap(library => Object.values(library));
+  const fromGoalActions = Object.keys(ACTION_TEMPLATES).map(getGoalActionResolution);
+
+  const seen = new Set();
+  const templates = [];
+  for (const r of [...fromLibrary, ...fromGoalActions]) {
+    if (!r?.resolutionId || seen.has(r.resolutionId)) continue;
+    seen.add(r.resolutionId);
+    templates.push({
+      resolutionId: r.resolutionId,
+      title: r.title,
+      steps: r.actionSteps || [],
+      defaultEffort: r.defaultEffort ?? null
+    });
+  }
+  return templates;
+}
+
+/**
+ * Raw entity and its company (null for people outside the portfolio) for an entityRef.
+ * @returns {{ entity: Object, company: Object|null }|null}
+ */
+export function resolveManualEntity(entityRef, rawData) {
+  const collection = COLLECTIONS[entityRef?.type];
+  const entity = collection && (rawData[collection] || []).find(e => e.id === entityRef.id);
+  if (!entity) return null;
+  return { entity, company: (rawData.companies || []).find(c => c.id === companyIdOf(entityRef.type, entity)) || null };
+}
+
+// People belong to a company only when their org is one (firm people have none)
+function companyIdOf(type, entity) {
+  if (type === 'company') return entity.id;
+  if (type === 'person') return entity.orgType === 'company' ? entity.orgId || entity.org : null;
+  return entity.companyId;
+}
+
+function entityName(entity) {
+  if (entity.fn || entity.ln) return [entity.fn, entity.ln].filter(Boolean).join(' ');
+  return entity.name || entity.companyName || entity.id;
+}
+
+// =============================================================================
+// DEFINITION
+// =============================================================================
+
+function manualSource(definition) {
+  return {
+    sourceType: 'MANUAL',
+    note: definition.note || definition.title,
+    manualId: definition.manualId,
+    goalIds: definition.goalIds || []
+  };
+}
+
+/**
+ * Deterministic actionId of a manual definition.
+ * @param {Object} definition - payload.manual
+ * @returns {string}
+ */
+export function manualActionId(definition) {
+  return generateActionId({
+    entityRef: definition.entityRef,
+    resolutionId: definition.resolutionId || null,
+    sources: [manualSource(definition)]
+  });
+}
+
+/**
+ * Check a definition against raw data: the entity exists, the template is
+ * known, there is something to do, and linked goals belong to the company.
+ *
+ * @param {Object} definition
+ * @param {Object} rawData
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateManualDefinition(definition, rawData) {
+  const errors = [];
+  const { title, entityRef, resolutionId, steps = [], goalIds = [] } = definition || {};
+
+  if (typeof title !== 'string' || !title.trim()) errors.push('title required');
+  const knownType = MANUAL_ENTITY_TYPES.includes(entityRef?.type);
+  const resolved = knownType ? resolveManualEntity(entityRef, rawData) : null;
+  if (!knownType) errors.push(`entityRef.type must be one of: ${MANUAL_ENTITY_TYPES.join(', ')}`);
+  else if (!resolved) errors.push(`Unknown ${entityRef.type}: ${entityRef.id}`);
+  if (resolutionId && !getAnyResolution(resolutionId)) errors.push(`Unknown resolution template: ${resolutionId}`);
+  if (!resolutionId && steps.length === 0) errors.push('resolutionId or steps required');
+
+  const companyId = resolved?.company?.id;
+  if (resolved && !companyId && goalIds.length > 0) errors.push('Goals can only be linked when the entity belongs to a company');
+  for (const goalId of goalIds) {
+    const goal = (rawData.goals || []).find(g => g.id === goalId);
+    if (!goal) errors.push(`Unknown goal: ${goalId}`);
+    else if (companyId && goal.companyId !== companyId) errors.push(`Goal ${goalId} belongs to another company`);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+// =============================================================================
+// CANDIDATES
+// =============================================================================
+
+/**
+ * Manual action candidates (no impact yet) from `created` events.
+ * Events whose actionId does not match their definition, or whose entity
+ * is gone from raw data, are skipped.
+ *
+ * @param {Object[]} events - Canonical action events
+ * @param {Object} rawData
+ * @returns {Object[]} candidates, each with companyId for impact context
+ */
+export function buildManualActions(events = [], rawData = {}) {
+  const candidates = new Map();
+  for (const event of events) {
+    const definition = event.eventType === 'created' ? event.payload?.manual : null;
+    if (!definition || candidates.has(event.actionId)) continue;
+    if (manualActionId(definition) !== event.actionId) continue;
+    const resolved = resolveManualEntity(definition.entityRef, rawData);
+    if (!resolved) continue;
+
+    const resolution = definition.resolutionId ? getAnyResolution(definition.resolutionId) : null;
+    const { entity, company } = resolved;
+    candidates.set(event.actionId, createAction({
+      entityRef: { ...definition.entityRef, name: entityName(entity) },
+      title: definition.title,
+      sources: [manualSource(definition)],
+      resolutionId: definition.resolutionId || null,
+      steps: definition.steps?.length ? definition.steps : resolution?.actionSteps || [],
+      createdAt: event.timestamp,
+      companyId: company?.id || null,
+      createdBy: event.actor
+    }));
+  }
+  return [...candidates.values()];
+}
+
+export default {
+  MANUAL_ENTITY_TYPES,
+  listResolutionTemplates,
+  resolveManualEntity,
+  manualActionId,
+  validateManualDefinition,
+  buildManualActions
+};
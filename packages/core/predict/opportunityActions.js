@@ -0,0 +1,139 @@
+/**
+ * opportunityActions.js – OPPORTUNITY Candidates → Rankable Actions
+ *
+ * opportunityCandidates.js produces positive-sum suggestions with a source
+ * (opportunityClass + rationale) but no resolution. This module gives each
+ * opportunity class a resolution template, so impact (actionImpact.js),
+ * steps and UI categories work the same as for every other action:
+ *
+ *   relationship_leverage  → LEVERAGE_RELATIONSHIP
+ *   timing_window          → CAPTURE_TIMING_WINDOW
+ *   cross_entity_synergy   → BROKER_PORTFOLIO_SYNERGY
+ *   goal_acceleration      → APPLY_GOAL_ACCELERATOR
+ *   optionality_builder    → BUILD_OPTIONALITY
+ *
+ * The linked goal moves onto the source (source.goalId), as for GOAL actions.
+ *
+ * INVARIANT: Conversion adds definitions only. Impact is attached downstream.
+ *
+ * @module predict/opportunityActions
+ */
+
+import { createAction } from './actionSchema.js';
+import { OPPORTUNITY_CLASSES } from './opportunityCandidates.js';
+
+// =============================================================================
+// RESOLUTIONS
+// =============================================================================
+
+export const OPPORTUNITY_RESOLUTIONS = {
+  LEVERAGE_RELATIONSHIP: {
+    resolutionId: 'LEVERAGE_RELATIONSHIP',
+    title: 'Request warm intro through network',
+    defaultEffort: 1,
+    defaultImpact: 0.55,
+    effectiveness: 0.55,
+    actionSteps: [
+      'Confirm the target is relevant to the goal',
+      'Ask the introducer for a double opt-in intro',
+      'Send a short forwardable blurb',
+      'Follow up within 48 hours of the intro'
+    ]
+  },
+  CAPTURE_TIMING_WINDOW: {
+    resolutionId: 'CAPTURE_TIMING_WINDOW',
+    title: 'Act before the window closes',
+    defaultEffort: 2,
+    defaultImpact: 0.5,
+    effectiveness: 0.5,
+    actionSteps: [
+      'Confirm the window date and requirements',
+      'Prepare the application or outreach',
+      'Submit or reach out before the deadline',
+      'Log the result'
+    ]
+  },
+  BROKER_PORTFOLIO_SYNERGY: {
+    resolutionId: 'BROKER_PORTFOLIO_SYNERGY',
+    title: 'Connect portfolio companies',
+    defaultEffort: 1,
+    defaultImpact: 0.45,
+    effectiveness: 0.45,
+    actionSteps: [
+      'Check fit with both founders',
+      'Make a double opt-in intro',
+      'Suggest a concrete first project',
+      'Check in after two weeks'
+    ]
+  },
+  APPLY_GOAL_ACCELERATOR: {
+    resolutionId: 'APPLY_GOAL_ACCELERATOR',
+    title: 'Apply a goal accelerator',
+    defaultEffort: 3,
+    defaultImpact: 0.55,
+    effectiveness: 0.55,
+    actionSteps: [
+      'Review the accelerator with the founder',
+      'Agree on a small first experiment',
+      'Run it for two weeks',
+      'Measure the goal delta'
+    ]
+  },
+  BUILD_OPTIONALITY: {
+    resolutionId: 'BUILD_OPTIONALITY',
+    title: 'Build future optionality',
+    defaultEffort: 1,
+    defaultImpact: 0.4,
+    effectiveness: 0.4,
+    actionSteps: [
+      'Pick a low-cost reason to reconnect',
+      'Reach out before the need is urgent',
+      'Note what the relationship could unlock',
+      'Schedule the next touchpoint'
+    ]
+  }
+};
+
+const RESOLUTION_BY_CLASS = {
+  [OPPORTUNITY_CLASSES.RELATIONSHIP_LEVERAGE]: 'LEVERAGE_RELATIONSHIP',
+  [OPPORTUNITY_CLASSES.TIMING_WINDOW]: 'CAPTURE_TIMING_WINDOW',
+  [OPPORTUNITY_CLASSES.CROSS_ENTITY_SYNERGY]: 'BROKER_PORTFOLIO_SYNERGY',
+  [OPPORTUNITY_CLASSES.GOAL_ACCELERATION]: 'APPLY_GOAL_ACCELERATOR',
+  [OPPORTUNITY_CLASSES.OPTIONALITY_BUILDER]: 'BUILD_OPTIONALITY'
+};
+
+// =============================================================================
+// CONVERSION
+// =============================================================================
+
+/**
+ * Turn opportunity candidates into action candidates ready for
+ * attachCompanyImpactModels. Candidates of unknown class are dropped.
+ *
+ * @param {Object[]} candidates - From opportunityCandidates.js
+ * @returns {Object[]}
+ */
+export function toOpportunityActions(candidates = []) {
+  const actions = [];
+  for (const candidate of candidates) {
+    const { actionId, sources, goalId, impact, ...definition } = candidate;
+    const source = sources?.[0];
+    const resolution = OPPORTUNITY_RESOLUTIONS[RESOLUTION_BY_CLASS[source?.opportunityClass]];
+    if (!resolution) continue;
+
+    actions.push(createAction({
+      ...definition,
+      sources: [{ ...source, ...(goalId && { goalId }) }, ...sources.slice(1)],
+      resolutionId: resolution.resolutionId,
+      steps: definition.steps?.length ? definition.steps : resolution.actionSteps,
+      companyId: definition.entityRef?.type === 'company' ? definition.entityRef.id : null,
+      ...(goalId && { goalId })
+    }));
+  }
+  return actions;
+}
+
+export default {
+  OPPORTUNITY_RESOLUTIONS,
+  toOpportunityActions
+};
@@ -173,7 +173,7 @@ function scorePath(path, relationships) {
 /**
  * Check if a path is "obvious" (1-hop to frequent contact)
  */
-function isObviousPath(pathData, relationships) {
+function isObviousPath(pathData, relationships, now = new Date()) {
   if (pathData.relationships.length > 1) return false; // Multi-hop is not obvious
   
   const rel = pathData.relationships[0];
@@ -181,7 +181,7 @@ function isObviousPath(pathData, relationships) {
   
   // Check last touch - if within 30 days, it's obvious
   if (rel.lastTouchAt) {
-    const daysSinceTouch = daysBetween(new Date(rel.lastTouchAt), new Date());
+    const daysSinceTouch = daysBetween(new Date(rel.lastTouchAt), now);
     if (daysSinceTouch < 30) return true;
   }
   
@@ -326,7 +326,7 @@ export function generateRelationshipLeverageOpportunities({
       });
       
       // Skip if path is too obvious
-      if (isObviousPath(bestPath, relationships)) continue;
+      if (isObviousPath(bestPath, relationships, now)) continue;
       
       // Get introducer info
       const introducerId = bestPath.sourceId;
@@ -444,6 +444,7 @@ export function generateTimingWindowOpportunities({
         opportunityRationale: `${event.name} on ${event.date} aligns with ${relevantGoals[0].name}. ` +
           `Deadline in ${daysUntil} days.`,
         timingWindowType: event.type || TIMING_WINDOW_TYPES.CONFERENCE,
+        eventId: event.id || event.name,
         daysUntilWindow: daysUntil,
         urgency,
       }],
@@ -760,9 +761,8 @@ export function generateGoalAccelerationOpportunities({
 // 5. OPTIONALITY BUILDER OPPORTUNITIES
 // ═══════════════════════════════════════════════════════════════
 
-function findDormantValuableRelationships(company, relationships, goals, people = []) {
+function findDormantValuableRelationships(company, relationships, goals, people = [], now = new Date()) {
   const dormant = [];
-  const now = new Date();
   const coldThreshold = ASSUMPTIONS.relationshipColdThreshold;
   
   // Get person IDs associated with company
@@ -836,11 +836,11 @@ export function generateOptionalityBuilderOpportunities({
   
   // Relationship warming
   const dormantRelationships = findDormantValuableRelationships(
-    company, relationships, goals, people
+    company, relationships, goals, people, now
   );
   
   for (const rel of dormantRelationships) {
-    const monthsToLikelyNeed = estimateMonthsToNeed(rel, goals);
+    const monthsToLikelyNeed = estimateMonthsToNeed(rel, goals, now);
     const timeDiscount = computeOptionalityDiscount(monthsToLikelyNeed);
     
     // Skip if time discount makes this negligible
@@ -906,7 +906,7 @@ export function generateOptionalityBuilderOpportunities({
   return opportunities;
 }
 
-function estimateMonthsToNeed(relationship, goals) {
+function estimateMonthsToNeed(relationship, goals, now = new Date()) {
   // Simple heuristic: if there's an active goal of relevant type, need is soon
   const relevantGoal = goals.find(g =>
     g.type === relationship.relevantGoalType && g.status === 'active'
@@ -914,7 +914,7 @@ function estimateMonthsToNeed(relationship, goals) {
   
   if (relevantGoal) {
     if (relevantGoal.due) {
-      return Math.max(0, monthsUntil(relevantGoal.due, new Date()) - 1);
+      return Math.max(0, monthsUntil(relevantGoal.due, now) - 1);
     }
     return 3; // Active goal, assume 3 months
   }
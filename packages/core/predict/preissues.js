@@ -52,6 +52,7 @@ export const PREISSUE_TYPES = {
 
   // A3: Meeting-derived preissues
   MEETING_RISK: 'MEETING_RISK',
+  MEETING_COMMITMENT_OVERDUE: 'MEETING_COMMITMENT_OVERDUE',
 
   // Phase 5.3: Pre-issue heuristics (from design contract)
   RUNWAY_COMPRESSION_RISK: 'RUNWAY_COMPRESSION_RISK',
@@ -105,6 +106,9 @@ function getIrreversibility(preIssueType, preissue = {}) {
       return 0.6;
     case PREISSUE_TYPES.LEAD_VACANCY:
       return 0.7;
+    case PREISSUE_TYPES.MEETING_COMMITMENT_OVERDUE:
+      // Our own broken promises cost more trust than theirs
+      return preissue.evidence?.direction === 'we_owe' ? 0.6 : 0.4;
     default:
       return 0.5;
   }
@@ -147,6 +151,7 @@ function stampSpecFields(preissue) {
     [PREISSUE_TYPES.RELATIONSHIP_COOLING]: 30,
     [PREISSUE_TYPES.CONNECTION_DORMANT]: 25,
     [PREISSUE_TYPES.MEETING_RISK]: 35,
+    [PREISSUE_TYPES.MEETING_COMMITMENT_OVERDUE]: 45,
   };
   const impactMagnitude = IMPACT_MAGNITUDE_BY_TYPE[preissue.preIssueType] || 50;
 
@@ -282,6 +287,7 @@ function computeCostOfDelay(daysUntilEscalation, preIssueType) {
     [PREISSUE_TYPES.CONNECTION_DORMANT]: 0.6,
     // Meeting
     [PREISSUE_TYPES.MEETING_RISK]: 0.8,
+    [PREISSUE_TYPES.MEETING_COMMITMENT_OVERDUE]: 1.1,
   };
 
   costMultiplier *= (typeMultiplier[preIssueType] || 1.0);
@@ -336,6 +342,7 @@ function computeCostAtDays(days, preIssueType) {
     [PREISSUE_TYPES.CONNECTION_DORMANT]: 0.6,
     // Meeting
     [PREISSUE_TYPES.MEETING_RISK]: 0.8,
+    [PREISSUE_TYPES.MEETING_COMMITMENT_OVERDUE]: 1.1,
   };
 
   return Math.round(cost * (typeMultiplier[preIssueType] || 1.0) * 100) / 100;
@@ -994,6 +1001,39 @@ function detectDataBlindspotRisk(company, { snapshot, now }) {
   };
 }
 
+/**
+ * Overdue meeting commitment: a promise made in a meeting is past its due date.
+ * Likelihood of trust damage is higher when we owe it; the window to repair
+ * shrinks the longer it stays overdue.
+ */
+function detectCommitmentOverduePreIssue(company, commitment, now) {
+  const { id, text, owner, direction, dueDate, daysOverdue, meetingId } = commitment;
+  const likelihood = direction === 'we_owe' ? 0.8 : direction === 'they_owe' ? 0.6 : 0.5;
+  const timeToBreachDays = Math.max(1, 14 - daysOverdue);
+  const preissue = {
+    preIssueId: `preissue-commitment-${id}`,
+    preIssueType: PREISSUE_TYPES.MEETING_COMMITMENT_OVERDUE,
+    entityRef: { type: 'company', id: company.id },
+    companyId: company.id,
+    companyName: company.name,
+    title: `Overdue commitment: ${text}`,
+    likelihood,
+    timeToBreachDays,
+    explain: [
+      `${owner.name || 'Unassigned'} committed to "${text}" by ${dueDate}`,
+      `${daysOverdue} day(s) overdue (${direction.replace('_', ' ')})`
+    ],
+    evidence: { source: 'meeting', commitmentId: id, meetingId, direction, dueDate, daysOverdue },
+    preventativeActions: [],
+    detectedAt: now.toISOString()
+  };
+  return {
+    ...preissue,
+    escalation: computeEscalationWindow(preissue, now),
+    costOfDelay: computeCostOfDelay(timeToBreachDays, preissue.preIssueType)
+  };
+}
+
 // =============================================================================
 // MAIN DERIVATION
 // =============================================================================
@@ -1001,7 +1041,7 @@ function detectDataBlindspotRisk(company, { snapshot, now }) {
 /**
  * Derive pre-issues for a company
  */
-export function deriveCompanyPreIssues(company, goalTrajectories, runwayData, now, meetings = null, { snapshot, params } = {}) {
+export function deriveCompanyPreIssues(company, goalTrajectories, runwayData, now, meetings = null, { snapshot, params, commitments = [] } = {}) {
   const preissues = [];
   // Max one per entity per heuristic — track seen types
   const seenHeuristics = new Set();
@@ -1040,6 +1080,12 @@ export function deriveCompanyPreIssues(company, goalTrajectories, runwayData, no
     }
   }
 
+  // Overdue meeting commitments (derive/commitments.js)
+  for (const commitment of commitments) {
+    if (commitment.status !== 'overdue') continue;
+    preissues.push(stampSpecFields(detectCommitmentOverduePreIssue(company, commitment, now)));
+  }
+
   // Phase 5.3: Pre-issue heuristics (max one per entity per heuristic)
   const stageParams = params || getStageParams(company.stage);
 
@@ -176,6 +176,8 @@ function getReputationalPenalty({ introducerRole, relationshipStrength, introSuc
  * @param {Object} company - the company needing the intro
  * @param {Object} introducer - the person making the intro
  * @param {Date|string} now - current date for recency calculation
+ * @param {number} [introSuccessRate] - introducer's conversion from the intro ledger;
+ *   overrides the relationship edge's introSuccessCount / introCount
  */
 export function calculateTrustRisk({
   relationship,
@@ -185,7 +187,8 @@ export function calculateTrustRisk({
   goal = {},
   company = {},
   introducer = {},
-  now = new Date()
+  now = new Date(),
+  introSuccessRate: ledgerSuccessRate
 }) {
   const reasons = [];
   let totalPenalty = 0;
@@ -239,9 +242,9 @@ export function calculateTrustRisk({
   reasons.push(...fitResult.reasons);
 
   // 6. Reputational asymmetry
-  const introSuccessRate = relationship?.introCount > 0
+  const introSuccessRate = ledgerSuccessRate ?? (relationship?.introCount > 0
     ? (relationship.introSuccessCount ?? 0) / relationship.introCount
-    : undefined;
+    : undefined);
   
   const reputationalResult = getReputationalPenalty({
     introducerRole: introducer?.role,
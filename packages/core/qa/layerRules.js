@@ -0,0 +1,38 @@
+/**
+ * layerRules.js – Canonical Layer Dependency Rules
+ *
+ * Single source for which layer may depend on which.
+ * Used by Gate 1 (file imports) and the node registry (DAG node deps).
+ *
+ * Layer order: raw < derive < predict < decide < runtime
+ * qa/* may import: raw/*, derive/*, qa/*
+ * No upward dependencies.
+ *
+ * @module layerRules
+ */
+
+export const LAYER_ORDER = ['raw', 'derive', 'predict', 'decide', 'runtime'];
+
+export const ALLOWED_LAYER_IMPORTS = {
+  'raw': ['raw'],
+  'derive': ['raw', 'derive'],
+  'predict': ['raw', 'derive', 'predict'],
+  'decide': ['raw', 'derive', 'predict', 'decide'],
+  'runtime': ['raw', 'derive', 'predict', 'decide', 'runtime', 'qa'],
+  'qa': ['raw', 'derive', 'qa']
+};
+
+/**
+ * @param {string} fromLayer
+ * @param {string} toLayer
+ * @returns {boolean}
+ */
+export function isLayerDependencyAllowed(fromLayer, toLayer) {
+  return (ALLOWED_LAYER_IMPORTS[fromLayer] || []).includes(toLayer);
+}
+
+export default {
+  LAYER_ORDER,
+  ALLOWED_LAYER_IMPORTS,
+  isLayerDependencyAllowed
+};
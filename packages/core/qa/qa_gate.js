@@ -32,7 +32,10 @@ import { readFileSync, readdirSync, existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { FORBIDDEN_DERIVED_FIELDS } from './forbidden.js';
+import { LAYER_ORDER, ALLOWED_LAYER_IMPORTS } from './layerRules.js';
 import { loadRawData as loadFromChunks } from '../raw/loadRawData.js';
+import { VALID_EVENT_TYPES, VALID_OUTCOMES, isReviewEvent } from '../raw/actionEventsSchema.js';
+import { validateLifecycleEvents } from '../derive/actionLifecycle.js';
 
 // =============================================================================
 // SETUP
@@ -123,20 +126,13 @@ function loadActionEvents() {
 /**
  * Layer order: raw < derive < predict < decide < runtime
  * qa/* may import: raw/*, derive/*, qa/*
- * No upward imports.
+ * No upward imports. Rules live in layerRules.js (shared with the node registry).
  */
 function checkLayerImports() {
-  const layerOrder = ['raw', 'derive', 'predict', 'decide', 'runtime'];
+  const layerOrder = LAYER_ORDER;
   const errors = [];
 
-  const allowedImports = {
-    'raw': ['raw'],
-    'derive': ['raw', 'derive'],
-    'predict': ['raw', 'derive', 'predict'],
-    'decide': ['raw', 'derive', 'predict', 'decide'],
-    'runtime': ['raw', 'derive', 'predict', 'decide', 'runtime', 'qa'],
-    'qa': ['raw', 'derive', 'qa']
-  };
+  const allowedImports = ALLOWED_LAYER_IMPORTS;
 
   const layerDirs = [...layerOrder, 'qa'].filter(l => existsSync(join(ROOT, l)));
 
@@ -532,11 +528,6 @@ function checkRankingTrace(rankedActions, context) {
 
 const ACTION_EVENTS_PATH = join(ROOT, 'raw', 'actionEvents.json');
 
-const VALID_EVENT_TYPES = [
-  'created', 'assigned', 'started', 'completed',
-  'outcome_recorded', 'followup_created', 'note_added'
-];
-const VALID_OUTCOMES = ['success', 'partial', 'failed', 'abandoned'];
 
 const FORBIDDEN_EVENT_PAYLOAD_KEYS = [
   'rankScore', 'expectedNetImpact', 'impactScore', 'rippleScore',
@@ -598,7 +589,7 @@ function checkActionEventsAndPurity(events, actions) {
 
     // Outcome validation
     if (ev.eventType === 'outcome_recorded' && ev.payload) {
-      if (!VALID_OUTCOMES.includes(ev.payload.outcome)) {
+      if (ev.payload.outcome !== undefined && !VALID_OUTCOMES.includes(ev.payload.outcome)) {
         errors.push(`Event[${i}] invalid outcome: ${ev.payload.outcome}`);
       }
     }
@@ -614,8 +605,8 @@ function checkActionEventsAndPurity(events, actions) {
     }
     if (ev.id) seenIds.add(ev.id);
 
-    // Referential integrity
-    if (actionIds && ev.actionId && !actionIds.has(ev.actionId)) {
+    // Referential integrity (review events key reviewed items, not actions)
+    if (actionIds && ev.actionId && !isReviewEvent(ev) && !actionIds.has(ev.actionId)) {
       errors.push(`Event[${i}] references unknown action: ${ev.actionId}`);
     }
 
@@ -629,6 +620,10 @@ function checkActionEventsAndPurity(events, actions) {
     }
   }
 
+  // 7c: Lifecycle — every event written since the v2 cut-over is a legal
+  // transition (HC5); older ledger events are replayed but not judged
+  errors.push(...validateLifecycleEvents(events, { stampedOnly: true }).errors);
+
   return { valid: errors.length === 0, errors };
 }
 
@@ -961,7 +956,7 @@ const VALID_PREISSUE_TYPES = new Set([
   'DEAL_MOMENTUM_LOSS', 'COMMITMENT_AT_RISK',
   'ROUND_STALL', 'LEAD_VACANCY', 'COVERAGE_GAP',
   'CHAMPION_DEPARTURE', 'RELATIONSHIP_COOLING',
-  'CONNECTION_DORMANT', 'MEETING_RISK',
+  'CONNECTION_DORMANT', 'MEETING_RISK', 'MEETING_COMMITMENT_OVERDUE',
   'RUNWAY_COMPRESSION_RISK', 'GOAL_FEASIBILITY_RISK', 'DEPENDENCY_RISK',
   'TIMING_WINDOW_RISK', 'DATA_BLINDSPOT_RISK',
 ]);
@@ -0,0 +1,173 @@
+/**
+ * raw/actionEvent.js — Canonical Action Event Model
+ *
+ * One event shape shared by the UI event store and the engine:
+ *
+ *   { id, actionId, eventType, timestamp, actor, payload, entityId?, schemaVersion }
+ *
+ * Schema versions:
+ *   1 — UI event store shape: `type` instead of `eventType`, no actor,
+ *       no schemaVersion (e.g. { type: 'skipped', ... })
+ *   2 — Canonical shape above (core ledger events without schemaVersion
+ *       are already v2 in all but the version stamp)
+ *
+ * Writers build events with createActionEvent() and check them with
+ * assertValidActionEvent(). Readers pass stored events through
+ * migrateActionEvent() / toEngineEvents(), so v1 events still count.
+ *
+ * INVARIANT: Migration is pure; it never drops payload fields.
+ * INVARIANT: Field rules live in actionEventsSchema.js; this module only
+ *            shapes, versions and gates events.
+ *
+ * @module raw/actionEvent
+ */
+
+import { validateActionEvent, VALID_EVENT_TYPES } from './actionEventsSchema.js';
+
+// =============================================================================
+// SCHEMA CONSTANTS
+// =============================================================================
+
+export const ACTION_EVENT_SCHEMA_VERSION = 2;
+
+// Actor stamped on v1 events, which never recorded one
+export const DEFAULT_ACTOR = 'backbone-user';
+
+export { VALID_EVENT_TYPES };
+
+// =============================================================================
+// CREATE
+// =============================================================================
+
+function newEventId() {
+  return `evt_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+}
+
+/**
+ * Build a canonical (current-version) event.
+ *
+ * @param {Object} fields
+ * @param {string} fields.actionId
+ * @param {string} fields.eventType - One of VALID_EVENT_TYPES
+ * @param {string} [fields.entityId]
+ * @param {string} [fields.actor] - Defaults to DEFAULT_ACTOR
+ * @param {string} [fields.timestamp] - ISO 8601; defaults to now
+ * @param {Object} [fields.payload]
+ * @param {string} [fields.id] - Defaults to a fresh evt_ id
+ * @returns {Object}
+ */
+export function createActionEvent({ actionId, eventType, entityId = null, actor, timestamp, payload = {}, id }) {
+  return {
+    id: id || newEventId(),
+    actionId,
+    entityId,
+    eventType,
+    actor: actor || DEFAULT_ACTOR,
+    timestamp: timestamp || new Date().toISOString(),
+    payload,
+    schemaVersion: ACTION_EVENT_SCHEMA_VERSION
+  };
+}
+
+// =============================================================================
+// MIGRATION
+// =============================================================================
+
+/**
+ * Upgrade a stored event of any known version to the canonical shape.
+ * Already-current events come back unchanged (same object).
+ *
+ * @param {Object} event
+ * @returns {Object}
+ */
+export function migrateActionEvent(event) {
+  if (!event || typeof event !== 'object') return event;
+  if (event.schemaVersion === ACTION_EVENT_SCHEMA_VERSION) return event;
+
+  const { type, ...rest } = event;
+  const timestamp = rest.timestamp instanceof Date ? rest.timestamp.toISOString() : rest.timestamp;
+  return {
+    ...rest,
+    eventType: rest.eventType || type,
+    actor: rest.actor || DEFAULT_ACTOR,
+    timestamp,
+    payload: rest.payload && typeof rest.payload === 'object' ? rest.payload : {},
+    schemaVersion: ACTION_EVENT_SCHEMA_VERSION
+  };
+}
+
+/**
+ * Migrate a stored event list, reporting what changed and what cannot be saved.
+ *
+ * @param {Object[]} events
+ * @returns {{ events: Object[], migrated: number, invalid: Array<{ index: number, id: string|null, errors: string[] }> }}
+ */
+export function migrateActionEvents(events = []) {
+  let migrated = 0;
+  const invalid = [];
+  const upgraded = events.map((event, index) => {
+    const next = migrateActionEvent(event);
+    if (next !== event) migrated++;
+    const { valid, errors } = validateActionEvent(next || {});
+    if (!valid) invalid.push({ index, id: next?.id || null, errors });
+    return next;
+  });
+  return { events: upgraded, migrated, invalid };
+}
+
+// =============================================================================
+// WRITE GATE
+// =============================================================================
+
+/**
+ * Migrate and validate an event before it is appended to any store.
+ * Throws with `.errors` listing every schema violation.
+ *
+ * @param {Object} event
+ * @returns {Object} Canonical event
+ */
+export function assertValidActionEvent(event) {
+  const canonical = migrateActionEvent(event);
+  const { valid, errors } = validateActionEvent(canonical || {});
+  if (!valid) {
+    const error = new Error(`ACTION_EVENT: invalid event — ${errors.join('; ')}`);
+    error.errors = errors;
+    throw error;
+  }
+  return canonical;
+}
+
+// =============================================================================
+// ENGINE ADAPTER
+// =============================================================================
+
+/**
+ * Events as the engine reads them: canonical shape, invalid events dropped,
+ * first occurrence of each id kept (core ledger and UI store may overlap).
+ *
+ * @param {Object[]} events - Any mix of stored event versions
+ * @returns {Object[]}
+ */
+export function toEngineEvents(events = []) {
+  const seen = new Set();
+  const out = [];
+  for (const event of events) {
+    const canonical = migrateActionEvent(event);
+    if (!validateActionEvent(canonical || {}).valid) continue;
+    if (seen.has(canonical.id)) continue;
+    seen.add(canonical.id);
+    out.push(canonical);
+  }
+  return out;
+}
+
+export default {
+  ACTION_EVENT_SCHEMA_VERSION,
+  DEFAULT_ACTOR,
+  VALID_EVENT_TYPES,
+  createActionEvent,
+  migrateActionEvent,
+  migrateActionEvents,
+  assertValidActionEvent,
+  toEngineEvents
+};
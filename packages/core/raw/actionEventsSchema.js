@@ -6,17 +6,57 @@
  * NO derived fields allowed in events.
  */
 
-const VALID_EVENT_TYPES = [
+import { validateIntroOutcome } from './introOutcome.js';
+import { RAW_METRIC_KEYS, VALID_UNITS } from './metricFactSchema.js';
+
+export const VALID_EVENT_TYPES = [
   'created',
   'assigned',
   'started',
   'completed',
+  'executed',
+  'skipped',
+  'snoozed',
   'outcome_recorded',
   'followup_created',
-  'note_added'
+  'note_added',
+  'intro_outcome',
+  'match_reviewed',
+  'metric_reviewed'
 ];
 
-const VALID_OUTCOMES = ['success', 'partial', 'failed', 'abandoned'];
+export const VALID_OUTCOMES = ['success', 'partial', 'failed', 'abandoned'];
+
+// Partner review decisions share the ledger but are not steps of an action:
+// their actionId keys the reviewed item (meeting-review-*, metric-review-*).
+// Lifecycle replay and referential checks skip them.
+export const REVIEW_EVENT_TYPES = ['match_reviewed', 'metric_reviewed'];
+
+/**
+ * Whether an event records a partner review rather than an action step.
+ * @param {Object} event
+ * @returns {boolean}
+ */
+export function isReviewEvent(event) {
+  return REVIEW_EVENT_TYPES.includes(event?.eventType || event?.type);
+}
+
+// Partner decisions on meeting entity matches (see derive/entityResolution.js)
+export const MATCH_REVIEW_DECISIONS = ['confirm', 'reject'];
+export const MATCH_TARGET_TYPES = ['company', 'person'];
+
+// Partner decisions on metricFacts proposed from meetings (see derive/metricProposals.js)
+export const METRIC_REVIEW_DECISIONS = ['accept', 'edit', 'reject'];
+
+// Manual action definition (payload.manual on `created`, see predict/manualActions.js)
+const MANUAL_DEFINITION_KEYS = ['manualId', 'title', 'entityRef', 'resolutionId', 'steps', 'goalIds', 'note'];
+
+// Snooze conditions (evaluated in derive/snoozeConditions.js): type → required fields
+export const SNOOZE_CONDITION_FIELDS = {
+  constraint: ['companyId'],                 // next matching constraint date passes
+  metric_update: ['companyId', 'metricKey'], // a newer metricFact arrives
+  deal_status: ['dealId']                    // deal status leaves fromStatus
+};
 
 // Derived fields forbidden in event payloads (per NS3)
 const FORBIDDEN_PAYLOAD_KEYS = [
@@ -72,11 +112,15 @@ export function validateActionEvent(event) {
     }
   }
 
-  // Payload validation for outcome_recorded
+  // schemaVersion (raw/actionEvent.js) is optional; legacy ledger events omit it
+  if (event.schemaVersion !== undefined && !Number.isInteger(event.schemaVersion)) {
+    errors.push('schemaVersion must be an integer if provided');
+  }
+
+  // Payload validation for outcome_recorded.
+  // Outcome is optional: UI observations record notes only.
   if (event.eventType === 'outcome_recorded' && event.payload) {
-    if (!event.payload.outcome) {
-      errors.push('outcome_recorded event requires payload.outcome');
-    } else if (!VALID_OUTCOMES.includes(event.payload.outcome)) {
+    if (event.payload.outcome !== undefined && !VALID_OUTCOMES.includes(event.payload.outcome)) {
       errors.push(`Invalid outcome: ${event.payload.outcome}. Must be one of: ${VALID_OUTCOMES.join(', ')}`);
     }
 
@@ -87,6 +131,108 @@ export function validateActionEvent(event) {
     if (event.payload.timeToOutcomeDays !== undefined && typeof event.payload.timeToOutcomeDays !== 'number') {
       errors.push('payload.timeToOutcomeDays must be a number if provided');
     }
+    if (event.payload.timeToImpactDays !== undefined &&
+        (typeof event.payload.timeToImpactDays !== 'number' || event.payload.timeToImpactDays < 0)) {
+      errors.push('payload.timeToImpactDays must be a non-negative number if provided');
+    }
+
+    // Observed metric change: { metricKey, metricFactId?, from?, to? }
+    const { metricChange } = event.payload;
+    if (metricChange !== undefined) {
+      if (!metricChange || typeof metricChange !== 'object' || typeof metricChange.metricKey !== 'string' || !metricChange.metricKey) {
+        errors.push('payload.metricChange requires a metricKey');
+      } else {
+        if (metricChange.metricFactId !== undefined && typeof metricChange.metricFactId !== 'string') {
+          errors.push('payload.metricChange.metricFactId must be a string if provided');
+        }
+        for (const field of ['from', 'to']) {
+          if (metricChange[field] !== undefined && metricChange[field] !== null && typeof metricChange[field] !== 'number') {
+            errors.push(`payload.metricChange.${field} must be a number if provided`);
+          }
+        }
+      }
+    }
+  }
+
+  // Payload validation for assigned (assignee = team member id, null = unassign)
+  if (event.eventType === 'assigned' && event.payload) {
+    const { assignee } = event.payload;
+    if (assignee === undefined) {
+      errors.push('assigned event requires payload.assignee (team member id or null)');
+    } else if (assignee !== null && (typeof assignee !== 'string' || assignee.length === 0)) {
+      errors.push('payload.assignee must be a non-empty string or null');
+    }
+  }
+
+  // Payload validation for created with a manual definition (raw input only)
+  if (event.eventType === 'created' && event.payload?.manual !== undefined) {
+    errors.push(...validateManualDefinitionShape(event.payload.manual));
+  }
+
+  // Payload validation for intro_outcome (full IntroOutcome record, see derive/introLedger.js)
+  if (event.eventType === 'intro_outcome' && event.payload) {
+    const { introOutcome } = event.payload;
+    const result = validateIntroOutcome(introOutcome);
+    errors.push(...result.errors.map(e => `payload.introOutcome: ${e}`));
+    if (result.valid && introOutcome.actionId !== event.actionId) {
+      errors.push('payload.introOutcome.actionId must match event actionId');
+    }
+  }
+
+  // Payload validation for match_reviewed: { meetingId, targetType, targetId, participantIndex?, decision }
+  if (event.eventType === 'match_reviewed' && event.payload) {
+    const { meetingId, targetType, targetId, participantIndex, decision } = event.payload;
+    if (typeof meetingId !== 'string' || !meetingId) errors.push('payload.meetingId must be a non-empty string');
+    if (typeof targetId !== 'string' || !targetId) errors.push('payload.targetId must be a non-empty string');
+    if (!MATCH_TARGET_TYPES.includes(targetType)) {
+      errors.push(`payload.targetType must be one of: ${MATCH_TARGET_TYPES.join(', ')}`);
+    }
+    if (targetType === 'person' && !(Number.isInteger(participantIndex) && participantIndex >= 0)) {
+      errors.push('payload.participantIndex must be a non-negative integer for person matches');
+    }
+    if (!MATCH_REVIEW_DECISIONS.includes(decision)) {
+      errors.push(`payload.decision must be one of: ${MATCH_REVIEW_DECISIONS.join(', ')}`);
+    }
+  }
+
+  // Payload validation for metric_reviewed: { proposalId, decision, value?, unit?, metricKey? }
+  if (event.eventType === 'metric_reviewed' && event.payload) {
+    const { proposalId, decision, value, unit, metricKey } = event.payload;
+    if (typeof proposalId !== 'string' || !proposalId) errors.push('payload.proposalId must be a non-empty string');
+    if (!METRIC_REVIEW_DECISIONS.includes(decision)) {
+      errors.push(`payload.decision must be one of: ${METRIC_REVIEW_DECISIONS.join(', ')}`);
+    }
+    if (decision === 'edit' && value === undefined && unit === undefined && metricKey === undefined) {
+      errors.push('edit requires payload.value, payload.unit or payload.metricKey');
+    }
+    if (value !== undefined && !Number.isFinite(value)) errors.push('payload.value must be a finite number');
+    if (unit !== undefined && !VALID_UNITS.includes(unit)) errors.push(`payload.unit must be one of: ${VALID_UNITS.join(', ')}`);
+    if (metricKey !== undefined && !RAW_METRIC_KEYS.includes(metricKey)) {
+      errors.push(`payload.metricKey must be one of: ${RAW_METRIC_KEYS.join(', ')}`);
+    }
+  }
+
+  // Payload validation for snoozed (until a date, or until a condition clears)
+  if (event.eventType === 'snoozed' && event.payload) {
+    const { until, condition } = event.payload;
+    if (until === undefined && condition === undefined) {
+      errors.push('snoozed event requires payload.until or payload.condition');
+    }
+    if (until !== undefined && (typeof until !== 'string' || isNaN(Date.parse(until)))) {
+      errors.push('payload.until must be an ISO 8601 timestamp');
+    }
+    if (condition !== undefined) {
+      const fields = SNOOZE_CONDITION_FIELDS[condition?.type];
+      if (!fields) {
+        errors.push(`payload.condition.type must be one of: ${Object.keys(SNOOZE_CONDITION_FIELDS).join(', ')}`);
+      } else {
+        for (const field of fields) {
+          if (typeof condition[field] !== 'string' || condition[field].length === 0) {
+            errors.push(`payload.condition.${field} required for ${condition.type} condition`);
+          }
+        }
+      }
+    }
   }
 
   // Forbidden derived keys in payload
@@ -101,6 +247,26 @@ export function validateActionEvent(event) {
   return { valid: errors.length === 0, errors };
 }
 
+function validateManualDefinitionShape(manual) {
+  if (!manual || typeof manual !== 'object') return ['payload.manual must be an object'];
+  const errors = [];
+  for (const key of Object.keys(manual)) {
+    if (!MANUAL_DEFINITION_KEYS.includes(key)) errors.push(`payload.manual.${key} is not a definition field`);
+  }
+  for (const key of ['manualId', 'title']) {
+    if (typeof manual[key] !== 'string' || !manual[key]) errors.push(`payload.manual.${key} required`);
+  }
+  if (typeof manual.entityRef?.type !== 'string' || typeof manual.entityRef?.id !== 'string') {
+    errors.push('payload.manual.entityRef requires type and id');
+  }
+  for (const key of ['steps', 'goalIds']) {
+    if (manual[key] !== undefined && (!Array.isArray(manual[key]) || manual[key].some(v => typeof v !== 'string'))) {
+      errors.push(`payload.manual.${key} must be an array of strings`);
+    }
+  }
+  return errors;
+}
+
 /**
  * Validate entire action events array
  * @param {Object[]} events - Array of events
@@ -142,6 +308,7 @@ export function validateActionEvents(events) {
 
 /**
  * Check referential integrity - all actionIds should reference known actions
+ * (review events key reviewed items, not actions, and are skipped)
  * @param {Object[]} events - Array of events
  * @param {Set<string>} knownActionIds - Set of valid action IDs
  * @returns {{ valid: boolean, orphanedRefs: string[] }}
@@ -150,7 +317,7 @@ export function checkReferentialIntegrity(events, knownActionIds) {
   const orphanedRefs = [];
   
   for (const event of events) {
-    if (event.actionId && !knownActionIds.has(event.actionId)) {
+    if (event.actionId && !isReviewEvent(event) && !knownActionIds.has(event.actionId)) {
       orphanedRefs.push(event.actionId);
     }
   }
@@ -167,5 +334,10 @@ export default {
   checkReferentialIntegrity,
   VALID_EVENT_TYPES,
   VALID_OUTCOMES,
+  REVIEW_EVENT_TYPES,
+  isReviewEvent,
+  MATCH_REVIEW_DECISIONS,
+  MATCH_TARGET_TYPES,
+  SNOOZE_CONDITION_FIELDS,
   FORBIDDEN_PAYLOAD_KEYS
 };
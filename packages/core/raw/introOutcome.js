@@ -31,6 +31,20 @@ export const GHOST_THRESHOLD_DAYS = 14;
 // Days after 'sent' to trigger followup
 export const FOLLOWUP_THRESHOLD_DAYS = 7;
 
+// Window for counting an introducer's recent asks (trust capital spent)
+export const CAPITAL_WINDOW_DAYS = 90;
+
+// Legal next statuses. Steps may be skipped (sent → meeting); nothing moves back.
+export const INTRO_TRANSITIONS = {
+  drafted: ['sent'],
+  sent: ['replied', 'meeting', 'positive', 'negative', 'ghosted'],
+  replied: ['meeting', 'positive', 'negative', 'ghosted'],
+  meeting: ['positive', 'negative'],
+  positive: [],
+  negative: [],
+  ghosted: []
+};
+
 // =============================================================================
 // VALIDATION
 // =============================================================================
@@ -84,18 +98,19 @@ export function validateIntroOutcome(outcome) {
     errors.push('statusUpdatedAt must be an ISO timestamp string');
   }
   
+  // Optional fields may be null (createIntroOutcome defaults)
   // Optional: companyId (which portfolio company this intro is for)
-  if (outcome.companyId !== undefined && typeof outcome.companyId !== 'string') {
+  if (outcome.companyId != null && typeof outcome.companyId !== 'string') {
     errors.push('companyId must be a string if provided');
   }
   
   // Optional: introType (e.g., 'investor', 'customer', 'partner')
-  if (outcome.introType !== undefined && typeof outcome.introType !== 'string') {
+  if (outcome.introType != null && typeof outcome.introType !== 'string') {
     errors.push('introType must be a string if provided');
   }
   
   // Optional: pathType (e.g., 'direct', 'warm', 'second-order')
-  if (outcome.pathType !== undefined && typeof outcome.pathType !== 'string') {
+  if (outcome.pathType != null && typeof outcome.pathType !== 'string') {
     errors.push('pathType must be a string if provided');
   }
   
@@ -188,6 +203,16 @@ export function updateOutcomeStatus(outcome, newStatus, timestamp = new Date().t
   };
 }
 
+/**
+ * Is `from → to` a legal status change?
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return (INTRO_TRANSITIONS[from] || []).includes(to);
+}
+
 // =============================================================================
 // QUERIES
 // =============================================================================
@@ -252,15 +277,58 @@ export function getTerminalOutcomes(outcomes) {
   return outcomes.filter(isTerminal);
 }
 
+/**
+ * Mark stale 'sent' outcomes ghosted, as of GHOST_THRESHOLD_DAYS after sending.
+ * Returns new objects; stored records are never rewritten.
+ * @param {Object[]} outcomes
+ * @param {Date} now
+ * @returns {Object[]}
+ */
+export function applyGhostDetection(outcomes, now = new Date()) {
+  const ghosted = new Set(getGhostedCandidates(outcomes, now));
+  return outcomes.map(o => {
+    if (!ghosted.has(o)) return o;
+    const ghostedAt = new Date(new Date(o.statusUpdatedAt).getTime() + GHOST_THRESHOLD_DAYS * 24 * 60 * 60 * 1000);
+    return { ...updateOutcomeStatus(o, 'ghosted', ghostedAt.toISOString()), autoGhosted: true };
+  });
+}
+
+/**
+ * An introducer's intro history: asks in the last CAPITAL_WINDOW_DAYS
+ * (drafts excluded) and conversion over terminal outcomes.
+ * @param {Object[]} outcomes
+ * @param {string} introducerPersonId
+ * @param {Date} now
+ * @returns {{ total: number, introsLast90Days: number, terminal: number, positive: number, conversionRate: number|undefined }}
+ */
+export function getIntroducerHistory(outcomes, introducerPersonId, now = new Date()) {
+  const cutoff = now.getTime() - CAPITAL_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const asked = getByIntroducer(outcomes, introducerPersonId).filter(o => o.status !== 'drafted');
+  const terminal = getTerminalOutcomes(asked);
+  const positive = terminal.filter(o => o.status === 'positive').length;
+  return {
+    total: asked.length,
+    introsLast90Days: asked.filter(o => new Date(o.createdAt).getTime() >= cutoff).length,
+    terminal: terminal.length,
+    positive,
+    conversionRate: terminal.length > 0 ? positive / terminal.length : undefined
+  };
+}
+
 export default {
   INTRO_STATUSES,
   TERMINAL_STATUSES,
   GHOST_THRESHOLD_DAYS,
   FOLLOWUP_THRESHOLD_DAYS,
+  CAPITAL_WINDOW_DAYS,
+  INTRO_TRANSITIONS,
   validateIntroOutcome,
   validateIntroOutcomes,
   createIntroOutcome,
   updateOutcomeStatus,
+  canTransition,
+  applyGhostDetection,
+  getIntroducerHistory,
   getOutcomesNeedingFollowup,
   getGhostedCandidates,
   isTerminal,
@@ -6,7 +6,13 @@
  * that engine.js and qa_gate.js expect.
  *
  * Shape: { companies: [...], people: [...], firms: [...], rounds: [...],
- *          deals: [...], goals: [...], relationships: [...], meta: {...} }
+ *          deals: [...], goals: [...], relationships: [...], meta: {...},
+ *          meetings: [...], transcripts: Map<meetingId, string> }
+ *
+ * Meetings come from meetings/meetings_manifest.json (same chunk format,
+ * written by .backbone/granola.js); no manifest means no meetings.
+ * Transcripts are a lazy, size-limited store (raw/transcriptStore.js):
+ * text is read on first get(), not here.
  *
  * Works in Node.js (fs-based). For browser/UI, data is passed via rawData prop.
  *
@@ -16,26 +22,22 @@
 import { readFileSync, existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { createTranscriptStore } from './transcriptStore.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const CHUNKS_DIR = join(__dirname, 'chunks');
+const MEETINGS_DIR = join(__dirname, 'meetings');
 
 /**
- * Load and reassemble raw data from chunks.
- * @returns {Object} Full raw dataset
+ * Read every chunk listed in a manifest into `data`, keyed by chunk.key.
+ * @param {string} dir - Directory holding the manifest's chunk files
+ * @param {Object} manifest
+ * @param {Object} data - Mutated: arrays appended per key
  */
-export function loadRawData() {
-  const manifestPath = join(CHUNKS_DIR, 'sample_manifest.json');
-  if (!existsSync(manifestPath)) {
-    throw new Error(`Raw data manifest not found: ${manifestPath}`);
-  }
-
-  const manifest = JSON.parse(readFileSync(manifestPath, 'utf8'));
-  const data = {};
-
+function readChunks(dir, manifest, data) {
   for (const chunk of manifest.chunks) {
-    const chunkPath = join(CHUNKS_DIR, chunk.file);
+    const chunkPath = join(dir, chunk.file);
     if (!existsSync(chunkPath)) {
       throw new Error(`Chunk file missing: ${chunkPath}`);
     }
@@ -48,13 +50,43 @@ export function loadRawData() {
       data[chunk.key] = data[chunk.key].concat(chunkData);
     }
   }
+}
+
+/**
+ * Load and reassemble raw data from chunks.
+ * @returns {Object} Full raw dataset
+ */
+export function loadRawData() {
+  const manifestPath = join(CHUNKS_DIR, 'sample_manifest.json');
+  if (!existsSync(manifestPath)) {
+    throw new Error(`Raw data manifest not found: ${manifestPath}`);
+  }
+
+  const manifest = JSON.parse(readFileSync(manifestPath, 'utf8'));
+  const data = {};
+  readChunks(CHUNKS_DIR, manifest, data);
 
   // Attach meta from manifest
   if (manifest.meta) {
     data.meta = manifest.meta;
   }
 
-  return data;
+  return { ...data, ...loadMeetings() };
+}
+
+/**
+ * Load the meetings manifest and the transcript store.
+ * @param {string} [dir] - Meetings directory (manifest + transcripts/)
+ * @param {Object} [limits] - Passed to createTranscriptStore
+ * @returns {{ meetings: Object[], transcripts: Object }}
+ */
+export function loadMeetings(dir = MEETINGS_DIR, limits) {
+  const data = { meetings: [] };
+  const manifestPath = join(dir, 'meetings_manifest.json');
+  if (existsSync(manifestPath)) {
+    readChunks(dir, JSON.parse(readFileSync(manifestPath, 'utf8')), data);
+  }
+  return { meetings: data.meetings, transcripts: createTranscriptStore(join(dir, 'transcripts'), limits) };
 }
 
 export default loadRawData;
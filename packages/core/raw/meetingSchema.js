@@ -0,0 +1,218 @@
+/**
+ * raw/meetingSchema.js — Normalized meeting schema (all meeting sources)
+ *
+ * Every meeting adapter (Granola, Markdown notes, ICS calendar, Zoom/Otter
+ * transcripts) maps into one record shape, stored in
+ * raw/meetings/meetings_*.json and read by loadRawData():
+ *
+ *   id               string   Stable per source; `<source>-<hash>` when the source has none
+ *   title            string
+ *   date             string   Start time, ISO 8601 when parseable (else as given)
+ *   durationMinutes  number|null
+ *   participants     [{ name, email, org }]  email/org may be ''
+ *   summary          string   Notes or summary (Markdown allowed); '' when none
+ *   source           string   One of MEETING_SOURCES (the first source seen)
+ *   sources          string[] Every source merged into this record
+ *   provenance       string   Adapter origin (sync name, file path, calendar UID)
+ *   asOf             string   ISO ingestion time
+ *
+ * Transcript text is not part of the record: it lives in
+ * raw/meetings/transcripts/mtg_<id>.txt.
+ *
+ * The same meeting seen by two sources (a calendar invite and its Zoom
+ * transcript) is merged: starts within DEDUP_WINDOW_MINUTES and most
+ * participants shared — or, when either side has no participants, the
+ * same normalized title.
+ *
+ * INVARIANT: Raw records only. No derived fields (sentiment, actions, matches).
+ *
+ * @module raw/meetingSchema
+ */
+
+import { createHash } from 'crypto';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const MEETING_SOURCES = ['granola', 'markdown', 'ics', 'transcript'];
+
+// Starts this close count as the same meeting (calendar vs recording drift)
+export const DEDUP_WINDOW_MINUTES = 30;
+
+// Share of the smaller participant set that must overlap
+export const DEDUP_MIN_PARTICIPANT_OVERLAP = 0.5;
+
+// =============================================================================
+// NORMALIZATION
+// =============================================================================
+
+/**
+ * Stable id for sources without one.
+ * @param {string} source
+ * @param {string} key - Unique within the source (UID, file path)
+ * @returns {string}
+ */
+export function meetingIdFor(source, key) {
+  return `${source}-${createHash('sha1').update(`${source}|${key}`).digest('hex').slice(0, 12)}`;
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const ms = new Date(value).getTime();
+  return isNaN(ms) ? String(value) : new Date(ms).toISOString();
+}
+
+function normalizeParticipant(p) {
+  if (typeof p === 'string') p = { name: p };
+  return {
+    name: (p.name || '').trim(),
+    email: (p.email || '').trim().toLowerCase(),
+    org: (p.org || '').trim()
+  };
+}
+
+/**
+ * Map an adapter's meeting into the normalized schema.
+ *
+ * @param {Object} m - Adapter output (id, title, date, participants, summary, durationMinutes)
+ * @param {Object} context
+ * @param {string} context.source - One of MEETING_SOURCES
+ * @param {string} [context.provenance]
+ * @param {string} [context.asOf] - Ingestion time (ISO)
+ * @returns {Object}
+ */
+export function normalizeMeeting(m, { source, provenance, asOf = new Date().toISOString() }) {
+  return {
+    id: m.id,
+    title: m.title || 'Untitled Meeting',
+    date: toIsoDate(m.date),
+    durationMinutes: Number.isFinite(m.durationMinutes) ? m.durationMinutes : null,
+    participants: (m.participants || []).map(normalizeParticipant).filter(p => p.name || p.email),
+    summary: m.summary || '',
+    source,
+    sources: [source],
+    provenance: provenance || m.provenance || source,
+    asOf
+  };
+}
+
+/**
+ * Validate a normalized meeting.
+ * @param {Object} meeting
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateMeeting(meeting) {
+  const errors = [];
+  if (!meeting || typeof meeting !== 'object') return { valid: false, errors: ['meeting must be an object'] };
+  if (typeof meeting.id !== 'string' || !meeting.id) errors.push('id must be a non-empty string');
+  if (typeof meeting.title !== 'string') errors.push('title must be a string');
+  if (!meeting.date || isNaN(new Date(meeting.date).getTime())) errors.push('date must be a parseable timestamp');
+  if (!MEETING_SOURCES.includes(meeting.source)) errors.push(`source must be one of: ${MEETING_SOURCES.join(', ')}`);
+  if (!Array.isArray(meeting.participants)) errors.push('participants must be an array');
+  if (typeof meeting.summary !== 'string') errors.push('summary must be a string');
+  return { valid: errors.length === 0, errors };
+}
+
+// =============================================================================
+// DEDUP
+// =============================================================================
+
+function normalizeTitle(title) {
+  return (title || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function nameKey(name) {
+  return (name || '').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+// Same person: same email, or same name when either side lacks an email
+function isSameParticipant(a, b) {
+  if (a.email && b.email) return a.email === b.email;
+  return nameKey(a.name) !== '' && nameKey(a.name) === nameKey(b.name);
+}
+
+/**
+ * Are two normalized meetings the same meeting seen by different sources?
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export function isSameMeeting(a, b) {
+  if (a.id === b.id) return true;
+  const gap = Math.abs(new Date(a.date).getTime() - new Date(b.date).getTime());
+  if (!(gap <= DEDUP_WINDOW_MINUTES * 60 * 1000)) return false;
+
+  const [fewer, more] = [a.participants || [], b.participants || []].sort((x, y) => x.length - y.length);
+  if (fewer.length === 0) {
+    return normalizeTitle(a.title) !== '' && normalizeTitle(a.title) === normalizeTitle(b.title);
+  }
+  const shared = fewer.filter(p => more.some(q => isSameParticipant(p, q))).length;
+  return shared / fewer.length >= DEDUP_MIN_PARTICIPANT_OVERLAP;
+}
+
+function mergeInto(primary, other) {
+  const extra = other.participants.filter(p => !primary.participants.some(q => isSameParticipant(p, q)));
+  return {
+    ...primary,
+    durationMinutes: primary.durationMinutes ?? other.durationMinutes,
+    participants: [...primary.participants, ...extra],
+    summary: primary.summary || other.summary,
+    sources: [...new Set([...(primary.sources || [primary.source]), ...(other.sources || [other.source])])]
+  };
+}
+
+/**
+ * Merge incoming meetings into existing ones. An incoming meeting with a
+ * stored id is a re-ingest of the same note or event: it replaces the stored
+ * record (keeping the sources merged into it) and its transcript. Any other
+ * duplicate keeps the stored id, fills gaps (summary, duration,
+ * participants) and adds its source; transcripts follow the surviving id.
+ *
+ * @param {Object[]} existing - Normalized meetings already stored
+ * @param {Object[]} incoming - Normalized meetings from an adapter
+ * @param {Map<string, string>} [transcripts] - Incoming meetingId → text
+ * @returns {{ meetings: Object[], transcripts: Map<string, string>, added: number, replaced: string[], merged: Object[] }}
+ */
+export function mergeMeetings(existing = [], incoming = [], transcripts = new Map()) {
+  const meetings = existing.map(m => ({ ...m, sources: m.sources || [m.source] }));
+  const kept = new Map();
+  const replaced = [];
+  const merged = [];
+  let added = 0;
+
+  for (const meeting of incoming) {
+    const sameId = meetings.findIndex(m => m.id === meeting.id);
+    if (sameId !== -1) {
+      const sources = [...meetings[sameId].sources, ...(meeting.sources || [meeting.source])];
+      meetings[sameId] = { ...meeting, sources: [...new Set(sources)] };
+      replaced.push(meeting.id);
+      if (transcripts.has(meeting.id)) kept.set(meeting.id, transcripts.get(meeting.id));
+      continue;
+    }
+
+    const index = meetings.findIndex(m => isSameMeeting(m, meeting));
+    const targetId = index === -1 ? meeting.id : meetings[index].id;
+    if (index === -1) {
+      meetings.push(meeting);
+      added++;
+    } else {
+      meetings[index] = mergeInto(meetings[index], meeting);
+      merged.push({ id: meeting.id, into: targetId });
+    }
+    if (transcripts.has(meeting.id) && !kept.has(targetId)) kept.set(targetId, transcripts.get(meeting.id));
+  }
+
+  return { meetings, transcripts: kept, added, replaced, merged };
+}
+
+export default {
+  MEETING_SOURCES,
+  DEDUP_WINDOW_MINUTES,
+  DEDUP_MIN_PARTICIPANT_OVERLAP,
+  meetingIdFor,
+  normalizeMeeting,
+  validateMeeting,
+  isSameMeeting,
+  mergeMeetings
+};
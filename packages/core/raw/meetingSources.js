@@ -0,0 +1,250 @@
+/**
+ * raw/meetingSources.js — File-based meeting adapters
+ *
+ * Parsers that turn exported files into normalized meetings
+ * (raw/meetingSchema.js). They are pure: the caller reads the files
+ * (.backbone/meeting-ingest.js) and passes { path, name, text, mtime }.
+ *
+ *   markdown    Notes folder. Optional front matter (title, date,
+ *               participants); else first `# ` heading, a `Date:` line or
+ *               a YYYY-MM-DD file name, and an `Attendees:` line.
+ *   ics         Calendar export. One meeting per VEVENT (cancelled skipped),
+ *               attendees from ATTENDEE/ORGANIZER, notes from DESCRIPTION.
+ *   transcript  Zoom (.vtt, or .txt with `[Name] 00:00:00`) and Otter
+ *               (`Name  0:00`) exports. Speakers become participants;
+ *               the text becomes the transcript.
+ *
+ * Granola is fetched over MCP (.backbone/granola.js), not parsed from files.
+ *
+ * @module raw/meetingSources
+ */
+
+import { meetingIdFor, normalizeMeeting } from './meetingSchema.js';
+
+// =============================================================================
+// SHARED
+// =============================================================================
+
+// 2026-02-03, optionally followed by a time: 2026-02-03 10:00, 2026-02-03T10-00
+const FILE_DATE = /(\d{4}-\d{2}-\d{2})(?:[ _T]?(\d{2})[:.-]?(\d{2}))?/;
+
+function dateFromName(name) {
+  const match = FILE_DATE.exec(name);
+  if (!match) return null;
+  return match[2] ? `${match[1]}T${match[2]}:${match[3]}:00` : `${match[1]}T00:00:00`;
+}
+
+function titleFromName(name) {
+  return name
+    .replace(/\.[^.]+$/, '')
+    .replace(FILE_DATE, '')
+    .replace(/[_-]+/g, ' ')
+    .trim() || 'Untitled Meeting';
+}
+
+// "Jane Doe <jane@acme.com>", "jane@acme.com", "Jane Doe"
+function parsePerson(entry) {
+  const email = /<([^>]+)>/.exec(entry)?.[1] || (/^\S+@\S+$/.test(entry.trim()) ? entry.trim() : '');
+  const name = entry.replace(/<[^>]+>/, '').trim();
+  return { name: name === email ? '' : name, email, org: '' };
+}
+
+function parseList(value) {
+  return (value || '').split(/[,;]/).map(s => s.trim()).filter(Boolean).map(parsePerson);
+}
+
+// =============================================================================
+// MARKDOWN
+// =============================================================================
+
+function parseFrontMatter(text) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(text);
+  if (!match) return { fields: {}, body: text };
+  const fields = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const kv = /^(\w+)\s*:\s*(.*)$/.exec(line);
+    if (kv) fields[kv[1].toLowerCase()] = kv[2].replace(/^["']|["']$/g, '');
+  }
+  return { fields, body: text.slice(match[0].length) };
+}
+
+/**
+ * One meeting per Markdown note.
+ * @param {{ path: string, name: string, text: string, mtime?: string }} file
+ * @param {Object} [options]
+ * @param {string} [options.asOf]
+ * @returns {{ meeting: Object }}
+ */
+export function parseMarkdownNote(file, { asOf } = {}) {
+  const { fields, body } = parseFrontMatter(file.text);
+  const heading = /^#\s+(.+)$/m.exec(body)?.[1];
+  const dateLine = /^\**date\**\s*:\s*(.+)$/im.exec(body)?.[1];
+  const attendeeLine = /^\**(?:attendees|participants)\**\s*:\s*(.+)$/im.exec(body)?.[1];
+
+  return {
+    meeting: normalizeMeeting({
+      id: fields.id || meetingIdFor('markdown', file.path),
+      title: fields.title || heading || titleFromName(file.name),
+      date: fields.date || dateLine || dateFromName(file.name) || file.mtime,
+      participants: parseList(fields.participants || fields.attendees || attendeeLine),
+      summary: body.trim()
+    }, { source: 'markdown', provenance: file.path, asOf })
+  };
+}
+
+// =============================================================================
+// ICS
+// =============================================================================
+
+function unfold(text) {
+  return text.replace(/\r?\n[ \t]/g, '');
+}
+
+function unescapeIcs(value) {
+  return value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+}
+
+// 20260203T100000Z, 20260203T100000 (floating), 20260203 (all-day)
+function parseIcsDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value || '');
+  if (!match) return null;
+  const [, y, mo, d, h = '00', mi = '00', s = '00', z = ''] = match;
+  return `${y}-${mo}-${d}T${h}:${mi}:${s}${z}`;
+}
+
+function parseIcsPerson(params, value) {
+  const name = /CN="?([^";:]+)"?/i.exec(params)?.[1] || '';
+  const email = value.replace(/^mailto:/i, '');
+  return { name, email, org: '' };
+}
+
+/**
+ * One meeting per VEVENT in a calendar export.
+ * @param {{ path: string, text: string }} file
+ * @param {Object} [options]
+ * @param {string} [options.asOf]
+ * @returns {{ meeting: Object }[]}
+ */
+export function parseIcsCalendar(file, { asOf } = {}) {
+  const results = [];
+  const events = unfold(file.text).split(/BEGIN:VEVENT/).slice(1).map(block => block.split(/END:VEVENT/)[0]);
+
+  for (const block of events) {
+    const props = {};
+    const people = [];
+    for (const line of block.split(/\r?\n/)) {
+      const match = /^([A-Z-]+)((?:;[^:]*)?):(.*)$/.exec(line);
+      if (!match) continue;
+      const [, key, params, value] = match;
+      if (key === 'ATTENDEE' || key === 'ORGANIZER') people.push(parseIcsPerson(params, value));
+      else if (!(key in props)) props[key] = value;
+    }
+    if (props.STATUS === 'CANCELLED') continue;
+
+    const start = parseIcsDate(props.DTSTART);
+    const end = parseIcsDate(props.DTEND);
+    const duration = start && end ? Math.round((new Date(end) - new Date(start)) / 60000) : null;
+    const uid = props.UID || `${file.path}#${props.DTSTART}`;
+
+    results.push({
+      meeting: normalizeMeeting({
+        id: meetingIdFor('ics', uid),
+        title: unescapeIcs(props.SUMMARY || ''),
+        date: start,
+        durationMinutes: duration,
+        participants: people.filter((p, i) => people.findIndex(q => q.email === p.email) === i),
+        summary: unescapeIcs(props.DESCRIPTION || '')
+      }, { source: 'ics', provenance: `${file.path}#${uid}`, asOf })
+    });
+  }
+  return results;
+}
+
+// =============================================================================
+// TRANSCRIPTS (Zoom / Otter)
+// =============================================================================
+
+const VTT_TIMING = /^(\d{2}:)?\d{2}:\d{2}\.\d{3}\s+-->\s+((?:\d{2}:)?\d{2}:\d{2})\.\d{3}/;
+const ZOOM_SPEAKER = /^\[([^\]]+)\]\s+\d{1,2}:\d{2}(?::\d{2})?\s*$/;
+const OTTER_SPEAKER = /^([A-Z][\w.'-]*(?: [A-Z][\w.'-]*){0,3})\s+\d{1,2}:\d{2}(?::\d{2})?\s*$/;
+
+function toMinutes(clock) {
+  const parts = clock.split(':').map(Number);
+  const seconds = parts.reduce((acc, n) => acc * 60 + n, 0);
+  return Math.round(seconds / 60);
+}
+
+/**
+ * One meeting per transcript file. The file text (cue timings removed for
+ * .vtt) becomes the transcript.
+ * @param {{ path: string, name: string, text: string, mtime?: string }} file
+ * @param {Object} [options]
+ * @param {string} [options.asOf]
+ * @returns {{ meeting: Object, transcript: string }}
+ */
+export function parseTranscriptFile(file, { asOf } = {}) {
+  const speakers = [];
+  const lines = [];
+  let durationMinutes = null;
+  const isVtt = /^WEBVTT/.test(file.text);
+
+  for (const line of file.text.split(/\r?\n/)) {
+    if (isVtt) {
+      const timing = VTT_TIMING.exec(line);
+      if (timing) { durationMinutes = toMinutes(timing[2]); continue; }
+      if (/^WEBVTT|^\d+$/.test(line.trim())) continue;
+      const speaker = /^([^:]{2,40}):\s/.exec(line)?.[1];
+      if (speaker) speakers.push(speaker.trim());
+      lines.push(line);
+      continue;
+    }
+    const speaker = ZOOM_SPEAKER.exec(line)?.[1] || OTTER_SPEAKER.exec(line)?.[1];
+    if (speaker) speakers.push(speaker.trim());
+    lines.push(line);
+  }
+
+  return {
+    meeting: normalizeMeeting({
+      id: meetingIdFor('transcript', file.path),
+      title: titleFromName(file.name),
+      date: dateFromName(file.name) || file.mtime,
+      durationMinutes,
+      participants: [...new Set(speakers)].map(name => ({ name })),
+      summary: ''
+    }, { source: 'transcript', provenance: file.path, asOf }),
+    transcript: lines.join('\n').replace(/\n{3,}/g, '\n\n').trim()
+  };
+}
+
+// =============================================================================
+// REGISTRY
+// =============================================================================
+
+/**
+ * File adapters by name. `extensions` selects files in a folder;
+ * `parse(file, options)` returns [{ meeting, transcript? }].
+ */
+export const FILE_ADAPTERS = {
+  markdown: {
+    description: 'Folder of Markdown meeting notes',
+    extensions: ['.md', '.markdown'],
+    parse: (file, options) => [parseMarkdownNote(file, options)]
+  },
+  ics: {
+    description: 'ICS calendar export',
+    extensions: ['.ics'],
+    parse: parseIcsCalendar
+  },
+  transcript: {
+    description: 'Zoom (.vtt/.txt) or Otter (.txt) transcript files',
+    extensions: ['.vtt', '.txt'],
+    parse: (file, options) => [parseTranscriptFile(file, options)]
+  }
+};
+
+export default {
+  FILE_ADAPTERS,
+  parseMarkdownNote,
+  parseIcsCalendar,
+  parseTranscriptFile
+};
@@ -5,6 +5,7 @@
  * Raw data only — no derivations, no computed values.
  *
  * Required fields: id, companyId, metricKey, value, unit, source, asOf
+ * Optional fields: notes, meetingId (the meeting a meeting_transcript fact came from)
  *
  * @module metricFactSchema
  */
@@ -67,7 +68,7 @@ export function validateMetricFact(fact) {
   }
 
   // Check for unexpected fields
-  const allowed = new Set([...required, 'notes']);
+  const allowed = new Set([...required, 'notes', 'meetingId']);
   for (const key of Object.keys(fact)) {
     if (!allowed.has(key)) {
       errors.push(`Unexpected field: ${key}`);
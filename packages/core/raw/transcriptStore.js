@@ -0,0 +1,119 @@
+/**
+ * raw/transcriptStore.js — Lazy, size-limited meeting transcript Map
+ *
+ * Transcripts live as raw/meetings/transcripts/mtg_<meetingId>.txt (written
+ * by .backbone/granola.js). A full sync can be tens of MB, so the loader
+ * does not read them up front. createTranscriptStore() indexes file names
+ * and reads text on first get():
+ *
+ *   - each transcript is cut at maxBytes (read stops there; the tail is never loaded)
+ *   - read text is cached up to maxCacheBytes, oldest read evicted first
+ *
+ * The store is read-only and quacks like Map<meetingId, string> for what
+ * the engine uses: get, has, keys, size, entries and iteration.
+ *
+ * Works in Node.js (fs-based), like loadRawData.
+ *
+ * @module raw/transcriptStore
+ */
+
+import { readdirSync, existsSync, openSync, readSync, closeSync, fstatSync } from 'fs';
+import { join } from 'path';
+
+// =============================================================================
+// LIMITS
+// =============================================================================
+
+// Per transcript: ~2 hours of speech. Longer files are truncated.
+export const MAX_TRANSCRIPT_BYTES = 256 * 1024;
+
+// Text held in memory across all transcripts
+export const MAX_CACHE_BYTES = 8 * 1024 * 1024;
+
+const FILE_PATTERN = /^mtg_(.+)\.txt$/;
+
+// =============================================================================
+// FILE READ
+// =============================================================================
+
+/**
+ * Read up to maxBytes of a UTF-8 file.
+ * @param {string} path
+ * @param {number} maxBytes
+ * @returns {{ text: string, truncated: boolean }}
+ */
+function readHead(path, maxBytes) {
+  const fd = openSync(path, 'r');
+  try {
+    const size = fstatSync(fd).size;
+    const buffer = Buffer.alloc(Math.min(size, maxBytes));
+    const read = readSync(fd, buffer, 0, buffer.length, 0);
+    // A cut may split a multi-byte character; drop the partial replacement char
+    const text = buffer.subarray(0, read).toString('utf8');
+    return { text: size > maxBytes ? text.replace(/\uFFFD$/, '') : text, truncated: size > maxBytes };
+  } finally {
+    closeSync(fd);
+  }
+}
+
+// =============================================================================
+// STORE
+// =============================================================================
+
+/**
+ * Map-compatible transcript store over a directory of mtg_<id>.txt files.
+ *
+ * @param {string} dir - Transcript directory (missing → empty store)
+ * @param {Object} [limits]
+ * @param {number} [limits.maxBytes] - Per-transcript cut
+ * @param {number} [limits.maxCacheBytes] - In-memory text budget
+ * @returns {{ get: Function, has: Function, keys: Function, entries: Function, size: number, truncated: Function }}
+ */
+export function createTranscriptStore(dir, { maxBytes = MAX_TRANSCRIPT_BYTES, maxCacheBytes = MAX_CACHE_BYTES } = {}) {
+  const files = new Map();
+  if (existsSync(dir)) {
+    for (const name of readdirSync(dir).sort()) {
+      const match = FILE_PATTERN.exec(name);
+      if (match) files.set(match[1], join(dir, name));
+    }
+  }
+
+  const cache = new Map();
+  const truncatedIds = new Set();
+  let cachedBytes = 0;
+
+  function get(id) {
+    if (cache.has(id)) return cache.get(id);
+    const path = files.get(id);
+    if (!path) return undefined;
+
+    const { text, truncated } = readHead(path, maxBytes);
+    if (truncated) truncatedIds.add(id);
+
+    cache.set(id, text);
+    cachedBytes += Buffer.byteLength(text);
+    for (const [oldest, oldText] of cache) {
+      if (cachedBytes <= maxCacheBytes || oldest === id) break;
+      cache.delete(oldest);
+      cachedBytes -= Buffer.byteLength(oldText);
+    }
+    return text;
+  }
+
+  function* entries() {
+    for (const id of files.keys()) yield [id, get(id)];
+  }
+
+  return {
+    get,
+    has: (id) => files.has(id),
+    keys: () => files.keys(),
+    entries,
+    [Symbol.iterator]: entries,
+    get size() { return files.size; },
+    // Ids whose text was cut at maxBytes (known once read)
+    truncated: () => [...truncatedIds]
+  };
+}
+
+export default createTranscriptStore;
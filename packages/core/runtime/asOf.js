@@ -0,0 +1,201 @@
+/**
+ * asOf.js – Time-Travel Input Filtering
+ *
+ * compute(rawData, now, { asOf: true }) answers "what would the engine have
+ * said at `now`?". Before the DAG runs, every timestamped raw collection is
+ * cut down to what was known at that instant:
+ *
+ *   metricFacts     asOf        <= now
+ *   actionEvents    timestamp   <= now   (filterEventsAsOf, after the engine
+ *                                         merges file + options.events)
+ *   meetings        date        <= now   (their transcripts go with them)
+ *   deals           asOf        <= now
+ *   goals           asOf        <= now   (else restated from history <= now)
+ *   introOutcomes   createdAt   <= now   (status updated later: restated to
+ *                                         the status it moved on from)
+ *   relationships   kept; a touch after now (lastTouchAt / lastContact) is
+ *                   cleared, and meetings <= now restore lastContact
+ *
+ * Records without a parseable timestamp are kept: absence of a date is not
+ * evidence of a future record. Company records are point-in-time scalars
+ * with no history and are kept as-is.
+ *
+ * INVARIANT: Filtering only removes or restates records. Raw input is never mutated.
+ *
+ * @module asOf
+ */
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function toMs(value) {
+  if (!value) return NaN;
+  return new Date(value).getTime();
+}
+
+/**
+ * True unless the timestamp is known and after the cutoff.
+ * @param {string|Date|null} value
+ * @param {number} cutoffMs
+ * @returns {boolean}
+ */
+function knownBy(value, cutoffMs) {
+  const ms = toMs(value);
+  return isNaN(ms) || ms <= cutoffMs;
+}
+
+const TOUCH_FIELDS = ['lastTouchAt', 'lastTouch', 'lastContact'];
+
+// =============================================================================
+// COLLECTION FILTERS
+// =============================================================================
+
+/**
+ * Filter action events to those recorded at or before `asOf`.
+ * @param {Object[]} events
+ * @param {Date} asOf
+ * @returns {Object[]}
+ */
+export function filterEventsAsOf(events, asOf) {
+  const cutoff = asOf.getTime();
+  return (events || []).filter(e => knownBy(e.timestamp, cutoff));
+}
+
+/**
+ * Restate a goal as it stood at `cutoff`.
+ * Goals updated after the cutoff fall back to their last history point
+ * at or before it; goals with no such point did not exist yet.
+ * @param {Object} goal
+ * @param {number} cutoffMs
+ * @returns {Object|null}
+ */
+function goalAsOf(goal, cutoffMs) {
+  const history = Array.isArray(goal.history)
+    ? goal.history.filter(h => knownBy(h.asOf, cutoffMs))
+    : goal.history;
+
+  if (knownBy(goal.asOf, cutoffMs)) {
+    return Array.isArray(goal.history) && history.length !== goal.history.length
+      ? { ...goal, history }
+      : goal;
+  }
+
+  const last = Array.isArray(history) && history.length > 0 ? history[history.length - 1] : null;
+  if (!last) return null;
+  return { ...goal, cur: last.value, asOf: last.asOf, history };
+}
+
+/**
+ * Restate a relationship as it stood at `cutoff`. The relationship is kept;
+ * touches after the cutoff were not known yet. Records hold only the latest
+ * touch, so the one before it is unknown (null); the engine moves
+ * lastContact up to the latest meeting both people attended, and meetings
+ * are cut at the same instant.
+ * @param {Object} rel
+ * @param {number} cutoffMs
+ * @returns {Object}
+ */
+function relationshipAsOf(rel, cutoffMs) {
+  const future = TOUCH_FIELDS.filter(field => rel[field] && !knownBy(rel[field], cutoffMs));
+  if (future.length === 0) return rel;
+  const restated = { ...rel };
+  for (const field of future) restated[field] = null;
+  return restated;
+}
+
+/**
+ * Restate an intro outcome as it stood at `cutoff`.
+ * Created after the cutoff → did not exist yet. A status set after the
+ * cutoff had not happened: a 'sent' intro was still 'drafted'; anything
+ * further along was still 'sent' (every later status moves on from it).
+ * @param {Object} outcome
+ * @param {number} cutoffMs
+ * @returns {Object|null}
+ */
+function introOutcomeAsOf(outcome, cutoffMs) {
+  if (!knownBy(outcome.createdAt, cutoffMs)) return null;
+  if (knownBy(outcome.statusUpdatedAt, cutoffMs)) return outcome;
+  return {
+    ...outcome,
+    status: outcome.status === 'sent' || outcome.status === 'drafted' ? 'drafted' : 'sent',
+    statusUpdatedAt: outcome.createdAt
+  };
+}
+
+/**
+ * Cut a raw dataset down to what was known at `asOf`.
+ * Action events are left to filterEventsAsOf: the engine assembles them
+ * from several sources.
+ *
+ * @param {Object} rawData
+ * @param {Date} asOf
+ * @returns {{ data: Object, excluded: Object<string, number>, restated: { goals: number, introOutcomes: number, relationships: number } }}
+ */
+export function filterRawDataAsOf(rawData, asOf) {
+  const cutoff = asOf.getTime();
+  const excluded = {};
+  const data = { ...rawData };
+
+  const cut = (key, keep) => {
+    if (!Array.isArray(rawData[key])) return;
+    data[key] = rawData[key].filter(keep);
+    excluded[key] = rawData[key].length - data[key].length;
+  };
+
+  cut('metricFacts', f => knownBy(f.asOf, cutoff));
+  cut('meetings', m => knownBy(m.date, cutoff));
+  cut('deals', d => knownBy(d.asOf, cutoff));
+
+  let restatedRelationships = 0;
+  if (Array.isArray(rawData.relationships)) {
+    data.relationships = rawData.relationships.map(rel => {
+      const restated = relationshipAsOf(rel, cutoff);
+      if (restated !== rel) restatedRelationships++;
+      return restated;
+    });
+    excluded.relationships = 0;
+  }
+
+  let restatedIntroOutcomes = 0;
+  if (Array.isArray(rawData.introOutcomes)) {
+    data.introOutcomes = [];
+    for (const outcome of rawData.introOutcomes) {
+      const restated = introOutcomeAsOf(outcome, cutoff);
+      if (!restated) continue;
+      if (restated !== outcome) restatedIntroOutcomes++;
+      data.introOutcomes.push(restated);
+    }
+    excluded.introOutcomes = rawData.introOutcomes.length - data.introOutcomes.length;
+  }
+
+  let restatedGoals = 0;
+  if (Array.isArray(rawData.goals)) {
+    data.goals = [];
+    for (const goal of rawData.goals) {
+      const restated = goalAsOf(goal, cutoff);
+      if (!restated) continue;
+      if (restated !== goal && restated.cur !== goal.cur) restatedGoals++;
+      data.goals.push(restated);
+    }
+    excluded.goals = rawData.goals.length - data.goals.length;
+  }
+
+  // Look up kept meetings only: a lazy transcript store reads just those
+  if (rawData.transcripts && Array.isArray(data.meetings)) {
+    data.transcripts = new Map(data.meetings
+      .filter(m => rawData.transcripts.has(m.id))
+      .map(m => [m.id, rawData.transcripts.get(m.id)]));
+  }
+
+  return {
+    data,
+    excluded,
+    restated: { goals: restatedGoals, introOutcomes: restatedIntroOutcomes, relationships: restatedRelationships }
+  };
+}
+
+export default {
+  filterEventsAsOf,
+  filterRawDataAsOf
+};
@@ -0,0 +1,386 @@
+/**
+ * backtest.js – Ranking Backtest Harness
+ *
+ * Replays the engine day by day over a date range using as-of inputs
+ * (compute(rawData, day, { asOf: true })), records the ranking it would have
+ * produced, and joins each recommendation to the first `outcome_recorded`
+ * event that arrived after that day.
+ *
+ * Two orderings are scored over the same daily action set:
+ *   model     rankActions order (rankScore, additive EV)
+ *   baseline  naive sort by source severity (issue/preissue), ties by actionId
+ *
+ * Metrics:
+ *   hitRate          share of matched top-N recommendations with outcome >= partial
+ *   byRankBucket     mean outcome value per rank bucket
+ *   calibration      probabilityOfSuccess bins vs observed outcome (+ Brier score)
+ *   rankCorrelation  Spearman between ranking score and outcome value
+ *
+ * Each (day, action) pair is one observation: an action recommended on five
+ * days and later resolved counts five times, as five separate decisions.
+ *
+ * INVARIANT: Backtest output is derived and ephemeral. Never persisted.
+ *
+ * @module backtest
+ */
+
+import { compute, createEngineCache, loadActionEvents } from './engine.js';
+import { OUTCOME_VALUE } from '../derive/calibration.js';
+
+export { OUTCOME_VALUE };
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const HIT_THRESHOLD = 0.5;
+
+export const RANK_BUCKETS = [
+  { label: '1-3', min: 1, max: 3 },
+  { label: '4-10', min: 4, max: 10 },
+  { label: '11-25', min: 11, max: 25 },
+  { label: '26+', min: 26, max: Infinity }
+];
+
+const CALIBRATION_BINS = 5;
+
+const PREISSUE_SEVERITY = { critical: 3, high: 2, medium: 1, low: 0 };
+
+export const BACKTEST_DEFAULTS = {
+  stepDays: 1,
+  topN: 10,
+  horizonDays: 30
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function round(n, digits = 4) {
+  if (n === null || !Number.isFinite(n)) return null;
+  const f = Math.pow(10, digits);
+  return Math.round(n * f) / f;
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((s, v) => s + v, 0) / values.length : null;
+}
+
+/**
+ * 1-based ranks with ties averaged.
+ * @param {number[]} values
+ * @returns {number[]}
+ */
+function averageRanks(values) {
+  const order = values.map((v, i) => ({ v, i })).sort((a, b) => a.v - b.v);
+  const ranks = new Array(values.length);
+  let i = 0;
+  while (i < order.length) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].v === order[i].v) j++;
+    const avg = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k].i] = avg;
+    i = j + 1;
+  }
+  return ranks;
+}
+
+/**
+ * Spearman rank correlation. Null with fewer than 3 pairs or zero variance.
+ * @param {number[]} xs
+ * @param {number[]} ys
+ * @returns {number|null}
+ */
+export function spearman(xs, ys) {
+  if (xs.length < 3 || xs.length !== ys.length) return null;
+  const rx = averageRanks(xs);
+  const ry = averageRanks(ys);
+  const mx = mean(rx);
+  const my = mean(ry);
+  let num = 0, dx = 0, dy = 0;
+  for (let i = 0; i < rx.length; i++) {
+    num += (rx[i] - mx) * (ry[i] - my);
+    dx += (rx[i] - mx) ** 2;
+    dy += (ry[i] - my) ** 2;
+  }
+  if (dx === 0 || dy === 0) return null;
+  return num / Math.sqrt(dx * dy);
+}
+
+// =============================================================================
+// DAILY SNAPSHOT
+// =============================================================================
+
+/**
+ * Severity (0-3) of each issue/preissue in one engine output.
+ * @param {Object} output - compute() output
+ * @returns {Map<string, number>} issueId | preIssueId → severity
+ */
+function buildSeverityLookup(output) {
+  const lookup = new Map();
+  for (const company of output.companies || []) {
+    for (const issue of company.derived.issues?.issues || []) {
+      if (typeof issue.severity === 'number') lookup.set(issue.issueId, issue.severity);
+    }
+  }
+  for (const preissue of output.allPreissues || []) {
+    const sev = typeof preissue.severity === 'number'
+      ? preissue.severity
+      : PREISSUE_SEVERITY[preissue.severity];
+    if (sev !== undefined) lookup.set(preissue.preIssueId, sev);
+  }
+  return lookup;
+}
+
+/**
+ * Compact record of one ranked action.
+ * Goal-sourced actions have no severity and sort last in the baseline.
+ */
+function toRecord(action, severityLookup) {
+  const source = action.sources?.[0] || {};
+  const sourceKey = source.issueId || source.preIssueId || null;
+  return {
+    actionId: action.actionId,
+    companyId: action.entityRef?.id || null,
+    resolutionId: action.resolutionId || null,
+    sourceType: source.sourceType || null,
+    rankScore: action.rankScore,
+    probabilityOfSuccess: action.impact?.probabilityOfSuccess ?? null,
+    severity: sourceKey ? (severityLookup.get(sourceKey) ?? 0) : 0
+  };
+}
+
+/**
+ * Baseline ordering: severity descending, then actionId.
+ * @param {Object[]} records
+ * @returns {Object[]}
+ */
+export function orderBySeverity(records) {
+  return [...records].sort((a, b) => {
+    if (b.severity !== a.severity) return b.severity - a.severity;
+    return a.actionId.localeCompare(b.actionId);
+  });
+}
+
+// =============================================================================
+// OUTCOME JOIN
+// =============================================================================
+
+/**
+ * Index outcome events for joining.
+ * @param {Object[]} events
+ * @returns {Object[]} sorted by timestamp
+ */
+function collectOutcomes(events) {
+  return (events || [])
+    .filter(e => e.eventType === 'outcome_recorded' && OUTCOME_VALUE[e.payload?.outcome] !== undefined)
+    .map(e => ({
+      actionId: e.actionId,
+      companyId: e.payload.companyId || null,
+      actionType: e.payload.actionType || null,
+      outcome: e.payload.outcome,
+      value: OUTCOME_VALUE[e.payload.outcome],
+      at: new Date(e.timestamp).getTime()
+    }))
+    .filter(o => !isNaN(o.at))
+    .sort((a, b) => a.at - b.at);
+}
+
+/**
+ * First outcome after `dayMs` (within the horizon) for this action.
+ * Matches on actionId, or on company + action type (resolutionId).
+ */
+function joinOutcome(record, dayMs, outcomes, horizonDays) {
+  const until = dayMs + horizonDays * DAY_MS;
+  for (const o of outcomes) {
+    if (o.at <= dayMs) continue;
+    if (o.at > until) break;
+    if (o.actionId === record.actionId) return o;
+    if (o.companyId && o.companyId === record.companyId && o.actionType === record.resolutionId) return o;
+  }
+  return null;
+}
+
+// =============================================================================
+// SCORING
+// =============================================================================
+
+/**
+ * Summarize one ordering's observations.
+ * @param {Object[]} observations - { rank, score, probabilityOfSuccess, outcome|null }
+ * @param {number} topN
+ * @returns {Object}
+ */
+function summarize(observations, topN) {
+  const matched = observations.filter(o => o.outcome);
+  const topMatched = matched.filter(o => o.rank <= topN);
+  const hits = topMatched.filter(o => o.outcome.value >= HIT_THRESHOLD).length;
+
+  const byRankBucket = RANK_BUCKETS.map(bucket => {
+    const inBucket = matched.filter(o => o.rank >= bucket.min && o.rank <= bucket.max);
+    return {
+      bucket: bucket.label,
+      observations: inBucket.length,
+      meanOutcome: round(mean(inBucket.map(o => o.outcome.value)))
+    };
+  });
+
+  return {
+    recommendations: observations.filter(o => o.rank <= topN).length,
+    matched: topMatched.length,
+    hits,
+    hitRate: topMatched.length > 0 ? round(hits / topMatched.length) : null,
+    byRankBucket,
+    rankCorrelation: round(spearman(matched.map(o => o.score), matched.map(o => o.outcome.value)))
+  };
+}
+
+/**
+ * Calibration of probabilityOfSuccess against realized outcome value.
+ * @param {Object[]} observations
+ * @returns {{ bins: Object[], brierScore: number|null, observations: number }}
+ */
+function calibrate(observations) {
+  const scored = observations.filter(o => o.outcome && typeof o.probabilityOfSuccess === 'number');
+  const bins = [];
+  for (let b = 0; b < CALIBRATION_BINS; b++) {
+    const lo = b / CALIBRATION_BINS;
+    const hi = (b + 1) / CALIBRATION_BINS;
+    const inBin = scored.filter(o =>
+      o.probabilityOfSuccess >= lo && (b === CALIBRATION_BINS - 1 ? o.probabilityOfSuccess <= hi : o.probabilityOfSuccess < hi)
+    );
+    bins.push({
+      range: [round(lo, 2), round(hi, 2)],
+      observations: inBin.length,
+      meanPredicted: round(mean(inBin.map(o => o.probabilityOfSuccess))),
+      observedRate: round(mean(inBin.map(o => o.outcome.value)))
+    });
+  }
+  const brier = mean(scored.map(o => (o.probabilityOfSuccess - o.outcome.value) ** 2));
+  return { bins, brierScore: round(brier), observations: scored.length };
+}
+
+/**
+ * Score recorded daily snapshots against outcome events.
+ * Pure: no engine calls. runBacktest() builds the snapshots.
+ *
+ * @param {Object[]} snapshots - [{ day: Date, ranked: record[] }]
+ * @param {Object[]} events - Action events (outcome_recorded are joined)
+ * @param {Object} [options]
+ * @param {number} [options.topN]
+ * @param {number} [options.horizonDays]
+ * @returns {Object} { model, baseline, calibration, comparison }
+ */
+export function scoreBacktest(snapshots, events, options = {}) {
+  const { topN, horizonDays } = { ...BACKTEST_DEFAULTS, ...options };
+  const outcomes = collectOutcomes(events);
+
+  const modelObs = [];
+  const baselineObs = [];
+  for (const snap of snapshots) {
+    const dayMs = snap.day.getTime();
+    const joined = new Map(snap.ranked.map(r => [r.actionId, joinOutcome(r, dayMs, outcomes, horizonDays)]));
+
+    snap.ranked.forEach((r, i) => modelObs.push({
+      rank: i + 1,
+      score: r.rankScore,
+      probabilityOfSuccess: r.probabilityOfSuccess,
+      outcome: joined.get(r.actionId)
+    }));
+    orderBySeverity(snap.ranked).forEach((r, i) => baselineObs.push({
+      rank: i + 1,
+      score: r.severity,
+      probabilityOfSuccess: r.probabilityOfSuccess,
+      outcome: joined.get(r.actionId)
+    }));
+  }
+
+  const model = summarize(modelObs, topN);
+  const baseline = summarize(baselineObs, topN);
+  const diff = (a, b) => (a === null || b === null ? null : round(a - b));
+
+  return {
+    model,
+    baseline,
+    calibration: calibrate(modelObs),
+    comparison: {
+      hitRateDelta: diff(model.hitRate, baseline.hitRate),
+      rankCorrelationDelta: diff(model.rankCorrelation, baseline.rankCorrelation),
+      outcomesAvailable: outcomes.length
+    }
+  };
+}
+
+// =============================================================================
+// REPLAY
+// =============================================================================
+
+/**
+ * Replay the engine over a date range and score its rankings.
+ *
+ * @param {Object} rawData
+ * @param {Object} options
+ * @param {Date|string} options.from - First replay day (inclusive)
+ * @param {Date|string} options.to - Last replay day (inclusive)
+ * @param {number} [options.stepDays=1]
+ * @param {number} [options.topN=10]
+ * @param {number} [options.horizonDays=30] - Max days from recommendation to outcome
+ * @param {Object[]} [options.events] - Extra action events (UI event store)
+ * @returns {Object} backtest report
+ */
+export function runBacktest(rawData, options = {}) {
+  const opts = { ...BACKTEST_DEFAULTS, ...options };
+  const from = new Date(opts.from);
+  const to = new Date(opts.to);
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    throw new Error(`BACKTEST: invalid date range ${opts.from} → ${opts.to}`);
+  }
+  if (from > to) {
+    throw new Error(`BACKTEST: 'from' (${from.toISOString()}) is after 'to' (${to.toISOString()})`);
+  }
+  if (!(opts.stepDays >= 1)) {
+    throw new Error(`BACKTEST: stepDays must be >= 1 (got ${opts.stepDays})`);
+  }
+
+  const events = [...loadActionEvents(rawData), ...(opts.events || [])];
+  const cache = createEngineCache();
+  const snapshots = [];
+
+  for (let t = from.getTime(); t <= to.getTime(); t += opts.stepDays * DAY_MS) {
+    const day = new Date(t);
+    const output = compute(rawData, day, { asOf: true, events: opts.events, cache });
+    const severityLookup = buildSeverityLookup(output);
+    snapshots.push({
+      day,
+      ranked: output.actions.map(a => toRecord(a, severityLookup))
+    });
+  }
+
+  return {
+    range: {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      days: snapshots.length,
+      stepDays: opts.stepDays
+    },
+    params: { topN: opts.topN, horizonDays: opts.horizonDays },
+    ...scoreBacktest(snapshots, events, opts),
+    daily: snapshots.map(s => ({
+      day: s.day.toISOString(),
+      actions: s.ranked.length,
+      top: s.ranked.slice(0, opts.topN).map(r => r.actionId)
+    }))
+  };
+}
+
+export default {
+  OUTCOME_VALUE,
+  RANK_BUCKETS,
+  BACKTEST_DEFAULTS,
+  spearman,
+  orderBySeverity,
+  scoreBacktest,
+  runBacktest
+};
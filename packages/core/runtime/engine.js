@@ -14,18 +14,50 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
 import { validateDataset } from './index.js';
-import { GRAPH, topoSort, validateGraph } from './graph.js';
+import { topoSort, validateGraph } from './graph.js';
+import { getActiveGraph, getRegisteredNode, getRegisteredNodeNames, getRegistryRevision } from './registry.js';
 import { deriveHealth } from './health.js';
+import {
+  hashGlobalInputs,
+  hashCompanyInputs,
+  findDirtyNodes,
+  syncCacheWithGraph,
+  pruneCache
+} from './incremental.js';
+
+import { createTracer } from './trace.js';
+import { filterRawDataAsOf, filterEventsAsOf } from './asOf.js';
+import { resolveWeights } from '../decide/weights.js';
+import { toEngineEvents } from '../raw/actionEvent.js';
+import {
+  createNodeFailure,
+  failedRequirements,
+  withFallbacks,
+  resolveFailures,
+  guardPhase,
+  toErrorRecord
+} from './faults.js';
+
+export { createEngineCache } from './incremental.js';
+export { registerNode, unregisterNode } from './registry.js';
 
 // DERIVE layer (L1-L2)
 import { deriveRunway } from '../derive/runway.js';
 import { deriveTrajectory } from '../derive/trajectory.js';
 import { deriveCompanyMetrics } from '../derive/metrics.js';
 import { deriveCompanyGoalTrajectories } from '../derive/goalTrajectory.js';
-import { deriveMeetingIntelligence, matchMeetingsToCompanies } from '../derive/meetings.js';
+import { deriveMeetingIntelligence } from '../derive/meetings.js';
+import { resolveMeetings, collectMatchReviews, applyMeetingContacts } from '../derive/entityResolution.js';
+import { deriveCommitments } from '../derive/commitments.js';
+import { proposeMetricFacts, collectMetricReviews, acceptedMetricFacts } from '../derive/metricProposals.js';
 import { buildTrustRiskMap, buildDeadlineMap } from '../derive/contextMaps.js';
 import { buildConstraintPressureMap, summarizeConstraints, buildConstraintDriversMap } from '../derive/constraintPressure.js';
+import { buildAssignmentMap, buildAssigneeMap, buildOwnerCapacity } from '../derive/assignments.js';
+import { buildLifecycleMap, getSnoozeStatus, getExcludedActionIds } from '../derive/actionLifecycle.js';
+import { calibrateImpactPriors } from '../derive/calibration.js';
 import { buildMetricFactIndex } from '../derive/metricResolver.js';
+import { buildIntroLedger } from '../derive/introLedger.js';
+import { buildIntroCapital, enforceIntroCapital } from '../predict/introCapital.js';
 import { deriveSnapshot } from '../derive/snapshot.js';
 import { detectAnomalies } from '../derive/anomalyDetection.js';
 import { suggestGoals } from '../predict/suggestedGoals.js';
@@ -40,9 +72,14 @@ import { deriveCompanyPreIssues, deriveAllEntityPreIssues } from '../predict/pre
 import { generateCompanyActionCandidates } from '../predict/actionCandidates.js';
 import { attachCompanyImpactModels } from '../predict/actionImpact.js';
 import { generateIntroOpportunities } from '../predict/introOpportunity.js';
+import { generateOpportunityCandidates, generateCrossEntitySynergyOpportunities } from '../predict/opportunityCandidates.js';
+import { toOpportunityActions } from '../predict/opportunityActions.js';
+import { buildManualActions } from '../predict/manualActions.js';
+import { generateFollowupActions, verifyNoFollowupDuplicates } from '../predict/followup.js';
 
 // DECIDE layer (L5)
 import { rankActions } from '../decide/ranking.js';
+import { planActions } from '../decide/planner.js';
 
 // QA layer
 import { assertNoForbiddenFields } from '../qa/forbidden.js';
@@ -67,6 +104,16 @@ const NODE_COMPUTE = {
     return deriveMeetingIntelligence(company.meetings || [], transcripts, now);
   },
 
+  commitments: (ctx, company, now, globals) => {
+    return deriveCommitments(company, ctx.meetings?.extractedActions || [], {
+      meetings: company.meetings || [],
+      people: globals.people || [],
+      team: globals.team || [],
+      events: globals.actionEvents || [],
+      now
+    });
+  },
+
   metrics: (ctx, company, now) => {
     return deriveCompanyMetrics(company);
   },
@@ -104,6 +151,7 @@ const NODE_COMPUTE = {
     const meetings = ctx.meetings || null;
     return deriveCompanyPreIssues(company, goalTrajectories, runway, now, meetings, {
       snapshot: ctx.snapshot,
+      commitments: ctx.commitments || [],
       params: null, // let deriveCompanyPreIssues resolve from stage
     });
   },
@@ -124,10 +172,37 @@ const NODE_COMPUTE = {
       relationships: relationships || [],
       investors: investors || [],
       team: team || [],
+      introOutcomes: globals.introOutcomes || [],
+      introCapital: globals.introCapital || [],
       now
     });
   },
   
+  opportunities: (ctx, company, now, globals) => {
+    // Company-local classes; cross-entity synergy runs at portfolio level
+    const { people, relationships, investors, team } = globals || {};
+    return toOpportunityActions(generateOpportunityCandidates({
+      company,
+      goals: company.goals || [],
+      people: people || [],
+      relationships: relationships || [],
+      investors: investors || [],
+      team: team || [],
+      goalTrajectories: ctx.goalTrajectory || [],
+      now
+    }));
+  },
+
+  followups: (ctx, company, now, globals) => {
+    // One followup per unanswered intro (Gate 8: deterministic id, no duplicates)
+    const outcomes = (globals.introOutcomes || []).filter(o => o.companyId === company.id);
+    const intros = new Map((ctx.introOpportunity || []).map(intro => [intro.id, {
+      ...intro,
+      entityRef: { type: 'company', id: company.id, name: company.name }
+    }]));
+    return generateFollowupActions(outcomes, [], intros, now);
+  },
+
   goalDamage: (ctx, company, now) => {
     return computeGoalDamage(ctx.issues?.issues || [], company.goals || [], now);
   },
@@ -207,19 +282,33 @@ const NODE_COMPUTE = {
       ...intro // Include all intro-specific fields
     }));
 
-    // A3: Convert meeting extracted actions to action candidates
-    const meetingActions = ctx.meetings?.extractedActions || [];
-    const meetingCandidates = meetingActions.map((ma, i) => ({
-      actionId: `meeting-action-${company.id}-${i}`,
-      title: `${company.name}: ${typeof ma === 'string' ? ma : ma.text}`,
-      resolutionId: 'SCHEDULE_CHECK_IN',
-      entityRef: { type: 'company', id: company.id, name: company.name },
-      sources: [{ sourceType: 'PREISSUE', preIssueId: `meeting-${company.id}-${i}` }],
-      steps: [{ step: 1, action: typeof ma === 'string' ? ma : ma.text }],
-      type: 'MEETING_ACTION'
-    }));
+    // A3: Open meeting commitments become actions (the commitment id is the
+    // action id, so executing the action closes the commitment)
+    const overdueIds = new Set((ctx.preissues || []).map(p => p.evidence?.commitmentId).filter(Boolean));
+    const commitmentCandidates = (ctx.commitments || [])
+      .filter(c => c.status === 'open' || c.status === 'overdue')
+      .map(c => ({
+        actionId: c.id,
+        title: `${company.name}: ${c.text}`,
+        resolutionId: 'SCHEDULE_CHECK_IN',
+        entityRef: { type: 'company', id: company.id, name: company.name },
+        sources: [{
+          sourceType: 'PREISSUE',
+          preIssueId: overdueIds.has(c.id) ? `preissue-commitment-${c.id}` : `meeting-${c.id}`
+        }],
+        steps: [{ step: 1, action: c.owner.name ? `${c.owner.name}: ${c.text}` : c.text }],
+        type: 'MEETING_ACTION',
+        commitment: {
+          id: c.id,
+          owner: c.owner,
+          direction: c.direction,
+          dueDate: c.dueDate,
+          status: c.status,
+          meetingId: c.meetingId
+        }
+      }));
 
-    return [...goalCandidates, ...standardCandidates, ...introCandidates, ...meetingCandidates];
+    return [...goalCandidates, ...standardCandidates, ...introCandidates, ...(ctx.opportunities || []), ...(ctx.followups || []), ...commitmentCandidates];
   },
   
   actionImpact: (ctx, company, now) => {
@@ -259,7 +348,9 @@ const NODE_COMPUTE = {
     const deadlinesByAction = buildDeadlineMap(actionsWithImpact, ctx.preissues || [], company.goals || [], now);
     const constraintPressureByAction = buildConstraintPressureMap(actionsWithImpact, company.constraints || [], now);
 
-    const ranked = rankActions(actionsWithImpact, { trustRiskByAction, deadlinesByAction, constraintPressureByAction, events, now });
+    const ranked = rankActions(actionsWithImpact, {
+      trustRiskByAction, deadlinesByAction, constraintPressureByAction, events, now, weights: globals?.weights
+    });
 
     // Attach constraint drivers for UI context (which constraints drive each action's boost)
     const constraintDriversByAction = buildConstraintDriversMap(ranked, company.constraints || [], now);
@@ -300,32 +391,125 @@ const NODE_COMPUTE = {
 // DAG ENGINE
 // =============================================================================
 
-function computeCompanyDAG(company, now, globals = {}) {
-  const order = topoSort(GRAPH);
+/**
+ * Run the per-company DAG.
+ * With `memo`, nodes outside memo.dirty reuse memo.ctx outputs.
+ * With `tracer`, every node run, reuse or skip is recorded.
+ *
+ * Each node runs guarded: a throw stores a NodeFailure in ctx instead of
+ * aborting. Dependents degrade to the failed node's fallback, or are
+ * skipped when the failed node is in their NODE_REQUIRES (see faults.js).
+ *
+ * @param {Object} company
+ * @param {Date} now
+ * @param {Object} globals
+ * @param {{ ctx: Object, dirty: Set<string> }|null} memo
+ * @param {Object|null} tracer - From createTracer()
+ * @param {Object} [graph] - Built-in GRAPH + registered nodes
+ * @returns {Object} node → output | NodeFailure
+ */
+function computeCompanyDAG(company, now, globals = {}, memo = null, tracer = null, graph = getActiveGraph()) {
+  const order = topoSort(graph);
   const ctx = {};
   
   for (const node of order) {
-    const computeFn = NODE_COMPUTE[node];
+    if (memo && !memo.dirty.has(node)) {
+      ctx[node] = memo.ctx[node];
+      if (tracer) tracer.reuseNode(company.id, node, ctx[node]);
+      continue;
+    }
+    const computeFn = NODE_COMPUTE[node] || getRegisteredNode(node)?.compute;
     if (!computeFn) {
       throw new Error(`No compute function for node: ${node}`);
     }
-    ctx[node] = computeFn(ctx, company, now, globals);
+
+    const missing = failedRequirements(node, graph[node] || [], ctx);
+    if (missing.length > 0) {
+      ctx[node] = createNodeFailure({ node, companyId: company.id, reason: 'skipped', upstream: missing });
+      if (tracer) tracer.skipNode(company.id, node, missing);
+      continue;
+    }
+
+    const view = withFallbacks(ctx);
+    try {
+      ctx[node] = tracer
+        ? tracer.runNode(company.id, node, view, watched => computeFn(watched, company, now, globals))
+        : computeFn(view, company, now, globals);
+    } catch (err) {
+      ctx[node] = createNodeFailure({ node, companyId: company.id, reason: 'threw', error: err });
+    }
   }
   
   return ctx;
 }
 
+/**
+ * Load action events for ranking context.
+ * Dual-mode: accept via rawData (UI/browser path) or fall back to fs (CLI/Node path)
+ * @param {Object} rawData
+ * @returns {Object[]}
+ */
+export function loadActionEvents(rawData) {
+  if (rawData.actionEvents?.length) {
+    return rawData.actionEvents;
+  }
+  if (typeof process !== 'undefined') {
+    try {
+      const __eng_filename = fileURLToPath(import.meta.url);
+      const __eng_dirname = dirname(__eng_filename);
+      const eventsPath = join(__eng_dirname, '..', 'raw', 'actionEvents.json');
+      if (existsSync(eventsPath)) {
+        return JSON.parse(readFileSync(eventsPath, 'utf8')).actionEvents || [];
+      }
+    } catch { /* empty events is valid */ }
+  }
+  return [];
+}
+
+/**
+ * Outputs of registered nodes (see registry.js), keyed by node name.
+ * @param {Object} computed
+ * @returns {Object}
+ */
+function registeredOutputs(computed) {
+  const out = {};
+  for (const name of getRegisteredNodeNames()) {
+    if (name in computed) out[name] = computed[name];
+  }
+  return out;
+}
+
 /**
  * Run the full computation engine.
  * Phase 4.5.2: Returns ranked actions as primary artifact.
+ *
+ * @param {Object} rawData
+ * @param {Date} [now]
+ * @param {Object} [options]
+ * @param {Object[]} [options.events] - Extra action events (UI event store)
+ * @param {Object} [options.cache] - From createEngineCache(); reuses clean nodes across calls
+ * @param {boolean} [options.trace] - Record per-node timing/sizes/reads; returned as `trace`
+ * @param {boolean} [options.asOf] - Time-travel: only inputs known at `now` (see asOf.js)
+ * @param {Object} [options.weightOverrides] - Partial ranking WEIGHTS for this run only (see resolveWeights)
+ * @param {Object<string, number>} [options.ownerCapacity] - Max ranked actions per team member (overrides team[].capacity)
+ * @param {Object} [options.plan] - Planner options: { horizon, availability, hours, config } (see planner.js)
  */
 export function compute(rawData, now = new Date(), options = {}) {
   const startTime = Date.now();
   const errors = [];
   const warnings = [];
+
+  // Time-travel: restrict raw inputs to what was known at `now`
+  let asOfInfo = null;
+  if (options.asOf) {
+    const filtered = filterRawDataAsOf(rawData, now);
+    rawData = filtered.data;
+    asOfInfo = { at: now.toISOString(), excluded: filtered.excluded, restated: filtered.restated };
+  }
   
-  // Validate DAG
-  const graphValidation = validateGraph(GRAPH);
+  // Validate DAG (built-in GRAPH + registered nodes)
+  const graph = getActiveGraph();
+  const graphValidation = validateGraph(graph);
   if (!graphValidation.valid) {
     errors.push(...graphValidation.errors);
   }
@@ -343,7 +527,7 @@ export function compute(rawData, now = new Date(), options = {}) {
     errors.push(err.message);
   }
   
-  const executionOrder = topoSort(GRAPH);
+  const executionOrder = topoSort(graph);
   
   // Globals for network modules (people, relationships, etc.)
   const globals = {
@@ -352,37 +536,63 @@ export function compute(rawData, now = new Date(), options = {}) {
     investors: rawData.investors || [],
     team: rawData.team || []
   };
-  
-  // Build meeting lookup map
-  const allMeetings = rawData.meetings || [];
-  const meetingsByCompany = allMeetings.length > 0
-    ? matchMeetingsToCompanies(allMeetings, rawData.companies || [])
-    : new Map();
-  globals.transcripts = rawData.transcripts || new Map();
 
-  // A3: Load action events for ranking context
-  // Dual-mode: accept via rawData (UI/browser path) or fall back to fs (CLI/Node path)
-  let actionEvents = [];
-  if (rawData.actionEvents?.length) {
-    actionEvents = rawData.actionEvents;
-  } else if (typeof process !== 'undefined') {
+  // What-if ranking weights: resolved per run, WEIGHTS itself never mutated
+  if (options.weightOverrides) {
     try {
-      const __eng_filename = fileURLToPath(import.meta.url);
-      const __eng_dirname = dirname(__eng_filename);
-      const eventsPath = join(__eng_dirname, '..', 'raw', 'actionEvents.json');
-      if (existsSync(eventsPath)) {
-        actionEvents = JSON.parse(readFileSync(eventsPath, 'utf8')).actionEvents || [];
-      }
-    } catch { /* empty events is valid */ }
+      globals.weights = resolveWeights(options.weightOverrides);
+    } catch (err) {
+      errors.push(err.message);
+    }
   }
+  
+  // A3: Load action events for ranking context
+  let actionEvents = loadActionEvents(rawData);
   // Merge external events from options (e.g. from UI event store)
   if (options.events && Array.isArray(options.events)) {
     actionEvents = [...actionEvents, ...options.events];
   }
+  // One event shape for every consumer (UI store events arrive as schema v1)
+  actionEvents = toEngineEvents(actionEvents);
+  if (asOfInfo) {
+    const known = filterEventsAsOf(actionEvents, now);
+    asOfInfo.excluded.actionEvents = actionEvents.length - known.length;
+    actionEvents = known;
+  }
   globals.actionEvents = actionEvents;
 
+  // Meetings → companies and participants → people (scored, partner
+  // reviews from match_reviewed events); meetings refresh relationship lastContact
+  const allMeetings = rawData.meetings || [];
+  const meetingResolution = resolveMeetings(allMeetings, {
+    companies: rawData.companies || [],
+    people: rawData.people || [],
+    reviews: collectMatchReviews(actionEvents)
+  });
+  const meetingsByCompany = meetingResolution.byCompany;
+  const relationships = applyMeetingContacts(rawData.relationships || [], allMeetings, meetingResolution.meetings);
+  globals.relationships = relationships;
+  globals.transcripts = rawData.transcripts || new Map();
+
+  // Intro outcome ledger: raw records + intro_outcome events, stale intros ghosted
+  const introLedger = buildIntroLedger(actionEvents, { introOutcomes: rawData.introOutcomes || [], now });
+  globals.introOutcomes = introLedger.outcomes;
+  // Per-introducer capital and reputation (same inputs as the ledger, so
+  // the incremental 'intros' slice covers it)
+  globals.introCapital = buildIntroCapital(introLedger.outcomes, now);
+  for (const violation of introLedger.violations) {
+    warnings.push(`Intro ${violation.introId}: ${violation.reason}`);
+  }
+
+  // Metrics mentioned in matched meetings are proposed metricFacts; partner-
+  // accepted ones (metric_reviewed events) join the raw facts
+  const metricProposals = proposeMetricFacts(meetingsByCompany, {
+    transcripts: globals.transcripts,
+    reviews: collectMetricReviews(actionEvents)
+  });
+
   // Build metricFact index for all companies
-  const metricFactIndex = buildMetricFactIndex(rawData.metricFacts || []);
+  const metricFactIndex = buildMetricFactIndex([...(rawData.metricFacts || []), ...acceptedMetricFacts(metricProposals)]);
   globals.metricFactIndex = metricFactIndex;
 
   // Build lookup maps for related data
@@ -417,6 +627,15 @@ export function compute(rawData, now = new Date(), options = {}) {
   // Compute for each PORTFOLIO company only
   // (Market companies are tracked for deal flow but don't generate actions)
   const portfolioCompanies = (rawData.companies || []).filter(c => c.isPortfolio);
+
+  // Incremental mode: hash inputs, reuse clean nodes from the previous run
+  const cache = options.cache || null;
+  const cacheStats = { companiesReused: 0, companiesRecomputed: 0, nodesReused: 0, nodesRecomputed: 0 };
+  const globalHashes = cache ? hashGlobalInputs(globals, now) : null;
+  if (cache) syncCacheWithGraph(cache, graph, getRegistryRevision());
+
+  const tracer = options.trace ? createTracer(graph) : null;
+  const phase = (name, fn) => (tracer ? tracer.runPhase(name, fn) : fn());
   
   const companies = portfolioCompanies.map(rawCompany => {
     // Attach related data to company object
@@ -429,7 +648,33 @@ export function compute(rawData, now = new Date(), options = {}) {
       constraints: constraintsByCompany.get(rawCompany.id) || [],
     };
     
-    const computed = computeCompanyDAG(company, now, globals);
+    let memo = null;
+    let inputHashes = null;
+    if (cache) {
+      inputHashes = hashCompanyInputs(company, globals, globalHashes);
+      const entry = cache.companies.get(company.id);
+      if (entry) {
+        memo = { ctx: entry.ctx, dirty: findDirtyNodes(graph, executionOrder, entry.inputHashes, inputHashes) };
+      }
+      const recomputed = memo ? memo.dirty.size : executionOrder.length;
+      cacheStats.nodesRecomputed += recomputed;
+      cacheStats.nodesReused += executionOrder.length - recomputed;
+      if (recomputed === 0) cacheStats.companiesReused++;
+      else cacheStats.companiesRecomputed++;
+    }
+
+    const rawComputed = computeCompanyDAG(company, now, globals, memo, tracer, graph);
+    if (cache) cache.companies.set(company.id, { inputHashes, ctx: rawComputed });
+
+    // Fault isolation: failed nodes expose their fallback; failures are reported
+    const { values: computed, failures } = resolveFailures(rawComputed);
+    for (const failure of failures) {
+      if (failure.reason === 'threw') {
+        errors.push(toErrorRecord(failure));
+      } else {
+        warnings.push(`[${company.id}] ${failure.node} ${failure.message}`);
+      }
+    }
     
     if (computed.runway?.confidence < 0.5) {
       warnings.push(`[${company.id}] Low confidence runway`);
@@ -453,15 +698,24 @@ export function compute(rawData, now = new Date(), options = {}) {
         preissues: computed.preissues,
         ripple: computed.ripple,
         introOpportunities: computed.introOpportunity,
+        opportunities: computed.opportunities,
+        followups: computed.followups,
         meetings: computed.meetings,
+        commitments: computed.commitments,
         constraints: summarizeConstraints(company.constraints || [], now),
         actions: computed.actionRanker, // Phase 4.5.2: direct from ranker
-        priorities: computed.priority?.priorities || []
+        priorities: computed.priority?.priorities || [],
+        ...registeredOutputs(computed),
+        ...(failures.length > 0 ? { failures: failures.map(toErrorRecord) } : {})
       }
     };
   });
 
+  if (cache) pruneCache(cache, new Set(portfolioCompanies.map(c => c.id)));
+
   // Aggregate all ranked actions across portfolio
+  // (company order is input order, so the re-rank below is deterministic
+  // whether company outputs came from cache or a fresh run)
   let allActions = [];
   for (const company of companies) {
     allActions = allActions.concat(company.derived.actions || []);
@@ -481,11 +735,11 @@ export function compute(rawData, now = new Date(), options = {}) {
       .filter(p => portfolioCompanyIds.has(p.companyId))
       .map(p => p.id)
   );
-  const portfolioRelationships = (rawData.relationships || []).filter(r => 
+  const portfolioRelationships = relationships.filter(r => 
     portfolioPeopleIds.has(r.p1Id) || portfolioPeopleIds.has(r.p2Id)
   );
   
-  const portfolioPreissues = deriveAllEntityPreIssues(
+  const portfolioPreissues = guardPhase('preissues', () => phase('preissues', () => deriveAllEntityPreIssues(
     {
       companies: portfolioCompanies,
       firms: rawData.firms || [],
@@ -496,7 +750,7 @@ export function compute(rawData, now = new Date(), options = {}) {
     },
     {}, // derivedData not needed for non-company preissues
     now
-  );
+  )), { all: [] }, errors);
   
   // Generate actions from portfolio-level preissues (firm, round, relationship)
   const portfolioPreissueActions = [];
@@ -518,7 +772,7 @@ export function compute(rawData, now = new Date(), options = {}) {
   }
   
   // Attach impact models to portfolio preissue actions
-  const portfolioActionsWithImpact = attachCompanyImpactModels(
+  const portfolioActionsWithImpact = guardPhase('actionImpact', () => phase('actionImpact', () => attachCompanyImpactModels(
     portfolioPreissueActions,
     { 
       preissues: nonCompanyPreissues,
@@ -526,13 +780,47 @@ export function compute(rawData, now = new Date(), options = {}) {
       rounds: rawData.rounds || [],
       deals: rawData.deals || [],
       goals: rawData.goals || [],
-      relationships: rawData.relationships || [],
+      relationships,
       firms: rawData.firms || []
     }
-  );
+  )), [], errors);
   
   // Add portfolio preissue actions to all actions
   allActions = allActions.concat(portfolioActionsWithImpact);
+
+  // Portfolio-level candidates (manual, cross-company) are impact-modeled
+  // with their own company's context
+  const attachImpactByCompany = (candidates) => {
+    const byCompany = new Map();
+    for (const action of candidates) {
+      const list = byCompany.get(action.companyId) || [];
+      list.push(action);
+      byCompany.set(action.companyId, list);
+    }
+    return [...byCompany].flatMap(([companyId, list]) => attachCompanyImpactModels(list, {
+      company: (rawData.companies || []).find(c => c.id === companyId),
+      goals: goalsByCompany.get(companyId) || [],
+      deals: dealsByCompany.get(companyId) || [],
+      rounds: roundsByCompany.get(companyId) || [],
+      relationships
+    }));
+  };
+
+  // Cross-entity synergy opportunities: pairs of portfolio companies
+  const synergyActions = guardPhase('synergyOpportunities', () => phase('synergyOpportunities', () => attachImpactByCompany(
+    toOpportunityActions(generateCrossEntitySynergyOpportunities({
+      companies: portfolioCompanies,
+      goalsByCompany: Object.fromEntries(goalsByCompany),
+      now
+    }))
+  )), [], errors);
+  allActions = allActions.concat(synergyActions);
+
+  // Manual actions: partner definitions from `created` events, ranked on the same surface
+  const manualActions = guardPhase('manualActions', () => phase('manualActions', () => attachImpactByCompany(
+    buildManualActions(actionEvents, rawData)
+  )), [], errors);
+  allActions = allActions.concat(manualActions);
   
   // DEDUPLICATION PASS 1: Remove duplicate actions by actionId
   const seenActions = new Set();
@@ -547,16 +835,21 @@ export function compute(rawData, now = new Date(), options = {}) {
   // DEDUPLICATION PASS 2: Collapse visually identical actions, keep highest ENI
   // Portfolio-level preissues (deals, rounds) produce actions with deal/round entityRef
   // IDs but identical titles — e.g. "FluxOps Deal: Follow up with investor" x4.
-  // Key on title so user never sees duplicate cards.
+  // Key on title so user never sees duplicate cards. Manual actions are
+  // partner-defined and key on actionId: a shared title never merges them away.
   const titleMap = new Map();
   for (const action of allActions) {
-    const key = action.title;
+    const key = action.sources?.[0]?.sourceType === 'MANUAL' ? action.actionId : action.title;
     const existing = titleMap.get(key);
     if (!existing || (action.expectedNetImpact || 0) > (existing.expectedNetImpact || 0)) {
       titleMap.set(key, action);
     }
   }
   allActions = Array.from(titleMap.values());
+
+  // Gate 8: at most one followup per (intro action, outcome)
+  const followupCheck = verifyNoFollowupDuplicates(allActions);
+  if (!followupCheck.valid) errors.push(`Duplicate followup actions: ${followupCheck.duplicates.join(', ')}`);
   
   // EXECUTION PATH: Portfolio-level re-rank via `rankActions` → `computeRankScore`.
   // No other scoring function is engine-reachable.
@@ -597,13 +890,74 @@ export function compute(rawData, now = new Date(), options = {}) {
     }
   }
 
-  const portfolioRankedActions = rankActions(allActions, {
+  // Ownership: replayed from `assigned` events; capacity from team records / options
+  const assignments = buildAssignmentMap(actionEvents);
+  const assigneeByAction = buildAssigneeMap(assignments);
+  const ownerCapacity = buildOwnerCapacity(rawData.team || [], options.ownerCapacity);
+  const teamIds = new Set((rawData.team || []).map(member => member.id));
+  for (const [actionId, owner] of assigneeByAction) {
+    if (!teamIds.has(owner)) warnings.push(`Action ${actionId} assigned to unknown team member: ${owner}`);
+  }
+
+  // Lifecycle: skipped, snoozed and observed actions hold no owner capacity.
+  // Conditional snoozes are checked against this run's raw data.
+  const lifecycles = buildLifecycleMap(actionEvents, now, { rawData });
+  const excludedActionIds = new Set(getExcludedActionIds(lifecycles));
+
+  const rerankedActions = phase('rerank', () => rankActions(allActions, {
     trustRiskByAction: portfolioTrustRisk,
     deadlinesByAction: portfolioDeadlines,
     constraintPressureByAction: portfolioConstraintPressure,
     events: actionEvents,
-    now
-  });
+    now,
+    weights: globals.weights,
+    assigneeByAction,
+    ownerCapacity,
+    excludedActionIds
+  }));
+
+  // Intro capital across the portfolio: per-company generation cannot see
+  // asks proposed for other companies, so the budget is spent here in rank order
+  const introBudget = enforceIntroCapital(rerankedActions, globals.introCapital, { introOutcomes: globals.introOutcomes });
+  const portfolioRankedActions = introBudget.actions.map((action, index) => ({ ...action, rank: index + 1 }));
+
+  // Attach current owner (event-derived, runtime only)
+  for (const action of portfolioRankedActions) {
+    const assignment = assignments.get(action.actionId);
+    if (assignment?.assignee) {
+      action.assignee = assignment.assignee;
+      action.assignedAt = assignment.assignedAt;
+    }
+  }
+
+  // Snoozes: date and condition snoozes (deal status, metric update, constraint)
+  // are checked against this run's raw data; fired ones resurface annotated
+  const snoozes = getSnoozeStatus(lifecycles);
+  const resurfacedById = new Map(snoozes.resurfaced.map(s => [s.actionId, s]));
+  for (const action of portfolioRankedActions) {
+    const resurfaced = resurfacedById.get(action.actionId);
+    if (resurfaced) action.resurfaced = { since: resurfaced.since, firedAt: resurfaced.firedAt, reason: resurfaced.reason };
+  }
+
+  // Calibration: realized execution / success vs impact priors (derived, never stored;
+  // the priors used for ranking are unchanged)
+  const calibration = guardPhase('calibration', () => phase('calibration', () => calibrateImpactPriors(
+    portfolioRankedActions, actionEvents, rawData.companies || [], now
+  )), null, errors);
+  for (const action of portfolioRankedActions) {
+    const adjustment = calibration?.byAction.get(action.actionId);
+    if (adjustment) action.calibration = adjustment;
+  }
+
+  // Capacity-aware plan: packs ranked actions into each member's hours
+  const plan = guardPhase('plan', () => phase('plan', () => planActions(portfolioRankedActions, {
+    ...(options.plan || {}),
+    team: rawData.team || [],
+    deadlinesByAction: portfolioDeadlines,
+    assigneeByAction,
+    goals: allGoals
+  })), null, errors);
+  const rankedById = new Map(portfolioRankedActions.map(a => [a.actionId, a]));
 
   // Attach constraint drivers for UI context at portfolio level
   for (const action of portfolioRankedActions) {
@@ -629,7 +983,10 @@ export function compute(rawData, now = new Date(), options = {}) {
     GOAL: portfolioRankedActions.filter(a => a.sources[0]?.sourceType === 'GOAL').length,
     ISSUE: portfolioRankedActions.filter(a => a.sources[0]?.sourceType === 'ISSUE').length,
     PREISSUE: portfolioRankedActions.filter(a => a.sources[0]?.sourceType === 'PREISSUE').length,
-    INTRODUCTION: portfolioRankedActions.filter(a => a.sources[0]?.sourceType === 'INTRODUCTION').length
+    INTRODUCTION: portfolioRankedActions.filter(a => a.sources[0]?.sourceType === 'INTRODUCTION').length,
+    OPPORTUNITY: portfolioRankedActions.filter(a => a.sources[0]?.sourceType === 'OPPORTUNITY').length,
+    MANUAL: portfolioRankedActions.filter(a => a.sources[0]?.sourceType === 'MANUAL').length,
+    FOLLOWUP: portfolioRankedActions.filter(a => a.sources[0]?.sourceType === 'FOLLOWUP').length
   };
   
   return {
@@ -639,7 +996,15 @@ export function compute(rawData, now = new Date(), options = {}) {
     
     // Phase 4.5.2: Actions are primary artifact
     actions: portfolioRankedActions,
-    todayActions: portfolioRankedActions.slice(0, 5),
+    todayActions: plan
+      ? plan.included.map(entry => rankedById.get(entry.actionId))
+      : portfolioRankedActions.slice(0, 5),
+    plan,
+    calibration: calibration ? { cells: calibration.cells, meta: calibration.meta } : null,
+    introCapital: globals.introCapital,
+    suppressedIntros: introBudget.suppressed,
+    meetingReview: meetingResolution.review,
+    metricReview: metricProposals.filter(p => p.status === 'pending'),
     
     // Compatibility: priorities view
     priorities: portfolioRankedActions.map(a => ({
@@ -659,6 +1024,10 @@ export function compute(rawData, now = new Date(), options = {}) {
     context: {
       trustRiskByAction: portfolioTrustRisk,
       deadlinesByAction: portfolioDeadlines,
+      constraintPressureByAction: portfolioConstraintPressure,
+      assigneeByAction,
+      ownerCapacity,
+      snoozes,
       events: actionEvents
     },
 
@@ -682,14 +1051,21 @@ export function compute(rawData, now = new Date(), options = {}) {
       healthCounts,
       actionSourceCounts,
       executionOrder,
-      layersExecuted: ['L0_RAW', ...executionOrder.map(n => n.toUpperCase())]
-    }
+      layersExecuted: ['L0_RAW', ...executionOrder.map(n => n.toUpperCase())],
+      ...(cache ? { cache: cacheStats } : {}),
+      ...(asOfInfo ? { asOf: asOfInfo } : {}),
+      ...(globals.weights ? { weightOverrides: options.weightOverrides } : {})
+    },
+
+    // Opt-in per-node execution trace (options.trace)
+    ...(tracer ? { trace: tracer.finish() } : {})
   };
 }
 
 export function computeCompany(company, now = new Date()) {
-  const computed = computeCompanyDAG(company, now);
-  
+  // Same fault isolation as compute(): fallbacks as values, failures reported
+  const { values: computed, failures } = resolveFailures(computeCompanyDAG(company, now));
+
   return {
     id: company.id,
     name: company.name,
@@ -705,7 +1081,9 @@ export function computeCompany(company, now = new Date()) {
       ripple: computed.ripple,
       meetings: computed.meetings,
       actions: computed.actionRanker,
-      priorities: computed.priority?.priorities || []
+      priorities: computed.priority?.priorities || [],
+      ...registeredOutputs(computed),
+      ...(failures.length > 0 ? { failures: failures.map(toErrorRecord) } : {})
     }
   };
 }
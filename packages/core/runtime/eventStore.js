@@ -0,0 +1,78 @@
+/**
+ * eventStore.js – EventStore Selection
+ *
+ * Builds the configured EventStore backend (interface: eventStoreBase.js).
+ *
+ * Config (eventStoreConfigFromEnv):
+ *   BACKBONE_EVENT_STORE       memory | file | sqlite | redis
+ *                              default: redis when Upstash is configured, else memory
+ *                              (file is opt-in: serverless hosts have a read-only disk)
+ *   BACKBONE_EVENT_STORE_PATH  file / sqlite location
+ *                              default: <cwd>/.backbone-data/events.jsonl (or .sqlite)
+ *   BACKBONE_EVENT_STORE_ALLOW_CLEAR=1  enable clear() (dev only)
+ *
+ * Redis clients and SQLite drivers are created by the caller and passed
+ * in, so core stays free of network and native dependencies.
+ *
+ * @module eventStore
+ */
+
+import { join } from 'path';
+import { EVENT_STORE_BACKENDS, eventStoreError } from './eventStoreBase.js';
+import { createMemoryEventStore, createFileEventStore, createSqliteEventStore } from './eventStoreLocal.js';
+import { createRedisEventStore } from './eventStoreRedis.js';
+
+export { EVENT_STORE_BACKENDS };
+
+const DEFAULT_DIR = '.backbone-data';
+const DEFAULT_FILES = { file: 'events.jsonl', sqlite: 'events.sqlite' };
+
+/**
+ * Resolve store config from environment variables.
+ *
+ * @param {Object} [env=process.env]
+ * @param {string} [cwd=process.cwd()]
+ * @returns {{ backend: string, path: string|null, allowClear: boolean }}
+ */
+export function eventStoreConfigFromEnv(env = process.env, cwd = process.cwd()) {
+  const hasRedis = !!(env.UPSTASH_REDIS_REST_URL && env.UPSTASH_REDIS_REST_TOKEN);
+  const backend = env.BACKBONE_EVENT_STORE || (hasRedis ? 'redis' : 'memory');
+  const path = DEFAULT_FILES[backend]
+    ? env.BACKBONE_EVENT_STORE_PATH || join(cwd, DEFAULT_DIR, DEFAULT_FILES[backend])
+    : null;
+  return { backend, path, allowClear: env.BACKBONE_EVENT_STORE_ALLOW_CLEAR === '1' };
+}
+
+/**
+ * Create an EventStore.
+ *
+ * @param {Object} config
+ * @param {'memory'|'file'|'sqlite'|'redis'} config.backend
+ * @param {string} [config.path] - file / sqlite
+ * @param {Function} [config.Database] - sqlite: better-sqlite3 compatible constructor
+ * @param {Object} [config.client] - redis: @upstash/redis compatible client
+ * @param {string} [config.key] - redis: list key
+ * @param {boolean} [config.allowClear=false]
+ * @returns {Object} EventStore
+ */
+export function createEventStore(config = {}) {
+  const { backend, allowClear = false } = config;
+  switch (backend) {
+    case 'memory':
+      return createMemoryEventStore({ allowClear });
+    case 'file':
+      return createFileEventStore({ path: config.path, allowClear });
+    case 'sqlite':
+      return createSqliteEventStore({ path: config.path, Database: config.Database, allowClear });
+    case 'redis':
+      return createRedisEventStore({ client: config.client, key: config.key, allowClear });
+    default:
+      throw eventStoreError('BAD_CONFIG', `unknown backend '${backend}' (expected ${EVENT_STORE_BACKENDS.join(', ')})`);
+  }
+}
+
+export default {
+  EVENT_STORE_BACKENDS,
+  eventStoreConfigFromEnv,
+  createEventStore
+};
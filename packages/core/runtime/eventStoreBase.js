@@ -0,0 +1,149 @@
+/**
+ * eventStoreBase.js – EventStore Interface + Shared Append Rules
+ *
+ * Every backend (eventStoreLocal.js, eventStoreRedis.js) implements:
+ *
+ *   append(event, { idempotencyKey?, precondition? })
+ *                                       → { event, sequence, duplicate }
+ *   readAll()                           → events in append order
+ *   readRange({ fromSequence?, toSequence?, since?, until?, limit? })
+ *   readByAction(actionId) / readByEntity(entityId)
+ *   snapshot()                          → { sequence, takenAt, events }
+ *   compact()                           → { total, migrated, invalid, reclaimed }
+ *   clear()                             → only when created with allowClear
+ *   describe()                          → { backend, location, ... }
+ *
+ * Sequence numbers start at 1 and follow append order.
+ *
+ * Idempotency: the key defaults to the event id. Re-appending a known key
+ * returns the originally stored event with duplicate: true, so retries
+ * never duplicate.
+ *
+ * Conditional append: `precondition(priorEvents)` receives the stored events
+ * for the same actionId (as stored) after the idempotency check, and throws
+ * to reject the append (e.g. derive/actionLifecycle.js assertTransition).
+ *
+ * INVARIANT: HC4 append-only. No backend exposes update or delete; a new
+ *            event reusing a stored id under another key is rejected.
+ * INVARIANT: Only canonical events (raw/actionEvent.js) are appended.
+ * INVARIANT: compact() changes storage, never meaning: sequence and payloads
+ *            survive; legacy events are upgraded to the current schema.
+ *
+ * @module eventStoreBase
+ */
+
+import { assertValidActionEvent, migrateActionEvents } from '../raw/actionEvent.js';
+
+export const EVENT_STORE_BACKENDS = ['memory', 'file', 'sqlite', 'redis'];
+
+/**
+ * @typedef {Object} EventRange
+ * @property {number} [fromSequence] - Inclusive, 1-based
+ * @property {number} [toSequence] - Inclusive
+ * @property {string} [since] - ISO timestamp, inclusive
+ * @property {string} [until] - ISO timestamp, inclusive
+ * @property {number} [limit]
+ */
+
+/**
+ * Error raised by any backend. `code` lets API routes map to HTTP status.
+ * @param {string} code - 'APPEND_ONLY' | 'CLEAR_DISABLED' | 'BAD_KEY' | 'BAD_CONFIG' | 'CONFLICT'
+ * @param {string} message
+ * @returns {Error}
+ */
+export function eventStoreError(code, message) {
+  const error = new Error(`EVENT_STORE: ${message}`);
+  error.code = code;
+  return error;
+}
+
+// =============================================================================
+// APPEND RULES
+// =============================================================================
+
+/**
+ * Validate an event and resolve its idempotency key. Throws on invalid
+ * events (with `.errors`, see assertValidActionEvent) or keys.
+ *
+ * @param {Object} event
+ * @param {{ idempotencyKey?: string }} [options]
+ * @returns {{ event: Object, key: string }}
+ */
+export function prepareAppend(event, options = {}) {
+  const canonical = assertValidActionEvent(event);
+  const key = options.idempotencyKey ?? canonical.id;
+  if (typeof key !== 'string' || key.length === 0) {
+    throw eventStoreError('BAD_KEY', 'idempotencyKey must be a non-empty string');
+  }
+  return { event: canonical, key };
+}
+
+/**
+ * Run the caller's precondition, if any, against the action's prior events.
+ * @param {{ precondition?: Function }} [options]
+ * @param {Object[]} priorEvents
+ */
+export function runPrecondition(options, priorEvents) {
+  if (typeof options?.precondition === 'function') options.precondition(priorEvents);
+}
+
+/**
+ * Reject a new event that reuses a stored id (HC4: stored events are never replaced).
+ * @param {string} id
+ */
+export function rejectIdReuse(id) {
+  throw eventStoreError('APPEND_ONLY', `event id '${id}' is already stored; events are append-only`);
+}
+
+// =============================================================================
+// READ HELPERS
+// =============================================================================
+
+/**
+ * Apply an EventRange to records already in append order.
+ * @param {Array<{ sequence: number, event: Object }>} records
+ * @param {EventRange} [range]
+ * @returns {Object[]} events
+ */
+export function selectRange(records, range = {}) {
+  const { fromSequence = 1, toSequence = Infinity, since, until, limit } = range;
+  const sinceMs = since ? Date.parse(since) : -Infinity;
+  const untilMs = until ? Date.parse(until) : Infinity;
+
+  const out = [];
+  for (const { sequence, event } of records) {
+    if (sequence < fromSequence || sequence > toSequence) continue;
+    const at = Date.parse(event.timestamp);
+    if (at < sinceMs || at > untilMs) continue;
+    out.push(event);
+    if (limit !== undefined && out.length >= limit) break;
+  }
+  return out;
+}
+
+/**
+ * Upgrade stored events for compaction. Events that cannot be upgraded
+ * into valid ones are kept exactly as stored and reported.
+ *
+ * @param {Object[]} stored
+ * @returns {{ events: Object[], migrated: number, invalid: Object[] }}
+ */
+export function compactEvents(stored) {
+  const { events, migrated, invalid } = migrateActionEvents(stored);
+  const invalidIndexes = new Set(invalid.map(i => i.index));
+  return {
+    events: events.map((e, index) => (invalidIndexes.has(index) ? stored[index] : e)),
+    migrated,
+    invalid
+  };
+}
+
+export default {
+  EVENT_STORE_BACKENDS,
+  eventStoreError,
+  prepareAppend,
+  runPrecondition,
+  rejectIdReuse,
+  selectRange,
+  compactEvents
+};
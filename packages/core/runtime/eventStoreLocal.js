@@ -0,0 +1,322 @@
+/**
+ * eventStoreLocal.js – Memory, JSONL File and SQLite EventStores
+ *
+ * Backends that need no network (see eventStoreBase.js for the interface):
+ *
+ *   memory — process-local; for tests and explicit dev setups only
+ *   file   — append-only JSONL, one { sequence, key, event } record per line
+ *   sqlite — one row per event; UPDATE/DELETE blocked by triggers
+ *
+ * The SQLite backend takes a better-sqlite3 compatible `Database`
+ * constructor, so core carries no native dependency.
+ *
+ * INVARIANT: The file backend only ever appends lines, except in compact()
+ *            and clear(), which rewrite through a temp file + rename.
+ * INVARIANT: Callers get copies; mutating a returned event never changes the store.
+ *
+ * @module eventStoreLocal
+ */
+
+import { existsSync, readFileSync, appendFileSync, writeFileSync, renameSync, unlinkSync, mkdirSync, statSync } from 'fs';
+import { dirname } from 'path';
+import {
+  eventStoreError,
+  prepareAppend,
+  runPrecondition,
+  rejectIdReuse,
+  selectRange,
+  compactEvents
+} from './eventStoreBase.js';
+
+// =============================================================================
+// IN-PROCESS LOG (shared by memory and file backends)
+// =============================================================================
+
+function createLog() {
+  return { records: [], byKey: new Map(), keyById: new Map() };
+}
+
+function indexRecord(log, record) {
+  log.records.push(record);
+  log.byKey.set(record.key, record);
+  log.keyById.set(record.event.id, record.key);
+}
+
+function nextSequence(log) {
+  return (log.records[log.records.length - 1]?.sequence || 0) + 1;
+}
+
+/**
+ * Append with idempotency and id-reuse checks. `persist` runs before the
+ * record is indexed, so a failed write leaves the log unchanged.
+ */
+function appendToLog(log, event, options, persist) {
+  const { event: canonical, key } = prepareAppend(event, options);
+
+  const existing = log.byKey.get(key);
+  if (existing) {
+    return { event: structuredClone(existing.event), sequence: existing.sequence, duplicate: true };
+  }
+  if (log.keyById.has(canonical.id)) rejectIdReuse(canonical.id);
+  runPrecondition(options, readLogWhere(log, e => e.actionId === canonical.actionId));
+
+  const record = { sequence: nextSequence(log), key, event: structuredClone(canonical) };
+  if (persist) persist(record);
+  indexRecord(log, record);
+  return { event: structuredClone(canonical), sequence: record.sequence, duplicate: false };
+}
+
+function readLog(log, range) {
+  return structuredClone(selectRange(log.records, range));
+}
+
+function readLogWhere(log, predicate) {
+  return structuredClone(log.records.map(r => r.event).filter(predicate));
+}
+
+function snapshotLog(log) {
+  return {
+    sequence: log.records[log.records.length - 1]?.sequence || 0,
+    takenAt: new Date().toISOString(),
+    events: structuredClone(log.records.map(r => r.event))
+  };
+}
+
+function assertClearAllowed(allowClear) {
+  if (!allowClear) {
+    throw eventStoreError('CLEAR_DISABLED', 'clear() is disabled for this store (append-only); create it with allowClear for dev use');
+  }
+}
+
+// =============================================================================
+// MEMORY
+// =============================================================================
+
+/**
+ * @param {{ allowClear?: boolean }} [options]
+ * @returns {Object} EventStore
+ */
+export function createMemoryEventStore({ allowClear = false } = {}) {
+  let log = createLog();
+
+  return {
+    async append(event, options) { return appendToLog(log, event, options); },
+    async readAll() { return readLog(log); },
+    async readRange(range) { return readLog(log, range); },
+    async readByAction(actionId) { return readLogWhere(log, e => e.actionId === actionId); },
+    async readByEntity(entityId) { return readLogWhere(log, e => e.entityId === entityId); },
+    async snapshot() { return snapshotLog(log); },
+    async compact() {
+      const { events, migrated, invalid } = compactEvents(log.records.map(r => r.event));
+      const compacted = createLog();
+      log.records.forEach((r, i) => indexRecord(compacted, { ...r, event: events[i] }));
+      log = compacted;
+      return { total: events.length, migrated, invalid, reclaimed: 0 };
+    },
+    async clear() {
+      assertClearAllowed(allowClear);
+      log = createLog();
+    },
+    describe() {
+      return { backend: 'memory', location: null, count: log.records.length, durable: false };
+    }
+  };
+}
+
+// =============================================================================
+// FILE (append-only JSONL)
+// =============================================================================
+
+/**
+ * Parse JSONL records. Unparseable lines (e.g. a torn write at crash time)
+ * are skipped and counted; compact() drops them.
+ */
+function parseJsonl(text) {
+  const log = createLog();
+  let corruptLines = 0;
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const record = JSON.parse(line);
+      if (typeof record.sequence !== 'number' || !record.event || typeof record.key !== 'string') {
+        throw new Error('not an event record');
+      }
+      indexRecord(log, record);
+    } catch {
+      corruptLines++;
+    }
+  }
+  return { log, corruptLines };
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.path - JSONL file (created on first append)
+ * @param {boolean} [options.allowClear=false]
+ * @returns {Object} EventStore
+ */
+export function createFileEventStore({ path, allowClear = false } = {}) {
+  if (!path) throw eventStoreError('BAD_CONFIG', 'file backend requires a path');
+
+  let log = createLog();
+  let corruptLines = 0;
+  let loadedSize = -1;
+
+  // Reload when the file changed underneath us (another process, manual edit)
+  function fresh() {
+    const size = existsSync(path) ? statSync(path).size : 0;
+    if (size !== loadedSize) {
+      ({ log, corruptLines } = size > 0 ? parseJsonl(readFileSync(path, 'utf8')) : { log: createLog(), corruptLines: 0 });
+      loadedSize = size;
+    }
+    return log;
+  }
+
+  function writeLine(record) {
+    mkdirSync(dirname(path), { recursive: true });
+    const line = JSON.stringify(record) + '\n';
+    appendFileSync(path, line, 'utf8');
+    loadedSize += Buffer.byteLength(line);
+  }
+
+  return {
+    async append(event, options) {
+      return appendToLog(fresh(), event, options, writeLine);
+    },
+    async readAll() { return readLog(fresh()); },
+    async readRange(range) { return readLog(fresh(), range); },
+    async readByAction(actionId) { return readLogWhere(fresh(), e => e.actionId === actionId); },
+    async readByEntity(entityId) { return readLogWhere(fresh(), e => e.entityId === entityId); },
+    async snapshot() { return snapshotLog(fresh()); },
+    async compact() {
+      const current = fresh();
+      const reclaimed = corruptLines;
+      const { events, migrated, invalid } = compactEvents(current.records.map(r => r.event));
+      const body = current.records
+        .map((r, i) => JSON.stringify({ sequence: r.sequence, key: r.key, event: events[i] }) + '\n')
+        .join('');
+      if (existsSync(path)) {
+        writeFileSync(`${path}.tmp`, body, 'utf8');
+        renameSync(`${path}.tmp`, path);
+      }
+      loadedSize = -1;
+      fresh();
+      return { total: events.length, migrated, invalid, reclaimed };
+    },
+    async clear() {
+      assertClearAllowed(allowClear);
+      if (existsSync(path)) unlinkSync(path);
+      log = createLog();
+      corruptLines = 0;
+      loadedSize = 0;
+    },
+    describe() {
+      return { backend: 'file', location: path, count: fresh().records.length, corruptLines, durable: true };
+    }
+  };
+}
+
+// =============================================================================
+// SQLITE
+// =============================================================================
+
+const SQLITE_SCHEMA = `
+CREATE TABLE IF NOT EXISTS action_events (
+  sequence INTEGER PRIMARY KEY AUTOINCREMENT,
+  idempotency_key TEXT NOT NULL UNIQUE,
+  id TEXT NOT NULL UNIQUE,
+  action_id TEXT NOT NULL,
+  entity_id TEXT,
+  timestamp TEXT NOT NULL,
+  body TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS action_events_action ON action_events (action_id);
+CREATE INDEX IF NOT EXISTS action_events_entity ON action_events (entity_id);
+CREATE TRIGGER IF NOT EXISTS action_events_no_update BEFORE UPDATE ON action_events
+BEGIN SELECT RAISE(ABORT, 'action_events is append-only'); END;
+CREATE TRIGGER IF NOT EXISTS action_events_no_delete BEFORE DELETE ON action_events
+BEGIN SELECT RAISE(ABORT, 'action_events is append-only'); END;
+`;
+
+const toRecord = row => ({ sequence: Number(row.sequence), event: JSON.parse(row.body) });
+
+/**
+ * @param {Object} options
+ * @param {string} options.path - Database file, or ':memory:'
+ * @param {Function} options.Database - better-sqlite3 compatible constructor
+ * @param {boolean} [options.allowClear=false]
+ * @returns {Object} EventStore
+ */
+export function createSqliteEventStore({ path, Database, allowClear = false } = {}) {
+  if (!path) throw eventStoreError('BAD_CONFIG', 'sqlite backend requires a path');
+  if (typeof Database !== 'function') {
+    throw eventStoreError('BAD_CONFIG', 'sqlite backend requires a Database constructor (e.g. better-sqlite3)');
+  }
+  if (path !== ':memory:') mkdirSync(dirname(path), { recursive: true });
+
+  const db = new Database(path);
+  db.exec(SQLITE_SCHEMA);
+
+  const byKey = db.prepare('SELECT sequence, body FROM action_events WHERE idempotency_key = ?');
+  const byId = db.prepare('SELECT sequence FROM action_events WHERE id = ?');
+  const insert = db.prepare(
+    'INSERT INTO action_events (idempotency_key, id, action_id, entity_id, timestamp, body) VALUES (?, ?, ?, ?, ?, ?)'
+  );
+  const bySequence = db.prepare('SELECT sequence, body FROM action_events WHERE sequence >= ? AND sequence <= ? ORDER BY sequence');
+  const byAction = db.prepare('SELECT body FROM action_events WHERE action_id = ? ORDER BY sequence');
+  const byEntity = db.prepare('SELECT body FROM action_events WHERE entity_id = ? ORDER BY sequence');
+  const count = db.prepare('SELECT COUNT(*) AS n, MAX(sequence) AS last FROM action_events');
+
+  const appendTx = db.transaction((event, key, options) => {
+    const existing = byKey.get(key);
+    if (existing) {
+      return { event: JSON.parse(existing.body), sequence: Number(existing.sequence), duplicate: true };
+    }
+    if (byId.get(event.id)) rejectIdReuse(event.id);
+    runPrecondition(options, byAction.all(event.actionId).map(row => JSON.parse(row.body)));
+    const info = insert.run(key, event.id, event.actionId, event.entityId ?? null, event.timestamp, JSON.stringify(event));
+    return { event, sequence: Number(info.lastInsertRowid), duplicate: false };
+  });
+
+  const readSequence = (from = 1, to = Number.MAX_SAFE_INTEGER) => bySequence.all(from, to).map(toRecord);
+
+  return {
+    async append(event, options) {
+      const { event: canonical, key } = prepareAppend(event, options);
+      return appendTx(canonical, key, options);
+    },
+    async readAll() { return readSequence().map(r => r.event); },
+    async readRange(range = {}) {
+      return selectRange(readSequence(range.fromSequence, range.toSequence), range);
+    },
+    async readByAction(actionId) { return byAction.all(actionId).map(row => JSON.parse(row.body)); },
+    async readByEntity(entityId) { return byEntity.all(entityId).map(row => JSON.parse(row.body)); },
+    async snapshot() {
+      const records = readSequence();
+      return {
+        sequence: records[records.length - 1]?.sequence || 0,
+        takenAt: new Date().toISOString(),
+        events: records.map(r => r.event)
+      };
+    },
+    async compact() {
+      // Rows are validated canonical events on insert; nothing to upgrade
+      db.exec('VACUUM');
+      return { total: count.get().n, migrated: 0, invalid: [], reclaimed: 0 };
+    },
+    async clear() {
+      assertClearAllowed(allowClear);
+      db.exec('DROP TABLE IF EXISTS action_events');
+      db.exec(SQLITE_SCHEMA);
+    },
+    describe() {
+      return { backend: 'sqlite', location: path, count: count.get().n, durable: path !== ':memory:' };
+    }
+  };
+}
+
+export default {
+  createMemoryEventStore,
+  createFileEventStore,
+  createSqliteEventStore
+};
@@ -0,0 +1,236 @@
+/**
+ * eventStoreRedis.js – Redis EventStore
+ *
+ * Events live in one Redis list (append order = sequence). Companion keys:
+ *
+ *   <key>:idempotency        hash  idempotency key → stored event
+ *   <key>:ids                hash  event id → idempotency key
+ *   <key>:seq                hash  event id → sequence
+ *   <key>:action:<actionId>  list  sequences of that action's events
+ *   <key>:indexed            count of list entries already indexed
+ *
+ * The client is injected (e.g. an @upstash/redis instance), so core carries
+ * no Redis dependency. Uses: lrange, rpush, hget, del, eval.
+ *
+ * Conditional append is optimistic: the precondition runs against the
+ * action's indexed events, and the write (REDIS_SCRIPTS.append) only lands
+ * if the action's index still has the length that was read. Otherwise the
+ * append re-reads, re-runs the precondition and retries, up to
+ * MAX_APPEND_ATTEMPTS, then fails with code CONFLICT. Two concurrent
+ * transitions for one action therefore cannot both pass assertTransition.
+ *
+ * The idempotency and id hashes are written by the same script as the
+ * event, so a key exists only once its event is committed: a retry racing
+ * an in-flight append is never told about an event that then fails, and a
+ * crash mid-append leaves no key behind.
+ *
+ * compact() writes the upgraded list to a temp key and swaps it in with
+ * RENAME (REDIS_SCRIPTS.swap) only if no append landed meanwhile, so a
+ * crash or a concurrent append never loses events.
+ *
+ * Lists written before the action index existed are indexed on first use
+ * (REDIS_SCRIPTS.index).
+ *
+ * Errors propagate. There is no silent in-memory fallback: a failed
+ * append must surface to the caller, or Redis and the caller diverge.
+ *
+ * INVARIANT: The list is only appended to, except by compact() (in-place
+ *            schema upgrade) and clear() (dev only).
+ *
+ * @module eventStoreRedis
+ */
+
+import {
+  eventStoreError,
+  prepareAppend,
+  runPrecondition,
+  rejectIdReuse,
+  selectRange,
+  compactEvents
+} from './eventStoreBase.js';
+
+export const DEFAULT_REDIS_KEY = 'backbone:events';
+
+export const MAX_APPEND_ATTEMPTS = 5;
+
+/**
+ * Lua scripts run with EVAL; each is atomic on the server.
+ * Keys and arguments are listed above each script.
+ */
+export const REDIS_SCRIPTS = {
+  // KEYS: list, indexed, seq   ARGV: action key prefix
+  // Index list entries past the indexed count. Returns the list length.
+  index: `
+local total = redis.call('LLEN', KEYS[1])
+local done = tonumber(redis.call('GET', KEYS[2]) or '0')
+for i = done + 1, total do
+  local event = cjson.decode(redis.call('LINDEX', KEYS[1], i - 1))
+  if event.actionId then redis.call('RPUSH', ARGV[1] .. event.actionId, i) end
+  if event.id then redis.call('HSET', KEYS[3], event.id, i) end
+end
+redis.call('SET', KEYS[2], total)
+return total`,
+
+  // KEYS: list, action index, seq, indexed, idempotency, ids
+  // ARGV: event JSON, event id, expected action count, idempotency key
+  // Append if the action index is unchanged and record the keys with it.
+  // -1 on conflict, -2 if unindexed entries exist, -3 if the idempotency
+  // key is taken, -4 if the event id is taken.
+  append: `
+if redis.call('HEXISTS', KEYS[5], ARGV[4]) == 1 then return -3 end
+if redis.call('HEXISTS', KEYS[6], ARGV[2]) == 1 then return -4 end
+if redis.call('LLEN', KEYS[2]) ~= tonumber(ARGV[3]) then return -1 end
+if tonumber(redis.call('GET', KEYS[4]) or '0') ~= redis.call('LLEN', KEYS[1]) then return -2 end
+local sequence = redis.call('RPUSH', KEYS[1], ARGV[1])
+redis.call('RPUSH', KEYS[2], sequence)
+redis.call('HSET', KEYS[3], ARGV[2], sequence)
+redis.call('SET', KEYS[4], sequence)
+redis.call('HSET', KEYS[5], ARGV[4], ARGV[1])
+redis.call('HSET', KEYS[6], ARGV[2], ARGV[4])
+return sequence`,
+
+  // KEYS: list, action index
+  // The action's events in append order.
+  readAction: `
+local events = {}
+for i, sequence in ipairs(redis.call('LRANGE', KEYS[2], 0, -1)) do
+  events[i] = redis.call('LINDEX', KEYS[1], tonumber(sequence) - 1)
+end
+return events`,
+
+  // KEYS: list, temp   ARGV: expected list length
+  // Replace the list with the temp copy if nothing was appended since it was read.
+  swap: `
+if redis.call('LLEN', KEYS[1]) ~= tonumber(ARGV[1]) then
+  redis.call('DEL', KEYS[2])
+  return 0
+end
+redis.call('RENAME', KEYS[2], KEYS[1])
+return 1`
+};
+
+const KEY_TAKEN = -3;
+const ID_TAKEN = -4;
+
+// EVAL replies may arrive as JSON strings or already deserialized
+function parseEvent(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * @param {Object} options
+ * @param {Object} options.client - Redis client (@upstash/redis API)
+ * @param {string} [options.key] - List key
+ * @param {boolean} [options.allowClear=false]
+ * @returns {Object} EventStore
+ */
+export function createRedisEventStore({ client, key = DEFAULT_REDIS_KEY, allowClear = false } = {}) {
+  if (!client) throw eventStoreError('BAD_CONFIG', 'redis backend requires a client');
+  const idempotencyKey = `${key}:idempotency`;
+  const idsKey = `${key}:ids`;
+  const seqKey = `${key}:seq`;
+  const indexedKey = `${key}:indexed`;
+  const tempKey = `${key}:compacting`;
+  const actionPrefix = `${key}:action:`;
+
+  async function readRecords(from = 1, to) {
+    const events = (await client.lrange(key, from - 1, to === undefined ? -1 : to - 1)) || [];
+    return events.map((event, i) => ({ sequence: from + i, event }));
+  }
+
+  async function ensureIndexed() {
+    await client.eval(REDIS_SCRIPTS.index, [key, indexedKey, seqKey], [actionPrefix]);
+  }
+
+  async function readAction(actionId) {
+    const events = await client.eval(REDIS_SCRIPTS.readAction, [key, actionPrefix + actionId], []);
+    return (events || []).map(parseEvent);
+  }
+
+  // The stored event for an idempotency key, as a duplicate append result
+  async function duplicateOf(appendKey) {
+    const original = await client.hget(idempotencyKey, appendKey);
+    if (!original) return null;
+    const event = parseEvent(original);
+    const sequence = await client.hget(seqKey, event.id);
+    return { event, sequence: sequence === null ? null : Number(sequence), duplicate: true };
+  }
+
+  return {
+    // Precondition + conditional write, retried while other writers win the race
+    async append(event, options) {
+      const { event: canonical, key: appendKey } = prepareAppend(event, options);
+      const actionKey = actionPrefix + canonical.actionId;
+      for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+        const duplicate = await duplicateOf(appendKey);
+        if (duplicate) return duplicate;
+        if (await client.hget(idsKey, canonical.id) !== null) rejectIdReuse(canonical.id);
+
+        await ensureIndexed();
+        const prior = await readAction(canonical.actionId);
+        runPrecondition(options, prior);
+        const sequence = Number(await client.eval(
+          REDIS_SCRIPTS.append,
+          [key, actionKey, seqKey, indexedKey, idempotencyKey, idsKey],
+          [JSON.stringify(canonical), canonical.id, String(prior.length), appendKey]
+        ));
+        if (sequence > 0) return { event: canonical, sequence, duplicate: false };
+        if (sequence === ID_TAKEN) rejectIdReuse(canonical.id);
+        if (sequence === KEY_TAKEN) return duplicateOf(appendKey);
+      }
+      throw eventStoreError('CONFLICT', `action '${canonical.actionId}' kept changing; append not applied after ${MAX_APPEND_ATTEMPTS} attempts`);
+    },
+    async readAll() { return (await readRecords()).map(r => r.event); },
+    async readRange(range = {}) {
+      return selectRange(await readRecords(range.fromSequence || 1, range.toSequence), range);
+    },
+    async readByAction(actionId) {
+      await ensureIndexed();
+      return readAction(actionId);
+    },
+    async readByEntity(entityId) {
+      return (await readRecords()).map(r => r.event).filter(e => e.entityId === entityId);
+    },
+    async snapshot() {
+      const records = await readRecords();
+      return {
+        sequence: records.length,
+        takenAt: new Date().toISOString(),
+        events: records.map(r => r.event)
+      };
+    },
+    async compact() {
+      // Sequences, ids and actionIds survive migration, so the index stays valid
+      for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+        const stored = (await readRecords()).map(r => r.event);
+        const { events, migrated, invalid } = compactEvents(stored);
+        if (migrated === 0) return { total: events.length, migrated, invalid, reclaimed: 0 };
+
+        await client.del(tempKey);
+        await client.rpush(tempKey, ...events);
+        if (Number(await client.eval(REDIS_SCRIPTS.swap, [key, tempKey], [String(stored.length)])) === 1) {
+          return { total: events.length, migrated, invalid, reclaimed: 0 };
+        }
+      }
+      throw eventStoreError('CONFLICT', `appends kept landing during compaction; gave up after ${MAX_APPEND_ATTEMPTS} attempts`);
+    },
+    async clear() {
+      if (!allowClear) {
+        throw eventStoreError('CLEAR_DISABLED', 'clear() is disabled for this store (append-only); create it with allowClear for dev use');
+      }
+      const actionIds = new Set((await readRecords()).map(r => r.event.actionId).filter(Boolean));
+      for (const actionId of actionIds) await client.del(actionPrefix + actionId);
+      for (const k of [key, idempotencyKey, idsKey, seqKey, indexedKey, tempKey]) await client.del(k);
+    },
+    describe() {
+      return { backend: 'redis', location: key, durable: true };
+    }
+  };
+}
+
+export default {
+  DEFAULT_REDIS_KEY,
+  MAX_APPEND_ATTEMPTS,
+  REDIS_SCRIPTS,
+  createRedisEventStore
+};
@@ -124,7 +124,8 @@ export function exportComputed(engineOutput) {
     derived: {
       companies: companiesDerived,
       priorities: engineOutput.priorities || [],
-      todayActions: engineOutput.todayActions || []
+      todayActions: engineOutput.todayActions || [],
+      plan: engineOutput.plan || null
     },
     meta: {
       computedAt: engineOutput.meta?.computedAt || new Date().toISOString(),
@@ -191,9 +192,57 @@ export function hashRaw(obj) {
   return hash.toString(16);
 }
 
+/**
+ * Canonical serialization: object keys sorted at every depth, Maps as
+ * sorted entry lists, Dates as ISO strings. Same data → same string
+ * regardless of key insertion order.
+ * @param {any} value
+ * @returns {string}
+ */
+function canonicalStringify(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (value instanceof Map) {
+    const entries = Array.from(value.entries())
+      .map(([k, v]) => [String(k), v])
+      .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+    return `{${entries.map(([k, v]) => `${JSON.stringify(k)}:${canonicalStringify(v)}`).join(',')}}`;
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalStringify).join(',')}]`;
+  }
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Deep, key-order-independent hash for cache keys.
+ * Unlike hashRaw, nested keys are all included. 53-bit (cyrb53) to keep
+ * collisions negligible across a portfolio's worth of inputs.
+ * @param {any} obj
+ * @returns {string}
+ */
+export function hashCanonical(obj) {
+  const str = canonicalStringify(obj);
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const chr = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ chr, 2654435761);
+    h2 = Math.imul(h2 ^ chr, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
 export default {
   exportRaw,
   exportComputed,
   verifyExportRaw,
-  hashRaw
+  hashRaw,
+  hashCanonical
 };
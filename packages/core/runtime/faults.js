@@ -0,0 +1,206 @@
+/**
+ * faults.js – DAG Node Fault Isolation
+ *
+ * A throw inside one node must not abort the portfolio. The engine runs each
+ * node in a guard; a failed node's ctx slot holds a NodeFailure value instead
+ * of an output. Dependents then either:
+ *
+ *   DEGRADE — run, seeing the failed node's documented empty fallback
+ *   SKIP    — do not run; become a NodeFailure with reason 'skipped'
+ *
+ * A node skips only when a dependency listed in NODE_REQUIRES failed
+ * (its output would be meaningless without that input). Every other
+ * dependency failure degrades.
+ *
+ * INVARIANT: NodeFailure values never leave the engine as derived data.
+ * Engine output exposes the fallback plus a failure record.
+ *
+ * @module faults
+ */
+
+// =============================================================================
+// NODE FAILURE VALUE
+// =============================================================================
+
+export const NODE_FAILURE = 'NODE_FAILURE';
+
+/**
+ * @typedef {Object} NodeFailure
+ * @property {'NODE_FAILURE'} type
+ * @property {string} node - Node that failed or was skipped
+ * @property {string|null} companyId
+ * @property {'threw'|'skipped'} reason
+ * @property {string} message
+ * @property {string|null} stack - Present when reason === 'threw'
+ * @property {string[]} upstream - Failed required deps when reason === 'skipped'
+ */
+
+/**
+ * Build a NodeFailure value.
+ * @param {Object} params
+ * @param {string} params.node
+ * @param {string|null} [params.companyId]
+ * @param {'threw'|'skipped'} params.reason
+ * @param {Error} [params.error]
+ * @param {string[]} [params.upstream]
+ * @returns {NodeFailure}
+ */
+export function createNodeFailure({ node, companyId = null, reason, error = null, upstream = [] }) {
+  const message = reason === 'skipped'
+    ? `skipped: required upstream failed (${upstream.join(', ')})`
+    : (error?.message || String(error));
+  return Object.freeze({
+    type: NODE_FAILURE,
+    node,
+    companyId,
+    reason,
+    message,
+    stack: reason === 'threw' ? (error?.stack || null) : null,
+    upstream: [...upstream]
+  });
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isNodeFailure(value) {
+  return !!value && typeof value === 'object' && value.type === NODE_FAILURE;
+}
+
+// =============================================================================
+// DEGRADE / SKIP POLICY
+// =============================================================================
+
+/**
+ * Empty default each node's dependents see when it failed.
+ * Shapes match what the compute functions already tolerate
+ * (e.g. `ctx.issues?.issues || []`, `ctx.snapshot?.metrics`).
+ */
+export const NODE_FALLBACKS = {
+  runway: () => null,
+  metrics: () => [],
+  meetings: () => null,
+  commitments: () => [],
+  snapshot: () => null,
+  trajectory: () => ({}),
+  goalTrajectory: () => [],
+  health: () => null,
+  issues: () => ({ issues: [], summary: null }),
+  preissues: () => [],
+  ripple: () => null,
+  introOpportunity: () => [],
+  opportunities: () => [],
+  followups: () => [],
+  goalDamage: () => [],
+  suggestedGoals: () => [],
+  goalSelection: () => [],
+  actionCandidates: () => [],
+  actionImpact: () => [],
+  actionRanker: () => [],
+  priority: () => ({ priorities: [], summary: null })
+};
+
+/**
+ * Dependencies without which a node is skipped rather than degraded.
+ */
+export const NODE_REQUIRES = {
+  ripple: ['issues'],
+  actionImpact: ['actionCandidates'],
+  actionRanker: ['actionImpact'],
+  priority: ['actionRanker']
+};
+
+/**
+ * Fallback value for a node (null for nodes without a declared fallback).
+ * @param {string} node
+ * @returns {any}
+ */
+export function fallbackFor(node) {
+  const make = NODE_FALLBACKS[node];
+  return make ? make() : null;
+}
+
+/**
+ * Failed required deps for `node`, given the current ctx.
+ * @param {string} node
+ * @param {string[]} deps
+ * @param {Object} ctx
+ * @returns {string[]}
+ */
+export function failedRequirements(node, deps, ctx) {
+  const required = NODE_REQUIRES[node] || [];
+  return deps.filter(dep => required.includes(dep) && isNodeFailure(ctx[dep]));
+}
+
+/**
+ * View of ctx with every NodeFailure replaced by its fallback.
+ * Returns ctx itself when nothing failed.
+ * @param {Object} ctx
+ * @returns {Object}
+ */
+export function withFallbacks(ctx) {
+  let view = null;
+  for (const [node, value] of Object.entries(ctx)) {
+    if (!isNodeFailure(value)) continue;
+    if (!view) view = { ...ctx };
+    view[node] = fallbackFor(node);
+  }
+  return view || ctx;
+}
+
+/**
+ * Split a computed ctx into exposed values and failure records.
+ * @param {Object} ctx
+ * @returns {{ values: Object, failures: NodeFailure[] }}
+ */
+export function resolveFailures(ctx) {
+  const failures = Object.values(ctx).filter(isNodeFailure);
+  return { values: failures.length ? withFallbacks(ctx) : ctx, failures };
+}
+
+/**
+ * Run a portfolio-level phase; on throw return `fallback` and record the failure.
+ * @param {string} name - Phase name (recorded as node `portfolio:<name>`)
+ * @param {Function} fn
+ * @param {any} fallback
+ * @param {Object[]} errors - Sink for failure records
+ * @returns {any}
+ */
+export function guardPhase(name, fn, fallback, errors) {
+  try {
+    return fn();
+  } catch (err) {
+    errors.push(toErrorRecord(createNodeFailure({ node: `portfolio:${name}`, reason: 'threw', error: err })));
+    return fallback;
+  }
+}
+
+/**
+ * Plain error record for meta.errors.
+ * @param {NodeFailure} failure
+ * @returns {{ companyId: string|null, node: string, reason: string, message: string, stack: string|null }}
+ */
+export function toErrorRecord(failure) {
+  return {
+    companyId: failure.companyId,
+    node: failure.node,
+    reason: failure.reason,
+    message: failure.message,
+    stack: failure.stack
+  };
+}
+
+export default {
+  NODE_FAILURE,
+  NODE_FALLBACKS,
+  NODE_REQUIRES,
+  createNodeFailure,
+  isNodeFailure,
+  fallbackFor,
+  failedRequirements,
+  withFallbacks,
+  resolveFailures,
+  guardPhase,
+  toErrorRecord
+};
@@ -30,6 +30,9 @@ export const GRAPH = {
   runway: [],
   metrics: [],
   meetings: [],
+
+  // L1.2: Commitments (meeting action items with owners, due dates, status)
+  commitments: ['meetings'],
   
   // L1.5: Snapshot (derives current metric values from metricFacts + scalars)
   snapshot: ['metrics'],
@@ -46,14 +49,20 @@ export const GRAPH = {
   // L5: Issues (gaps - depends on runway, trajectory, goalTrajectory, snapshot)
   issues: ['runway', 'trajectory', 'goalTrajectory', 'snapshot'],
   
-  // L6: Pre-issues (forecasted - depends on runway, goalTrajectory, trajectory, meetings, snapshot)
-  preissues: ['runway', 'goalTrajectory', 'trajectory', 'metrics', 'meetings', 'snapshot'],
+  // L6: Pre-issues (forecasted - depends on runway, goalTrajectory, trajectory, meetings, commitments, snapshot)
+  preissues: ['runway', 'goalTrajectory', 'trajectory', 'metrics', 'meetings', 'commitments', 'snapshot'],
   
   // L7: Ripple (downstream effects - depends on issues)
   ripple: ['issues'],
   
   // L8: Intro opportunities (network actions - depends on goalTrajectory for blocked goals)
   introOpportunity: ['goalTrajectory', 'issues'],
+
+  // L8.1: Opportunities (positive-sum actions - goalTrajectory skips on-track goals)
+  opportunities: ['goalTrajectory'],
+
+  // L8.2: Followups (intro ledger outcomes with no reply; intros give target context)
+  followups: ['introOpportunity'],
   
   // L8.5: goalDamage (quantified issue→goal damage)
   goalDamage: ['issues', 'goalTrajectory'],
@@ -64,8 +73,8 @@ export const GRAPH = {
   // L8.7: Goal selection (select top goals for action generation)
   goalSelection: ['suggestedGoals', 'snapshot'],
 
-  // L9: Action candidates (from goals, issues, preissues, intros, meetings, goalDamage)
-  actionCandidates: ['goalSelection', 'issues', 'preissues', 'goalTrajectory', 'introOpportunity', 'meetings', 'suggestedGoals', 'goalDamage'],
+  // L9: Action candidates (from goals, issues, preissues, intros, opportunities, followups, commitments, goalDamage)
+  actionCandidates: ['goalSelection', 'issues', 'preissues', 'goalTrajectory', 'introOpportunity', 'opportunities', 'followups', 'commitments', 'suggestedGoals', 'goalDamage'],
   
   // L10: Action impact (attach impact model, use ripple + goalDamage for leverage)
   actionImpact: ['actionCandidates', 'ripple', 'goalDamage'],
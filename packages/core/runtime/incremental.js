@@ -0,0 +1,206 @@
+/**
+ * incremental.js – Memoized DAG Recompute
+ *
+ * Lets compute() reuse per-node outputs across runs. Each company's attached
+ * inputs are split into slices and hashed; a node is dirty when a slice it
+ * reads changed, or when any upstream node is dirty. Clean nodes reuse the
+ * cached output from the previous run.
+ *
+ * INVARIANT: Cached and uncached runs produce identical engine output.
+ * The cache is runtime memory only. Never persisted.
+ *
+ * @module incremental
+ */
+
+import { hashCanonical } from './export.js';
+import { isCommitmentId } from '../derive/commitments.js';
+
+// =============================================================================
+// INPUT SLICES
+// =============================================================================
+
+/**
+ * Keys attached to a company by the engine (not part of the company record)
+ */
+const ATTACHED_KEYS = new Set(['deals', 'goals', 'rounds', 'meetings', 'constraints']);
+
+/**
+ * All slices a node may read.
+ * company      raw company record (scalars)
+ * deals/goals/rounds/meetings/constraints  attached collections
+ * metricFacts  this company's metricFact index entry
+ * network      people, relationships, investors, team (portfolio-wide)
+ * events       action events (portfolio-wide)
+ * commitmentEvents  action events on commitment ids only (portfolio-wide),
+ *              so ledger writes for other actions leave commitments clean
+ * intros       intro outcome ledger, ghost detection applied (portfolio-wide)
+ * now          evaluation instant
+ */
+export const INPUT_SLICES = [
+  'company', 'deals', 'goals', 'rounds', 'meetings', 'constraints',
+  'metricFacts', 'network', 'events', 'commitmentEvents', 'intros', 'weights', 'now'
+];
+
+const BASE_INPUTS = ['company', 'deals', 'goals', 'rounds', 'now'];
+
+/**
+ * Slices read by each NODE_COMPUTE function (beyond its graph deps).
+ * Nodes not listed here are treated as reading every slice.
+ */
+export const NODE_INPUTS = {
+  runway: BASE_INPUTS,
+  metrics: BASE_INPUTS,
+  meetings: ['meetings', 'now'],
+  commitments: ['meetings', 'network', 'commitmentEvents', 'now'],
+  snapshot: [...BASE_INPUTS, 'metricFacts'],
+  trajectory: BASE_INPUTS,
+  goalTrajectory: BASE_INPUTS,
+  health: BASE_INPUTS,
+  issues: [...BASE_INPUTS, 'metricFacts'],
+  preissues: BASE_INPUTS,
+  ripple: BASE_INPUTS,
+  introOpportunity: [...BASE_INPUTS, 'network', 'intros'],
+  opportunities: [...BASE_INPUTS, 'network'],
+  followups: ['company', 'intros', 'now'],
+  goalDamage: BASE_INPUTS,
+  suggestedGoals: BASE_INPUTS,
+  goalSelection: BASE_INPUTS,
+  actionCandidates: BASE_INPUTS,
+  actionImpact: BASE_INPUTS,
+  actionRanker: [...BASE_INPUTS, 'constraints', 'events', 'weights'],
+  priority: BASE_INPUTS
+};
+
+/**
+ * Hash the portfolio-wide slices once per compute() call.
+ * @param {Object} globals - Engine globals
+ * @param {Date} now
+ * @returns {{ network: string, events: string, commitmentEvents: string, intros: string, weights: string, now: string }}
+ */
+export function hashGlobalInputs(globals, now) {
+  return {
+    network: hashCanonical({
+      people: globals.people || [],
+      relationships: globals.relationships || [],
+      investors: globals.investors || [],
+      team: globals.team || []
+    }),
+    events: hashCanonical(globals.actionEvents || []),
+    commitmentEvents: hashCanonical((globals.actionEvents || []).filter(e => isCommitmentId(e.actionId))),
+    intros: hashCanonical(globals.introOutcomes || []),
+    weights: hashCanonical(globals.weights || null),
+    now: now.toISOString()
+  };
+}
+
+/**
+ * Hash every input slice for one company.
+ * @param {Object} company - Company with attached collections
+ * @param {Object} globals - Engine globals (metricFactIndex, transcripts)
+ * @param {Object} globalHashes - From hashGlobalInputs()
+ * @returns {Object<string, string>} slice → hash
+ */
+export function hashCompanyInputs(company, globals, globalHashes) {
+  const record = {};
+  for (const key of Object.keys(company)) {
+    if (!ATTACHED_KEYS.has(key)) record[key] = company[key];
+  }
+
+  const meetings = company.meetings || [];
+  const transcripts = globals.transcripts || new Map();
+  const meetingTranscripts = meetings.map(m => transcripts.get(m.id) || null);
+
+  return {
+    company: hashCanonical(record),
+    deals: hashCanonical(company.deals || []),
+    goals: hashCanonical(company.goals || []),
+    rounds: hashCanonical(company.rounds || []),
+    meetings: hashCanonical({ meetings, meetingTranscripts }),
+    constraints: hashCanonical(company.constraints || []),
+    metricFacts: hashCanonical(globals.metricFactIndex?.get(company.id) || null),
+    ...globalHashes
+  };
+}
+
+// =============================================================================
+// DIRTY SET
+// =============================================================================
+
+/**
+ * Determine which nodes must re-run given previous and current slice hashes.
+ * Walks the topo order so dirtiness propagates to every dependent.
+ *
+ * @param {Object} graph - Dependency graph
+ * @param {string[]} order - Topological order of graph
+ * @param {Object<string, string>} prevHashes
+ * @param {Object<string, string>} nextHashes
+ * @returns {Set<string>} dirty node names
+ */
+export function findDirtyNodes(graph, order, prevHashes, nextHashes) {
+  const changed = new Set(
+    INPUT_SLICES.filter(slice => prevHashes?.[slice] !== nextHashes[slice])
+  );
+  const dirty = new Set();
+
+  for (const node of order) {
+    const inputs = NODE_INPUTS[node] || INPUT_SLICES;
+    const inputChanged = inputs.some(slice => changed.has(slice));
+    const depDirty = (graph[node] || []).some(dep => dirty.has(dep));
+    if (inputChanged || depDirty) dirty.add(node);
+  }
+
+  return dirty;
+}
+
+// =============================================================================
+// CACHE
+// =============================================================================
+
+/**
+ * Create an engine cache. Pass to compute(rawData, now, { cache }) and keep
+ * the same object across calls.
+ *
+ * @returns {{ graphHash: string|null, companies: Map<string, Object> }}
+ */
+export function createEngineCache() {
+  return {
+    graphHash: null,
+    companies: new Map()
+  };
+}
+
+/**
+ * Reset the cache if the graph shape (or node registry) changed since it was filled.
+ * @param {Object} cache
+ * @param {Object} graph
+ * @param {number} [registryRevision] - From getRegistryRevision()
+ */
+export function syncCacheWithGraph(cache, graph, registryRevision = 0) {
+  const graphHash = hashCanonical({ graph, registryRevision });
+  if (cache.graphHash !== graphHash) {
+    cache.companies.clear();
+    cache.graphHash = graphHash;
+  }
+}
+
+/**
+ * Drop entries for companies no longer in the portfolio.
+ * @param {Object} cache
+ * @param {Set<string>} liveCompanyIds
+ */
+export function pruneCache(cache, liveCompanyIds) {
+  for (const id of Array.from(cache.companies.keys())) {
+    if (!liveCompanyIds.has(id)) cache.companies.delete(id);
+  }
+}
+
+export default {
+  INPUT_SLICES,
+  NODE_INPUTS,
+  hashGlobalInputs,
+  hashCompanyInputs,
+  findDirtyNodes,
+  createEngineCache,
+  syncCacheWithGraph,
+  pruneCache
+};
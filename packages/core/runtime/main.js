@@ -7,6 +7,7 @@
  * Usage:
  *   node main.js          # Actions only
  *   node main.js --debug  # Full engine output
+ *   node main.js --as-of=2026-01-15  # What the engine would have said then
  * 
  * @module main
  */
@@ -22,6 +23,7 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const DEBUG = process.argv.includes('--debug');
+const AS_OF = process.argv.find(a => a.startsWith('--as-of='))?.slice('--as-of='.length) || null;
 
 function loadData() {
   const dataPath = join(__dirname, '../raw/sample.json');
@@ -30,7 +32,11 @@ function loadData() {
 }
 
 function main() {
-  const now = new Date();
+  const now = AS_OF ? new Date(AS_OF) : new Date();
+  if (isNaN(now.getTime())) {
+    console.error(`Invalid --as-of date: ${AS_OF}`);
+    process.exit(1);
+  }
   
   let data;
   try {
@@ -40,7 +46,7 @@ function main() {
     process.exit(1);
   }
 
-  const engineOutput = compute(data, now);
+  const engineOutput = compute(data, now, { asOf: !!AS_OF });
   const actions = getTodayActions(engineOutput, { limit: 10 });
   const summary = getActionsSummary(actions);
 
@@ -110,7 +116,7 @@ function main() {
     if (engineOutput.meta.errors?.length > 0) {
       console.log(`\n[Errors]`);
       for (const err of engineOutput.meta.errors) {
-        console.log(`  ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã…â€œÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â‚¬Å¡Ã‚Â¬ÃƒÂ¢Ã¢â€šÂ¬Ã‚Â ${err}`);
+        console.log(`  ÃƒÆ’Ã†â€™Ãƒâ€šÃ‚Â¢ÃƒÆ’Ã¢â‚¬Â¦ÃƒÂ¢Ã¢â€šÂ¬Ã…â€œÃƒÆ’Ã‚Â¢ÃƒÂ¢Ã¢â‚¬Å¡Ã‚Â¬ÃƒÂ¢Ã¢â€šÂ¬Ã‚Â ${typeof err === 'string' ? err : `[${err.companyId || 'portfolio'}] ${err.node}: ${err.message}`}`);
       }
     }
     if (engineOutput.meta.warnings?.length > 0) {
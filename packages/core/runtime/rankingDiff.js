@@ -0,0 +1,213 @@
+/**
+ * rankingDiff.js – Ranking Diff Between Two Engine Runs
+ *
+ * Explains what moved when data, weights or stage params change.
+ * Actions are matched by actionId; each moved action gets a breakdown of
+ * the computeRankScore components that changed:
+ *
+ *   rankScore = expectedNetImpact − trustPenalty − executionFrictionPenalty
+ *             + timeCriticalityBoost + sourceTypeBoost + patternLift
+ *
+ * `contribution` is each component's signed effect on rankScore (a rising
+ * penalty contributes negatively). Constraint pressure is part of the ranking
+ * context but not of rankScore; it is reported alongside, never as a driver.
+ *
+ * An action can move without any of its own components changing, when other
+ * actions are added, dropped or rescored around it. Those are 'displaced'.
+ *
+ * @module rankingDiff
+ */
+
+// =============================================================================
+// COMPONENTS
+// =============================================================================
+
+/**
+ * rankComponents keys and their sign in rankScore
+ */
+export const RANK_SCORE_COMPONENTS = {
+  expectedNetImpact: 1,
+  trustPenalty: -1,
+  executionFrictionPenalty: -1,
+  timeCriticalityBoost: 1,
+  sourceTypeBoost: 1,
+  patternLift: 1
+};
+
+const EPSILON = 1e-6;
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+function actionsOf(output) {
+  return Array.isArray(output) ? output : (output?.actions || []);
+}
+
+/**
+ * Order diff entries by |entry[key]| descending, then by `tieKey`.
+ * Orders report rows only; never reorders actions.
+ */
+function byMagnitude(entries, key, tieKey) {
+  return [...entries].sort((x, y) => Math.abs(y[key]) - Math.abs(x[key]) || String(x[tieKey]).localeCompare(String(y[tieKey])));
+}
+
+/**
+ * Constraint pressure for an action from a run's ranking context.
+ * Accepts a Map (live output) or a plain object (JSON round-tripped output).
+ */
+function constraintPressureOf(output, actionId) {
+  const map = Array.isArray(output) ? null : output?.context?.constraintPressureByAction;
+  if (!map) return 0;
+  if (map instanceof Map) return map.get(actionId) || 0;
+  if (Array.isArray(map)) return new Map(map).get(actionId) || 0;
+  return map[actionId] || 0;
+}
+
+function summaryOf(action) {
+  return {
+    actionId: action.actionId,
+    title: action.title,
+    companyId: action.entityRef?.id || null,
+    rank: action.rank,
+    rankScore: round(action.rankScore)
+  };
+}
+
+// =============================================================================
+// DIFF
+// =============================================================================
+
+/**
+ * Per-component change for one action between runs.
+ * @param {Object} a - Action in run A
+ * @param {Object} b - Action in run B
+ * @param {number} pressureA
+ * @param {number} pressureB
+ * @returns {{ components: Object[], primaryDriver: string|null }}
+ */
+export function explainScoreChange(a, b, pressureA = 0, pressureB = 0) {
+  const components = [];
+  for (const [component, sign] of Object.entries(RANK_SCORE_COMPONENTS)) {
+    const va = a.rankComponents?.[component] || 0;
+    const vb = b.rankComponents?.[component] || 0;
+    const delta = vb - va;
+    if (Math.abs(delta) <= EPSILON) continue;
+    components.push({
+      component,
+      a: round(va),
+      b: round(vb),
+      delta: round(delta),
+      contribution: round(sign * delta)
+    });
+  }
+  const ordered = byMagnitude(components, 'contribution', 'component');
+  const primaryDriver = ordered[0]?.component || null;
+
+  if (Math.abs(pressureB - pressureA) > EPSILON) {
+    ordered.push({
+      component: 'constraintPressure',
+      a: round(pressureA),
+      b: round(pressureB),
+      delta: round(pressureB - pressureA),
+      contribution: 0,
+      context: true
+    });
+  }
+
+  return { components: ordered, primaryDriver };
+}
+
+/**
+ * Diff two engine outputs (or two ranked action arrays).
+ *
+ * @param {Object|Object[]} outputA - compute() output, or ranked actions
+ * @param {Object|Object[]} outputB
+ * @returns {{
+ *   summary: Object,
+ *   added: Object[],
+ *   dropped: Object[],
+ *   moved: Object[],
+ *   rescored: Object[]
+ * }}
+ *   moved: rank changed. rankDelta > 0 means the action moved up (rank 5 → 2 = +3).
+ *   rescored: same rank, rankScore changed.
+ */
+export function diffRankings(outputA, outputB) {
+  const actionsA = actionsOf(outputA);
+  const actionsB = actionsOf(outputB);
+  const byIdA = new Map(actionsA.map(a => [a.actionId, a]));
+  const byIdB = new Map(actionsB.map(a => [a.actionId, a]));
+
+  const added = actionsB.filter(b => !byIdA.has(b.actionId)).map(summaryOf);
+  const dropped = actionsA.filter(a => !byIdB.has(a.actionId)).map(summaryOf);
+
+  const moved = [];
+  const rescored = [];
+  let unchanged = 0;
+
+  for (const b of actionsB) {
+    const a = byIdA.get(b.actionId);
+    if (!a) continue;
+
+    const rankDelta = a.rank - b.rank;
+    const scoreDelta = b.rankScore - a.rankScore;
+    const scoreChanged = Math.abs(scoreDelta) > EPSILON;
+
+    if (rankDelta === 0 && !scoreChanged) {
+      unchanged++;
+      continue;
+    }
+
+    const { components, primaryDriver } = explainScoreChange(
+      a, b, constraintPressureOf(outputA, a.actionId), constraintPressureOf(outputB, b.actionId)
+    );
+    const entry = {
+      actionId: b.actionId,
+      title: b.title,
+      companyId: b.entityRef?.id || null,
+      rankA: a.rank,
+      rankB: b.rank,
+      rankDelta,
+      scoreA: round(a.rankScore),
+      scoreB: round(b.rankScore),
+      scoreDelta: round(scoreDelta),
+      reason: scoreChanged ? 'score' : 'displaced',
+      primaryDriver,
+      components
+    };
+
+    if (rankDelta !== 0) moved.push(entry);
+    else rescored.push(entry);
+  }
+
+  // Which components drove the most movement, across all moved actions
+  const driverCounts = {};
+  for (const m of moved) {
+    if (m.primaryDriver) driverCounts[m.primaryDriver] = (driverCounts[m.primaryDriver] || 0) + 1;
+  }
+
+  return {
+    summary: {
+      countA: actionsA.length,
+      countB: actionsB.length,
+      added: added.length,
+      dropped: dropped.length,
+      moved: moved.length,
+      rescored: rescored.length,
+      unchanged,
+      displaced: moved.filter(m => m.reason === 'displaced').length,
+      driverCounts
+    },
+    added,
+    dropped,
+    moved: byMagnitude(moved, 'rankDelta', 'actionId'),
+    rescored: byMagnitude(rescored, 'scoreDelta', 'actionId')
+  };
+}
+
+export default {
+  RANK_SCORE_COMPONENTS,
+  explainScoreChange,
+  diffRankings
+};
@@ -0,0 +1,208 @@
+/**
+ * registry.js – Pluggable DAG Node Registry
+ *
+ * Lets callers add derive/predict/decide nodes to the per-company DAG
+ * without editing graph.js or engine.js:
+ *
+ *   registerNode({ name, deps, layer, compute })
+ *
+ * A registered node runs after its deps, sees upstream outputs on ctx
+ * (same signature as built-in nodes: compute(ctx, company, now, globals)),
+ * can itself be a dep of later registered nodes, and its output appears
+ * in `derived[name]` of the engine output.
+ *
+ * Registration is validated up front:
+ * - layer dependency rules (same table as Gate 1, see qa/layerRules.js)
+ * - unknown deps and cycles (validateGraph)
+ * - no shadowing of built-in nodes or derived output keys
+ *
+ * INVARIANT: Built-in GRAPH is never mutated. The engine runs on
+ * getActiveGraph() = GRAPH + registered nodes.
+ *
+ * @module registry
+ */
+
+import { GRAPH, validateGraph } from './graph.js';
+import { isLayerDependencyAllowed } from '../qa/layerRules.js';
+
+// =============================================================================
+// BUILT-IN NODE LAYERS
+// =============================================================================
+
+/**
+ * Layer of each built-in node's output. A node's layer must be allowed to
+ * depend on the layer of each of its deps.
+ * goalDamage lives in derive/ but consumes issues, so its output is predict-layer.
+ */
+export const BUILTIN_NODE_LAYERS = {
+  runway: 'derive',
+  metrics: 'derive',
+  meetings: 'derive',
+  commitments: 'derive',
+  snapshot: 'derive',
+  trajectory: 'derive',
+  goalTrajectory: 'derive',
+  health: 'derive',
+  issues: 'predict',
+  preissues: 'predict',
+  ripple: 'predict',
+  introOpportunity: 'predict',
+  opportunities: 'predict',
+  followups: 'predict',
+  goalDamage: 'predict',
+  suggestedGoals: 'predict',
+  goalSelection: 'predict',
+  actionCandidates: 'predict',
+  actionImpact: 'predict',
+  actionRanker: 'decide',
+  priority: 'decide'
+};
+
+/**
+ * Layers a registered node may declare
+ */
+export const NODE_LAYERS = ['derive', 'predict', 'decide'];
+
+/**
+ * Keys already used in an engine company's `derived` output
+ */
+const RESERVED_DERIVED_KEYS = new Set([
+  'runway', 'health', 'metrics', 'trajectories', 'goalTrajectories', 'snapshot',
+  'suggestedGoals', 'goalSelection', 'goalDamage', 'issues', 'preissues', 'ripple',
+  'introOpportunities', 'opportunities', 'followups', 'meetings', 'commitments', 'constraints', 'actions', 'priorities', 'failures'
+]);
+
+const NODE_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+
+// =============================================================================
+// REGISTRY STATE
+// =============================================================================
+
+const registered = new Map(); // name → { name, deps, layer, compute }
+let revision = 0;
+
+function layerOf(node) {
+  return BUILTIN_NODE_LAYERS[node] || registered.get(node)?.layer || null;
+}
+
+/**
+ * Register a custom DAG node.
+ *
+ * @param {Object} spec
+ * @param {string} spec.name - Unique node name (also its `derived` key)
+ * @param {string[]} [spec.deps] - Built-in or previously registered nodes
+ * @param {'derive'|'predict'|'decide'} spec.layer
+ * @param {Function} spec.compute - (ctx, company, now, globals) => output
+ * @returns {{ name: string, deps: string[], layer: string }}
+ * @throws {Error} - On invalid spec, layer violation, unknown dep, or cycle
+ */
+export function registerNode({ name, deps = [], layer, compute } = {}) {
+  const errors = [];
+
+  if (typeof name !== 'string' || !NODE_NAME_PATTERN.test(name)) {
+    errors.push(`invalid node name '${name}'`);
+  } else if (GRAPH.hasOwnProperty(name) || RESERVED_DERIVED_KEYS.has(name)) {
+    errors.push(`'${name}' is a built-in node or derived key`);
+  } else if (registered.has(name)) {
+    errors.push(`'${name}' is already registered`);
+  }
+  if (!NODE_LAYERS.includes(layer)) {
+    errors.push(`layer must be one of ${NODE_LAYERS.join(', ')} (got '${layer}')`);
+  }
+  if (typeof compute !== 'function') {
+    errors.push('compute must be a function');
+  }
+  if (!Array.isArray(deps) || deps.some(d => typeof d !== 'string')) {
+    errors.push('deps must be an array of node names');
+  }
+  if (errors.length > 0) {
+    throw new Error(`NODE REGISTRY: ${errors.join('; ')}`);
+  }
+
+  // Layer rules: same table as Gate 1
+  for (const dep of deps) {
+    const depLayer = layerOf(dep);
+    if (depLayer && !isLayerDependencyAllowed(layer, depLayer)) {
+      errors.push(`${layer} node '${name}' depends on '${dep}' (${depLayer})`);
+    }
+  }
+
+  // Unknown deps and cycles
+  const validation = validateGraph({ ...getActiveGraph(), [name]: [...deps] });
+  errors.push(...validation.errors);
+
+  if (errors.length > 0) {
+    throw new Error(`NODE REGISTRY: ${errors.join('; ')}`);
+  }
+
+  registered.set(name, { name, deps: [...deps], layer, compute });
+  revision++;
+  return { name, deps: [...deps], layer };
+}
+
+/**
+ * Remove a registered node. Fails if another registered node depends on it.
+ * @param {string} name
+ * @returns {boolean} true if removed
+ */
+export function unregisterNode(name) {
+  if (!registered.has(name)) return false;
+  const dependents = Array.from(registered.values()).filter(n => n.deps.includes(name));
+  if (dependents.length > 0) {
+    throw new Error(`NODE REGISTRY: '${name}' is required by ${dependents.map(n => n.name).join(', ')}`);
+  }
+  registered.delete(name);
+  revision++;
+  return true;
+}
+
+// =============================================================================
+// ENGINE ACCESSORS
+// =============================================================================
+
+/**
+ * Built-in GRAPH plus registered nodes.
+ * @returns {Object} node → deps[]
+ */
+export function getActiveGraph() {
+  const graph = { ...GRAPH };
+  for (const node of registered.values()) {
+    graph[node.name] = [...node.deps];
+  }
+  return graph;
+}
+
+/**
+ * @param {string} name
+ * @returns {Object|null} registered node spec
+ */
+export function getRegisteredNode(name) {
+  return registered.get(name) || null;
+}
+
+/**
+ * @returns {string[]} registered node names, in registration order
+ */
+export function getRegisteredNodeNames() {
+  return Array.from(registered.keys());
+}
+
+/**
+ * Changes on every register/unregister. Lets caches detect a node's
+ * compute function changing while the graph shape stays the same.
+ * @returns {number}
+ */
+export function getRegistryRevision() {
+  return revision;
+}
+
+export default {
+  BUILTIN_NODE_LAYERS,
+  NODE_LAYERS,
+  registerNode,
+  unregisterNode,
+  getActiveGraph,
+  getRegisteredNode,
+  getRegisteredNodeNames,
+  getRegistryRevision
+};
@@ -0,0 +1,205 @@
+/**
+ * sensitivity.js – Ranking Weight Sensitivity Analysis
+ *
+ * Perturbs one ranking weight at a time (value × factor) and recomputes the
+ * portfolio ranking in memory via compute(..., { weightOverrides }). Each run
+ * is compared against the unperturbed baseline on its top-k:
+ *
+ *   kendallTau  – order agreement of the baseline top-k in the variant ranking
+ *   overlap     – |topK(base) ∩ topK(variant)| / k
+ *   flippedIn   – in the variant top-k, not in the baseline top-k
+ *   flippedOut  – in the baseline top-k, not in the variant top-k
+ *
+ * INVARIANT: WEIGHTS is never mutated; nothing is written to disk.
+ * INVARIANT: Runs share one engine cache; only ranking nodes recompute.
+ *
+ * @module sensitivity
+ */
+
+import { compute, createEngineCache } from './engine.js';
+import { WEIGHTS } from '../decide/weights.js';
+
+// =============================================================================
+// CONFIG
+// =============================================================================
+
+/**
+ * Weights perturbed by default ('section.key' in WEIGHTS)
+ */
+export const SENSITIVITY_PARAMS = [
+  'trustPenalty.multiplier',
+  'executionFriction.perStep',
+  'timeCriticality.maxBoost',
+  'timeCriticality.decayRate',
+  'sourceType.issueBoost',
+  'sourceType.preissueBoost',
+  'sourceType.goalBoost',
+  'patternLift.liftMax'
+];
+
+export const SENSITIVITY_DEFAULTS = {
+  k: 10,
+  factors: [0, 0.5, 1.5, 2]
+};
+
+function round(n) {
+  return n === null ? null : Math.round(n * 1000) / 1000;
+}
+
+function weightAt(path) {
+  const [section, key] = path.split('.');
+  const value = WEIGHTS[section]?.[key];
+  if (typeof value !== 'number') {
+    throw new Error(`SENSITIVITY: unknown weight '${path}'`);
+  }
+  return { section, key, value };
+}
+
+// =============================================================================
+// STABILITY METRICS
+// =============================================================================
+
+/**
+ * Kendall tau between the baseline top-k order and the same actions'
+ * positions in the variant ranking. Actions missing from the variant share
+ * the last position (tied pairs count as neither concordant nor discordant).
+ *
+ * @param {string[]} baseTopK - actionIds in baseline order
+ * @param {string[]} variantOrder - Full variant ranking (actionIds in order)
+ * @returns {number|null} -1..1, null when fewer than 2 actions
+ */
+export function kendallTau(baseTopK, variantOrder) {
+  const n = baseTopK.length;
+  if (n < 2) return null;
+
+  const position = new Map(variantOrder.map((id, i) => [id, i]));
+  const missing = variantOrder.length;
+  const pos = baseTopK.map(id => (position.has(id) ? position.get(id) : missing));
+
+  let concordant = 0;
+  let discordant = 0;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      if (pos[i] < pos[j]) concordant++;
+      else if (pos[i] > pos[j]) discordant++;
+    }
+  }
+  return (concordant - discordant) / (n * (n - 1) / 2);
+}
+
+/**
+ * Compare two top-k lists.
+ * @param {string[]} baseOrder - Baseline ranking (actionIds in order)
+ * @param {string[]} variantOrder - Variant ranking (actionIds in order)
+ * @param {number} k
+ * @returns {{ kendallTau: number|null, overlap: number, flippedIn: string[], flippedOut: string[] }}
+ */
+export function compareTopK(baseOrder, variantOrder, k) {
+  const baseTop = baseOrder.slice(0, k);
+  const variantTop = variantOrder.slice(0, k);
+  const baseSet = new Set(baseTop);
+  const variantSet = new Set(variantTop);
+  const shared = baseTop.filter(id => variantSet.has(id)).length;
+
+  return {
+    kendallTau: round(kendallTau(baseTop, variantOrder)),
+    overlap: baseTop.length === 0 ? 1 : round(shared / Math.max(baseTop.length, variantTop.length)),
+    flippedIn: variantTop.filter(id => !baseSet.has(id)),
+    flippedOut: baseTop.filter(id => !variantSet.has(id))
+  };
+}
+
+// =============================================================================
+// RUN
+// =============================================================================
+
+function orderOf(output) {
+  return (output.actions || []).map(a => a.actionId);
+}
+
+/**
+ * Perturb each weight across factors and report top-k stability.
+ *
+ * @param {Object} rawData
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {number} [options.k=10]
+ * @param {number[]} [options.factors=[0, 0.5, 1.5, 2]] - Multipliers on the current value
+ * @param {string[]} [options.params=SENSITIVITY_PARAMS]
+ * @param {Object[]} [options.events] - Extra action events, as in compute()
+ * @returns {{ params: Object, baseline: Object, runs: Object[], byParam: Object[], titles: Object }}
+ *   byParam is ordered most → least sensitive (lowest min overlap, then lowest min tau).
+ *   titles maps every flipped actionId to its title.
+ */
+export function runSensitivity(rawData, options = {}) {
+  const now = options.now || new Date();
+  const k = options.k ?? SENSITIVITY_DEFAULTS.k;
+  const factors = options.factors || SENSITIVITY_DEFAULTS.factors;
+  const paths = options.params || SENSITIVITY_PARAMS;
+  const weights = paths.map(weightAt);
+
+  const cache = createEngineCache();
+  const base = compute(rawData, now, { cache, events: options.events });
+  const baseOrder = orderOf(base);
+  const titles = {};
+
+  const runs = [];
+  for (const { section, key, value } of weights) {
+    for (const factor of factors) {
+      const perturbed = round(value * factor);
+      const output = compute(rawData, now, {
+        cache,
+        events: options.events,
+        weightOverrides: { [section]: { [key]: perturbed } }
+      });
+      const run = {
+        param: `${section}.${key}`,
+        factor,
+        value: perturbed,
+        ...compareTopK(baseOrder, orderOf(output), k)
+      };
+      for (const a of [...(base.actions || []), ...(output.actions || [])]) {
+        if (run.flippedIn.includes(a.actionId) || run.flippedOut.includes(a.actionId)) titles[a.actionId] = a.title;
+      }
+      runs.push(run);
+    }
+  }
+
+  const byParam = weights.map(({ section, key, value }) => {
+    const param = `${section}.${key}`;
+    const own = runs.filter(r => r.param === param);
+    const taus = own.map(r => r.kendallTau).filter(t => t !== null);
+    return {
+      param,
+      value,
+      minOverlap: Math.min(...own.map(r => r.overlap)),
+      meanOverlap: round(own.reduce((s, r) => s + r.overlap, 0) / own.length),
+      minKendallTau: taus.length > 0 ? Math.min(...taus) : null,
+      flips: own.reduce((s, r) => s + r.flippedIn.length, 0)
+    };
+  });
+  byParam.sort((a, b) =>
+    a.minOverlap - b.minOverlap ||
+    (a.minKendallTau ?? 1) - (b.minKendallTau ?? 1) ||
+    a.param.localeCompare(b.param)
+  );
+
+  return {
+    params: { now: now.toISOString(), k, factors, weights: paths },
+    baseline: {
+      totalActions: baseOrder.length,
+      topK: (base.actions || []).slice(0, k).map(a => ({ actionId: a.actionId, title: a.title, rank: a.rank }))
+    },
+    runs,
+    byParam,
+    titles
+  };
+}
+
+export default {
+  SENSITIVITY_PARAMS,
+  SENSITIVITY_DEFAULTS,
+  kendallTau,
+  compareTopK,
+  runSensitivity
+};
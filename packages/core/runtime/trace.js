@@ -0,0 +1,248 @@
+/**
+ * trace.js – Per-Node DAG Execution Tracing
+ *
+ * Opt-in instrumentation for compute(rawData, now, { trace: true }).
+ * Records, per company and per node: wall time, input/output sizes,
+ * thrown errors, and which upstream nodes the compute function read.
+ * Nodes skipped because a required upstream failed (runtime/faults.js
+ * NODE_REQUIRES) get a record too, naming that upstream.
+ *
+ * Output is a structured trace plus a folded-stack export
+ * ("frame;frame;frame value" per line) consumable by flamegraph.pl,
+ * speedscope and similar tools.
+ *
+ * INVARIANT: Tracing observes only. Node outputs are identical with or without it.
+ *
+ * @module trace
+ */
+
+// =============================================================================
+// MEASUREMENT
+// =============================================================================
+
+function nowMs() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+/**
+ * Approximate serialized size of a value in characters.
+ * Maps count as their entry lists. Unserializable values report 0.
+ * @param {any} value
+ * @returns {number}
+ */
+export function measureSize(value) {
+  if (value === undefined) return 0;
+  try {
+    const json = JSON.stringify(value, (key, v) => (v instanceof Map ? Array.from(v.entries()) : v));
+    return json ? json.length : 0;
+  } catch {
+    return 0;
+  }
+}
+
+function round(ms) {
+  return Math.round(ms * 1000) / 1000;
+}
+
+// =============================================================================
+// TRACER
+// =============================================================================
+
+/**
+ * Create a tracer for one compute() run.
+ *
+ * @param {Object} graph - Dependency graph (for undeclared-read detection)
+ * @returns {Object} tracer with runNode / reuseNode / skipNode / runPhase / finish
+ */
+export function createTracer(graph) {
+  const startedAt = nowMs();
+  const companies = new Map(); // companyId → { companyId, nodes: [] }
+  const phases = [];
+  const sizeCache = new Map(); // companyId → Map<node, size>
+
+  function companyEntry(companyId) {
+    if (!companies.has(companyId)) {
+      companies.set(companyId, { companyId, nodes: [] });
+      sizeCache.set(companyId, new Map());
+    }
+    return companies.get(companyId);
+  }
+
+  /**
+   * Run one node's compute function under instrumentation.
+   * Errors are recorded and rethrown.
+   */
+  function runNode(companyId, node, ctx, fn) {
+    const entry = companyEntry(companyId);
+    const sizes = sizeCache.get(companyId);
+    const reads = new Set();
+    const watched = new Proxy(ctx, {
+      get(target, key) {
+        if (typeof key === 'string' && Object.prototype.hasOwnProperty.call(target, key)) {
+          reads.add(key);
+        }
+        return target[key];
+      }
+    });
+
+    const record = {
+      node,
+      ms: 0,
+      inputSize: 0,
+      outputSize: 0,
+      reads: [],
+      undeclaredReads: [],
+      cached: false,
+      skipped: null,
+      error: null
+    };
+    entry.nodes.push(record);
+
+    const t0 = nowMs();
+    try {
+      const output = fn(watched);
+      record.ms = round(nowMs() - t0);
+      record.outputSize = measureSize(output);
+      sizes.set(node, record.outputSize);
+      return output;
+    } catch (err) {
+      record.ms = round(nowMs() - t0);
+      record.error = { message: err.message, stack: err.stack || null };
+      throw err;
+    } finally {
+      const declared = new Set(graph[node] || []);
+      record.reads = Array.from(reads).sort();
+      record.undeclaredReads = record.reads.filter(r => !declared.has(r));
+      record.inputSize = record.reads.reduce((sum, r) => sum + (sizes.get(r) || 0), 0);
+    }
+  }
+
+  /**
+   * Record a node whose output was reused from the engine cache.
+   */
+  function reuseNode(companyId, node, output) {
+    const entry = companyEntry(companyId);
+    const size = measureSize(output);
+    sizeCache.get(companyId).set(node, size);
+    entry.nodes.push({
+      node,
+      ms: 0,
+      inputSize: 0,
+      outputSize: size,
+      reads: [],
+      undeclaredReads: [],
+      cached: true,
+      skipped: null,
+      error: null
+    });
+  }
+
+  /**
+   * Record a node that did not run because a required upstream failed.
+   */
+  function skipNode(companyId, node, upstream) {
+    const entry = companyEntry(companyId);
+    sizeCache.get(companyId).set(node, 0);
+    entry.nodes.push({
+      node,
+      ms: 0,
+      inputSize: 0,
+      outputSize: 0,
+      reads: [],
+      undeclaredReads: [],
+      cached: false,
+      skipped: { upstream: [...upstream] },
+      error: null
+    });
+  }
+
+  /**
+   * Time a portfolio-level phase (outside the per-company DAG).
+   */
+  function runPhase(name, fn) {
+    const t0 = nowMs();
+    try {
+      return fn();
+    } finally {
+      phases.push({ phase: name, ms: round(nowMs() - t0) });
+    }
+  }
+
+  /**
+   * Build the structured trace.
+   * @returns {Object}
+   */
+  function finish() {
+    const companyList = Array.from(companies.values()).map(c => ({
+      companyId: c.companyId,
+      totalMs: round(c.nodes.reduce((sum, n) => sum + n.ms, 0)),
+      nodes: c.nodes
+    }));
+
+    const byNode = {};
+    for (const c of companyList) {
+      for (const n of c.nodes) {
+        if (!byNode[n.node]) {
+          byNode[n.node] = { runs: 0, cached: 0, skipped: 0, errors: 0, totalMs: 0, maxMs: 0, maxCompanyId: null };
+        }
+        const agg = byNode[n.node];
+        agg.runs++;
+        if (n.cached) agg.cached++;
+        if (n.skipped) agg.skipped++;
+        if (n.error) agg.errors++;
+        agg.totalMs = round(agg.totalMs + n.ms);
+        if (n.ms > agg.maxMs) {
+          agg.maxMs = n.ms;
+          agg.maxCompanyId = c.companyId;
+        }
+      }
+    }
+
+    const trace = {
+      totalMs: round(nowMs() - startedAt),
+      companies: companyList,
+      byNode,
+      phases
+    };
+    trace.flamegraph = toFoldedStacks(trace);
+    return trace;
+  }
+
+  return { runNode, reuseNode, skipNode, runPhase, finish };
+}
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+/**
+ * Convert a structured trace to folded stacks.
+ * One line per node run: "compute;<companyId>;<node> <microseconds>"
+ * (cached and skipped nodes took no time and are left out).
+ * Portfolio phases appear as "compute;portfolio;<phase> <microseconds>".
+ *
+ * @param {Object} trace - From tracer.finish()
+ * @returns {string}
+ */
+export function toFoldedStacks(trace) {
+  const lines = [];
+  const us = ms => Math.max(0, Math.round(ms * 1000));
+
+  for (const c of trace.companies || []) {
+    for (const n of c.nodes) {
+      if (n.cached || n.skipped) continue;
+      lines.push(`compute;${c.companyId};${n.node} ${us(n.ms)}`);
+    }
+  }
+  for (const p of trace.phases || []) {
+    lines.push(`compute;portfolio;${p.phase} ${us(p.ms)}`);
+  }
+
+  return lines.join('\n');
+}
+
+export default {
+  createTracer,
+  toFoldedStacks,
+  measureSize
+};
@@ -0,0 +1,187 @@
+/**
+ * action_event.spec.js — Canonical action event model
+ *
+ * Tests: event creation, v1 (UI store) → v2 migration, write-time
+ * validation, the engine adapter, and UI feedback (skips, observations)
+ * reaching pattern lift through compute().
+ *
+ * Run: node tests/action_event.spec.js
+ */
+
+import {
+  ACTION_EVENT_SCHEMA_VERSION,
+  createActionEvent,
+  migrateActionEvent,
+  migrateActionEvents,
+  assertValidActionEvent,
+  toEngineEvents
+} from '../raw/actionEvent.js';
+import { compute } from '../runtime/engine.js';
+import { loadRawData } from '../raw/loadRawData.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    failures.push({ name, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) { if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`); },
+    toBeLessThan(expected) { if (!(actual < expected)) throw new Error(`Expected ${actual} < ${expected}`); },
+    toThrow(fragment) {
+      try { actual(); } catch (e) {
+        if (!e.message.includes(fragment)) throw new Error(`Expected error containing "${fragment}", got "${e.message}"`);
+        return;
+      }
+      throw new Error('Expected function to throw');
+    }
+  };
+}
+
+// UI event store shape before the canonical model (schema v1)
+const legacy = (id, actionId, type, timestamp, payload) => ({
+  id, actionId, entityId: 'velocity', type, timestamp, payload
+});
+
+// ═══════════════════════════════════════════════════════════════
+// MODEL
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nE1 Create + migrate');
+console.log('─'.repeat(50));
+
+test('E1.1 createActionEvent stamps id, actor, timestamp and version', () => {
+  const event = createActionEvent({ actionId: 'a1', eventType: 'skipped', payload: { reason: 'later' } });
+  expect(event.id.startsWith('evt_')).toBe(true);
+  expect(event.actor).toBe('backbone-user');
+  expect(event.schemaVersion).toBe(ACTION_EVENT_SCHEMA_VERSION);
+  expect(isNaN(Date.parse(event.timestamp))).toBe(false);
+});
+
+test('E1.2 v1 event: type → eventType, actor and payload defaulted, payload kept', () => {
+  const migrated = migrateActionEvent(legacy('e1', 'a1', 'skipped', '2026-02-01T00:00:00Z', { reason: 'r' }));
+  expect(migrated.eventType).toBe('skipped');
+  expect('type' in migrated).toBe(false);
+  expect(migrated.actor).toBe('backbone-user');
+  expect(migrated.payload.reason).toBe('r');
+  expect(migrated.entityId).toBe('velocity');
+
+  const noPayload = migrateActionEvent({ id: 'e2', actionId: 'a1', type: 'executed', timestamp: '2026-02-01T00:00:00Z' });
+  expect(JSON.stringify(noPayload.payload)).toBe('{}');
+});
+
+test('E1.3 current events pass through unchanged; ledger events gain version only', () => {
+  const current = createActionEvent({ actionId: 'a1', eventType: 'completed' });
+  expect(migrateActionEvent(current)).toBe(current);
+
+  const ledger = { id: 'l1', actionId: 'a1', eventType: 'started', actor: 'associate', timestamp: '2026-02-01T00:00:00Z', payload: {} };
+  const migrated = migrateActionEvent(ledger);
+  expect(migrated.actor).toBe('associate');
+  expect(migrated.schemaVersion).toBe(ACTION_EVENT_SCHEMA_VERSION);
+});
+
+test('E1.4 migrateActionEvents counts upgrades and reports unfixable events', () => {
+  const { migrated, invalid } = migrateActionEvents([
+    legacy('e1', 'a1', 'skipped', '2026-02-01T00:00:00Z', {}),
+    createActionEvent({ actionId: 'a2', eventType: 'executed' }),
+    legacy('e3', 'a3', 'teleported', '2026-02-01T00:00:00Z', {})
+  ]);
+  expect(migrated).toBe(2);
+  expect(invalid.length).toBe(1);
+  expect(invalid[0].id).toBe('e3');
+});
+
+console.log('\nE2 Write gate');
+console.log('─'.repeat(50));
+
+test('E2.1 UI lifecycle events valid; notes-only observation accepted', () => {
+  for (const type of ['executed', 'skipped', 'completed']) {
+    assertValidActionEvent(legacy(`e-${type}`, 'a1', type, '2026-02-01T00:00:00Z', {}));
+  }
+  const observed = assertValidActionEvent(legacy('e4', 'a1', 'outcome_recorded', '2026-02-01T00:00:00Z', { notes: 'went well' }));
+  expect(observed.eventType).toBe('outcome_recorded');
+});
+
+test('E2.2 invalid events rejected with every error listed', () => {
+  expect(() => assertValidActionEvent(legacy('e1', 'a1', 'teleported', 'yesterday', {}))).toThrow('ACTION_EVENT: invalid event');
+  let errors = [];
+  try {
+    assertValidActionEvent({ id: 'e2', type: 'outcome_recorded', timestamp: '2026-02-01T00:00:00Z', payload: { outcome: 'meh', rankScore: 3 } });
+  } catch (e) {
+    errors = e.errors;
+  }
+  expect(errors.length).toBe(3); // actionId, outcome, derived key
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ENGINE
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nE3 Engine adapter');
+console.log('─'.repeat(50));
+
+test('E3.1 toEngineEvents: canonical shape, invalid and duplicate ids dropped', () => {
+  const events = toEngineEvents([
+    legacy('e1', 'a1', 'skipped', '2026-02-01T00:00:00Z', {}),
+    legacy('e1', 'a1', 'skipped', '2026-02-01T00:00:00Z', {}),
+    legacy('e2', 'a1', 'teleported', '2026-02-01T00:00:00Z', {})
+  ]);
+  expect(events.length).toBe(1);
+  expect(events[0].eventType).toBe('skipped');
+});
+
+const raw = loadRawData();
+const now = new Date('2026-02-10T00:00:00Z');
+const baseline = compute(raw, now);
+const top = baseline.actions[0];
+const uiEvents = (type, payload) => [0, 1, 2, 3].map(i => legacy(
+  `ui-${type}-${i}`, `past-${i}`, type, `2026-02-0${5 + i}T00:00:00Z`, { actionType: top.resolutionId, ...payload }
+));
+
+test('E3.2 UI skips lower the skipped action type via pattern lift', () => {
+  const output = compute(raw, now, { events: uiEvents('skipped', { reason: 'not now' }) });
+  const after = output.actions.find(a => a.actionId === top.actionId);
+  expect(after.rankComponents.patternLift).toBeLessThan(0);
+  expect(after.rankScore).toBeLessThan(top.rankScore);
+});
+
+test('E3.3 successful outcomes raise pattern lift; notes alone are neutral', () => {
+  const output = compute(raw, now, { events: uiEvents('outcome_recorded', { outcome: 'success' }) });
+  const after = output.actions.find(a => a.actionId === top.actionId);
+  expect(top.rankScore).toBeLessThan(after.rankScore);
+
+  const liftOf = payload => compute(raw, now, { events: uiEvents('outcome_recorded', payload) })
+    .actions.find(a => a.actionId === top.actionId).rankComponents.patternLift;
+  expect(liftOf({ notes: 'useful' })).toBe(liftOf({}));
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n' + '═'.repeat(50));
+console.log('ACTION EVENT SPEC SUMMARY');
+console.log('═'.repeat(50));
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  failures.forEach(f => console.log(`  - ${f.name}: ${f.error}`));
+  console.log('\n❌ ACTION EVENT SPEC FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ ACTION EVENT SPEC PASSED');
+  process.exit(0);
+}
@@ -0,0 +1,237 @@
+/**
+ * action_lifecycle.spec.js — Event-sourced action lifecycle (HC5)
+ *
+ * Tests: reducer transitions, violations (outcome before execution,
+ * double completion, events after terminal), skip/snooze overlays,
+ * exclusion, the write-time gate, conditional store appends, the
+ * Gate 7 lifecycle check, and review events staying out of lifecycles.
+ *
+ * Run: node tests/action_lifecycle.spec.js
+ */
+
+import {
+  reduceActionLifecycle,
+  buildLifecycleMap,
+  getExcludedActionIds,
+  assertTransition,
+  nextEventTypes,
+  validateLifecycleEvents
+} from '../derive/actionLifecycle.js';
+import { createActionEvent } from '../raw/actionEvent.js';
+import { checkReferentialIntegrity } from '../raw/actionEventsSchema.js';
+import { createEventStore } from '../runtime/eventStore.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    failures.push({ name, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) { if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`); },
+    async toThrowCode(code) {
+      try { await actual(); } catch (e) {
+        if (e.code !== code) throw new Error(`Expected error code ${code}, got ${e.code} (${e.message})`);
+        return e;
+      }
+      throw new Error('Expected function to throw');
+    }
+  };
+}
+
+let seq = 0;
+const ev = (eventType, day, payload = {}, actionId = 'a1') => createActionEvent({
+  id: `evt-${++seq}`,
+  actionId,
+  eventType,
+  timestamp: `2026-02-${String(day).padStart(2, '0')}T09:00:00.000Z`,
+  payload
+});
+const at = day => new Date(`2026-02-${String(day).padStart(2, '0')}T12:00:00.000Z`);
+
+// ═══════════════════════════════════════════════════════════════
+// REDUCER
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nL1 Reducer');
+console.log('─'.repeat(50));
+
+await test('L1.1 proposed → assigned → started → executed → observed', () => {
+  const lifecycle = reduceActionLifecycle('a1', [
+    ev('outcome_recorded', 5, { outcome: 'success' }),
+    ev('executed', 4),
+    ev('started', 3),
+    ev('assigned', 2, { assignee: 'tm-partner' })
+  ], at(6));
+  expect(lifecycle.state).toBe('observed');
+  expect(lifecycle.history.map(h => h.to).join()).toBe('assigned,started,executed,observed');
+  expect(lifecycle.assignee).toBe('tm-partner');
+  expect(lifecycle.violations.length).toBe(0);
+});
+
+await test('L1.2 outcome before execution is a violation; abandonment is not', () => {
+  const early = reduceActionLifecycle('a1', [ev('outcome_recorded', 2, { outcome: 'success' })], at(3));
+  expect(early.state).toBe('proposed');
+  expect(early.violations[0].reason).toBe("'outcome_recorded' not allowed from proposed");
+
+  const abandoned = reduceActionLifecycle('a1', [ev('outcome_recorded', 2, { outcome: 'abandoned' })], at(3));
+  expect(abandoned.state).toBe('abandoned');
+});
+
+await test('L1.3 double completion and events after terminal are violations; notes pass', () => {
+  const lifecycle = reduceActionLifecycle('a1', [
+    ev('completed', 2), ev('executed', 3), ev('outcome_recorded', 4, { outcome: 'failed' }),
+    ev('outcome_recorded', 5, { outcome: 'success' }), ev('note_added', 6, { note: 'postmortem' })
+  ], at(7));
+  expect(lifecycle.state).toBe('observed');
+  expect(lifecycle.outcome).toBe('failed');
+  expect(lifecycle.violations.length).toBe(2);
+  expect(lifecycle.violations[1].reason.includes('terminal')).toBe(true);
+});
+
+await test('L1.4 skip cools down for 24h, then the action is back; executing a skipped action is legal', () => {
+  const events = [ev('assigned', 2, { assignee: 'tm-partner' }), ev('skipped', 3, { reason: 'busy' })];
+  expect(reduceActionLifecycle('a1', events, at(3)).state).toBe('skipped');
+  expect(reduceActionLifecycle('a1', events, at(4)).state).toBe('assigned');
+  expect(reduceActionLifecycle('a1', [...events, ev('executed', 3)], at(3)).state).toBe('executed');
+});
+
+await test('L1.5 snooze holds until payload.until', () => {
+  const events = [ev('snoozed', 2, { until: '2026-02-10T00:00:00.000Z' })];
+  expect(reduceActionLifecycle('a1', events, at(9)).state).toBe('snoozed');
+  expect(reduceActionLifecycle('a1', events, at(10)).state).toBe('proposed');
+});
+
+await test('L1.6 exclusion: terminal, cooling and snoozed out; executed stays', () => {
+  const lifecycles = buildLifecycleMap([
+    ev('executed', 2, {}, 'done'), ev('outcome_recorded', 3, {}, 'done'),
+    ev('skipped', 4, {}, 'skipped'),
+    ev('snoozed', 4, { until: '2026-03-01T00:00:00.000Z' }, 'snoozed'),
+    ev('executed', 4, {}, 'executed')
+  ], at(4));
+  expect(getExcludedActionIds(lifecycles).sort().join()).toBe('done,skipped,snoozed');
+});
+
+await test('L1.7 nextEventTypes follows the state machine', () => {
+  expect(nextEventTypes(reduceActionLifecycle('a1', [])).includes('created')).toBe(true);
+  const executed = reduceActionLifecycle('a1', [ev('executed', 2)]);
+  expect(nextEventTypes(executed).includes('executed')).toBe(false);
+  expect(nextEventTypes(executed).includes('outcome_recorded')).toBe(true);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// WRITE GATE
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nL2 Write gate');
+console.log('─'.repeat(50));
+
+await test('L2.1 assertTransition rejects illegal next event with current lifecycle', async () => {
+  const error = await expect(() => assertTransition([ev('executed', 2)], ev('executed', 3))).toThrowCode('ILLEGAL_TRANSITION');
+  expect(error.lifecycle.state).toBe('executed');
+});
+
+await test('L2.2 first event must name a known action when ids are supplied', async () => {
+  const known = new Set(['a1']);
+  await expect(() => assertTransition([], ev('executed', 2, {}, 'ghost'), { knownActionIds: known })).toThrowCode('UNKNOWN_ACTION');
+  expect(assertTransition([], ev('executed', 2), { knownActionIds: known }).state).toBe('proposed');
+});
+
+await test('L2.3 store precondition: illegal append not written; idempotent retry not rejected', async () => {
+  const store = createEventStore({ backend: 'memory' });
+  const precondition = event => prior => assertTransition(prior, event);
+  const executed = ev('executed', 2);
+  await store.append(executed, { idempotencyKey: 'req-1', precondition: precondition(executed) });
+
+  const again = ev('executed', 3);
+  await expect(() => store.append(again, { precondition: precondition(again) })).toThrowCode('ILLEGAL_TRANSITION');
+  const retry = await store.append(executed, { idempotencyKey: 'req-1', precondition: precondition(executed) });
+  expect(retry.duplicate).toBe(true);
+  expect((await store.readAll()).length).toBe(1);
+});
+
+await test('L2.4 Gate 7 check reports every violation in the stream', () => {
+  const { valid, errors } = validateLifecycleEvents([
+    ev('executed', 2, {}, 'x'), ev('completed', 3, {}, 'x'), ev('outcome_recorded', 2, { outcome: 'success' }, 'y')
+  ]);
+  expect(valid).toBe(false);
+  expect(errors.length).toBe(2);
+});
+
+await test('L2.5 stampedOnly judges only events written since the v2 cut-over', () => {
+  const { schemaVersion, ...legacy } = ev('outcome_recorded', 2, { outcome: 'success' }, 'y');
+  const late = ev('executed', 3, {}, 'z');
+  const early = ev('outcome_recorded', 2, { outcome: 'success' }, 'z');
+  const { errors } = validateLifecycleEvents([legacy, late, early], { stampedOnly: true });
+  expect(errors.length).toBe(1);
+  expect(errors[0].includes(early.id)).toBe(true);
+});
+
+await test('L2.6 back-dated events are judged where replay puts them', async () => {
+  const executed = ev('executed', 10);
+  const early = ev('outcome_recorded', 5, { outcome: 'success' });
+  const error = await expect(() => assertTransition([executed], early)).toThrowCode('ILLEGAL_TRANSITION');
+  expect(error.lifecycle.state).toBe('executed');
+
+  // Legal at its position, but would make the later execution illegal
+  const stranding = await expect(() => assertTransition([executed], ev('completed', 8))).toThrowCode('ILLEGAL_TRANSITION');
+  expect(stranding.message.includes(executed.id)).toBe(true);
+
+  // Back-dated but still in order for the replay
+  expect(assertTransition([executed], ev('assigned', 4, { assignee: 'p1' })).state).toBe('executed');
+  const accepted = [executed, ev('outcome_recorded', 11, { outcome: 'success' })];
+  expect(validateLifecycleEvents(accepted, { stampedOnly: true }).valid).toBe(true);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// REVIEW EVENTS
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nL3 Review events');
+console.log('─'.repeat(50));
+
+await test('L3.1 match reviews create no lifecycle and pass the write gate', async () => {
+  const review = ev('match_reviewed', 2, { meetingId: 'm1', decision: 'reject' }, 'meeting-review-m1');
+  const lifecycles = buildLifecycleMap([ev('executed', 2), review], at(3));
+  expect([...lifecycles.keys()].join()).toBe('a1');
+  expect(assertTransition([], review, { knownActionIds: new Set(['a1']) })).toBe(null);
+  expect(assertTransition([review], { ...review, id: 'evt-again' })).toBe(null);
+});
+
+await test('L3.2 referential checks skip match reviews', () => {
+  const review = ev('match_reviewed', 2, { meetingId: 'm1', decision: 'reject' }, 'meeting-review-m1');
+  expect(validateLifecycleEvents([review]).valid).toBe(true);
+  expect(checkReferentialIntegrity([review, ev('executed', 2)], new Set(['a1'])).valid).toBe(true);
+  expect(checkReferentialIntegrity([ev('executed', 2, {}, 'ghost')], new Set(['a1'])).valid).toBe(false);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n' + '═'.repeat(50));
+console.log('ACTION LIFECYCLE SPEC SUMMARY');
+console.log('═'.repeat(50));
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  failures.forEach(f => console.log(`  - ${f.name}: ${f.error}`));
+  console.log('\n❌ ACTION LIFECYCLE SPEC FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ ACTION LIFECYCLE SPEC PASSED');
+  process.exit(0);
+}
@@ -0,0 +1,197 @@
+/**
+ * as_of.spec.js — Time-travel engine runs
+ *
+ * Tests: filterRawDataAsOf per-collection cutoffs, goal, intro outcome and
+ * relationship restatement, and compute(..., { asOf: true }) never seeing
+ * future inputs.
+ *
+ * Run: node tests/as_of.spec.js
+ */
+
+import { filterRawDataAsOf, filterEventsAsOf } from '../runtime/asOf.js';
+import { compute } from '../runtime/engine.js';
+import { loadRawData } from '../raw/loadRawData.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    failures.push({ name, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) { if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`); },
+    toBeGreaterThan(expected) { if (!(actual > expected)) throw new Error(`Expected ${actual} > ${expected}`); },
+  };
+}
+
+const asOf = new Date('2026-01-15T00:00:00Z');
+
+// ═══════════════════════════════════════════════════════════════
+// COLLECTION FILTERS
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nT1 filterRawDataAsOf');
+console.log('─'.repeat(50));
+
+const fixture = {
+  companies: [{ id: 'c1', asOf: '2026-02-01T00:00:00Z' }],
+  metricFacts: [
+    { id: 'mf1', asOf: '2026-01-10T00:00:00Z' },
+    { id: 'mf2', asOf: '2026-01-20T00:00:00Z' }
+  ],
+  meetings: [
+    { id: 'm1', date: 'Jan 14, 2026 5:00 PM' },
+    { id: 'm2', date: 'Feb 4, 2026 5:00 PM' }
+  ],
+  transcripts: new Map([['m1', 'early'], ['m2', 'late']]),
+  deals: [{ id: 'd1', asOf: '2026-01-01T00:00:00Z' }, { id: 'd2', asOf: '2026-02-01T00:00:00Z' }],
+  relationships: [
+    { id: 'r1', lastContact: '2025-12-01T00:00:00Z' },
+    { id: 'r2', lastTouchAt: '2026-01-30T00:00:00Z' },
+    { id: 'r3' }
+  ],
+  introOutcomes: [
+    { id: 'io1', status: 'positive', createdAt: '2026-01-02T00:00:00Z', statusUpdatedAt: '2026-01-10T00:00:00Z' },
+    { id: 'io2', status: 'negative', createdAt: '2026-01-05T00:00:00Z', statusUpdatedAt: '2026-01-25T00:00:00Z' },
+    { id: 'io3', status: 'sent', createdAt: '2026-01-12T00:00:00Z', statusUpdatedAt: '2026-01-20T00:00:00Z' },
+    { id: 'io4', status: 'sent', createdAt: '2026-01-20T00:00:00Z', statusUpdatedAt: '2026-01-20T00:00:00Z' }
+  ],
+  goals: [
+    { id: 'g1', cur: 56, asOf: '2026-02-08T00:00:00Z', history: [
+      { value: 0, asOf: '2025-11-14T00:00:00Z' },
+      { value: 42, asOf: '2026-01-13T00:00:00Z' },
+      { value: 56, asOf: '2026-02-12T00:00:00Z' }
+    ] },
+    { id: 'g2', cur: 10, asOf: '2026-02-08T00:00:00Z', history: [{ value: 10, asOf: '2026-02-01T00:00:00Z' }] }
+  ]
+};
+
+const { data, excluded, restated } = filterRawDataAsOf(fixture, asOf);
+
+test('T1.1 metricFacts, deals, meetings cut at asOf', () => {
+  expect(data.metricFacts.map(f => f.id).join()).toBe('mf1');
+  expect(data.deals.map(d => d.id).join()).toBe('d1');
+  expect(data.meetings.map(m => m.id).join()).toBe('m1');
+});
+
+test('T1.2 transcripts follow their meetings', () => {
+  expect(data.transcripts.has('m1')).toBe(true);
+  expect(data.transcripts.has('m2')).toBe(false);
+});
+
+test('T1.3 relationships kept; touches after asOf cleared', () => {
+  expect(data.relationships.map(r => r.id).join()).toBe('r1,r2,r3');
+  expect(data.relationships[0]).toBe(fixture.relationships[0]);
+  expect(data.relationships[1].lastTouchAt).toBe(null);
+  expect(excluded.relationships).toBe(0);
+  expect(restated.relationships).toBe(1);
+});
+
+test('T1.4 goal restated from last history point before asOf', () => {
+  const g1 = data.goals.find(g => g.id === 'g1');
+  expect(g1.cur).toBe(42);
+  expect(g1.history.length).toBe(2);
+  expect(restated.goals).toBe(1);
+});
+
+test('T1.5 goal with no history before asOf did not exist yet', () => {
+  expect(data.goals.some(g => g.id === 'g2')).toBe(false);
+  expect(excluded.goals).toBe(1);
+});
+
+test('T1.6 raw input not mutated; companies untouched', () => {
+  expect(fixture.metricFacts.length).toBe(2);
+  expect(fixture.goals[0].cur).toBe(56);
+  expect(fixture.introOutcomes[1].status).toBe('negative');
+  expect(fixture.relationships[1].lastTouchAt).toBe('2026-01-30T00:00:00Z');
+  expect(data.companies).toBe(fixture.companies);
+});
+
+test('T1.7 events filtered by timestamp', () => {
+  const events = filterEventsAsOf([
+    { id: 'e1', timestamp: '2026-01-14T00:00:00Z' },
+    { id: 'e2', timestamp: '2026-01-16T00:00:00Z' }
+  ], asOf);
+  expect(events.map(e => e.id).join()).toBe('e1');
+});
+
+test('T1.8 intro outcomes cut by createdAt; later status changes undone', () => {
+  const byId = new Map(data.introOutcomes.map(o => [o.id, o]));
+  expect([...byId.keys()].join()).toBe('io1,io2,io3');
+  expect(byId.get('io1').status).toBe('positive');
+  expect(byId.get('io2').status).toBe('sent');
+  expect(byId.get('io2').statusUpdatedAt).toBe('2026-01-05T00:00:00Z');
+  expect(byId.get('io3').status).toBe('drafted');
+  expect(excluded.introOutcomes).toBe(1);
+  expect(restated.introOutcomes).toBe(2);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ENGINE
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nT2 compute() as of a past date');
+console.log('─'.repeat(50));
+
+const raw = loadRawData();
+const futureEvent = {
+  id: 'evt-asof-future',
+  actionId: 'action-asof',
+  eventType: 'created',
+  timestamp: '2026-02-01T00:00:00Z',
+  actor: 'test',
+  payload: {}
+};
+const output = compute(raw, asOf, { asOf: true, events: [futureEvent] });
+
+test('T2.1 meta.asOf reports the cutoff and exclusions', () => {
+  expect(output.meta.asOf.at).toBe(asOf.toISOString());
+  expect(output.meta.asOf.excluded.metricFacts).toBeGreaterThan(0);
+  expect(output.meta.asOf.excluded.actionEvents).toBeGreaterThan(0);
+});
+
+test('T2.2 future events never reach ranking context', () => {
+  expect(output.context.events.some(e => e.id === futureEvent.id)).toBe(false);
+  expect(output.context.events.every(e => new Date(e.timestamp) <= asOf)).toBe(true);
+});
+
+test('T2.3 still produces ranked actions', () => {
+  expect(output.actions.length).toBeGreaterThan(0);
+});
+
+test('T2.4 without asOf, inputs are not filtered', () => {
+  const plain = compute(raw, asOf, { events: [futureEvent] });
+  expect(plain.meta.asOf === undefined).toBe(true);
+  expect(plain.context.events.some(e => e.id === futureEvent.id)).toBe(true);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n' + '═'.repeat(50));
+console.log('AS-OF SPEC SUMMARY');
+console.log('═'.repeat(50));
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  failures.forEach(f => console.log(`  - ${f.name}: ${f.error}`));
+  console.log('\n❌ AS-OF SPEC FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ AS-OF SPEC PASSED');
+  process.exit(0);
+}
@@ -0,0 +1,250 @@
+/**
+ * assignments.spec.js — Action ownership and per-owner capacity
+ *
+ * Tests: assignment replay from events (latest wins, history, unassign,
+ * UI event shape), assignee validation, capacity resolution, rankActions
+ * per-owner cap (deferral, lifecycle exclusions hold no slot), assigned-event
+ * schema, and ownership through compute().
+ *
+ * Run: node tests/assignments.spec.js
+ */
+
+import {
+  buildAssignmentMap,
+  buildAssigneeMap,
+  validateAssignee,
+  buildOwnerCapacity
+} from '../derive/assignments.js';
+import { rankActions, OWNER_CAPACITY_DEFER } from '../decide/ranking.js';
+import { planActions } from '../decide/planner.js';
+import { validateActionEvent } from '../raw/actionEventsSchema.js';
+import { compute } from '../runtime/engine.js';
+import { loadRawData } from '../raw/loadRawData.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    failures.push({ name, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) { if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`); },
+    toBeGreaterThan(expected) { if (!(actual > expected)) throw new Error(`Expected ${actual} > ${expected}`); },
+  };
+}
+
+const team = [
+  { id: 'tm-partner', name: 'Partner', role: 'Partner', capacity: 2 },
+  { id: 'tm-associate', name: 'Associate', role: 'Associate' }
+];
+
+const assigned = (actionId, assignee, timestamp, extra = {}) => ({
+  id: `evt-${actionId}-${timestamp}`,
+  actionId,
+  eventType: 'assigned',
+  actor: 'backbone-user',
+  timestamp,
+  payload: { assignee },
+  ...extra
+});
+
+// ═══════════════════════════════════════════════════════════════
+// REPLAY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nA1 buildAssignmentMap');
+console.log('─'.repeat(50));
+
+test('A1.1 latest assignment wins regardless of event order', () => {
+  const map = buildAssignmentMap([
+    assigned('a1', 'tm-associate', '2026-02-03T00:00:00Z'),
+    assigned('a1', 'tm-partner', '2026-02-01T00:00:00Z')
+  ]);
+  expect(map.get('a1').assignee).toBe('tm-associate');
+  expect(map.get('a1').assignedAt).toBe('2026-02-03T00:00:00Z');
+});
+
+test('A1.2 re-assignment history kept with previous owner', () => {
+  const { history } = buildAssignmentMap([
+    assigned('a1', 'tm-partner', '2026-02-01T00:00:00Z'),
+    assigned('a1', 'tm-associate', '2026-02-03T00:00:00Z')
+  ]).get('a1');
+  expect(history.length).toBe(2);
+  expect(history[1].previousAssignee).toBe('tm-partner');
+  expect(history[1].assignedBy).toBe('backbone-user');
+});
+
+test('A1.3 null assignee unassigns; UI `type` events accepted', () => {
+  const map = buildAssignmentMap([
+    assigned('a1', 'tm-partner', '2026-02-01T00:00:00Z'),
+    { id: 'e2', actionId: 'a1', type: 'assigned', timestamp: '2026-02-02T00:00:00Z', payload: { assignee: null } },
+    { id: 'e3', actionId: 'a2', type: 'assigned', timestamp: '2026-02-02T00:00:00Z', payload: { assignee: 'tm-associate' } }
+  ]);
+  expect(map.get('a1').assignee).toBe(null);
+  const owners = buildAssigneeMap(map);
+  expect(owners.has('a1')).toBe(false);
+  expect(owners.get('a2')).toBe('tm-associate');
+});
+
+test('A1.4 assignee validated against team roster', () => {
+  expect(validateAssignee('tm-partner', team).valid).toBe(true);
+  expect(validateAssignee(null, team).valid).toBe(true);
+  expect(validateAssignee('tm-nobody', team).valid).toBe(false);
+  expect(validateAssignee('', team).valid).toBe(false);
+});
+
+test('A1.5 capacity from team records, overrides win', () => {
+  const capacity = buildOwnerCapacity(team, { 'tm-associate': 3 });
+  expect(capacity['tm-partner']).toBe(2);
+  expect(capacity['tm-associate']).toBe(3);
+  expect(Object.keys(buildOwnerCapacity(team)).join()).toBe('tm-partner');
+});
+
+test('A1.6 assigned event payload validated', () => {
+  expect(validateActionEvent(assigned('a1', 'tm-partner', '2026-02-01T00:00:00Z')).valid).toBe(true);
+  expect(validateActionEvent(assigned('a1', null, '2026-02-01T00:00:00Z')).valid).toBe(true);
+  const missing = { ...assigned('a1', 'x', '2026-02-01T00:00:00Z'), payload: {} };
+  expect(validateActionEvent(missing).valid).toBe(false);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// CAPACITY IN RANKING
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nA2 rankActions ownerCapacity');
+console.log('─'.repeat(50));
+
+const makeAction = (actionId, upside, companyId) => ({
+  actionId,
+  entityRef: { type: 'company', id: companyId, name: companyId },
+  sources: [{ sourceType: 'ISSUE', issueId: 'i1' }],
+  impact: {
+    upsideMagnitude: upside,
+    probabilityOfSuccess: 0.7,
+    executionProbability: 0.8,
+    downsideMagnitude: 10,
+    timeToImpactDays: 14,
+    effortCost: 3,
+    secondOrderLeverage: 2
+  },
+  steps: [{ step: 1, action: 'Do it' }]
+});
+
+const pool = [
+  makeAction('p1', 90, 'c1'),
+  makeAction('p2', 80, 'c2'),
+  makeAction('p3', 70, 'c3'),
+  makeAction('x1', 60, 'c4'),
+  makeAction('p4', 50, 'c5')
+];
+const owners = new Map([['p1', 'tm-partner'], ['p2', 'tm-partner'], ['p3', 'tm-partner'], ['p4', 'tm-partner']]);
+
+test('A2.1 owner over capacity: lower-ranked actions deferred, not dropped', () => {
+  const ranked = rankActions(pool, { assigneeByAction: owners, ownerCapacity: { 'tm-partner': 2 } });
+  expect(ranked.map(a => a.actionId).join()).toBe('p1,p2,p3,x1,p4');
+  expect(ranked.filter(a => a.deferred).map(a => a.actionId).join()).toBe('p3,p4');
+  expect(ranked[2].deferred.code).toBe(OWNER_CAPACITY_DEFER);
+  expect(ranked[3].rank).toBe(4);
+});
+
+test('A2.2 no capacity configured: ranking unchanged', () => {
+  const ranked = rankActions(pool, { assigneeByAction: owners });
+  expect(ranked.length).toBe(5);
+});
+
+test('A2.3 skipped, snoozed and observed actions hold no capacity slot', () => {
+  const ranked = rankActions(pool, {
+    assigneeByAction: owners,
+    ownerCapacity: { 'tm-partner': 2 },
+    excludedActionIds: new Set(['p1'])
+  });
+  expect(ranked.filter(a => a.deferred).map(a => a.actionId).join()).toBe('p4');
+});
+
+test('A2.4 the plan defers capacity-held actions with their code', () => {
+  const ranked = rankActions(pool, { assigneeByAction: owners, ownerCapacity: { 'tm-partner': 2 } });
+  const plan = planActions(ranked, { team, assigneeByAction: owners });
+  const held = plan.deferred.filter(d => d.code === OWNER_CAPACITY_DEFER);
+  expect(held.map(d => d.actionId).join()).toBe('p3,p4');
+  expect(plan.included.some(i => i.actionId === 'p3')).toBe(false);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ENGINE
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nA3 compute() ownership');
+console.log('─'.repeat(50));
+
+const raw = loadRawData();
+const now = new Date('2026-02-10T00:00:00Z');
+const baseline = compute(raw, now);
+const top = baseline.actions.slice(0, 4).map(a => a.actionId);
+
+test('A3.1 assignee attached from events; unknown members warned', () => {
+  const output = compute({ ...raw, team }, now, {
+    events: [
+      assigned(top[0], 'tm-associate', '2026-02-09T00:00:00Z'),
+      assigned(top[1], 'tm-ghost', '2026-02-09T00:00:00Z')
+    ]
+  });
+  const first = output.actions.find(a => a.actionId === top[0]);
+  expect(first.assignee).toBe('tm-associate');
+  expect(output.context.assigneeByAction.get(top[0])).toBe('tm-associate');
+  expect(output.meta.warnings.some(w => w.includes('tm-ghost'))).toBe(true);
+});
+
+test('A3.2 team capacity limits one owner across the portfolio', () => {
+  const events = top.map(id => assigned(id, 'tm-partner', '2026-02-09T00:00:00Z'));
+  const output = compute({ ...raw, team }, now, { events });
+  const partnerActions = output.actions.filter(a => a.assignee === 'tm-partner');
+  expect(partnerActions.length).toBe(4);
+  expect(partnerActions.filter(a => !a.deferred).length).toBe(2);
+  expect(output.actions.length).toBe(baseline.actions.length);
+
+  const widened = compute({ ...raw, team }, now, { events, ownerCapacity: { 'tm-partner': 10 } });
+  expect(widened.actions.filter(a => a.assignee === 'tm-partner' && !a.deferred).length).toBe(4);
+});
+
+test('A3.3 a skipped action frees its owner\'s slot', () => {
+  const skipped = {
+    id: `evt-${top[0]}-skip`, actionId: top[0], eventType: 'skipped', actor: 'backbone-user',
+    timestamp: '2026-02-09T12:00:00Z', payload: {}
+  };
+  const events = [...top.map(id => assigned(id, 'tm-partner', '2026-02-09T00:00:00Z')), skipped];
+  const output = compute({ ...raw, team }, now, { events });
+  const held = output.actions.filter(a => a.assignee === 'tm-partner' && a.deferred).map(a => a.actionId);
+  expect(held.length).toBe(1);
+  expect(held[0]).toBe(top[3]);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n' + '═'.repeat(50));
+console.log('ASSIGNMENTS SPEC SUMMARY');
+console.log('═'.repeat(50));
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  failures.forEach(f => console.log(`  - ${f.name}: ${f.error}`));
+  console.log('\n❌ ASSIGNMENTS SPEC FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ ASSIGNMENTS SPEC PASSED');
+  process.exit(0);
+}
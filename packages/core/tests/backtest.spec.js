@@ -0,0 +1,196 @@
+/**
+ * backtest.spec.js — Ranking backtest harness
+ *
+ * Tests: Spearman correlation, severity baseline ordering, outcome join
+ * (horizon, actionId / company+type), metric aggregation, and a short
+ * as-of replay through the real engine.
+ *
+ * Run: node tests/backtest.spec.js
+ */
+
+import { spearman, orderBySeverity, scoreBacktest, runBacktest } from '../runtime/backtest.js';
+import { loadRawData } from '../raw/loadRawData.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    failures.push({ name, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) { if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`); },
+    toBeCloseTo(expected, eps = 1e-6) { if (Math.abs(actual - expected) > eps) throw new Error(`Expected ~${expected}, got ${actual}`); },
+    toThrow(pattern) {
+      try {
+        actual();
+      } catch (err) {
+        if (pattern && !pattern.test(err.message)) throw new Error(`Threw "${err.message}", expected ${pattern}`);
+        return;
+      }
+      throw new Error('Expected function to throw');
+    },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PRIMITIVES
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nB1 Primitives');
+console.log('─'.repeat(50));
+
+test('B1.1 spearman: perfect monotone = 1, reversed = -1', () => {
+  expect(spearman([1, 2, 3, 4], [10, 20, 30, 40])).toBeCloseTo(1);
+  expect(spearman([1, 2, 3, 4], [4, 3, 2, 1])).toBeCloseTo(-1);
+});
+
+test('B1.2 spearman: too few points or constant → null', () => {
+  expect(spearman([1, 2], [1, 2])).toBe(null);
+  expect(spearman([1, 2, 3], [1, 1, 1])).toBe(null);
+});
+
+test('B1.3 baseline orders by severity then actionId', () => {
+  const ordered = orderBySeverity([
+    { actionId: 'b', severity: 1 },
+    { actionId: 'c', severity: 3 },
+    { actionId: 'a', severity: 1 }
+  ]);
+  expect(ordered.map(r => r.actionId).join()).toBe('c,a,b');
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SCORING
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nB2 scoreBacktest');
+console.log('─'.repeat(50));
+
+const day = new Date('2026-02-01T00:00:00Z');
+const rec = (actionId, rankScore, severity, p, extra = {}) => ({
+  actionId, rankScore, severity, probabilityOfSuccess: p,
+  companyId: 'c1', resolutionId: `TYPE_${actionId}`, ...extra
+});
+const snapshots = [{
+  day,
+  ranked: [
+    rec('a1', 90, 0, 0.9),
+    rec('a2', 50, 3, 0.5),
+    rec('a3', 10, 2, 0.2)
+  ]
+}];
+const outcome = (actionId, outcome, timestamp, payload = {}) => ({
+  id: `evt-${actionId}-${timestamp}`, actionId, eventType: 'outcome_recorded', actor: 't', timestamp,
+  payload: { outcome, ...payload }
+});
+
+test('B2.1 outcomes join by actionId after the replay day', () => {
+  const report = scoreBacktest(snapshots, [
+    outcome('a1', 'success', '2026-02-05T00:00:00Z'),
+    outcome('a2', 'partial', '2026-02-05T00:00:00Z'),
+    outcome('a3', 'failed', '2026-02-05T00:00:00Z')
+  ], { topN: 2 });
+  expect(report.model.matched).toBe(2);
+  expect(report.model.hitRate).toBe(1);
+  expect(report.model.rankCorrelation).toBeCloseTo(1);
+});
+
+test('B2.2 baseline scored over the same actions in severity order', () => {
+  const report = scoreBacktest(snapshots, [
+    outcome('a1', 'success', '2026-02-05T00:00:00Z'),
+    outcome('a2', 'failed', '2026-02-05T00:00:00Z'),
+    outcome('a3', 'failed', '2026-02-05T00:00:00Z')
+  ], { topN: 1 });
+  // baseline top-1 is a2 (severity 3) which failed
+  expect(report.baseline.hitRate).toBe(0);
+  expect(report.model.hitRate).toBe(1);
+  expect(report.comparison.hitRateDelta).toBe(1);
+});
+
+test('B2.3 outcomes before the day or past the horizon are ignored', () => {
+  const report = scoreBacktest(snapshots, [
+    outcome('a1', 'success', '2026-01-30T00:00:00Z'),
+    outcome('a2', 'success', '2026-04-01T00:00:00Z')
+  ], { horizonDays: 30 });
+  expect(report.model.matched).toBe(0);
+});
+
+test('B2.4 company + action type fallback join', () => {
+  const report = scoreBacktest(snapshots, [
+    outcome('other-id', 'success', '2026-02-03T00:00:00Z', { companyId: 'c1', actionType: 'TYPE_a1' })
+  ]);
+  expect(report.model.matched).toBe(1);
+});
+
+test('B2.5 calibration bins and Brier score', () => {
+  const report = scoreBacktest(snapshots, [
+    outcome('a1', 'success', '2026-02-05T00:00:00Z'),
+    outcome('a3', 'failed', '2026-02-05T00:00:00Z')
+  ]);
+  const top = report.calibration.bins[4];
+  expect(top.observations).toBe(1);
+  expect(top.observedRate).toBe(1);
+  // ((0.9-1)^2 + (0.2-0)^2) / 2
+  expect(report.calibration.brierScore).toBeCloseTo(0.025);
+});
+
+test('B2.6 rank buckets report mean outcome', () => {
+  const report = scoreBacktest(snapshots, [
+    outcome('a1', 'partial', '2026-02-05T00:00:00Z'),
+    outcome('a2', 'success', '2026-02-05T00:00:00Z')
+  ]);
+  expect(report.model.byRankBucket[0].observations).toBe(2);
+  expect(report.model.byRankBucket[0].meanOutcome).toBe(0.75);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// REPLAY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nB3 runBacktest');
+console.log('─'.repeat(50));
+
+const raw = loadRawData();
+
+test('B3.1 replays one engine run per day', () => {
+  const report = runBacktest(raw, { from: '2026-02-01', to: '2026-02-03' });
+  expect(report.range.days).toBe(3);
+  expect(report.daily.length).toBe(3);
+  expect(report.daily[0].top.length <= report.params.topN).toBe(true);
+  expect(report.comparison.outcomesAvailable > 0).toBe(true);
+});
+
+test('B3.2 invalid ranges rejected', () => {
+  expect(() => runBacktest(raw, { from: '2026-02-05', to: '2026-02-01' })).toThrow(/after/);
+  expect(() => runBacktest(raw, { from: 'nope', to: '2026-02-01' })).toThrow(/invalid date/);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n' + '═'.repeat(50));
+console.log('BACKTEST SPEC SUMMARY');
+console.log('═'.repeat(50));
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  failures.forEach(f => console.log(`  - ${f.name}: ${f.error}`));
+  console.log('\n❌ BACKTEST SPEC FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ BACKTEST SPEC PASSED');
+  process.exit(0);
+}
@@ -0,0 +1,172 @@
+/**
+ * calibration.spec.js — Outcome calibration of impact priors
+ *
+ * Tests: execution / success observations from the lifecycle, shrinkage
+ * toward priors, stage cells with resolution fallback, absorbed execution
+ * priors, structured outcome payload validation, and the engine surface.
+ *
+ * Run: node tests/calibration.spec.js
+ */
+
+import { calibrateImpactPriors, PRIOR_STRENGTH } from '../derive/calibration.js';
+import { validateActionEvent } from '../raw/actionEventsSchema.js';
+import { createActionEvent } from '../raw/actionEvent.js';
+import { compute } from '../runtime/engine.js';
+import { loadRawData } from '../raw/loadRawData.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    failures.push({ name, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) { if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`); },
+    async toThrowCode(code) {
+      try { await actual(); } catch (e) {
+        if (e.code !== code) throw new Error(`Expected error code ${code}, got ${e.code} (${e.message})`);
+        return e;
+      }
+      throw new Error('Expected function to throw');
+    }
+  };
+}
+
+let seq = 0;
+const ev = (actionId, eventType, day, payload = {}) => createActionEvent({
+  id: `evt-${++seq}`, actionId, eventType, timestamp: `2026-02-${String(day).padStart(2, '0')}T09:00:00.000Z`, payload
+});
+const done = (actionId, outcome, extra = {}) => [
+  ev(actionId, 'executed', 2, extra),
+  ev(actionId, 'outcome_recorded', 5, { outcome, ...extra })
+];
+
+const companies = [{ id: 'c-seed', stage: 'Seed' }, { id: 'c-b', stage: 'Series B' }];
+const action = (actionId, companyId, resolutionId, probabilityOfSuccess, executionProbability = 0.5) => ({
+  actionId, resolutionId, entityRef: { type: 'company', id: companyId },
+  impact: { probabilityOfSuccess, executionProbability }
+});
+
+const actions = [
+  action('a1', 'c-seed', 'REDUCE_BURN', 0.6),
+  action('a2', 'c-seed', 'REDUCE_BURN', 0.6),
+  action('a3', 'c-b', 'REDUCE_BURN', 0.7),
+  action('a4', 'c-seed', 'ACCELERATE_FUNDRAISE', 0.5, 1)
+];
+
+// ═══════════════════════════════════════════════════════════════
+// FIT
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nC1 Fit');
+console.log('─'.repeat(50));
+
+await test('C1.1 realized success shrinks the prior by PRIOR_STRENGTH', () => {
+  const { cells, byAction } = calibrateImpactPriors(actions, [...done('a1', 'failed'), ...done('a2', 'failed')], companies);
+  const cell = cells.find(c => c.resolutionId === 'REDUCE_BURN' && c.stage === 'Seed');
+  expect(cell.probabilityOfSuccess.n).toBe(2);
+  expect(cell.probabilityOfSuccess.realized).toBe(0);
+  const expected = Math.round(((0.6 * PRIOR_STRENGTH) / (PRIOR_STRENGTH + 2)) * 1000) / 1000;
+  expect(byAction.get('a1').probabilityOfSuccess.calibrated).toBe(expected);
+  expect(byAction.get('a1').probabilityOfSuccess.adjustment < 0).toBe(true);
+  expect(byAction.get('a1').probabilityOfSuccess.basis).toBe('stage');
+});
+
+await test('C1.2 a stage without outcomes falls back to the resolution', () => {
+  const { byAction } = calibrateImpactPriors(actions, done('a1', 'success'), companies);
+  expect(byAction.get('a3').probabilityOfSuccess.basis).toBe('resolution');
+  expect(byAction.get('a3').probabilityOfSuccess.adjustment > 0).toBe(true);
+});
+
+await test('C1.3 execution: executed counts 1, abandoned before execution 0; absorbed priors skipped', () => {
+  const events = [
+    ev('a1', 'executed', 2),
+    ev('a2', 'outcome_recorded', 3, { outcome: 'abandoned' }),
+    ev('a4', 'outcome_recorded', 3, { outcome: 'abandoned' })
+  ];
+  const { cells, byAction } = calibrateImpactPriors(actions, events, companies);
+  const cell = cells.find(c => c.resolutionId === 'REDUCE_BURN' && c.stage === 'Seed');
+  expect(cell.executionProbability.n).toBe(2);
+  expect(cell.executionProbability.realized).toBe(0.5);
+  expect(cell.probabilityOfSuccess).toBe(null);
+  expect(byAction.get('a4')).toBe(undefined);
+});
+
+await test('C1.4 notes-only observations and illegal outcomes are not evidence', () => {
+  const events = [
+    ev('a1', 'executed', 2), ev('a1', 'outcome_recorded', 5, { notes: 'went well' }),
+    ev('a2', 'outcome_recorded', 5, { outcome: 'success' })
+  ];
+  const { cells } = calibrateImpactPriors(actions, events, companies);
+  const cell = cells.find(c => c.resolutionId === 'REDUCE_BURN' && c.stage === 'Seed');
+  expect(cell.probabilityOfSuccess).toBe(null);
+  expect(cell.executionProbability.n).toBe(1);
+});
+
+await test('C1.5 outcomes for actions no longer proposed use the current cell prior', () => {
+  const { cells } = calibrateImpactPriors(actions, done('gone', 'success', { actionType: 'REDUCE_BURN', companyId: 'c-b' }), companies);
+  const cell = cells.find(c => c.stage === 'Series B');
+  expect(cell.probabilityOfSuccess.prior).toBe(0.7);
+  expect(cell.probabilityOfSuccess.realized).toBe(1);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// CAPTURE + ENGINE
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nC2 Capture + engine');
+console.log('─'.repeat(50));
+
+await test('C2.1 schema: time to impact and metric change', () => {
+  const base = { id: 'e', actionId: 'a1', eventType: 'outcome_recorded', actor: 'tm-partner', timestamp: '2026-02-05T00:00:00Z' };
+  const payload = { outcome: 'success', timeToImpactDays: 12, metricChange: { metricKey: 'mrr', metricFactId: 'mf-1', from: 100, to: 120 } };
+  expect(validateActionEvent({ ...base, payload }).valid).toBe(true);
+  expect(validateActionEvent({ ...base, payload: { ...payload, timeToImpactDays: -1 } }).valid).toBe(false);
+  expect(validateActionEvent({ ...base, payload: { ...payload, metricChange: { from: 1 } } }).valid).toBe(false);
+  expect(validateActionEvent({ ...base, payload: { outcome: 'great' } }).valid).toBe(false);
+});
+
+await test('C2.2 engine exposes calibration without changing the priors it ranks with', () => {
+  const raw = loadRawData();
+  const now = new Date('2026-02-10T00:00:00Z');
+  const baseline = compute(raw, now);
+  const target = baseline.actions.find(a => a.impact.executionProbability < 1) || baseline.actions[0];
+  const output = compute(raw, now, {
+    events: [0, 1, 2].flatMap(i => done(`past-${i}`, 'failed', { actionType: target.resolutionId, companyId: target.entityRef.id }))
+  });
+  const after = output.actions.find(a => a.actionId === target.actionId);
+  expect(after.impact.probabilityOfSuccess).toBe(target.impact.probabilityOfSuccess);
+  expect(after.calibration.probabilityOfSuccess.adjustment < 0).toBe(true);
+  expect(output.calibration.cells.some(c => c.resolutionId === target.resolutionId)).toBe(true);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n' + '═'.repeat(50));
+console.log('CALIBRATION SPEC SUMMARY');
+console.log('═'.repeat(50));
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  failures.forEach(f => console.log(`  - ${f.name}: ${f.error}`));
+  console.log('\n❌ CALIBRATION SPEC FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ CALIBRATION SPEC PASSED');
+  process.exit(0);
+}
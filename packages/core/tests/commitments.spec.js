@@ -0,0 +1,236 @@
+/**
+ * commitments.spec.js — Meeting action items as tracked commitments
+ *
+ * Tests: due-date parsing relative to the meeting, owner resolution and
+ * direction, content-hash ids that survive new meetings, status from action
+ * events, and the MEETING_COMMITMENT_OVERDUE pre-issue.
+ *
+ * Run: node tests/commitments.spec.js
+ */
+
+import { parseDueDate, resolveOwner, commitmentIdFor, deriveCommitments } from '../derive/commitments.js';
+import { deriveMeetingIntelligence } from '../derive/meetings.js';
+import { indexPeople } from '../derive/entityResolution.js';
+import { deriveCompanyPreIssues, PREISSUE_TYPES } from '../predict/preissues.js';
+import { createActionEvent } from '../raw/actionEvent.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    failures.push({ name, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) { if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`); },
+    toBeTruthy() { if (!actual) throw new Error(`Expected truthy, got ${actual}`); },
+    toContain(item) { if (!actual.includes(item)) throw new Error(`Expected ${JSON.stringify(actual)} to contain ${item}`); }
+  };
+}
+
+// Wednesday
+const meetingDate = '2026-03-04T17:00:00.000Z';
+const company = { id: 'acme', name: 'Acme' };
+const people = [{ id: 'p-jane', fn: 'Jane', ln: 'Doe', email: 'jane@acme.com' }];
+
+const meetingA = {
+  id: 'm-a',
+  title: 'Acme weekly sync',
+  date: meetingDate,
+  participants: [
+    { name: 'Elliot Storey', email: 'elliot@backboneam.com', org: 'Backbone' },
+    { name: 'Jane Doe', email: 'jane@acme.com', org: 'Acme' }
+  ],
+  summary: [
+    '### Next Steps',
+    '- Elliot (by Friday)',
+    '  - Send the investor update template',
+    '- Jane',
+    '  - Share the March board deck',
+    '- Joint deliverables (end of month)',
+    '  - Finalize the hiring plan'
+  ].join('\n')
+};
+
+const meetingB = {
+  id: 'm-b',
+  title: 'Acme follow-up',
+  date: '2026-03-11T17:00:00.000Z',
+  participants: meetingA.participants,
+  summary: '### Next Steps\n- Jane\n  - Intro to two design partners\n'
+};
+
+function commitmentsAt(meetings, now, events = []) {
+  const intel = deriveMeetingIntelligence(meetings, new Map(), now);
+  return deriveCommitments(company, intel.extractedActions, { meetings, people, events, now });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// DUE DATES
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nC1 Due dates');
+console.log('─'.repeat(50));
+
+await test('C1.1 weekdays are the next occurrence after the meeting', () => {
+  expect(parseDueDate('by Friday', meetingDate)).toBe('2026-03-06');
+  expect(parseDueDate('Wednesday', meetingDate)).toBe('2026-03-11');
+});
+
+await test('C1.2 relative phrases', () => {
+  expect(parseDueDate('immediate', meetingDate)).toBe('2026-03-06');
+  expect(parseDueDate('tomorrow', meetingDate)).toBe('2026-03-05');
+  expect(parseDueDate('next week', meetingDate)).toBe('2026-03-11');
+  expect(parseDueDate('end of month', meetingDate)).toBe('2026-03-31');
+  expect(parseDueDate('end of quarter', meetingDate)).toBe('2026-03-31');
+});
+
+await test('C1.3 months and dates roll forward past the meeting', () => {
+  expect(parseDueDate('Mar 15', meetingDate)).toBe('2026-03-15');
+  expect(parseDueDate('Jan', meetingDate)).toBe('2027-01-31');
+  expect(parseDueDate('hit January 1st deadline', meetingDate)).toBe('2027-01-01');
+  expect(parseDueDate('3/20', meetingDate)).toBe('2026-03-20');
+  expect(parseDueDate('Q2', meetingDate)).toBe('2026-06-30');
+});
+
+await test('C1.4 no date in the text → null', () => {
+  expect(parseDueDate('soon-ish', meetingDate)).toBe(null);
+  expect(parseDueDate(null, meetingDate)).toBe(null);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// OWNERS
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nC2 Owners');
+console.log('─'.repeat(50));
+
+const context = { participants: meetingA.participants, peopleIndex: indexPeople(people) };
+
+await test('C2.1 our participant → we_owe', () => {
+  const { owner, direction } = resolveOwner('Elliot', context);
+  expect(direction).toBe('we_owe');
+  expect(owner.name).toBe('Elliot Storey');
+});
+
+await test('C2.2 company participant resolves to the person → they_owe', () => {
+  const { owner, direction } = resolveOwner('Jane', context);
+  expect(direction).toBe('they_owe');
+  expect(owner.type).toBe('person');
+  expect(owner.id).toBe('p-jane');
+});
+
+await test('C2.3 team members, joint items and strangers', () => {
+  expect(resolveOwner('Matt', { team: [{ personId: 't-matt', name: 'Matt Ross' }] }).owner.id).toBe('t-matt');
+  expect(resolveOwner('Joint deliverables', context).direction).toBe('mutual');
+  expect(resolveOwner('Zed', context).direction).toBe('unknown');
+});
+
+await test('C2.4 inline owners and deadlines are read from the text', () => {
+  const [c] = deriveCommitments(company, [{ text: 'Jane to send the data room by Friday', assignee: null, deadline: null, meetingId: 'm-a', meetingDate }],
+    { meetings: [meetingA], people, now: new Date(meetingDate) });
+  expect(c.text).toBe('send the data room by Friday');
+  expect(c.owner.id).toBe('p-jane');
+  expect(c.dueDate).toBe('2026-03-06');
+});
+
+// ═══════════════════════════════════════════════════════════════
+// IDS + STATUS
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nC3 Ids and status');
+console.log('─'.repeat(50));
+
+await test('C3.1 ids are content hashes that survive a new meeting', () => {
+  const before = commitmentsAt([meetingA], new Date('2026-03-05T00:00:00Z'));
+  const after = commitmentsAt([meetingA, meetingB], new Date('2026-03-05T00:00:00Z'));
+  const send = before.find(c => c.text === 'Send the investor update template');
+  expect(send.id).toBe(commitmentIdFor('acme', 'Elliot', 'Send the investor update template'));
+  expect(after.map(c => c.id)).toContain(send.id);
+  expect(after.length).toBe(before.length + 1);
+});
+
+await test('C3.2 commitments carry owner, direction, due date and meeting', () => {
+  const send = commitmentsAt([meetingA], new Date('2026-03-05T00:00:00Z')).find(c => c.text.startsWith('Send'));
+  expect(send.direction).toBe('we_owe');
+  expect(send.dueDate).toBe('2026-03-06');
+  expect(send.meetingId).toBe('m-a');
+  expect(send.meetingTitle).toBe('Acme weekly sync');
+  expect(send.status).toBe('open');
+});
+
+await test('C3.3 past the due day → overdue with days late', () => {
+  const send = commitmentsAt([meetingA], new Date('2026-03-09T12:00:00Z')).find(c => c.text.startsWith('Send'));
+  expect(send.status).toBe('overdue');
+  expect(send.daysOverdue).toBe(3);
+});
+
+await test('C3.4 executing the action closes it; abandoning drops it', () => {
+  const now = new Date('2026-03-09T12:00:00Z');
+  const [send, deck] = ['Send', 'Share'].map(p => commitmentsAt([meetingA], now).find(c => c.text.startsWith(p)));
+  const events = [
+    createActionEvent({ actionId: send.id, eventType: 'executed', actor: 'elliot', timestamp: '2026-03-07T00:00:00Z' }),
+    createActionEvent({ actionId: deck.id, eventType: 'outcome_recorded', actor: 'elliot', timestamp: '2026-03-07T00:00:00Z', payload: { outcome: 'abandoned' } })
+  ];
+  const byId = new Map(commitmentsAt([meetingA], now, events).map(c => [c.id, c]));
+  expect(byId.get(send.id).status).toBe('done');
+  expect(byId.get(deck.id).status).toBe('dropped');
+});
+
+// ═══════════════════════════════════════════════════════════════
+// PRE-ISSUE
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nC4 Overdue pre-issue');
+console.log('─'.repeat(50));
+
+await test('C4.1 each overdue commitment raises MEETING_COMMITMENT_OVERDUE', () => {
+  const now = new Date('2026-03-09T12:00:00Z');
+  const commitments = commitmentsAt([meetingA], now);
+  const preissues = deriveCompanyPreIssues(company, [], null, now, null, { commitments })
+    .filter(p => p.preIssueType === PREISSUE_TYPES.MEETING_COMMITMENT_OVERDUE);
+  expect(preissues.length).toBe(commitments.filter(c => c.status === 'overdue').length);
+  const send = preissues.find(p => p.title.includes('investor update'));
+  expect(send.likelihood).toBe(0.8);
+  expect(send.timeToBreachDays).toBe(11);
+  expect(send.irreversibility).toBe(0.6);
+  expect(send.evidence.direction).toBe('we_owe');
+  expect(send.evidence.meetingId).toBe('m-a');
+  expect(send.costOfDelay).toBeTruthy();
+});
+
+await test('C4.2 open and done commitments raise nothing', () => {
+  const commitments = commitmentsAt([meetingA], new Date('2026-03-05T00:00:00Z'));
+  const preissues = deriveCompanyPreIssues(company, [], null, new Date('2026-03-05T00:00:00Z'), null, { commitments });
+  expect(preissues.some(p => p.preIssueType === PREISSUE_TYPES.MEETING_COMMITMENT_OVERDUE)).toBe(false);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n' + '═'.repeat(50));
+console.log('COMMITMENTS SPEC SUMMARY');
+console.log('═'.repeat(50));
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  failures.forEach(f => console.log(`  - ${f.name}: ${f.error}`));
+  console.log('\n❌ COMMITMENTS SPEC FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ COMMITMENTS SPEC PASSED');
+  process.exit(0);
+}
@@ -0,0 +1,253 @@
+/**
+ * entity_resolution.spec.js — Meeting participants → people, meetings → companies
+ *
+ * Tests: scored participant matching (email, name, name + org, ties),
+ * company matching on domain, org, title and founders without substring
+ * false positives, the review queue and partner decisions, relationship
+ * lastContact from meetings, and the resolver inside compute().
+ *
+ * Run: node tests/entity_resolution.spec.js
+ */
+
+import {
+  indexPeople, resolveParticipant, scoreMeetingCompanies, resolveMeetings,
+  collectMatchReviews, applyMeetingContacts, AUTO_MATCH_CONFIDENCE
+} from '../derive/entityResolution.js';
+import { createActionEvent } from '../raw/actionEvent.js';
+import { validateActionEvent } from '../raw/actionEventsSchema.js';
+import { loadRawData } from '../raw/loadRawData.js';
+import { compute } from '../runtime/engine.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    failures.push({ name, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) { if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`); },
+    toBeTruthy() { if (!actual) throw new Error(`Expected truthy, got ${actual}`); },
+    toContain(item) { if (!actual.includes(item)) throw new Error(`Expected ${JSON.stringify(actual)} to contain ${item}`); }
+  };
+}
+
+const people = [
+  { id: 'p-ann', fn: 'Ann', ln: 'Lee', email: 'ann@checker.ai', orgName: 'Checker AI' },
+  { id: 'p-bo1', fn: 'Bo', ln: 'Chen', email: 'bo@alpha.vc', orgName: 'Alpha Ventures' },
+  { id: 'p-bo2', fn: 'Bo', ln: 'Chen', email: 'bo@beta.vc', orgName: 'Beta Capital' },
+  { id: 'p-cy', fn: 'Cy', ln: 'Ng', email: 'cy@founders.io' }
+];
+const companies = [
+  { id: 'c-checker', name: 'Checker', domain: 'checker.com' },
+  { id: 'c-checkerai', name: 'Checker AI', domain: 'checker.ai' },
+  { id: 'c-lava', name: 'Lava', domain: 'lava.so' },
+  { id: 'c-oak', name: 'Oak', domain: 'oak.dev' },
+  { id: 'c-zephyr', name: 'Zephyr Labs', domain: 'zephyrlabs.com', founderPersonIds: ['p-cy'] }
+];
+const index = indexPeople(people);
+
+const meeting = (id, title, participants, date = '2026-02-01T10:00:00.000Z') => ({ id, title, date, participants });
+const elliot = { name: 'Elliot Storey', email: 'elliot@backboneam.com', org: 'Backbone' };
+
+// ═══════════════════════════════════════════════════════════════
+// PARTICIPANTS
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nR1 Participants');
+console.log('─'.repeat(50));
+
+await test('R1.1 email is the strongest evidence', () => {
+  const r = resolveParticipant({ name: 'A. Lee', email: 'ANN@checker.ai' }, index);
+  expect(r.personId).toBe('p-ann');
+  expect(r.status).toBe('accepted');
+  expect(r.evidence[0]).toContain('email');
+});
+
+await test('R1.2 name plus org settles a shared name', () => {
+  const r = resolveParticipant({ name: 'Bo Chen', org: 'Beta Capital' }, index);
+  expect(r.personId).toBe('p-bo2');
+  expect(r.status).toBe('accepted');
+  expect(r.candidates.length).toBe(2);
+});
+
+await test('R1.3 a shared name alone goes to review; unknown stays unresolved', () => {
+  expect(resolveParticipant({ name: 'Bo Chen' }, index).status).toBe('review');
+  const unknown = resolveParticipant({ name: 'Jmorgan', email: 'jmorgan@x.com' }, index);
+  expect(unknown.personId).toBe(null);
+  expect(unknown.confidence).toBe(0);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// COMPANIES
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nR2 Companies');
+console.log('─'.repeat(50));
+
+const score = (m) => scoreMeetingCompanies(m, companies, {
+  people: index.byId,
+  resolvedPeople: (m.participants || []).map(p => resolveParticipant(p, index))
+});
+
+await test('R2.1 an org naming the longer company is not credited to the shorter one', () => {
+  const matches = score(meeting('m1', 'Weekly', [elliot, { name: 'Dee', org: 'Checker AI Inc' }]));
+  expect(matches[0].companyId).toBe('c-checkerai');
+  expect(matches[0].status).toBe('accepted');
+  expect(matches.some(m => m.companyId === 'c-checker')).toBe(false);
+});
+
+await test('R2.2 no substring matches on names', () => {
+  expect(score(meeting('m2', 'Lavalamp intro', [{ name: 'Eve', org: 'Lavalamp' }])).length).toBe(0);
+});
+
+await test('R2.3 short names in a title are weak; a domain makes them sure', () => {
+  expect(score(meeting('m3', 'Backbone + Oak', [elliot])).length).toBe(0);
+  const [m] = score(meeting('m3', 'Backbone + Oak', [elliot, { name: 'Fay', email: 'fay@oak.dev' }]));
+  expect(m.companyId).toBe('c-oak');
+  expect(m.confidence >= AUTO_MATCH_CONFIDENCE).toBe(true);
+  expect(m.evidence.some(e => e.includes('short name'))).toBe(true);
+});
+
+await test('R2.4 a founder in the room matches their company', () => {
+  const [m] = score(meeting('m4', 'Catch up', [elliot, { name: 'Cy Ng', email: 'cy@founders.io' }]));
+  expect(m.companyId).toBe('c-zephyr');
+  expect(m.evidence.join()).toContain('founder');
+});
+
+await test('R2.5 a long name in the title alone needs review', () => {
+  const [m] = score(meeting('m5', 'Zephyr Labs board prep', [elliot]));
+  expect(m.status).toBe('review');
+});
+
+// ═══════════════════════════════════════════════════════════════
+// REVIEW QUEUE
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nR3 Review queue');
+console.log('─'.repeat(50));
+
+const meetings = [
+  meeting('m5', 'Zephyr Labs board prep', [elliot]),
+  meeting('m6', 'Intro', [elliot, { name: 'Bo Chen' }]),
+  meeting('m7', 'Checker AI sync', [{ name: 'Ann Lee', email: 'ann@checker.ai' }])
+];
+const review = (payload, timestamp = '2026-02-02T00:00:00.000Z') => createActionEvent({
+  actionId: `meeting-review-${payload.meetingId}`, eventType: 'match_reviewed', actor: 'partner', timestamp, payload
+});
+
+await test('R3.1 unsettled company and person matches are queued with evidence', () => {
+  const { review: queue, byCompany } = resolveMeetings(meetings, { companies, people });
+  expect(queue.map(r => `${r.meetingId}:${r.targetType}`).join()).toContain('m5:company');
+  expect(queue.map(r => `${r.meetingId}:${r.targetType}`).join()).toContain('m6:person');
+  expect(queue.find(r => r.targetType === 'person').alternatives.length).toBe(1);
+  expect(byCompany.has('c-zephyr')).toBe(false);
+  expect(byCompany.get('c-checkerai')[0].id).toBe('m7');
+});
+
+await test('R3.2 confirm and reject decisions are replayed, latest wins', () => {
+  const events = [
+    review({ meetingId: 'm5', targetType: 'company', targetId: 'c-zephyr', decision: 'confirm' }),
+    review({ meetingId: 'm7', targetType: 'company', targetId: 'c-checkerai', decision: 'confirm' }, '2026-02-02T00:00:00.000Z'),
+    review({ meetingId: 'm7', targetType: 'company', targetId: 'c-checkerai', decision: 'reject' }, '2026-02-03T00:00:00.000Z'),
+    review({ meetingId: 'm6', targetType: 'person', targetId: 'p-bo1', participantIndex: 1, decision: 'confirm' })
+  ];
+  const { review: queue, byCompany, meetings: resolved } = resolveMeetings(meetings, { companies, people, reviews: collectMatchReviews(events) });
+  expect(queue.length).toBe(0);
+  expect(byCompany.get('c-zephyr')[0].id).toBe('m5');
+  expect(byCompany.has('c-checkerai')).toBe(false);
+  expect(resolved.find(m => m.meetingId === 'm6').participants[1].personId).toBe('p-bo1');
+});
+
+await test('R3.3 a partner can attach a company the resolver never proposed', () => {
+  const events = [review({ meetingId: 'm6', targetType: 'company', targetId: 'c-lava', decision: 'confirm' })];
+  const { byCompany } = resolveMeetings(meetings, { companies, people, reviews: collectMatchReviews(events) });
+  expect(byCompany.get('c-lava')[0].id).toBe('m6');
+});
+
+await test('R3.4 match_reviewed events are validated', () => {
+  const ok = review({ meetingId: 'm6', targetType: 'person', targetId: 'p-bo1', participantIndex: 1, decision: 'confirm' });
+  expect(validateActionEvent(ok).valid).toBe(true);
+  const bad = review({ meetingId: 'm6', targetType: 'person', targetId: 'p-bo1', decision: 'maybe' });
+  expect(validateActionEvent(bad).errors.length).toBe(2);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// RELATIONSHIPS
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nR4 Relationship contact');
+console.log('─'.repeat(50));
+
+await test('R4.1 a shared meeting moves lastContact forward, never back', () => {
+  const rels = [
+    { id: 'r1', p1Id: 'p-ann', p2Id: 'p-cy', strength: 'medium', lastContact: '2025-06-01T00:00:00.000Z' },
+    { id: 'r2', p1Id: 'p-ann', p2Id: 'p-bo1', strength: 'weak', lastContact: '2026-05-01T00:00:00.000Z' },
+    { id: 'r3', p1Id: 'p-bo2', p2Id: 'p-cy', strength: 'weak', lastContact: '2025-01-01T00:00:00.000Z' }
+  ];
+  const ms = [meeting('m8', 'Catch up', [
+    { name: 'Ann Lee', email: 'ann@checker.ai' },
+    { name: 'Cy Ng', email: 'cy@founders.io' },
+    { name: 'Bo Chen', email: 'bo@alpha.vc' }
+  ])];
+  const out = applyMeetingContacts(rels, ms, resolveMeetings(ms, { companies, people }).meetings);
+  expect(out[0].lastContact).toBe('2026-02-01T10:00:00.000Z');
+  expect(out[0].lastContactMeetingId).toBe('m8');
+  expect(out[1]).toBe(rels[1]);
+  expect(out[2]).toBe(rels[2]);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ENGINE
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nR5 compute()');
+console.log('─'.repeat(50));
+
+await test('R5.1 review queue in the output; a confirmed match reaches the company', () => {
+  const raw = loadRawData();
+  const base = raw.companies.find(c => c.isPortfolio);
+  const target = { ...base, id: 'c-review', name: 'Quillfeather Robotics', domain: 'quillfeather.example' };
+  const m = meeting('m-review', 'Quillfeather Robotics pipeline review', [elliot], '2026-02-05T10:00:00.000Z');
+  const data = { ...raw, companies: [...raw.companies, target], meetings: [...raw.meetings, m] };
+  const now = new Date('2026-02-10T00:00:00Z');
+
+  const before = compute(data, now, { events: [] });
+  expect(before.meetingReview.some(r => r.meetingId === 'm-review' && r.targetId === 'c-review')).toBe(true);
+  expect(before.companies.find(c => c.id === 'c-review').derived.meetings.engagementSignals.meetingCount).toBe(0);
+
+  const events = [review({ meetingId: 'm-review', targetType: 'company', targetId: 'c-review', decision: 'confirm' }, '2026-02-06T00:00:00.000Z')];
+  const after = compute(data, now, { events });
+  expect(after.meetingReview.some(r => r.meetingId === 'm-review')).toBe(false);
+  expect(after.companies.find(c => c.id === 'c-review').derived.meetings.engagementSignals.meetingCount).toBe(1);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n' + '═'.repeat(50));
+console.log('ENTITY RESOLUTION SPEC SUMMARY');
+console.log('═'.repeat(50));
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  failures.forEach(f => console.log(`  - ${f.name}: ${f.error}`));
+  console.log('\n❌ ENTITY RESOLUTION SPEC FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ ENTITY RESOLUTION SPEC PASSED');
+  process.exit(0);
+}
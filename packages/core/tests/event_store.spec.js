@@ -0,0 +1,428 @@
+/**
+ * event_store.spec.js — Pluggable durable EventStore backends
+ *
+ * Tests: append/read contract on memory, JSONL file, SQLite and Redis backends,
+ * idempotent retries, append-only enforcement (id reuse, clear),
+ * range/action/entity reads, snapshots, compaction (legacy upgrade,
+ * torn lines), durability across reopen (file, SQLite), Redis backend over an
+ * in-process client (optimistic append, idempotency keys committed with
+ * the event, safe compaction), and config
+ * selection.
+ *
+ * Run: node tests/event_store.spec.js
+ */
+
+import { mkdtempSync, rmSync, appendFileSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createEventStore, eventStoreConfigFromEnv } from '../runtime/eventStore.js';
+import { REDIS_SCRIPTS, MAX_APPEND_ATTEMPTS } from '../runtime/eventStoreRedis.js';
+import { createActionEvent } from '../raw/actionEvent.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    failures.push({ name, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) { if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`); },
+    async toReject(code) {
+      try { await actual(); } catch (e) {
+        if (e.code !== code) throw new Error(`Expected error code ${code}, got ${e.code} (${e.message})`);
+        return;
+      }
+      throw new Error('Expected promise to reject');
+    }
+  };
+}
+
+const dir = mkdtempSync(join(tmpdir(), 'backbone-events-'));
+
+// better-sqlite3 is a devDependency; the sqlite runs need it installed
+const Database = await import('better-sqlite3').then(m => m.default, () => null);
+
+const event = (n, extra = {}) => createActionEvent({
+  id: `evt-${n}`,
+  actionId: `a${n % 2}`,
+  entityId: n % 2 ? 'velocity' : 'northwind',
+  eventType: 'executed',
+  timestamp: `2026-02-0${n}T00:00:00.000Z`,
+  ...extra
+});
+
+// Minimal in-process client with the @upstash/redis calls the backend uses.
+// eval runs a JS twin of each REDIS_SCRIPTS entry (no Lua here); each twin
+// is synchronous, so like a script on the server it cannot interleave.
+function inProcessRedis() {
+  const lists = new Map();
+  const hashes = new Map();
+  const strings = new Map();
+  const list = k => (lists.has(k) ? lists.get(k) : lists.set(k, []).get(k));
+  const hash = k => (hashes.has(k) ? hashes.get(k) : hashes.set(k, new Map()).get(k));
+  const copy = v => JSON.parse(JSON.stringify(v));
+  const twins = new Map([
+    [REDIS_SCRIPTS.index, ([events, indexed, seq], [prefix]) => {
+      const total = list(events).length;
+      for (let i = Number(strings.get(indexed) || 0) + 1; i <= total; i++) {
+        const e = list(events)[i - 1];
+        if (e.actionId) list(prefix + e.actionId).push(String(i));
+        if (e.id) hash(seq).set(e.id, String(i));
+      }
+      strings.set(indexed, String(total));
+      return total;
+    }],
+    [REDIS_SCRIPTS.append, ([events, actionKey, seq, indexed, keys, ids], [json, id, expected, appendKey]) => {
+      if (hash(keys).has(appendKey)) return -3;
+      if (hash(ids).has(id)) return -4;
+      if (list(actionKey).length !== Number(expected)) return -1;
+      if (Number(strings.get(indexed) || 0) !== list(events).length) return -2;
+      const sequence = list(events).push(JSON.parse(json));
+      list(actionKey).push(String(sequence));
+      hash(seq).set(id, String(sequence));
+      strings.set(indexed, String(sequence));
+      hash(keys).set(appendKey, JSON.parse(json));
+      hash(ids).set(id, appendKey);
+      return sequence;
+    }],
+    [REDIS_SCRIPTS.readAction, ([events, actionKey]) =>
+      list(actionKey).map(sequence => JSON.stringify(list(events)[Number(sequence) - 1]))],
+    [REDIS_SCRIPTS.swap, ([events, temp], [expected]) => {
+      if (list(events).length !== Number(expected)) { lists.delete(temp); return 0; }
+      lists.set(events, lists.get(temp) || []);
+      lists.delete(temp);
+      return 1;
+    }]
+  ]);
+  return {
+    async lrange(k, start, stop) {
+      return list(k).slice(start, stop === -1 ? undefined : stop + 1).map(copy);
+    },
+    async rpush(k, ...values) {
+      list(k).push(...values.map(copy));
+      return list(k).length;
+    },
+    async hget(k, field) { return hash(k).has(field) ? copy(hash(k).get(field)) : null; },
+    async del(k) { lists.delete(k); hashes.delete(k); strings.delete(k); return 1; },
+    async eval(script, keys, args) { return twins.get(script)(keys, args); },
+    lists,
+    hashes
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// CONTRACT (every backend)
+// ═══════════════════════════════════════════════════════════════
+
+const backends = {
+  memory: () => createEventStore({ backend: 'memory' }),
+  file: () => createEventStore({ backend: 'file', path: join(dir, 'contract.jsonl') }),
+  sqlite: () => createEventStore({ backend: 'sqlite', path: join(dir, 'contract.sqlite'), Database }),
+  redis: () => createEventStore({ backend: 'redis', client: inProcessRedis() })
+};
+
+for (const [name, open] of Object.entries(backends)) {
+  console.log(`\nS1 Contract: ${name}`);
+  console.log('─'.repeat(50));
+  if (name === 'sqlite' && !Database) {
+    console.log('  - skipped: better-sqlite3 not installed (npm install in packages/core)');
+    continue;
+  }
+  const store = open();
+
+  await test(`S1.1 [${name}] append assigns sequence; reads return copies`, async () => {
+    for (const n of [1, 2, 3, 4]) await store.append(event(n));
+    const all = await store.readAll();
+    expect(all.length).toBe(4);
+    all[0].payload.tampered = true;
+    expect((await store.readAll())[0].payload.tampered).toBe(undefined);
+    expect((await store.snapshot()).sequence).toBe(4);
+  });
+
+  await test(`S1.2 [${name}] retry with same idempotency key does not duplicate`, async () => {
+    const first = await store.append(event(5), { idempotencyKey: 'req-5' });
+    const retry = await store.append({ ...event(5), id: 'evt-5-retry' }, { idempotencyKey: 'req-5' });
+    expect(first.duplicate).toBe(false);
+    expect(retry.duplicate).toBe(true);
+    expect(retry.event.id).toBe('evt-5');
+    expect(retry.sequence).toBe(first.sequence);
+    expect((await store.readAll()).length).toBe(5);
+  });
+
+  await test(`S1.3 [${name}] append-only: id reuse and clear rejected, invalid events refused`, async () => {
+    await expect(() => store.append(event(1, { payload: { note: 'rewrite' } }), { idempotencyKey: 'other' })).toReject('APPEND_ONLY');
+    await expect(() => store.clear()).toReject('CLEAR_DISABLED');
+    let errors = [];
+    try { await store.append({ id: 'bad', eventType: 'teleported' }); } catch (e) { errors = e.errors || []; }
+    expect(errors.length > 0).toBe(true);
+    expect((await store.readAll()).length).toBe(5);
+  });
+
+  await test(`S1.4 [${name}] range, action and entity reads`, async () => {
+    expect((await store.readRange({ fromSequence: 2, toSequence: 3 })).map(e => e.id).join()).toBe('evt-2,evt-3');
+    expect((await store.readRange({ since: '2026-02-04T00:00:00Z' })).length).toBe(2);
+    expect((await store.readRange({ limit: 1 })).length).toBe(1);
+    expect((await store.readByAction('a1')).map(e => e.id).join()).toBe('evt-1,evt-3,evt-5');
+    expect((await store.readByEntity('northwind')).length).toBe(2);
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// FILE DURABILITY + COMPACTION
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nS2 File durability');
+console.log('─'.repeat(50));
+
+await test('S2.1 events survive reopen (new process, same path)', async () => {
+  const path = join(dir, 'durable.jsonl');
+  await createEventStore({ backend: 'file', path }).append(event(1));
+  const reopened = createEventStore({ backend: 'file', path });
+  expect((await reopened.readAll()).length).toBe(1);
+  expect((await reopened.append(event(1))).duplicate).toBe(true);
+});
+
+await test('S2.2 compaction upgrades legacy events and drops torn lines', async () => {
+  const path = join(dir, 'legacy.jsonl');
+  const store = createEventStore({ backend: 'file', path });
+  await store.append(event(1));
+  const legacy = { id: 'legacy-1', actionId: 'a9', type: 'skipped', timestamp: '2026-01-01T00:00:00Z', payload: {} };
+  appendFileSync(path, JSON.stringify({ sequence: 2, key: 'legacy-1', event: legacy }) + '\n{"sequence":3,"ke');
+
+  const result = await store.compact();
+  expect(result.migrated).toBe(1);
+  expect(result.reclaimed).toBe(1);
+  const events = await store.readAll();
+  expect(events[1].eventType).toBe('skipped');
+  expect(readFileSync(path, 'utf8').includes('"type"')).toBe(false);
+  expect((await store.append(event(3))).sequence).toBe(3);
+});
+
+await test('S2.3 clear allowed only when configured', async () => {
+  const path = join(dir, 'dev.jsonl');
+  const store = createEventStore({ backend: 'file', path, allowClear: true });
+  await store.append(event(1));
+  await store.clear();
+  expect((await store.readAll()).length).toBe(0);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// REDIS + CONFIG
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nS3 Redis backend + config');
+console.log('─'.repeat(50));
+
+await test('S3.1 redis: idempotent append, id reuse rejected, legacy list compacted', async () => {
+  const client = inProcessRedis();
+  await client.rpush('backbone:events', { id: 'legacy-1', actionId: 'a1', type: 'skipped', timestamp: '2026-01-01T00:00:00Z', payload: {} });
+  const store = createEventStore({ backend: 'redis', client });
+
+  const first = await store.append(event(2), { idempotencyKey: 'req-2' });
+  expect(first.sequence).toBe(2);
+  expect((await store.append({ ...event(2), id: 'evt-2b' }, { idempotencyKey: 'req-2' })).duplicate).toBe(true);
+  await expect(() => store.append(event(2), { idempotencyKey: 'req-other' })).toReject('APPEND_ONLY');
+  expect((await store.readAll()).length).toBe(2);
+
+  const result = await store.compact();
+  expect(result.migrated).toBe(1);
+  expect(client.lists.get('backbone:events')[0].eventType).toBe('skipped');
+  expect((await store.readByAction('a1')).length).toBe(1);
+});
+
+await test('S3.2 redis: concurrent transitions for one action cannot both pass the precondition', async () => {
+  const store = createEventStore({ backend: 'redis', client: inProcessRedis() });
+  const once = prior => {
+    if (prior.some(e => e.eventType === 'executed')) {
+      throw Object.assign(new Error('already executed'), { code: 'ILLEGAL_TRANSITION' });
+    }
+  };
+  const results = await Promise.allSettled([
+    store.append(event(1), { precondition: once }),
+    store.append(event(3), { precondition: once })
+  ]);
+  expect(results.filter(r => r.status === 'fulfilled').length).toBe(1);
+  expect(results.find(r => r.status === 'rejected').reason.code).toBe('ILLEGAL_TRANSITION');
+  expect((await store.readByAction('a1')).length).toBe(1);
+
+  // The rejected append left no claims behind; it can be retried for another action
+  expect((await store.append(event(2), { precondition: once })).sequence).toBe(2);
+});
+
+await test('S3.3 redis: an action that never settles fails with CONFLICT', async () => {
+  const client = inProcessRedis();
+  const store = createEventStore({ backend: 'redis', client });
+  // Another writer lands an event for a1 between every read and write
+  let n = 10;
+  const evalScript = client.eval;
+  client.eval = async (script, keys, args) => {
+    if (script === REDIS_SCRIPTS.append && args[1] === 'evt-1') {
+      await evalScript(REDIS_SCRIPTS.append, keys, [JSON.stringify(event(n += 2)), `evt-${n}`, args[2], `evt-${n}`]);
+    }
+    return evalScript(script, keys, args);
+  };
+  await expect(() => store.append(event(1))).toReject('CONFLICT');
+  expect((await store.readByAction('a1')).length).toBe(MAX_APPEND_ATTEMPTS);
+  expect((await store.readAll()).some(e => e.id === 'evt-1')).toBe(false);
+});
+
+await test('S3.4 redis: an append during compaction is kept', async () => {
+  const client = inProcessRedis();
+  await client.rpush('backbone:events', { id: 'legacy-1', actionId: 'a1', type: 'skipped', timestamp: '2026-01-01T00:00:00Z', payload: {} });
+  const store = createEventStore({ backend: 'redis', client });
+  const evalScript = client.eval;
+  let raced = false;
+  client.eval = async (script, keys, args) => {
+    if (script === REDIS_SCRIPTS.swap && !raced) {
+      raced = true;
+      await store.append(event(2));
+    }
+    return evalScript(script, keys, args);
+  };
+
+  const result = await store.compact();
+  expect(result.migrated).toBe(1);
+  expect(result.total).toBe(2);
+  const stored = client.lists.get('backbone:events');
+  expect(stored.map(e => e.id).join()).toBe('legacy-1,evt-2');
+  expect(stored[0].eventType).toBe('skipped');
+  expect(client.lists.has('backbone:events:compacting')).toBe(false);
+});
+
+await test('S3.5 redis: a retry racing an in-flight append sees only committed events', async () => {
+  const client = inProcessRedis();
+  const store = createEventStore({ backend: 'redis', client });
+  const evalScript = client.eval;
+  let retry = null;
+  client.eval = async (script, keys, args) => {
+    if (script === REDIS_SCRIPTS.append && !retry) {
+      // The retry arrives while the first append is in flight, which then fails
+      retry = store.append(event(1), { idempotencyKey: 'req-1' });
+      await retry;
+      throw new Error('connection reset');
+    }
+    return evalScript(script, keys, args);
+  };
+  let error = null;
+  try { await store.append(event(1), { idempotencyKey: 'req-1' }); } catch (e) { error = e; }
+  expect(error.message).toBe('connection reset');
+
+  // The retry was not told about the failed append; it stored the event itself
+  const result = await retry;
+  expect(result.duplicate).toBe(false);
+  expect(result.sequence).toBe(1);
+  expect((await store.readAll()).length).toBe(1);
+  const again = await store.append(event(1), { idempotencyKey: 'req-1' });
+  expect(again.duplicate).toBe(true);
+  expect(again.sequence).toBe(1);
+});
+
+await test('S3.6 redis: a crash before the append commits leaves no idempotency key', async () => {
+  const client = inProcessRedis();
+  const evalScript = client.eval;
+  client.eval = async (script, keys, args) => {
+    if (script === REDIS_SCRIPTS.append) throw new Error('process died');
+    return evalScript(script, keys, args);
+  };
+  let error = null;
+  try { await createEventStore({ backend: 'redis', client }).append(event(1), { idempotencyKey: 'req-1' }); } catch (e) { error = e; }
+  expect(error.message).toBe('process died');
+  expect(client.hashes.get('backbone:events:idempotency')?.size || 0).toBe(0);
+
+  client.eval = evalScript;
+  const result = await createEventStore({ backend: 'redis', client }).append(event(1), { idempotencyKey: 'req-1' });
+  expect(result.duplicate).toBe(false);
+  expect((await createEventStore({ backend: 'redis', client }).readAll()).length).toBe(1);
+});
+
+await test('S3.7 config: redis when Upstash set, else memory; file is opt-in; explicit backend wins', async () => {
+  expect(eventStoreConfigFromEnv({}, '/srv').backend).toBe('memory');
+  expect(eventStoreConfigFromEnv({}, '/srv').path).toBe(null);
+  const file = eventStoreConfigFromEnv({ BACKBONE_EVENT_STORE: 'file' }, '/srv');
+  expect(file.path).toBe(join('/srv', '.backbone-data', 'events.jsonl'));
+  const upstash = { UPSTASH_REDIS_REST_URL: 'u', UPSTASH_REDIS_REST_TOKEN: 't' };
+  expect(eventStoreConfigFromEnv(upstash, '/srv').backend).toBe('redis');
+  const sqlite = eventStoreConfigFromEnv({ ...upstash, BACKBONE_EVENT_STORE: 'sqlite' }, '/srv');
+  expect(sqlite.path.endsWith('events.sqlite')).toBe(true);
+  expect(sqlite.allowClear).toBe(false);
+});
+
+await test('S3.8 unknown backend and missing driver fail loudly', async () => {
+  await expect(async () => createEventStore({ backend: 'postgres' })).toReject('BAD_CONFIG');
+  await expect(async () => createEventStore({ backend: 'sqlite', path: join(dir, 'x.sqlite') })).toReject('BAD_CONFIG');
+  await expect(async () => createEventStore({ backend: 'redis' })).toReject('BAD_CONFIG');
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SQLITE DURABILITY
+// ═══════════════════════════════════════════════════════════════
+
+if (Database) {
+  console.log('\nS4 SQLite durability');
+  console.log('─'.repeat(50));
+
+  await test('S4.1 sqlite: events survive reopen; rows cannot be updated or deleted', async () => {
+    const path = join(dir, 'durable.sqlite');
+    await createEventStore({ backend: 'sqlite', path, Database }).append(event(1), { idempotencyKey: 'req-1' });
+    const reopened = createEventStore({ backend: 'sqlite', path, Database });
+    expect((await reopened.readAll()).length).toBe(1);
+    const retry = await reopened.append(event(1), { idempotencyKey: 'req-1' });
+    expect(retry.duplicate).toBe(true);
+    expect(retry.sequence).toBe(1);
+
+    const db = new Database(path);
+    let blocked = 0;
+    for (const sql of ['UPDATE action_events SET body = \'{}\'', 'DELETE FROM action_events']) {
+      try { db.prepare(sql).run(); } catch (e) { blocked += e.message.includes('append-only') ? 1 : 0; }
+    }
+    db.close();
+    expect(blocked).toBe(2);
+    expect((await reopened.readAll())[0].id).toBe('evt-1');
+  });
+
+  await test('S4.2 sqlite: a failed precondition writes nothing; clear only when configured', async () => {
+    const store = createEventStore({ backend: 'sqlite', path: ':memory:', Database });
+    const refuse = () => { throw Object.assign(new Error('no'), { code: 'ILLEGAL_TRANSITION' }); };
+    await expect(() => store.append(event(1), { precondition: refuse })).toReject('ILLEGAL_TRANSITION');
+    expect((await store.readAll()).length).toBe(0);
+    await expect(() => store.clear()).toReject('CLEAR_DISABLED');
+
+    const dev = createEventStore({ backend: 'sqlite', path: ':memory:', Database, allowClear: true });
+    await dev.append(event(1));
+    await dev.clear();
+    expect((await dev.readAll()).length).toBe(0);
+  });
+}
+
+rmSync(dir, { recursive: true, force: true });
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n' + '═'.repeat(50));
+console.log('EVENT STORE SPEC SUMMARY');
+console.log('═'.repeat(50));
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  failures.forEach(f => console.log(`  - ${f.name}: ${f.error}`));
+  console.log('\n❌ EVENT STORE SPEC FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ EVENT STORE SPEC PASSED');
+  process.exit(0);
+}
@@ -0,0 +1,167 @@
+/**
+ * fault_isolation.spec.js — Guarded DAG node execution
+ *
+ * Tests: NodeFailure values, degrade/skip policy, compute() continuing
+ * for the rest of the portfolio when one company's node throws, and
+ * computeCompany() resolving failures the same way.
+ *
+ * Run: node tests/fault_isolation.spec.js
+ */
+
+import {
+  createNodeFailure,
+  isNodeFailure,
+  failedRequirements,
+  withFallbacks,
+  resolveFailures,
+  guardPhase
+} from '../runtime/faults.js';
+import { compute, computeCompany } from '../runtime/engine.js';
+import { loadRawData } from '../raw/loadRawData.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    failures.push({ name, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) { if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`); },
+    toBeGreaterThan(expected) { if (!(actual > expected)) throw new Error(`Expected ${actual} > ${expected}`); },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// NODE FAILURE VALUES
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nF1 NodeFailure');
+console.log('─'.repeat(50));
+
+test('F1.1 threw failure carries message and stack', () => {
+  const f = createNodeFailure({ node: 'issues', companyId: 'c1', reason: 'threw', error: new Error('bad') });
+  expect(isNodeFailure(f)).toBe(true);
+  expect(f.message).toBe('bad');
+  expect(typeof f.stack).toBe('string');
+});
+
+test('F1.2 plain outputs are not failures', () => {
+  expect(isNodeFailure({ issues: [] })).toBe(false);
+  expect(isNodeFailure(null)).toBe(false);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// DEGRADE / SKIP POLICY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nF2 Degrade / skip');
+console.log('─'.repeat(50));
+
+const issuesFailure = createNodeFailure({ node: 'issues', companyId: 'c1', reason: 'threw', error: new Error('x') });
+
+test('F2.1 ripple requires issues → skipped', () => {
+  const missing = failedRequirements('ripple', ['issues'], { issues: issuesFailure });
+  expect(missing.length).toBe(1);
+});
+
+test('F2.2 goalDamage degrades on issues failure', () => {
+  const missing = failedRequirements('goalDamage', ['issues', 'goalTrajectory'], { issues: issuesFailure, goalTrajectory: [] });
+  expect(missing.length).toBe(0);
+});
+
+test('F2.3 withFallbacks substitutes documented empty default', () => {
+  const view = withFallbacks({ issues: issuesFailure, runway: { value: 10 } });
+  expect(Array.isArray(view.issues.issues)).toBe(true);
+  expect(view.issues.issues.length).toBe(0);
+  expect(view.runway.value).toBe(10);
+});
+
+test('F2.4 resolveFailures reports failures separately', () => {
+  const { values, failures: found } = resolveFailures({ issues: issuesFailure, preissues: [] });
+  expect(found.length).toBe(1);
+  expect(isNodeFailure(values.issues)).toBe(false);
+});
+
+test('F2.5 guardPhase returns fallback and records error', () => {
+  const errors = [];
+  const out = guardPhase('preissues', () => { throw new Error('portfolio broke'); }, { all: [] }, errors);
+  expect(out.all.length).toBe(0);
+  expect(errors[0].node).toBe('portfolio:preissues');
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ENGINE ISOLATION
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nF3 compute() isolation');
+console.log('─'.repeat(50));
+
+const now = new Date('2026-02-15T00:00:00Z');
+const raw = loadRawData();
+const target = raw.companies.find(c => c.isPortfolio);
+// founderPersonIds must be iterable; a number makes introOpportunity throw
+const malformed = {
+  ...raw,
+  companies: raw.companies.map(c => (c.id === target.id ? { ...c, founderPersonIds: 5 } : c))
+};
+
+test('F3.1 compute() does not throw on a failing node', () => {
+  const output = compute(malformed, now);
+  expect(output.actions.length).toBeGreaterThan(0);
+});
+
+test('F3.2 failure lands in meta.errors with company, node and stack', () => {
+  const output = compute(malformed, now);
+  const record = output.meta.errors.find(e => typeof e === 'object' && e.companyId === target.id);
+  expect(!!record).toBe(true);
+  expect(record.node).toBe('introOpportunity');
+  expect(typeof record.stack).toBe('string');
+});
+
+test('F3.3 dependents degrade: failing company still has ranked actions', () => {
+  const output = compute(malformed, now);
+  const company = output.companies.find(c => c.id === target.id);
+  expect(company.derived.actions.length).toBeGreaterThan(0);
+  // Both nodes that read founderPersonIds fail; nothing else does
+  expect(company.derived.failures.map(f => f.node).join()).toBe('introOpportunity,opportunities');
+});
+
+test('F3.4 computeCompany() exposes fallbacks, never NodeFailure values', () => {
+  const company = computeCompany(malformed.companies.find(c => c.id === target.id), now);
+  const leaked = Object.entries(company.derived).filter(([, value]) => isNodeFailure(value));
+  expect(leaked.map(([key]) => key).join()).toBe('');
+  expect(company.derived.failures.some(f => f.node === 'introOpportunity' && f.companyId === target.id)).toBe(true);
+  expect(Array.isArray(company.derived.actions)).toBe(true);
+  expect(computeCompany(target, now).derived.failures).toBe(undefined);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n' + '═'.repeat(50));
+console.log('FAULT ISOLATION SPEC SUMMARY');
+console.log('═'.repeat(50));
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  failures.forEach(f => console.log(`  - ${f.name}: ${f.error}`));
+  console.log('\n❌ FAULT ISOLATION SPEC FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ FAULT ISOLATION SPEC PASSED');
+  process.exit(0);
+}
@@ -0,0 +1,190 @@
+/**
+ * incremental_engine.spec.js — Memoized engine recompute
+ *
+ * Tests: findDirtyNodes propagation, hashCanonical key-order independence,
+ * and cached compute() output identical to an uncached run.
+ *
+ * Run: node tests/incremental_engine.spec.js
+ */
+
+import { compute, createEngineCache } from '../runtime/engine.js';
+import { findDirtyNodes } from '../runtime/incremental.js';
+import { GRAPH, topoSort } from '../runtime/graph.js';
+import { hashCanonical } from '../runtime/export.js';
+import { loadRawData } from '../raw/loadRawData.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    failures.push({ name, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) { if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`); },
+    toBeGreaterThan(expected) { if (!(actual > expected)) throw new Error(`Expected ${actual} > ${expected}`); },
+  };
+}
+
+// Some derivations read the wall clock (e.g. company age); pin it so
+// cached and uncached runs see the same instant.
+const RealDate = Date;
+const PINNED = RealDate.parse('2026-02-15T00:00:00Z');
+globalThis.Date = class extends RealDate {
+  constructor(...args) { super(...(args.length ? args : [PINNED])); }
+  static now() { return PINNED; }
+};
+
+const now = new Date(PINNED);
+const raw = loadRawData();
+
+// Timing fields and cache stats legitimately differ between runs
+const serialize = output => JSON.stringify(output, (key, value) => {
+  if (key === 'executionTimeMs' || key === 'durationMs' || key === 'cache') return undefined;
+  if (value instanceof Map) return Array.from(value.entries());
+  return value;
+});
+
+// ═══════════════════════════════════════════════════════════════
+// DIRTY SET
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nI1 findDirtyNodes');
+console.log('─'.repeat(50));
+
+const order = topoSort(GRAPH);
+const baseHashes = {
+  company: 'a', deals: 'a', goals: 'a', rounds: 'a', meetings: 'a',
+  constraints: 'a', metricFacts: 'a', network: 'a', events: 'a', commitmentEvents: 'a', now: 'a'
+};
+
+test('I1.1 no changes → nothing dirty', () => {
+  expect(findDirtyNodes(GRAPH, order, baseHashes, baseHashes).size).toBe(0);
+});
+
+test('I1.2 events change → only ranker + dependents', () => {
+  const dirty = findDirtyNodes(GRAPH, order, baseHashes, { ...baseHashes, events: 'b' });
+  expect(dirty.has('actionRanker')).toBe(true);
+  expect(dirty.has('priority')).toBe(true);
+  expect(dirty.has('actionImpact')).toBe(false);
+  expect(dirty.size).toBe(2);
+});
+
+test('I1.2b commitment events change → commitments + dependents', () => {
+  const dirty = findDirtyNodes(GRAPH, order, baseHashes, { ...baseHashes, commitmentEvents: 'b' });
+  expect(dirty.has('commitments')).toBe(true);
+  expect(dirty.has('preissues')).toBe(true);
+  expect(dirty.has('meetings')).toBe(false);
+  expect(dirty.has('runway')).toBe(false);
+});
+
+test('I1.3 meetings change → propagates through preissues', () => {
+  const dirty = findDirtyNodes(GRAPH, order, baseHashes, { ...baseHashes, meetings: 'b' });
+  expect(dirty.has('meetings')).toBe(true);
+  expect(dirty.has('preissues')).toBe(true);
+  expect(dirty.has('actionCandidates')).toBe(true);
+  expect(dirty.has('runway')).toBe(false);
+});
+
+test('I1.4 missing previous hashes → everything dirty', () => {
+  expect(findDirtyNodes(GRAPH, order, null, baseHashes).size).toBe(order.length);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// HASHING
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nI2 hashCanonical');
+console.log('─'.repeat(50));
+
+test('I2.1 key order does not matter', () => {
+  expect(hashCanonical({ a: 1, b: { c: 2, d: 3 } })).toBe(hashCanonical({ b: { d: 3, c: 2 }, a: 1 }));
+});
+
+test('I2.2 nested values are hashed', () => {
+  const a = hashCanonical([{ id: 'x', value: 1 }]);
+  const b = hashCanonical([{ id: 'x', value: 2 }]);
+  expect(a === b).toBe(false);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// CACHED COMPUTE
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nI3 compute with cache');
+console.log('─'.repeat(50));
+
+const fresh = compute(raw, now);
+const cache = createEngineCache();
+const cold = compute(raw, now, { cache });
+const warm = compute(raw, now, { cache });
+
+test('I3.1 cold cache output identical to uncached', () => {
+  expect(serialize(cold) === serialize(fresh)).toBe(true);
+});
+
+test('I3.2 warm cache output identical to uncached', () => {
+  expect(serialize(warm) === serialize(fresh)).toBe(true);
+});
+
+test('I3.3 warm cache reuses every node', () => {
+  expect(warm.meta.cache.nodesRecomputed).toBe(0);
+  expect(warm.meta.cache.companiesReused).toBe(fresh.companies.length);
+});
+
+test('I3.4 changed company recomputes, output still identical', () => {
+  const target = raw.companies.find(c => c.isPortfolio);
+  const changed = {
+    ...raw,
+    companies: raw.companies.map(c => (c.id === target.id ? { ...c, burn: (c.burn || 0) + 25000 } : c))
+  };
+  const cached = compute(changed, now, { cache });
+  expect(cached.meta.cache.companiesRecomputed).toBe(1);
+  expect(serialize(cached) === serialize(compute(changed, now))).toBe(true);
+});
+
+test('I3.5 new event re-runs only rankers', () => {
+  const event = {
+    id: 'evt-incremental-1',
+    actionId: 'action-incremental',
+    eventType: 'outcome_recorded',
+    timestamp: '2026-02-10T00:00:00Z',
+    actor: 'test',
+    payload: { outcome: 'failed', actionType: 'SCHEDULE_CHECK_IN' }
+  };
+  const cached = compute(raw, now, { cache, events: [event] });
+  expect(cached.meta.cache.nodesReused).toBeGreaterThan(cached.meta.cache.nodesRecomputed);
+  expect(serialize(cached) === serialize(compute(raw, now, { events: [event] }))).toBe(true);
+});
+
+globalThis.Date = RealDate;
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n' + '═'.repeat(50));
+console.log('INCREMENTAL ENGINE SPEC SUMMARY');
+console.log('═'.repeat(50));
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  failures.forEach(f => console.log(`  - ${f.name}: ${f.error}`));
+  console.log('\n❌ INCREMENTAL ENGINE SPEC FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ INCREMENTAL ENGINE SPEC PASSED');
+  process.exit(0);
+}
@@ -0,0 +1,203 @@
+/**
+ * intro_capital.spec.js — Introducer reputation and intro-capital budget
+ *
+ * Tests: per-introducer capital derived from the intro ledger
+ * (requested/sent/converted, pending drafts, reputation), reputation in
+ * intro path selection, re-routing and suppression once an introducer's
+ * capital is spent, and the portfolio-level introCapital output.
+ *
+ * Run: node tests/intro_capital.spec.js
+ */
+
+import { buildIntroCapital, getIntroCapital, reputationWeight, enforceIntroCapital, NEUTRAL_REPUTATION } from '../predict/introCapital.js';
+import { generateIntroOpportunities } from '../predict/introOpportunity.js';
+import { createIntroOutcome } from '../raw/introOutcome.js';
+import { createActionEvent } from '../raw/actionEvent.js';
+import { compute } from '../runtime/engine.js';
+import { loadRawData } from '../raw/loadRawData.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    failures.push({ name, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) { if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`); },
+    toBeTruthy() { if (!actual) throw new Error(`Expected truthy, got ${actual}`); },
+    toContain(item) { if (!actual.includes(item)) throw new Error(`Expected ${JSON.stringify(actual)} to contain ${item}`); }
+  };
+}
+
+const now = new Date('2026-02-10T00:00:00.000Z');
+const recent = '2026-02-01T00:00:00.000Z';
+const old = '2025-06-01T00:00:00.000Z';
+
+const intro = (id, introducerPersonId, status, createdAt = recent) => ({
+  ...createIntroOutcome({ id, actionId: `a-${id}`, introducerPersonId, targetPersonId: 't9', createdAt }),
+  status
+});
+
+// One company, one blocked partnership goal, two founders, four targets
+const company = { id: 'c1', name: 'Acme', sector: 'fintech', stage: 'Seed', founderPersonIds: ['f1', 'f2'] };
+const goals = [{ id: 'c1-g1', type: 'partnership', status: 'active', current: 10, target: 100, due: '2026-03-10' }];
+const people = [
+  ...['f1', 'f2'].map(id => ({ id, name: id, orgId: 'c1', orgType: 'company' })),
+  ...['t1', 't2', 't3', 't4'].map(id => ({ id, name: id, orgId: `o-${id}`, orgType: 'external' }))
+];
+const rel = (a, b, strength) => ({
+  id: `${a}-${b}`, fromPersonId: a, toPersonId: b, strength, lastTouchAt: recent, introCount: 0, introSuccessCount: 0
+});
+const relationships = [rel('f1', 't1', 90), rel('f2', 't1', 70), rel('f1', 't2', 90), rel('f1', 't3', 90), rel('f1', 't4', 90)];
+
+const intros = (introOutcomes = []) => generateIntroOpportunities({
+  company, goals, people, relationships, investors: [], team: [],
+  introOutcomes, introCapital: buildIntroCapital(introOutcomes, now), now
+});
+
+// ═══════════════════════════════════════════════════════════════
+// LEDGER
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nC1 Capital ledger');
+console.log('─'.repeat(50));
+
+await test('C1.1 counts requested, sent, converted and pending per introducer', () => {
+  const outcomes = [intro('1', 'p1', 'sent'), intro('2', 'p1', 'positive'), intro('3', 'p1', 'negative'), intro('4', 'p1', 'drafted')];
+  const capital = getIntroCapital(outcomes, 'p1', now);
+  expect(capital.requested).toBe(4);
+  expect(capital.sent).toBe(3);
+  expect(capital.converted).toBe(1);
+  expect(capital.pending).toBe(1);
+  expect(capital.reputation).toBe(0.5);
+});
+
+await test('C1.2 pending drafts hold capital; old asks do not', () => {
+  const outcomes = [intro('1', 'p1', 'sent'), intro('2', 'p1', 'sent'), intro('3', 'p1', 'drafted')];
+  expect(getIntroCapital(outcomes, 'p1', now).capitalRemaining).toBe(0);
+  const aged = outcomes.map(o => ({ ...o, createdAt: old }));
+  expect(getIntroCapital(aged, 'p1', now).capitalRemaining).toBe(2);
+});
+
+await test('C1.3 reputation is smoothed conversion; no history is neutral', () => {
+  const [capital] = buildIntroCapital([intro('1', 'p2', 'positive')], now);
+  expect(capital.personId).toBe('p2');
+  expect(capital.reputation).toBe(0.67);
+  expect(reputationWeight(undefined)).toBe(0.5 + NEUTRAL_REPUTATION);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// PATH SELECTION
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nC2 Path selection');
+console.log('─'.repeat(50));
+
+await test('C2.1 one run spends at most an introducer\'s remaining asks', () => {
+  const opportunities = intros();
+  expect(opportunities.length).toBe(3);
+  expect(opportunities.every(o => o.introducerId === 'f1')).toBe(true);
+  expect(opportunities.map(o => o.targetPersonId)).toContain('t1');
+  expect(opportunities.some(o => o.targetPersonId === 't4')).toBe(false);
+});
+
+await test('C2.2 exhausted introducer is re-routed or the intro suppressed', () => {
+  const spent = [intro('1', 'f1', 'sent'), intro('2', 'f1', 'sent'), intro('3', 'f1', 'sent')];
+  const opportunities = intros(spent);
+  expect(opportunities.length).toBe(1);
+  expect(opportunities[0].targetPersonId).toBe('t1');
+  expect(opportunities[0].introducerId).toBe('f2');
+  expect(opportunities[0].reroutedFrom.introducerId).toBe('f1');
+  expect(opportunities[0].introCapitalRemaining).toBe(2);
+});
+
+await test('C2.3 a better-converting introducer wins a weaker path', () => {
+  const history = [
+    ...[1, 2, 3, 4, 5].map(n => intro(`a${n}`, 'f1', 'negative', old)),
+    ...[1, 2, 3, 4, 5].map(n => intro(`b${n}`, 'f2', 'positive', old))
+  ];
+  const t1 = intros(history).find(o => o.targetPersonId === 't1');
+  expect(t1.introducerId).toBe('f2');
+  expect(t1.introducerReputation).toBe(0.86);
+  expect(t1.reroutedFrom).toBe(undefined);
+});
+
+await test('C2.4 the budget holds across companies; lower-ranked intros are suppressed', () => {
+  // f1 founded c1 and sits on c2's board: each company run alone spends all 3 asks
+  const second = { id: 'c2', name: 'Bolt', sector: 'fintech', stage: 'Seed', founderPersonIds: ['f1'] };
+  const secondGoals = [{ ...goals[0], id: 'c2-g1' }];
+  const ranked = [
+    ...intros().map((o, i) => ({ ...o, companyId: 'c1', rankScore: 90 - i * 10 })),
+    ...generateIntroOpportunities({
+      company: second, goals: secondGoals, people, relationships, investors: [], team: [],
+      introOutcomes: [], introCapital: buildIntroCapital([], now), now
+    }).map((o, i) => ({ ...o, companyId: 'c2', rankScore: 85 - i * 10 }))
+  ].map(o => ({ ...o, actionId: o.id, type: 'INTRODUCTION' }))
+    .sort((a, b) => b.rankScore - a.rankScore);
+  expect(ranked.length).toBe(6);
+
+  const { actions, suppressed } = enforceIntroCapital(ranked, buildIntroCapital([], now));
+  expect(actions.map(a => a.rankScore).join()).toBe('90,85,80');
+  expect(actions[2].introCapitalRemaining).toBe(0);
+  expect(suppressed.length).toBe(3);
+  expect(suppressed.every(s => s.introducerId === 'f1')).toBe(true);
+  expect(suppressed.map(s => s.companyId)).toContain('c1');
+  expect(suppressed.map(s => s.companyId)).toContain('c2');
+
+  // An intro already asked is on the ledger and does not spend twice
+  const asked = [{ ...intro('x', 'f1', 'sent'), actionId: ranked[0].actionId }];
+  const rerun = enforceIntroCapital(ranked, buildIntroCapital(asked, now), { introOutcomes: asked });
+  expect(rerun.actions.map(a => a.rankScore).join()).toBe('90,85,80');
+  expect(rerun.suppressed.length).toBe(3);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ENGINE
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nC3 compute() output');
+console.log('─'.repeat(50));
+
+await test('C3.1 introCapital lists every introducer in the ledger', () => {
+  const raw = loadRawData();
+  const live = { ...intro('live', 'p-intro', 'sent'), companyId: raw.companies[0].id };
+  const event = createActionEvent({
+    id: 'e-live', actionId: live.actionId, entityId: live.companyId, eventType: 'intro_outcome',
+    actor: 'tm-partner', timestamp: recent, payload: { introOutcome: live }
+  });
+  const output = compute(raw, now, { events: [event] });
+  const entry = output.introCapital.find(c => c.personId === 'p-intro');
+  expect(entry.sent).toBe(1);
+  expect(entry.capitalRemaining).toBe(2);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n' + '═'.repeat(50));
+console.log('INTRO CAPITAL SPEC SUMMARY');
+console.log('═'.repeat(50));
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  failures.forEach(f => console.log(`  - ${f.name}: ${f.error}`));
+  console.log('\n❌ INTRO CAPITAL SPEC FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ INTRO CAPITAL SPEC PASSED');
+  process.exit(0);
+}
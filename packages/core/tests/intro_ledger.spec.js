@@ -0,0 +1,226 @@
+/**
+ * intro_ledger.spec.js — Intro outcome ledger and followups
+ *
+ * Tests: intro_outcome event schema, ledger replay with legal status
+ * changes only, read-time ghost detection, introducer history feeding
+ * trust risk, and followup actions from the DAG (one per unanswered intro).
+ *
+ * Run: node tests/intro_ledger.spec.js
+ */
+
+import {
+  createIntroOutcome,
+  updateOutcomeStatus,
+  validateIntroOutcome,
+  canTransition,
+  getIntroducerHistory
+} from '../raw/introOutcome.js';
+import { buildIntroLedger, checkIntroUpdate } from '../derive/introLedger.js';
+import { validateLifecycleEvents } from '../derive/actionLifecycle.js';
+import { validateActionEvent } from '../raw/actionEventsSchema.js';
+import { createActionEvent } from '../raw/actionEvent.js';
+import { calculateTrustRisk } from '../predict/trustRisk.js';
+import { verifyNoFollowupDuplicates } from '../predict/followup.js';
+import { GRAPH } from '../runtime/graph.js';
+import { compute } from '../runtime/engine.js';
+import { loadRawData } from '../raw/loadRawData.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    failures.push({ name, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) { if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`); },
+    toBeTruthy() { if (!actual) throw new Error(`Expected truthy, got ${actual}`); },
+    toContain(item) { if (!actual.includes(item)) throw new Error(`Expected ${JSON.stringify(actual)} to contain ${item}`); }
+  };
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+const at = (day) => new Date(`2026-02-${String(day).padStart(2, '0')}T00:00:00.000Z`);
+
+const drafted = createIntroOutcome({
+  id: 'io-1',
+  actionId: 'intro-c1-g1-p2',
+  introducerPersonId: 'p1',
+  targetPersonId: 'p2',
+  companyId: 'c1',
+  createdAt: at(1).toISOString()
+});
+const sent = updateOutcomeStatus(drafted, 'sent', at(1).toISOString());
+
+const introEvent = (outcome, id) => createActionEvent({
+  id,
+  actionId: outcome.actionId,
+  entityId: outcome.companyId,
+  eventType: 'intro_outcome',
+  actor: 'tm-partner',
+  timestamp: outcome.statusUpdatedAt,
+  payload: { introOutcome: outcome }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SCHEMA
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nI1 Schema');
+console.log('─'.repeat(50));
+
+await test('I1.1 factory output validates (null optionals allowed)', () => {
+  expect(validateIntroOutcome(drafted).valid).toBe(true);
+});
+
+await test('I1.2 status changes only move forward', () => {
+  expect(canTransition('sent', 'meeting')).toBe(true);
+  expect(canTransition('replied', 'sent')).toBe(false);
+  expect(canTransition('ghosted', 'replied')).toBe(false);
+});
+
+await test('I1.3 intro_outcome events carry a valid record for their action', () => {
+  expect(validateActionEvent(introEvent(sent, 'e1')).valid).toBe(true);
+  const foreign = { ...introEvent(sent, 'e2'), actionId: 'other-action' };
+  expect(validateActionEvent(foreign).errors[0]).toBe('payload.introOutcome.actionId must match event actionId');
+  const broken = introEvent({ ...sent, status: 'lost' }, 'e3');
+  expect(validateActionEvent(broken).valid).toBe(false);
+});
+
+await test('I1.4 intro_outcome is passive in the action lifecycle', () => {
+  const executed = createActionEvent({ id: 'x1', actionId: sent.actionId, eventType: 'executed', actor: 'a', timestamp: at(1).toISOString() });
+  const observed = createActionEvent({ id: 'x2', actionId: sent.actionId, eventType: 'outcome_recorded', actor: 'a', timestamp: at(2).toISOString() });
+  const reply = introEvent(updateOutcomeStatus(sent, 'replied', at(3).toISOString()), 'x3');
+  expect(validateLifecycleEvents([executed, observed, reply]).valid).toBe(true);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// LEDGER
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nI2 Ledger');
+console.log('─'.repeat(50));
+
+await test('I2.1 replay keeps the latest record and rejects moving back', () => {
+  const replied = updateOutcomeStatus(sent, 'replied', at(4).toISOString());
+  const back = updateOutcomeStatus(replied, 'sent', at(5).toISOString());
+  const { outcomes, violations } = buildIntroLedger([introEvent(back, 'e3'), introEvent(sent, 'e1'), introEvent(replied, 'e2')]);
+  expect(outcomes.length).toBe(1);
+  expect(outcomes[0].status).toBe('replied');
+  expect(violations[0].eventId).toBe('e3');
+});
+
+await test('I2.2 stale sent intros read as ghosted; stored status stays sent', () => {
+  const events = [introEvent(sent, 'e1')];
+  expect(buildIntroLedger(events, { now: at(10) }).outcomes[0].status).toBe('sent');
+  const ghosted = buildIntroLedger(events, { now: at(20) }).outcomes[0];
+  expect(ghosted.status).toBe('ghosted');
+  expect(ghosted.autoGhosted).toBe(true);
+  expect(ghosted.statusUpdatedAt).toBe(new Date(at(1).getTime() + 14 * DAY).toISOString());
+  expect(buildIntroLedger(events).outcomes[0].status).toBe('sent');
+  expect(checkIntroUpdate(sent, updateOutcomeStatus(sent, 'replied')).allowed).toBe(true);
+});
+
+await test('I2.3 raw records seed the ledger', () => {
+  const { outcomes } = buildIntroLedger([], { introOutcomes: [sent] });
+  expect(outcomes[0].id).toBe('io-1');
+});
+
+// ═══════════════════════════════════════════════════════════════
+// TRUST CAPITAL
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nI3 Trust capital');
+console.log('─'.repeat(50));
+
+await test('I3.1 introducer history counts recent asks and conversion', () => {
+  const outcomes = [
+    sent,
+    { ...sent, id: 'io-2', status: 'positive' },
+    { ...sent, id: 'io-3', status: 'negative' },
+    { ...sent, id: 'io-4', status: 'drafted' },
+    { ...sent, id: 'io-5', createdAt: '2025-06-01T00:00:00.000Z' },
+    { ...sent, id: 'io-6', introducerPersonId: 'p9' }
+  ];
+  const history = getIntroducerHistory(outcomes, 'p1', at(10));
+  expect(history.total).toBe(4);
+  expect(history.introsLast90Days).toBe(3);
+  expect(history.conversionRate).toBe(0.5);
+  expect(getIntroducerHistory(outcomes, 'p7', at(10)).conversionRate).toBe(undefined);
+});
+
+await test('I3.2 ledger conversion overrides the relationship edge in trust risk', () => {
+  const relationship = { strength: 80, lastTouchAt: at(1).toISOString(), introCount: 4, introSuccessCount: 4 };
+  const base = calculateTrustRisk({ relationship, now: at(10) });
+  const poor = calculateTrustRisk({ relationship, now: at(10), introSuccessRate: 0.2 });
+  expect(poor.trustRiskScore > base.trustRiskScore).toBe(true);
+  expect(poor.trustRiskReason.join()).toContain('intro success rate (20%)');
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ENGINE
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nI4 compute() followups');
+console.log('─'.repeat(50));
+
+const raw = loadRawData();
+const company = raw.companies.find(c => c.isPortfolio);
+const liveSent = { ...sent, actionId: `intro-${company.id}-goal-p2`, companyId: company.id };
+const liveEvents = [introEvent(liveSent, 'live-1')];
+const followupsAt = (day, events = liveEvents) => {
+  const output = compute(raw, at(day), { events });
+  return { output, followups: output.actions.filter(a => a.sources?.[0]?.sourceType === 'FOLLOWUP') };
+};
+
+await test('I4.1 followups node feeds actionCandidates', () => {
+  expect(GRAPH.followups).toContain('introOpportunity');
+  expect(GRAPH.actionCandidates).toContain('followups');
+});
+
+await test('I4.2 an unanswered intro gets exactly one ranked followup', () => {
+  const { output, followups } = followupsAt(10);
+  expect(followups.length).toBe(1);
+  expect(followups[0].followupFor.outcomeId).toBe('io-1');
+  expect(followups[0].sources[0].originalActionId).toBe(liveSent.actionId);
+  expect(output.meta.actionSourceCounts.FOLLOWUP).toBe(1);
+  expect(verifyNoFollowupDuplicates(output.actions).valid).toBe(true);
+  expect(followupsAt(11).followups[0].actionId).toBe(followups[0].actionId);
+});
+
+await test('I4.3 no followup before the window, after a reply, or once ghosted', () => {
+  expect(followupsAt(5).followups.length).toBe(0);
+  const replied = introEvent(updateOutcomeStatus(liveSent, 'replied', at(6).toISOString()), 'live-2');
+  expect(followupsAt(10, [...liveEvents, replied]).followups.length).toBe(0);
+  expect(followupsAt(20).followups.length).toBe(0);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n' + '═'.repeat(50));
+console.log('INTRO LEDGER SPEC SUMMARY');
+console.log('═'.repeat(50));
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  failures.forEach(f => console.log(`  - ${f.name}: ${f.error}`));
+  console.log('\n❌ INTRO LEDGER SPEC FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ INTRO LEDGER SPEC PASSED');
+  process.exit(0);
+}
@@ -0,0 +1,168 @@
+/**
+ * intro_paths.spec.js — k-best intro path search
+ *
+ * Tests: both relationship edge shapes, k distinct paths ranked on
+ * strength, recency, introducer capital and trust risk, firm targets,
+ * per-edge explanations, and search over the real relationship data.
+ *
+ * Run: node tests/intro_paths.spec.js
+ */
+
+import { findIntroPaths, normalizeEdge, MAX_SEARCH_HOPS } from '../predict/introPaths.js';
+import { buildIntroCapital } from '../predict/introCapital.js';
+import { createIntroOutcome } from '../raw/introOutcome.js';
+import { loadRawData } from '../raw/loadRawData.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    failures.push({ name, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) { if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`); },
+    toBeTruthy() { if (!actual) throw new Error(`Expected truthy, got ${actual}`); },
+    toContain(item) { if (!actual.includes(item)) throw new Error(`Expected ${JSON.stringify(actual)} to contain ${item}`); }
+  };
+}
+
+const now = new Date('2026-02-10T00:00:00.000Z');
+const recent = '2026-02-05T00:00:00.000Z';
+
+// me reaches t through a (strong), b (moderate) or c (strong, but stale)
+const people = [
+  { id: 'me', name: 'Partner' },
+  { id: 'a', name: 'Ann' },
+  { id: 'b', name: 'Ben' },
+  { id: 'c', name: 'Cy' },
+  { id: 't', name: 'Tess', orgId: 'f-1' },
+  { id: 'u', name: 'Uma', orgId: 'f-1' }
+];
+const rel = (from, to, strength, lastTouchAt = recent) => ({
+  id: `${from}-${to}`, fromPersonId: from, toPersonId: to, strength, lastTouchAt
+});
+const relationships = [
+  rel('me', 'a', 90), rel('a', 't', 90),
+  rel('me', 'b', 60), rel('b', 't', 60),
+  rel('me', 'c', 90, '2025-03-01T00:00:00.000Z'), rel('c', 't', 90, '2025-03-01T00:00:00.000Z'),
+  rel('b', 'u', 80)
+];
+
+const search = (extra = {}) => findIntroPaths({ fromPersonIds: ['me'], to: 't', people, relationships, now, ...extra });
+
+// ═══════════════════════════════════════════════════════════════
+// EDGES
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nP1 Edges');
+console.log('─'.repeat(50));
+
+await test('P1.1 both relationship shapes normalize', () => {
+  const banded = normalizeEdge({ id: 'r', p1Id: 'x', p2Id: 'y', strength: 'strong', type: 'co_invested', lastContact: recent });
+  expect(banded.a).toBe('x');
+  expect(banded.strength).toBe(85);
+  expect(banded.lastTouchAt).toBe(recent);
+  expect(normalizeEdge(rel('x', 'y', 42)).strength).toBe(42);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SEARCH
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nP2 Search');
+console.log('─'.repeat(50));
+
+await test('P2.1 returns k distinct paths, best first', () => {
+  const { paths, considered } = search();
+  expect(considered).toBe(3);
+  expect(paths.length).toBe(3);
+  expect(new Set(paths.map(p => p.id)).size).toBe(3);
+  expect(paths[0].introducer.personId).toBe('a');
+  expect(search({ k: 1 }).paths.length).toBe(1);
+});
+
+await test('P2.2 stale ties rank below fresh ones of the same strength', () => {
+  const ids = search().paths.map(p => p.introducer.personId);
+  expect(ids.indexOf('c') > ids.indexOf('a')).toBe(true);
+});
+
+await test('P2.3 a spent introducer drops below one with capital left', () => {
+  const spent = ['1', '2', '3'].map(id => ({
+    ...createIntroOutcome({ id, actionId: `x-${id}`, introducerPersonId: 'a', targetPersonId: 'z', createdAt: recent }),
+    status: 'sent'
+  }));
+  const { paths } = search({ introCapital: buildIntroCapital(spent, now) });
+  const viaA = paths.find(p => p.introducer.personId === 'a');
+  expect(viaA.introducer.capitalRemaining).toBe(0);
+  expect(paths[0].introducer.personId === 'a').toBe(false);
+});
+
+await test('P2.4 every edge and the trust risk are explained', () => {
+  const [best] = search().paths;
+  expect(best.edges.length).toBe(2);
+  expect(best.edges[0].explain).toContain('Partner → Ann: strong');
+  expect(best.explain[0]).toContain('Ann introduces');
+  expect(best.explain[best.explain.length - 1]).toContain('Trust risk:');
+});
+
+await test('P2.5 a firm target searches everyone at the firm', () => {
+  const { targets, paths } = search({ to: 'f-1', k: 10 });
+  expect(targets.join()).toBe('t,u');
+  expect(paths.some(p => p.path[p.path.length - 1] === 'u')).toBe(true);
+});
+
+await test('P2.6 depth is capped and output deterministic', () => {
+  expect(search({ maxHops: 1 }).paths.length).toBe(0);
+  expect(search({ maxHops: 99 }).considered > 0).toBe(true);
+  expect(MAX_SEARCH_HOPS).toBe(4);
+  expect(JSON.stringify(search())).toBe(JSON.stringify(search()));
+});
+
+// ═══════════════════════════════════════════════════════════════
+// REAL DATA
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nP3 Real data');
+console.log('─'.repeat(50));
+
+await test('P3.1 finds the direct tie for a known relationship', () => {
+  const raw = loadRawData();
+  const r = raw.relationships[0];
+  const { paths } = findIntroPaths({
+    fromPersonIds: [r.p1Id], to: r.p2Id, people: raw.people, relationships: raw.relationships, k: 5, now
+  });
+  expect(paths.length > 0).toBe(true);
+  expect(paths.some(p => p.hops === 1 && p.introducer === null)).toBe(true);
+  expect(paths[0].names[0]).toBe(r.p1Name);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n' + '═'.repeat(50));
+console.log('INTRO PATHS SPEC SUMMARY');
+console.log('═'.repeat(50));
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  failures.forEach(f => console.log(`  - ${f.name}: ${f.error}`));
+  console.log('\n❌ INTRO PATHS SPEC FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ INTRO PATHS SPEC PASSED');
+  process.exit(0);
+}
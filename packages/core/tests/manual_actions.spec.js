@@ -0,0 +1,215 @@
+/**
+ * manual_actions.spec.js — Partner-defined actions
+ *
+ * Tests: deterministic ids, definition validation against raw data,
+ * `created` payload schema, candidate building from events, and manual
+ * actions impact-modeled and ranked through compute().
+ *
+ * Run: node tests/manual_actions.spec.js
+ */
+
+import {
+  listResolutionTemplates,
+  manualActionId,
+  validateManualDefinition,
+  buildManualActions
+} from '../predict/manualActions.js';
+import { validateActionEvent } from '../raw/actionEventsSchema.js';
+import { createActionEvent } from '../raw/actionEvent.js';
+import { compute } from '../runtime/engine.js';
+import { loadRawData } from '../raw/loadRawData.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    failures.push({ name, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) { if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`); },
+    toBeTruthy() { if (!actual) throw new Error(`Expected truthy, got ${actual}`); },
+    toContain(item) { if (!actual.includes(item)) throw new Error(`Expected ${JSON.stringify(actual)} to contain ${item}`); }
+  };
+}
+
+const rawData = {
+  companies: [
+    { id: 'c1', name: 'Acme', stage: 'Seed', isPortfolio: true },
+    { id: 'c2', name: 'Globex', stage: 'Series A', isPortfolio: true }
+  ],
+  goals: [
+    { id: 'c1-g0', companyId: 'c1', name: 'Revenue', type: 'revenue', cur: 40, tgt: 100 },
+    { id: 'c2-g0', companyId: 'c2', name: 'Hiring', type: 'hiring', cur: 2, tgt: 5 }
+  ],
+  deals: [{ id: 'd1', companyId: 'c1', firmName: 'Sequoia', status: 'active' }],
+  people: [{ id: 'p1', fn: 'Ada', ln: 'Lovelace', orgType: 'firm', org: 'f1' }]
+};
+
+const definition = {
+  manualId: 'm-1',
+  title: 'Acme: Partner pricing review',
+  entityRef: { type: 'company', id: 'c1' },
+  resolutionId: 'REDUCE_BURN',
+  goalIds: ['c1-g0']
+};
+
+const created = (def, overrides = {}) => createActionEvent({
+  id: `evt-created-${def.manualId}`,
+  actionId: manualActionId(def),
+  entityId: def.entityRef.id,
+  eventType: 'created',
+  actor: 'tm-partner',
+  timestamp: '2026-02-01T09:00:00.000Z',
+  payload: { manual: def },
+  ...overrides
+});
+
+// ═══════════════════════════════════════════════════════════════
+// DEFINITIONS
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nM1 Definitions');
+console.log('─'.repeat(50));
+
+await test('M1.1 actionId is deterministic per manualId', () => {
+  expect(manualActionId(definition)).toBe(manualActionId({ ...definition }));
+  expect(manualActionId(definition) === manualActionId({ ...definition, manualId: 'm-2' })).toBe(false);
+});
+
+await test('M1.2 templates list every resolution once, with steps', () => {
+  const templates = listResolutionTemplates();
+  const ids = templates.map(t => t.resolutionId);
+  expect(ids).toContain('REDUCE_BURN');
+  expect(new Set(ids).size).toBe(ids.length);
+  expect(templates.find(t => t.resolutionId === 'REDUCE_BURN').steps.length > 0).toBe(true);
+});
+
+await test('M1.3 validation checks entity, template, steps and goal ownership', () => {
+  expect(validateManualDefinition(definition, rawData).valid).toBe(true);
+  expect(validateManualDefinition({ ...definition, entityRef: { type: 'company', id: 'nope' } }, rawData).errors[0]).toBe('Unknown company: nope');
+  expect(validateManualDefinition({ ...definition, resolutionId: 'NOPE' }, rawData).errors[0]).toBe('Unknown resolution template: NOPE');
+  expect(validateManualDefinition({ ...definition, resolutionId: undefined }, rawData).errors[0]).toBe('resolutionId or steps required');
+  expect(validateManualDefinition({ ...definition, goalIds: ['c2-g0'] }, rawData).errors[0]).toBe('Goal c2-g0 belongs to another company');
+  expect(validateManualDefinition({ ...definition, entityRef: { type: 'person', id: 'p1' } }, rawData).errors[0])
+    .toBe('Goals can only be linked when the entity belongs to a company');
+});
+
+await test('M1.4 created payload accepts definitions only', () => {
+  expect(validateActionEvent(created(definition)).valid).toBe(true);
+  const derived = created({ ...definition, rankScore: 10 });
+  expect(validateActionEvent(derived).errors[0]).toBe('payload.manual.rankScore is not a definition field');
+  const noTitle = created({ ...definition, title: '' });
+  expect(validateActionEvent(noTitle).errors[0]).toBe('payload.manual.title required');
+});
+
+// ═══════════════════════════════════════════════════════════════
+// CANDIDATES
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nM2 Candidates');
+console.log('─'.repeat(50));
+
+await test('M2.1 builds one candidate per definition, with template steps', () => {
+  const [action, ...rest] = buildManualActions([created(definition), created(definition, { id: 'evt-dup' })], rawData);
+  expect(rest.length).toBe(0);
+  expect(action.actionId).toBe(manualActionId(definition));
+  expect(action.sources[0].sourceType).toBe('MANUAL');
+  expect(action.companyId).toBe('c1');
+  expect(action.entityRef.name).toBe('Acme');
+  expect(action.steps.length > 0).toBe(true);
+});
+
+await test('M2.2 skips mismatched ids and vanished entities', () => {
+  const forged = created(definition, { actionId: 'action-forged' });
+  const gone = created({ ...definition, manualId: 'm-gone', entityRef: { type: 'deal', id: 'd-gone' } });
+  expect(buildManualActions([forged, gone], rawData).length).toBe(0);
+});
+
+await test('M2.3 person actions carry the person name and no company', () => {
+  const def = { manualId: 'm-p', title: 'Call Ada', entityRef: { type: 'person', id: 'p1' }, steps: ['Call'] };
+  const [action] = buildManualActions([created(def)], rawData);
+  expect(action.entityRef.name).toBe('Ada Lovelace');
+  expect(action.companyId).toBe(null);
+  expect(action.steps.join()).toBe('Call');
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ENGINE
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nM3 compute() ranking');
+console.log('─'.repeat(50));
+
+const raw = loadRawData();
+const company = raw.companies.find(c => c.isPortfolio && raw.goals.some(g => g.companyId === c.id));
+const goal = raw.goals.find(g => g.companyId === company.id);
+const live = {
+  manualId: 'm-live',
+  title: `${company.name}: Partner pricing review`,
+  entityRef: { type: 'company', id: company.id },
+  resolutionId: 'REDUCE_BURN',
+  goalIds: [goal.id]
+};
+const liveEvent = created(live, { timestamp: '2026-02-01T00:00:00.000Z' });
+const output = compute(raw, new Date('2026-02-10T00:00:00Z'), { events: [liveEvent] });
+const ranked = output.actions.find(a => a.actionId === liveEvent.actionId);
+
+await test('M3.1 manual action is ranked with an impact model and rankScore', () => {
+  expect(ranked).toBeTruthy();
+  expect(typeof ranked.rankScore).toBe('number');
+  expect(ranked.rank > 0).toBe(true);
+  expect(ranked.impact.executionProbability).toBe(1);
+  expect(output.meta.actionSourceCounts.MANUAL).toBe(1);
+});
+
+await test('M3.2 linked goals drive the upside', () => {
+  expect(ranked.impact.goalImpacts.map(g => g.goalId)).toContain(goal.id);
+  expect(ranked.impact.upsideMagnitude >= 25).toBe(true);
+});
+
+await test('M3.3 as-of runs ignore definitions recorded later', () => {
+  const future = created({ ...live, manualId: 'm-future' }, { timestamp: '2026-03-01T00:00:00.000Z' });
+  const later = compute(raw, new Date('2026-02-10T00:00:00Z'), { events: [future], asOf: true });
+  expect(later.meta.actionSourceCounts.MANUAL).toBe(0);
+});
+
+await test('M3.4 a manual action sharing a generated action title is kept alongside it', () => {
+  const generated = compute(raw, new Date('2026-02-10T00:00:00Z'), { events: [] }).actions
+    .find(a => a.sources?.[0]?.sourceType !== 'MANUAL' && a.entityRef?.id === company.id);
+  const twin = created({ ...live, manualId: 'm-twin', title: generated.title });
+  const both = compute(raw, new Date('2026-02-10T00:00:00Z'), { events: [twin] }).actions;
+  expect(both.some(a => a.actionId === twin.actionId)).toBe(true);
+  expect(both.some(a => a.actionId === generated.actionId)).toBe(true);
+  expect(both.filter(a => a.title === generated.title).length).toBe(2);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n' + '═'.repeat(50));
+console.log('MANUAL ACTIONS SPEC SUMMARY');
+console.log('═'.repeat(50));
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  failures.forEach(f => console.log(`  - ${f.name}: ${f.error}`));
+  console.log('\n❌ MANUAL ACTIONS SPEC FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ MANUAL ACTIONS SPEC PASSED');
+  process.exit(0);
+}
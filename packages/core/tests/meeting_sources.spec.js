@@ -0,0 +1,252 @@
+/**
+ * meeting_sources.spec.js — Normalized meeting schema and source adapters
+ *
+ * Tests: normalizeMeeting/validateMeeting, the Markdown, ICS and Zoom/Otter
+ * transcript parsers, cross-source dedup by time and participants, and
+ * re-ingested meetings replacing their stored record.
+ *
+ * Run: node tests/meeting_sources.spec.js
+ */
+
+import {
+  normalizeMeeting, validateMeeting, isSameMeeting, mergeMeetings, meetingIdFor
+} from '../raw/meetingSchema.js';
+import { parseMarkdownNote, parseIcsCalendar, parseTranscriptFile, FILE_ADAPTERS } from '../raw/meetingSources.js';
+import { loadMeetings } from '../raw/loadRawData.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    failures.push({ name, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) { if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`); },
+    toBeTruthy() { if (!actual) throw new Error(`Expected truthy, got ${actual}`); },
+    toContain(item) { if (!actual.includes(item)) throw new Error(`Expected ${JSON.stringify(actual)} to contain ${item}`); }
+  };
+}
+
+const asOf = '2026-03-03T00:00:00.000Z';
+
+const note = {
+  path: 'notes/2026-03-02-acme-sync.md',
+  name: '2026-03-02-acme-sync.md',
+  text: '# Acme weekly sync\nAttendees: Jane Doe <jane@acme.com>, Bob Lee <bob@fund.vc>\n\nRevenue at $2M ARR.\n'
+};
+
+const calendar = {
+  path: 'cal.ics',
+  text: [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:abc-1',
+    'SUMMARY:Acme weekly sync',
+    'DTSTART:20260302T000500Z',
+    'DTEND:20260302T004500Z',
+    'ORGANIZER;CN=Bob Lee:mailto:bob@fund.vc',
+    'ATTENDEE;CN="Jane Doe";PARTSTAT=ACCEPTED:mailto:JANE@acme.com',
+    'DESCRIPTION:Agenda\\nrevenue\\, hir',
+    ' ing',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:abc-2',
+    'SUMMARY:Dropped',
+    'STATUS:CANCELLED',
+    'DTSTART:20260303T100000Z',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n')
+};
+
+const vtt = {
+  path: 'zoom/2026-03-02_Acme_weekly_sync.vtt',
+  name: '2026-03-02_Acme_weekly_sync.vtt',
+  text: 'WEBVTT\n\n1\n00:00:01.000 --> 00:00:04.000\nJane Doe: We hit $2M ARR.\n\n2\n00:39:01.000 --> 00:40:04.000\nBob Lee: Great.\n'
+};
+
+const otter = {
+  path: 'otter/Board prep.txt',
+  name: 'Board prep.txt',
+  text: 'Jane Doe  0:00\nLet us review the deck.\n\nBob Lee  0:42\nLooks good.\n',
+  mtime: '2026-03-05T15:00:00.000Z'
+};
+
+// ═══════════════════════════════════════════════════════════════
+// SCHEMA
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nS1 Schema');
+console.log('─'.repeat(50));
+
+await test('S1.1 normalizeMeeting fills the documented shape', () => {
+  const m = normalizeMeeting({ id: 'x', date: '2026-03-02T10:00:00Z', participants: ['Jane', { name: 'Bob', email: 'BOB@X.COM' }] }, { source: 'granola', asOf });
+  expect(m.title).toBe('Untitled Meeting');
+  expect(m.date).toBe('2026-03-02T10:00:00.000Z');
+  expect(m.durationMinutes).toBe(null);
+  expect(m.participants[1].email).toBe('bob@x.com');
+  expect(m.sources.join()).toBe('granola');
+  expect(validateMeeting(m).valid).toBe(true);
+});
+
+await test('S1.2 validateMeeting rejects missing dates and unknown sources', () => {
+  const { valid, errors } = validateMeeting({ id: 'x', title: '', date: null, source: 'fax', participants: [], summary: '' });
+  expect(valid).toBe(false);
+  expect(errors.length).toBe(2);
+});
+
+await test('S1.3 stored Granola meetings validate as granola', () => {
+  const { meetings } = loadMeetings();
+  expect(meetings.length > 0).toBe(true);
+  expect(meetings.every(m => validateMeeting(m).valid)).toBe(true);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ADAPTERS
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nS2 Adapters');
+console.log('─'.repeat(50));
+
+await test('S2.1 Markdown: heading, attendees, date from file name', () => {
+  const { meeting } = parseMarkdownNote(note, { asOf });
+  expect(meeting.id).toBe(meetingIdFor('markdown', note.path));
+  expect(meeting.title).toBe('Acme weekly sync');
+  expect(meeting.date.slice(0, 10)).toBe('2026-03-02');
+  expect(meeting.participants.map(p => p.email).join()).toBe('jane@acme.com,bob@fund.vc');
+  expect(meeting.summary).toContain('$2M ARR');
+});
+
+await test('S2.2 Markdown front matter wins', () => {
+  const { meeting } = parseMarkdownNote({ ...note, text: '---\ntitle: "Board"\ndate: 2026-04-01T09:00:00Z\nparticipants: Ann, Cy\n---\n# Ignored\n' });
+  expect(meeting.title).toBe('Board');
+  expect(meeting.date).toBe('2026-04-01T09:00:00.000Z');
+  expect(meeting.participants.length).toBe(2);
+});
+
+await test('S2.3 ICS: unfolded VEVENTs, attendees, duration, cancelled skipped', () => {
+  const results = parseIcsCalendar(calendar, { asOf });
+  expect(results.length).toBe(1);
+  const { meeting } = results[0];
+  expect(meeting.date).toBe('2026-03-02T00:05:00.000Z');
+  expect(meeting.durationMinutes).toBe(40);
+  expect(meeting.participants.map(p => p.name).join()).toBe('Bob Lee,Jane Doe');
+  expect(meeting.participants[1].email).toBe('jane@acme.com');
+  expect(meeting.summary).toBe('Agenda\nrevenue, hiring');
+});
+
+await test('S2.4 Zoom VTT: speakers, duration, timings stripped', () => {
+  const { meeting, transcript } = parseTranscriptFile(vtt, { asOf });
+  expect(meeting.title).toBe('Acme weekly sync');
+  expect(meeting.durationMinutes).toBe(40);
+  expect(meeting.participants.map(p => p.name).join()).toBe('Jane Doe,Bob Lee');
+  expect(transcript.includes('-->')).toBe(false);
+  expect(transcript).toContain('Jane Doe: We hit $2M ARR.');
+});
+
+await test('S2.5 Otter text: speakers, date from mtime', () => {
+  const { meeting, transcript } = parseTranscriptFile(otter, { asOf });
+  expect(meeting.title).toBe('Board prep');
+  expect(meeting.date).toBe(otter.mtime);
+  expect(meeting.participants.map(p => p.name).join()).toBe('Jane Doe,Bob Lee');
+  expect(transcript).toContain('Looks good.');
+});
+
+await test('S2.6 every file adapter returns valid meetings', () => {
+  const files = { markdown: note, ics: calendar, transcript: vtt };
+  for (const [name, adapter] of Object.entries(FILE_ADAPTERS)) {
+    expect(adapter.parse(files[name], { asOf }).every(r => validateMeeting(r.meeting).valid)).toBe(true);
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// DEDUP
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nS3 Dedup');
+console.log('─'.repeat(50));
+
+const fromIcs = parseIcsCalendar(calendar, { asOf })[0].meeting;
+const fromNote = parseMarkdownNote(note, { asOf }).meeting;
+const fromZoom = parseTranscriptFile(vtt, { asOf });
+
+await test('S3.1 same time and people across sources is one meeting', () => {
+  expect(isSameMeeting(fromIcs, fromNote)).toBe(true);
+  expect(isSameMeeting(fromIcs, fromZoom.meeting)).toBe(true);
+});
+
+await test('S3.2 far apart or different people are not merged', () => {
+  expect(isSameMeeting(fromIcs, { ...fromNote, id: 'y', date: '2026-03-02T02:00:00.000Z' })).toBe(false);
+  expect(isSameMeeting(fromIcs, { ...fromNote, id: 'y', participants: [{ name: 'Zed', email: 'z@z.io' }] })).toBe(false);
+});
+
+await test('S3.3 merge keeps the stored id, unions sources, moves the transcript', () => {
+  const transcripts = new Map([[fromZoom.meeting.id, fromZoom.transcript]]);
+  const result = mergeMeetings([fromIcs], [fromNote, fromZoom.meeting], transcripts);
+  expect(result.meetings.length).toBe(1);
+  expect(result.added).toBe(0);
+  expect(result.meetings[0].id).toBe(fromIcs.id);
+  expect(result.meetings[0].sources.join()).toBe('ics,markdown,transcript');
+  expect(result.meetings[0].participants.length).toBe(2);
+  expect(result.merged.length).toBe(2);
+  expect(result.transcripts.get(fromIcs.id)).toContain('$2M ARR');
+});
+
+await test('S3.4 re-ingesting the same files adds nothing', () => {
+  const first = mergeMeetings([], [fromNote]);
+  const again = mergeMeetings(first.meetings, [fromNote]);
+  expect(again.added).toBe(0);
+  expect(again.merged.length).toBe(0);
+  expect(again.meetings.length).toBe(1);
+});
+
+await test('S3.5 an edited note re-ingested under the same id replaces the stored record', () => {
+  const first = mergeMeetings([], [fromNote]);
+  const edited = parseMarkdownNote({ ...note, text: note.text.replace('$2M ARR', '$3M ARR') }, { asOf }).meeting;
+  expect(edited.id).toBe(fromNote.id);
+  const again = mergeMeetings(first.meetings, [edited]);
+  expect(again.replaced.join()).toBe(fromNote.id);
+  expect(again.merged.length).toBe(0);
+  expect(again.meetings.length).toBe(1);
+  expect(again.meetings[0].summary).toContain('$3M ARR');
+});
+
+await test('S3.6 a re-ingest keeps merged sources and replaces the transcript', () => {
+  const zoomId = fromZoom.meeting.id;
+  const first = mergeMeetings([fromZoom.meeting], [fromIcs], new Map([[zoomId, fromZoom.transcript]]));
+  expect(first.meetings[0].sources.join()).toBe('transcript,ics');
+  const again = mergeMeetings(first.meetings, [fromZoom.meeting], new Map([[zoomId, 'Jane Doe: We hit $3M ARR.']]));
+  expect(again.meetings[0].sources.join()).toBe('transcript,ics');
+  expect(again.transcripts.get(zoomId)).toContain('$3M ARR');
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n' + '═'.repeat(50));
+console.log('MEETING SOURCES SPEC SUMMARY');
+console.log('═'.repeat(50));
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  failures.forEach(f => console.log(`  - ${f.name}: ${f.error}`));
+  console.log('\n❌ MEETING SOURCES SPEC FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ MEETING SOURCES SPEC PASSED');
+  process.exit(0);
+}
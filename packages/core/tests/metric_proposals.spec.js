@@ -0,0 +1,236 @@
+/**
+ * metric_proposals.spec.js — metricFacts proposed from meeting text
+ *
+ * Tests: amount and unit normalization, mention → metric mapping,
+ * proposals linked to their meeting, accept/edit/reject via
+ * metric_reviewed events, accepted facts reaching the snapshot, and
+ * reviews staying out of action lifecycles.
+ *
+ * Run: node tests/metric_proposals.spec.js
+ */
+
+import {
+  parseAmount, normalizeMention, proposeMetricFacts, collectMetricReviews, acceptedMetricFacts
+} from '../derive/metricProposals.js';
+import { validateMetricFact } from '../raw/metricFactSchema.js';
+import { validateActionEvent, checkReferentialIntegrity } from '../raw/actionEventsSchema.js';
+import { buildLifecycleMap, assertTransition } from '../derive/actionLifecycle.js';
+import { createActionEvent } from '../raw/actionEvent.js';
+import { compute } from '../runtime/engine.js';
+import { loadRawData } from '../raw/loadRawData.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    failures.push({ name, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) { if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`); },
+    toBeTruthy() { if (!actual) throw new Error(`Expected truthy, got ${actual}`); },
+    toContain(item) { if (!actual.includes(item)) throw new Error(`Expected ${JSON.stringify(actual)} to contain ${item}`); }
+  };
+}
+
+const mention = (text, type, value) => ({ text, type, value });
+
+const meeting = {
+  id: 'm-acme',
+  title: 'Acme monthly check-in',
+  date: '2026-03-02T15:00:00.000Z',
+  participants: [],
+  summary: 'We hit $2.5M ARR last month.\nBurning $1.8M a year.\nChurn is down to 3%.\nTeam is now 42 employees.\nRunway is 18 months runway.'
+};
+const transcripts = new Map([['m-acme', 'Jane Doe: cash in the bank is $4 million.']]);
+const byCompany = new Map([['acme', [meeting]]]);
+
+function review(payload, timestamp = '2026-03-03T00:00:00.000Z') {
+  return createActionEvent({ actionId: `metric-review-${payload.proposalId}`, entityId: 'acme', eventType: 'metric_reviewed', actor: 'partner', timestamp, payload });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// NORMALIZATION
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nP1 Normalization');
+console.log('─'.repeat(50));
+
+await test('P1.1 amounts with suffixes, commas and spelled-out scales', () => {
+  expect(parseAmount('$2.5M')).toBe(2500000);
+  expect(parseAmount('$400k')).toBe(400000);
+  expect(parseAmount('$1,200,000')).toBe(1200000);
+  expect(parseAmount('$4', ' million in')).toBe(4000000);
+  expect(parseAmount('3.5%')).toBe(3.5);
+});
+
+await test('P1.2 the nearest keyword picks the metric and unit', () => {
+  const arr = normalizeMention(mention('We hit $2.5M ARR, burn is $150K', 'currency', '$2.5M'));
+  expect(arr.metricKey).toBe('arr');
+  expect(arr.unit).toBe('usd_annual');
+  const burn = normalizeMention(mention('We hit $2.5M ARR, burn is $150K', 'currency', '$150K'));
+  expect(burn.metricKey).toBe('burn');
+  expect(burn.value).toBe(150000);
+});
+
+await test('P1.3 annual figures for monthly metrics are divided by 12', () => {
+  const burn = normalizeMention(mention('Burning $1.8M a year.', 'currency', '$1.8M'));
+  expect(burn.unit).toBe('usd_monthly');
+  expect(burn.value).toBe(150000);
+});
+
+await test('P1.4 percentages, headcount, and what is dropped', () => {
+  expect(normalizeMention(mention('Churn is down to 3%.', 'percentage', '3%')).metricKey).toBe('churn_rate');
+  expect(normalizeMention(mention('Team is now 42 employees.', 'headcount', '42 employees')).value).toBe(42);
+  expect(normalizeMention(mention('ARR grew 20% this quarter', 'percentage', '20%'))).toBe(null);
+  expect(normalizeMention(mention('Paid $300 for the venue', 'currency', '$300'))).toBe(null);
+  expect(normalizeMention(mention('revenue 2026 plan', 'arr', 'revenue 2026'))).toBe(null);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// PROPOSALS
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nP2 Proposals');
+console.log('─'.repeat(50));
+
+const proposals = proposeMetricFacts(byCompany, { transcripts });
+const byKey = new Map(proposals.map(p => [p.fact.metricKey, p]));
+
+await test('P2.1 summary and transcript mentions become pending proposals', () => {
+  expect([...byKey.keys()].sort().join()).toBe('arr,burn,cash,churn_rate,employees');
+  expect(proposals.every(p => p.status === 'pending')).toBe(true);
+  expect(byKey.get('cash').fact.value).toBe(4000000);
+});
+
+await test('P2.2 proposed facts are valid, sourced and linked to the meeting', () => {
+  const { fact } = byKey.get('arr');
+  expect(validateMetricFact(fact).valid).toBe(true);
+  expect(fact.source).toBe('meeting_transcript');
+  expect(fact.meetingId).toBe('m-acme');
+  expect(fact.asOf).toBe(meeting.date);
+  expect(byKey.get('arr').mention).toContain('$2.5M ARR');
+});
+
+await test('P2.3 proposal ids are stable across runs', () => {
+  const again = proposeMetricFacts(byCompany, { transcripts });
+  expect(again.map(p => p.proposalId).join()).toBe(proposals.map(p => p.proposalId).join());
+});
+
+// ═══════════════════════════════════════════════════════════════
+// REVIEW
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nP3 Review');
+console.log('─'.repeat(50));
+
+await test('P3.1 metric_reviewed payloads are validated', () => {
+  expect(validateActionEvent(review({ proposalId: 'x', decision: 'accept' })).valid).toBe(true);
+  expect(validateActionEvent(review({ proposalId: 'x', decision: 'edit' })).valid).toBe(false);
+  expect(validateActionEvent(review({ proposalId: 'x', decision: 'edit', unit: 'furlongs' })).valid).toBe(false);
+  expect(validateActionEvent(review({ proposalId: 'x', decision: 'edit', metricKey: 'runway' })).valid).toBe(false);
+});
+
+await test('P3.2 accept, edit and reject; only accepted facts come out', () => {
+  const events = [
+    review({ proposalId: byKey.get('arr').proposalId, decision: 'accept' }),
+    review({ proposalId: byKey.get('burn').proposalId, decision: 'edit', value: 140000 }),
+    review({ proposalId: byKey.get('cash').proposalId, decision: 'reject' })
+  ];
+  const reviewedProposals = proposeMetricFacts(byCompany, { transcripts, reviews: collectMetricReviews(events) });
+  const status = new Map(reviewedProposals.map(p => [p.fact.metricKey, p]));
+  expect(status.get('arr').status).toBe('accepted');
+  expect(status.get('burn').status).toBe('edited');
+  expect(status.get('burn').proposed.value).toBe(150000);
+  expect(status.get('cash').status).toBe('rejected');
+  expect(status.get('employees').status).toBe('pending');
+
+  const facts = acceptedMetricFacts(reviewedProposals);
+  expect(facts.map(f => f.metricKey).sort().join()).toBe('arr,burn');
+  expect(facts.find(f => f.metricKey === 'burn').value).toBe(140000);
+});
+
+await test('P3.3 the latest decision wins', () => {
+  const id = byKey.get('arr').proposalId;
+  const events = [
+    review({ proposalId: id, decision: 'reject' }, '2026-03-04T00:00:00.000Z'),
+    review({ proposalId: id, decision: 'accept' }, '2026-03-03T00:00:00.000Z')
+  ];
+  const [arr] = proposeMetricFacts(byCompany, { transcripts, reviews: collectMetricReviews(events) })
+    .filter(p => p.proposalId === id);
+  expect(arr.status).toBe('rejected');
+});
+
+await test('P3.4 reviews are not actions: no lifecycle, no write-gate or referential failure', () => {
+  const event = review({ proposalId: byKey.get('arr').proposalId, decision: 'accept' });
+  expect(buildLifecycleMap([event]).size).toBe(0);
+  expect(assertTransition([], event, { knownActionIds: new Set() })).toBe(null);
+  expect(checkReferentialIntegrity([event], new Set()).valid).toBe(true);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ENGINE
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nP4 compute()');
+console.log('─'.repeat(50));
+
+await test('P4.1 pending proposals in the output; an accepted fact reaches the snapshot', () => {
+  const raw = loadRawData();
+  const base = raw.companies.find(c => c.isPortfolio);
+  const target = { ...base, id: 'c-quill', name: 'Quillfeather Robotics', domain: 'quillfeather.example' };
+  const m = {
+    id: 'm-quill',
+    title: 'Quillfeather Robotics board prep',
+    date: '2026-03-20T10:00:00.000Z',
+    participants: [{ name: 'Jo Park', email: 'jo@quillfeather.example', org: 'Quillfeather Robotics' }],
+    summary: 'Burn is $987K per month.'
+  };
+  const data = { ...raw, companies: [...raw.companies, target], meetings: [...raw.meetings, m], metricFacts: [] };
+  const now = new Date('2026-03-25T00:00:00Z');
+
+  const before = compute(data, now, { events: [] });
+  const pending = before.metricReview.find(p => p.meetingId === 'm-quill');
+  expect(pending.fact.metricKey).toBe('burn');
+  expect(before.companies.find(c => c.id === 'c-quill').derived.snapshot.metrics.burn === 987000).toBe(false);
+
+  const events = [createActionEvent({
+    actionId: `metric-review-${pending.proposalId}`, entityId: 'c-quill', eventType: 'metric_reviewed',
+    actor: 'partner', timestamp: '2026-03-21T00:00:00.000Z', payload: { proposalId: pending.proposalId, decision: 'accept' }
+  })];
+  const after = compute(data, now, { events });
+  expect(after.metricReview.some(p => p.proposalId === pending.proposalId)).toBe(false);
+  const company = after.companies.find(c => c.id === 'c-quill').derived;
+  expect(company.snapshot.metrics.burn).toBe(987000);
+  expect(company.snapshot.sources.burn).toBe('meeting_transcript');
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n' + '═'.repeat(50));
+console.log('METRIC PROPOSALS SPEC SUMMARY');
+console.log('═'.repeat(50));
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  failures.forEach(f => console.log(`  - ${f.name}: ${f.error}`));
+  console.log('\n❌ METRIC PROPOSALS SPEC FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ METRIC PROPOSALS SPEC PASSED');
+  process.exit(0);
+}
@@ -0,0 +1,180 @@
+/**
+ * node_registry.spec.js — Pluggable DAG node registration
+ *
+ * Tests: registerNode validation (layer rules, unknown deps, cycles,
+ * shadowing) and registered node outputs flowing to downstream nodes
+ * and to `derived` in compute() output.
+ *
+ * Run: node tests/node_registry.spec.js
+ */
+
+import { compute, createEngineCache, registerNode, unregisterNode } from '../runtime/engine.js';
+import { BUILTIN_NODE_LAYERS, getActiveGraph, getRegisteredNodeNames } from '../runtime/registry.js';
+import { GRAPH } from '../runtime/graph.js';
+import { isLayerDependencyAllowed } from '../qa/layerRules.js';
+import { loadRawData } from '../raw/loadRawData.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    failures.push({ name, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) { if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`); },
+    toThrow(pattern) {
+      try {
+        actual();
+      } catch (err) {
+        if (pattern && !pattern.test(err.message)) throw new Error(`Threw "${err.message}", expected ${pattern}`);
+        return;
+      }
+      throw new Error('Expected function to throw');
+    },
+  };
+}
+
+const noop = () => null;
+
+// ═══════════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nR1 registerNode validation');
+console.log('─'.repeat(50));
+
+test('R1.1 built-in nodes respect their own layer rules', () => {
+  for (const [node, deps] of Object.entries(GRAPH)) {
+    for (const dep of deps) {
+      expect(isLayerDependencyAllowed(BUILTIN_NODE_LAYERS[node], BUILTIN_NODE_LAYERS[dep])).toBe(true);
+    }
+  }
+});
+
+test('R1.2 derive node may not depend on a predict node', () => {
+  expect(() => registerNode({ name: 'fundSignal', deps: ['issues'], layer: 'derive', compute: noop }))
+    .toThrow(/derive node 'fundSignal' depends on 'issues' \(predict\)/);
+});
+
+test('R1.3 unknown dependency rejected', () => {
+  expect(() => registerNode({ name: 'fundSignal', deps: ['nope'], layer: 'predict', compute: noop }))
+    .toThrow(/unknown node 'nope'/);
+});
+
+test('R1.4 self-dependency rejected as a cycle', () => {
+  expect(() => registerNode({ name: 'loopy', deps: ['loopy'], layer: 'predict', compute: noop }))
+    .toThrow(/loopy/);
+});
+
+test('R1.5 built-in nodes and derived keys cannot be shadowed', () => {
+  expect(() => registerNode({ name: 'issues', deps: [], layer: 'predict', compute: noop })).toThrow(/built-in/);
+  expect(() => registerNode({ name: 'actions', deps: [], layer: 'decide', compute: noop })).toThrow(/built-in/);
+});
+
+test('R1.6 runtime/raw layers and missing compute rejected', () => {
+  expect(() => registerNode({ name: 'x', deps: [], layer: 'runtime', compute: noop })).toThrow(/layer/);
+  expect(() => registerNode({ name: 'x', deps: [], layer: 'derive' })).toThrow(/compute/);
+});
+
+test('R1.7 failed registrations leave the graph unchanged', () => {
+  expect(getRegisteredNodeNames().length).toBe(0);
+  expect(Object.keys(getActiveGraph()).length).toBe(Object.keys(GRAPH).length);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ENGINE INTEGRATION
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nR2 compute() with registered nodes');
+console.log('─'.repeat(50));
+
+const now = new Date('2026-02-15T00:00:00Z');
+const raw = loadRawData();
+
+registerNode({
+  name: 'burnMultipleSignal',
+  deps: ['runway', 'metrics'],
+  layer: 'derive',
+  compute: (ctx, company) => ({ companyId: company.id, months: ctx.runway?.value ?? null })
+});
+registerNode({
+  name: 'fundRiskFlag',
+  deps: ['burnMultipleSignal', 'issues'],
+  layer: 'predict',
+  compute: ctx => ({
+    flagged: (ctx.burnMultipleSignal.months ?? Infinity) < 12,
+    issueCount: ctx.issues?.issues?.length || 0
+  })
+});
+
+const output = compute(raw, now);
+
+test('R2.1 registered nodes appear in execution order after their deps', () => {
+  const order = output.meta.executionOrder;
+  expect(order.indexOf('burnMultipleSignal') > order.indexOf('runway')).toBe(true);
+  expect(order.indexOf('fundRiskFlag') > order.indexOf('burnMultipleSignal')).toBe(true);
+});
+
+test('R2.2 registered outputs exposed in derived', () => {
+  const company = output.companies[0];
+  expect(company.derived.burnMultipleSignal.companyId).toBe(company.id);
+  expect(typeof company.derived.fundRiskFlag.flagged).toBe('boolean');
+});
+
+test('R2.3 downstream registered node sees upstream output', () => {
+  const company = output.companies.find(c => c.derived.runway?.value != null);
+  expect(company.derived.fundRiskFlag.flagged).toBe(company.derived.runway.value < 12);
+});
+
+test('R2.4 built-in actions unchanged by registered nodes', () => {
+  expect(output.actions.length > 0).toBe(true);
+  expect(output.meta.errors.filter(e => typeof e === 'object').length).toBe(0);
+});
+
+test('R2.5 dependency of a registered node cannot be unregistered', () => {
+  expect(() => unregisterNode('burnMultipleSignal')).toThrow(/required by fundRiskFlag/);
+});
+
+test('R2.6 re-registering a node invalidates the engine cache', () => {
+  const cache = createEngineCache();
+  compute(raw, now, { cache });
+  unregisterNode('fundRiskFlag');
+  registerNode({ name: 'fundRiskFlag', deps: ['burnMultipleSignal', 'issues'], layer: 'predict', compute: () => ({ flagged: 'v2' }) });
+  const rerun = compute(raw, now, { cache });
+  expect(rerun.meta.cache.nodesReused).toBe(0);
+  expect(rerun.companies[0].derived.fundRiskFlag.flagged).toBe('v2');
+});
+
+unregisterNode('fundRiskFlag');
+unregisterNode('burnMultipleSignal');
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n' + '═'.repeat(50));
+console.log('NODE REGISTRY SPEC SUMMARY');
+console.log('═'.repeat(50));
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  failures.forEach(f => console.log(`  - ${f.name}: ${f.error}`));
+  console.log('\n❌ NODE REGISTRY SPEC FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ NODE REGISTRY SPEC PASSED');
+  process.exit(0);
+}
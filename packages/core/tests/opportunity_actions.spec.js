@@ -0,0 +1,154 @@
+/**
+ * opportunity_actions.spec.js — Positive-sum actions in the DAG
+ *
+ * Tests: conversion of opportunity candidates into resolution-backed
+ * actions, the `opportunities` GRAPH node, and OPPORTUNITY actions
+ * impact-modeled, ranked and counted through compute().
+ *
+ * Run: node tests/opportunity_actions.spec.js
+ */
+
+import { toOpportunityActions, OPPORTUNITY_RESOLUTIONS } from '../predict/opportunityActions.js';
+import { OPPORTUNITY_CLASSES } from '../predict/opportunityCandidates.js';
+import { createAction } from '../predict/actionSchema.js';
+import { GRAPH, dependsOn, validateGraph } from '../runtime/graph.js';
+import { compute } from '../runtime/engine.js';
+import { loadRawData } from '../raw/loadRawData.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    failures.push({ name, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) { if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`); },
+    toBeTruthy() { if (!actual) throw new Error(`Expected truthy, got ${actual}`); },
+    toContain(item) { if (!actual.includes(item)) throw new Error(`Expected ${JSON.stringify(actual)} to contain ${item}`); }
+  };
+}
+
+const candidate = (opportunityClass, extra = {}) => createAction({
+  entityRef: { type: 'company', id: 'c1', name: 'Acme' },
+  title: `Acme: ${opportunityClass}`,
+  sources: [{ sourceType: 'OPPORTUNITY', opportunityClass, opportunityRationale: 'Because', ...extra }],
+  goalId: 'c1-g0',
+  impact: { upsideMagnitude: 99 }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// CONVERSION
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nO1 Conversion');
+console.log('─'.repeat(50));
+
+await test('O1.1 every opportunity class maps to a resolution with steps', () => {
+  const actions = toOpportunityActions(Object.values(OPPORTUNITY_CLASSES).map(c => candidate(c)));
+  expect(actions.length).toBe(Object.values(OPPORTUNITY_CLASSES).length);
+  for (const action of actions) {
+    expect(OPPORTUNITY_RESOLUTIONS[action.resolutionId]).toBeTruthy();
+    expect(action.steps.length > 0).toBe(true);
+  }
+});
+
+await test('O1.2 goal moves onto the source, impact is dropped, company is set', () => {
+  const [action] = toOpportunityActions([candidate(OPPORTUNITY_CLASSES.GOAL_ACCELERATION, { acceleratorType: 'mvp' })]);
+  expect(action.sources[0].goalId).toBe('c1-g0');
+  expect(action.sources[0].opportunityRationale).toBe('Because');
+  expect(action.impact).toBe(undefined);
+  expect(action.companyId).toBe('c1');
+});
+
+await test('O1.3 ids are stable and distinct per class and target', () => {
+  const a = toOpportunityActions([candidate(OPPORTUNITY_CLASSES.RELATIONSHIP_LEVERAGE, { targetPersonId: 'p1' })])[0];
+  const again = toOpportunityActions([candidate(OPPORTUNITY_CLASSES.RELATIONSHIP_LEVERAGE, { targetPersonId: 'p1' })])[0];
+  const b = toOpportunityActions([candidate(OPPORTUNITY_CLASSES.RELATIONSHIP_LEVERAGE, { targetPersonId: 'p2' })])[0];
+  expect(a.actionId).toBe(again.actionId);
+  expect(a.actionId === b.actionId).toBe(false);
+});
+
+await test('O1.4 unknown classes are dropped', () => {
+  expect(toOpportunityActions([candidate('made_up')]).length).toBe(0);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// GRAPH
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nO2 GRAPH');
+console.log('─'.repeat(50));
+
+await test('O2.1 opportunities node feeds actionCandidates', () => {
+  expect(Array.isArray(GRAPH.opportunities)).toBe(true);
+  expect(GRAPH.actionCandidates).toContain('opportunities');
+  expect(dependsOn('opportunities', 'goalTrajectory')).toBe(true);
+  expect(validateGraph(GRAPH).valid).toBe(true);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ENGINE
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nO3 compute() ranking');
+console.log('─'.repeat(50));
+
+const raw = loadRawData();
+const now = new Date('2026-02-10T00:00:00Z');
+const output = compute(raw, now, { events: [] });
+const ranked = output.actions.filter(a => a.sources?.[0]?.sourceType === 'OPPORTUNITY');
+
+await test('O3.1 opportunities are derived per company', () => {
+  const perCompany = output.companies.map(c => c.derived?.opportunities || []);
+  expect(perCompany.some(list => list.length > 0)).toBe(true);
+});
+
+await test('O3.2 opportunity actions are ranked with impact models', () => {
+  expect(ranked.length > 0).toBe(true);
+  for (const action of ranked) {
+    expect(typeof action.rankScore).toBe('number');
+    expect(action.impact.upsideMagnitude > 0).toBe(true);
+    expect(OPPORTUNITY_RESOLUTIONS[action.resolutionId]).toBeTruthy();
+  }
+});
+
+await test('O3.3 actionSourceCounts counts OPPORTUNITY', () => {
+  expect(output.meta.actionSourceCounts.OPPORTUNITY).toBe(ranked.length);
+});
+
+await test('O3.4 output is deterministic for a fixed now', () => {
+  const again = compute(raw, now, { events: [] });
+  const ids = list => list.filter(a => a.sources?.[0]?.sourceType === 'OPPORTUNITY').map(a => a.actionId).join();
+  expect(ids(again.actions)).toBe(ids(output.actions));
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n' + '═'.repeat(50));
+console.log('OPPORTUNITY ACTIONS SPEC SUMMARY');
+console.log('═'.repeat(50));
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  failures.forEach(f => console.log(`  - ${f.name}: ${f.error}`));
+  console.log('\n❌ OPPORTUNITY ACTIONS SPEC FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ OPPORTUNITY ACTIONS SPEC PASSED');
+  process.exit(0);
+}
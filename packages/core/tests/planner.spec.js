@@ -0,0 +1,191 @@
+/**
+ * planner.spec.js — Capacity-aware daily / weekly plan
+ *
+ * Tests: effort → hours, deadline-first packing, dependency blocking,
+ * per-entity cap, per-owner budgets, unassigned routing, horizon
+ * validation, and the plan through compute().
+ *
+ * Run: node tests/planner.spec.js
+ */
+
+import { planActions, estimateActionHours, dependenciesOf, PLAN_DEFAULTS } from '../decide/planner.js';
+import { compute } from '../runtime/engine.js';
+import { loadRawData } from '../raw/loadRawData.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    failures.push({ name, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) { if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`); },
+    toBeGreaterThan(expected) { if (!(actual > expected)) throw new Error(`Expected ${actual} > ${expected}`); },
+    toThrow(fragment) {
+      try { actual(); } catch (e) {
+        if (!e.message.includes(fragment)) throw new Error(`Expected error containing "${fragment}", got "${e.message}"`);
+        return;
+      }
+      throw new Error('Expected function to throw');
+    }
+  };
+}
+
+const makeAction = (actionId, rank, extra = {}) => ({
+  actionId,
+  title: `Action ${actionId}`,
+  rank,
+  entityRef: { type: 'company', id: `c-${actionId}`, name: `Co ${actionId}` },
+  sources: [{ sourceType: 'ISSUE', issueId: 'i1' }],
+  effortHours: 2,
+  ...extra
+});
+
+const ids = list => list.map(e => e.actionId).join();
+
+// ═══════════════════════════════════════════════════════════════
+// INPUTS
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nP1 Inputs');
+console.log('─'.repeat(50));
+
+test('P1.1 explicit effortHours wins; resolution effort converted; floor applied', () => {
+  expect(estimateActionHours({ effortHours: 3 })).toBe(3);
+  expect(estimateActionHours({ effortHours: 0 })).toBe(PLAN_DEFAULTS.minActionHours);
+  expect(estimateActionHours({ resolutionId: 'no-such-resolution' }))
+    .toBe(PLAN_DEFAULTS.defaultEffortDays * PLAN_DEFAULTS.hoursPerEffortDay);
+});
+
+test('P1.2 dependencies from dependsOn, followups and goal dependencies', () => {
+  const followup = { actionId: 'f1', sources: [{ sourceType: 'FOLLOWUP', originalActionId: 'a0' }], dependsOn: ['a9'] };
+  expect(dependenciesOf(followup).sort().join()).toBe('a0,a9');
+
+  const goalAction = { actionId: 'g2-act', goalId: 'g2' };
+  const deps = dependenciesOf(goalAction, new Map([['g1', 'g1-act']]), new Map([['g2', { id: 'g2', dependencies: ['g1'] }]]));
+  expect(deps.join()).toBe('g1-act');
+});
+
+// ═══════════════════════════════════════════════════════════════
+// PACKING
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nP2 planActions');
+console.log('─'.repeat(50));
+
+test('P2.1 budget packed in rank order; overflow deferred with reason', () => {
+  const plan = planActions([makeAction('a', 1), makeAction('b', 2), makeAction('c', 3), makeAction('d', 4, { effortHours: 1 })], { hours: 5 });
+  expect(ids(plan.included)).toBe('a,b,d');
+  expect(plan.deferred[0].actionId).toBe('c');
+  expect(plan.deferred[0].code).toBe('over_budget');
+  expect(plan.summary.hoursPlanned).toBe(5);
+});
+
+test('P2.2 deadline inside the horizon packs first; rank reported unchanged', () => {
+  const plan = planActions([makeAction('a', 1), makeAction('b', 2), makeAction('c', 3)], {
+    hours: 4,
+    deadlinesByAction: new Map([['c', 0.5], ['b', 30]])
+  });
+  expect(ids(plan.included)).toBe('c,a');
+  expect(plan.included[0].rank).toBe(3);
+  expect(plan.included[0].reasons.some(r => r.startsWith('Deadline'))).toBe(true);
+});
+
+test('P2.3 followup blocked until its original action is planned', () => {
+  const followup = makeAction('f', 1, { sources: [{ sourceType: 'FOLLOWUP', originalActionId: 'orig' }] });
+  const plan = planActions([followup, makeAction('orig', 2, { effortHours: 10 })], { hours: 4 });
+  expect(plan.deferred.find(d => d.actionId === 'f').code).toBe('blocked');
+
+  const unblocked = planActions([makeAction('orig', 1), { ...followup, rank: 2 }], { hours: 4 });
+  expect(ids(unblocked.included)).toBe('orig,f');
+});
+
+test('P2.4 per-entity per-source cap', () => {
+  const same = i => makeAction(`s${i}`, i, { entityRef: { type: 'company', id: 'c1', name: 'Acme' }, effortHours: 0.5 });
+  const plan = planActions([1, 2, 3, 4, 5, 6, 7].map(same), { hours: 10, config: { maxPerEntityPerSource: 5 } });
+  expect(plan.included.length).toBe(5);
+  expect(plan.summary.deferredByReason.entity_cap).toBe(2);
+});
+
+test('P2.5 per-owner budgets; assigned over budget deferred, unassigned to roomiest', () => {
+  const team = [
+    { id: 'tm-partner', name: 'Partner', hoursPerDay: 3 },
+    { id: 'tm-associate', name: 'Associate', hoursPerDay: 6 }
+  ];
+  const plan = planActions([makeAction('a', 1), makeAction('b', 2), makeAction('c', 3)], {
+    team,
+    assigneeByAction: new Map([['a', 'tm-partner'], ['b', 'tm-partner']])
+  });
+  expect(plan.included.find(e => e.actionId === 'a').ownerId).toBe('tm-partner');
+  expect(plan.deferred.find(d => d.actionId === 'b').code).toBe('over_budget');
+  const c = plan.included.find(e => e.actionId === 'c');
+  expect(c.ownerId).toBe('tm-associate');
+  expect(plan.owners.find(o => o.ownerId === 'tm-partner').hoursRemaining).toBe(1);
+});
+
+test('P2.6 week horizon and availability overrides', () => {
+  const team = [{ id: 'tm-partner', name: 'Partner', hoursPerDay: 3 }];
+  expect(planActions([], { team, horizon: 'week' }).owners[0].hoursAvailable).toBe(3 * PLAN_DEFAULTS.workDaysPerWeek);
+  expect(planActions([], { team, availability: { 'tm-partner': 1 } }).owners[0].hoursAvailable).toBe(1);
+});
+
+test('P2.7 unknown horizon throws', () => {
+  expect(() => planActions([], { horizon: 'month' })).toThrow('unknown horizon');
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ENGINE
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nP3 compute() plan');
+console.log('─'.repeat(50));
+
+const raw = loadRawData();
+const now = new Date('2026-02-10T00:00:00Z');
+
+test('P3.1 todayActions come from the plan, every action accounted for', () => {
+  const output = compute(raw, now);
+  const { plan } = output;
+  expect(plan.horizon).toBe('day');
+  expect(plan.included.length).toBeGreaterThan(0);
+  expect(plan.included.length + plan.deferred.length).toBe(output.actions.length);
+  expect(output.todayActions.map(a => a.actionId).join()).toBe(ids(plan.included));
+  expect(plan.summary.hoursPlanned <= plan.summary.hoursAvailable).toBe(true);
+});
+
+test('P3.2 plan options thread through (week fits more than day)', () => {
+  const day = compute(raw, now).plan;
+  const week = compute(raw, now, { plan: { horizon: 'week' } }).plan;
+  expect(week.included.length).toBeGreaterThan(day.included.length);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n' + '═'.repeat(50));
+console.log('PLANNER SPEC SUMMARY');
+console.log('═'.repeat(50));
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  failures.forEach(f => console.log(`  - ${f.name}: ${f.error}`));
+  console.log('\n❌ PLANNER SPEC FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ PLANNER SPEC PASSED');
+  process.exit(0);
+}
@@ -0,0 +1,171 @@
+/**
+ * ranking_diff.spec.js — Ranking diff between two engine runs
+ *
+ * Tests: added/dropped/moved classification, per-component score breakdown,
+ * displaced actions, constraint pressure as context, and a weight change
+ * through the real engine.
+ *
+ * Run: node tests/ranking_diff.spec.js
+ */
+
+import { diffRankings, explainScoreChange } from '../runtime/rankingDiff.js';
+import { compute } from '../runtime/engine.js';
+import { WEIGHTS } from '../decide/weights.js';
+import { loadRawData } from '../raw/loadRawData.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    failures.push({ name, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) { if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`); },
+    toBeGreaterThan(expected) { if (!(actual > expected)) throw new Error(`Expected ${actual} > ${expected}`); },
+  };
+}
+
+const components = (overrides = {}) => ({
+  expectedNetImpact: 50,
+  trustPenalty: 0,
+  executionFrictionPenalty: 2,
+  timeCriticalityBoost: 0,
+  sourceTypeBoost: 10,
+  patternLift: 0,
+  ...overrides
+});
+const action = (actionId, rank, rankScore, overrides) => ({
+  actionId, rank, rankScore, title: actionId, entityRef: { id: 'c1' }, rankComponents: components(overrides)
+});
+
+// ═══════════════════════════════════════════════════════════════
+// CLASSIFICATION
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nD1 diffRankings');
+console.log('─'.repeat(50));
+
+const runA = [
+  action('a', 1, 80),
+  action('b', 2, 58),
+  action('c', 3, 40),
+  action('gone', 4, 30)
+];
+const runB = [
+  action('c', 1, 90, { expectedNetImpact: 72, trustPenalty: 0 }),
+  action('a', 2, 80),
+  action('b', 3, 58),
+  action('new', 4, 20)
+];
+const diff = diffRankings(runA, runB);
+
+test('D1.1 new and dropped actions by actionId', () => {
+  expect(diff.added.map(a => a.actionId).join()).toBe('new');
+  expect(diff.dropped.map(a => a.actionId).join()).toBe('gone');
+});
+
+test('D1.2 rank deltas: positive means moved up', () => {
+  const c = diff.moved.find(m => m.actionId === 'c');
+  expect(c.rankDelta).toBe(2);
+  expect(diff.moved.find(m => m.actionId === 'a').rankDelta).toBe(-1);
+});
+
+test('D1.3 rescored action explained by its components', () => {
+  const c = diff.moved.find(m => m.actionId === 'c');
+  expect(c.reason).toBe('score');
+  expect(c.primaryDriver).toBe('expectedNetImpact');
+  expect(c.components[0].delta).toBe(22);
+});
+
+test('D1.4 actions pushed down by others are displaced', () => {
+  const a = diff.moved.find(m => m.actionId === 'a');
+  expect(a.reason).toBe('displaced');
+  expect(a.components.length).toBe(0);
+  expect(diff.summary.displaced).toBe(2);
+});
+
+test('D1.5 identical runs produce an empty diff', () => {
+  const same = diffRankings(runA, runA);
+  expect(same.summary.unchanged).toBe(4);
+  expect(same.moved.length + same.added.length + same.dropped.length).toBe(0);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// COMPONENT BREAKDOWN
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nD2 explainScoreChange');
+console.log('─'.repeat(50));
+
+test('D2.1 rising penalty contributes negatively', () => {
+  const { components: parts, primaryDriver } = explainScoreChange(
+    action('x', 1, 50),
+    action('x', 2, 35, { trustPenalty: 15 })
+  );
+  expect(primaryDriver).toBe('trustPenalty');
+  expect(parts[0].contribution).toBe(-15);
+});
+
+test('D2.2 constraint pressure reported as context, never a driver', () => {
+  const { components: parts, primaryDriver } = explainScoreChange(action('x', 1, 50), action('x', 1, 50), 0, 3.6);
+  expect(primaryDriver).toBe(null);
+  expect(parts[0].component).toBe('constraintPressure');
+  expect(parts[0].context).toBe(true);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ENGINE
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nD3 weight change through compute()');
+console.log('─'.repeat(50));
+
+test('D3.1 goalBoost change moves goal actions via sourceTypeBoost', () => {
+  const raw = loadRawData();
+  const now = new Date('2026-02-10T00:00:00Z');
+  const before = compute(raw, now);
+  const original = WEIGHTS.sourceType.goalBoost;
+  WEIGHTS.sourceType.goalBoost = original + 10;
+  let after;
+  try {
+    after = compute(raw, now);
+  } finally {
+    WEIGHTS.sourceType.goalBoost = original;
+  }
+  const result = diffRankings(before, after);
+  expect(result.summary.moved).toBeGreaterThan(0);
+  expect(result.summary.driverCounts.sourceTypeBoost).toBeGreaterThan(0);
+  const rescoredGoal = result.moved.find(m => m.reason === 'score');
+  expect(rescoredGoal.components.some(c => c.component === 'sourceTypeBoost' && c.delta === 10)).toBe(true);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n' + '═'.repeat(50));
+console.log('RANKING DIFF SPEC SUMMARY');
+console.log('═'.repeat(50));
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  failures.forEach(f => console.log(`  - ${f.name}: ${f.error}`));
+  console.log('\n❌ RANKING DIFF SPEC FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ RANKING DIFF SPEC PASSED');
+  process.exit(0);
+}
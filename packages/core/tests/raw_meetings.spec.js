@@ -0,0 +1,155 @@
+/**
+ * raw_meetings.spec.js — Meetings and transcripts in the raw dataset
+ *
+ * Tests: loadRawData() assembling the meetings manifest and a lazy,
+ * size-limited transcript store; asOf filtering over the store; and
+ * meeting intelligence reaching compute() for a matched company.
+ *
+ * Run: node tests/raw_meetings.spec.js
+ */
+
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadRawData, loadMeetings } from '../raw/loadRawData.js';
+import { createTranscriptStore } from '../raw/transcriptStore.js';
+import { filterRawDataAsOf } from '../runtime/asOf.js';
+import { compute } from '../runtime/engine.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    failures.push({ name, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) { if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`); },
+    toBeTruthy() { if (!actual) throw new Error(`Expected truthy, got ${actual}`); },
+    toContain(item) { if (!actual.includes(item)) throw new Error(`Expected ${JSON.stringify(actual)} to contain ${item}`); }
+  };
+}
+
+const dir = mkdtempSync(join(tmpdir(), 'backbone-meetings-'));
+mkdirSync(join(dir, 'transcripts'));
+writeFileSync(join(dir, 'meetings_manifest.json'), JSON.stringify({
+  chunks: [{ key: 'meetings', index: 0, file: 'meetings_0.json', count: 2 }]
+}));
+writeFileSync(join(dir, 'meetings_0.json'), JSON.stringify([
+  { id: 'm1', title: 'Acme sync', date: '2026-01-05T10:00:00.000Z', participants: [] },
+  { id: 'm2', title: 'Acme board', date: '2026-03-05T10:00:00.000Z', participants: [] }
+]));
+writeFileSync(join(dir, 'transcripts', 'mtg_m1.txt'), 'a'.repeat(100));
+writeFileSync(join(dir, 'transcripts', 'mtg_m2.txt'), 'short');
+writeFileSync(join(dir, 'transcripts', 'notes.txt'), 'not a transcript');
+
+// ═══════════════════════════════════════════════════════════════
+// LOADER
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nM1 Loader');
+console.log('─'.repeat(50));
+
+await test('M1.1 loadRawData includes meetings and their transcripts', () => {
+  const raw = loadRawData();
+  expect(raw.meetings.length > 0).toBe(true);
+  expect(raw.companies.length > 0).toBe(true);
+  const withTranscript = raw.meetings.find(m => raw.transcripts.has(m.id));
+  expect(typeof raw.transcripts.get(withTranscript.id)).toBe('string');
+});
+
+await test('M1.2 a meetings dir is read through its manifest', () => {
+  const { meetings, transcripts } = loadMeetings(dir);
+  expect(meetings.map(m => m.id).join()).toBe('m1,m2');
+  expect([...transcripts.keys()].join()).toBe('m1,m2');
+  expect(transcripts.size).toBe(2);
+});
+
+await test('M1.3 no manifest, no meetings', () => {
+  const { meetings, transcripts } = loadMeetings(join(dir, 'missing'));
+  expect(meetings.length).toBe(0);
+  expect(transcripts.size).toBe(0);
+  expect(transcripts.get('m1')).toBe(undefined);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// TRANSCRIPT STORE
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nM2 Transcript store');
+console.log('─'.repeat(50));
+
+await test('M2.1 transcripts are cut at maxBytes', () => {
+  const store = createTranscriptStore(join(dir, 'transcripts'), { maxBytes: 10 });
+  expect(store.get('m1').length).toBe(10);
+  expect(store.get('m2')).toBe('short');
+  expect(store.truncated().join()).toBe('m1');
+});
+
+await test('M2.2 cache evicts past its budget and re-reads on demand', () => {
+  const store = createTranscriptStore(join(dir, 'transcripts'), { maxCacheBytes: 50 });
+  expect(store.get('m1').length).toBe(100);
+  expect(store.get('m2')).toBe('short');
+  expect(store.get('m1').length).toBe(100);
+});
+
+await test('M2.3 iterates like a Map', () => {
+  const store = createTranscriptStore(join(dir, 'transcripts'));
+  expect(new Map(store).get('m2')).toBe('short');
+  expect([...store.entries()].length).toBe(2);
+});
+
+await test('M2.4 asOf keeps transcripts of kept meetings only', () => {
+  const { data } = filterRawDataAsOf(loadMeetings(dir), new Date('2026-02-01T00:00:00.000Z'));
+  expect(data.transcripts.has('m1')).toBe(true);
+  expect(data.transcripts.has('m2')).toBe(false);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ENGINE
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nM3 compute() meetings');
+console.log('─'.repeat(50));
+
+await test('M3.1 a company matched by name gets meeting intelligence', () => {
+  const raw = loadRawData();
+  const [meeting] = raw.meetings;
+  const base = raw.companies.find(c => c.isPortfolio);
+  const matched = { ...base, id: 'c-meeting', name: meeting.title.split(/[+:-]/).pop().trim() };
+  const output = compute({ ...raw, companies: [...raw.companies, matched] }, new Date('2026-02-10T00:00:00Z'), { events: [] });
+  const derived = output.companies.find(c => c.id === 'c-meeting').derived.meetings;
+  expect(derived.engagementSignals.meetingCount > 0).toBe(true);
+});
+
+rmSync(dir, { recursive: true, force: true });
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n' + '═'.repeat(50));
+console.log('RAW MEETINGS SPEC SUMMARY');
+console.log('═'.repeat(50));
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  failures.forEach(f => console.log(`  - ${f.name}: ${f.error}`));
+  console.log('\n❌ RAW MEETINGS SPEC FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ RAW MEETINGS SPEC PASSED');
+  process.exit(0);
+}
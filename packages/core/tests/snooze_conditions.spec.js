@@ -0,0 +1,173 @@
+/**
+ * snooze_conditions.spec.js — Conditional snoozes
+ *
+ * Tests: constraint / metric_update / deal_status conditions, snooze
+ * payload validation, lifecycle resurfacing, and the engine's snooze context.
+ *
+ * Run: node tests/snooze_conditions.spec.js
+ */
+
+import { evaluateSnoozeCondition, captureSnoozeBaseline } from '../derive/snoozeConditions.js';
+import { reduceActionLifecycle, buildLifecycleMap, getSnoozeStatus, getExcludedActionIds } from '../derive/actionLifecycle.js';
+import { validateActionEvent } from '../raw/actionEventsSchema.js';
+import { createActionEvent } from '../raw/actionEvent.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    failures.push({ name, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) { if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`); },
+    async toThrowCode(code) {
+      try { await actual(); } catch (e) {
+        if (e.code !== code) throw new Error(`Expected error code ${code}, got ${e.code} (${e.message})`);
+        return e;
+      }
+      throw new Error('Expected function to throw');
+    }
+  };
+}
+
+const SINCE = '2026-02-01T09:00:00.000Z';
+const at = day => new Date(`2026-02-${String(day).padStart(2, '0')}T12:00:00.000Z`);
+
+const rawData = {
+  constraints: [
+    { id: 'cst-old', companyId: 'c1', type: 'board_meeting', title: 'Q4 Board', date: '2026-01-20' },
+    { id: 'cst-next', companyId: 'c1', type: 'board_meeting', title: 'Q1 Board', date: '2026-02-10' },
+    { id: 'cst-later', companyId: 'c1', type: 'board_meeting', title: 'Q2 Board', date: '2026-05-10' },
+    { id: 'cst-demo', companyId: 'c1', type: 'demo_day', title: 'Demo Day', date: '2026-02-05' }
+  ],
+  metricFacts: [
+    { id: 'mf-1', companyId: 'c1', metricKey: 'mrr', value: 100, asOf: '2026-01-15T00:00:00.000Z' }
+  ],
+  deals: [
+    { id: 'd1', companyId: 'c1', status: 'active', asOf: '2026-01-20T00:00:00.000Z' }
+  ]
+};
+
+const snooze = (payload, actionId = 'a1') => createActionEvent({
+  id: `evt-snooze-${actionId}`, actionId, eventType: 'snoozed', timestamp: SINCE, payload
+});
+
+// ═══════════════════════════════════════════════════════════════
+// CONDITIONS
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nS1 Conditions');
+console.log('─'.repeat(50));
+
+await test('S1.1 constraint: waits for the next matching constraint after the snooze', () => {
+  const condition = { type: 'constraint', companyId: 'c1', constraintType: 'board_meeting' };
+  const before = evaluateSnoozeCondition(condition, { rawData, since: SINCE, now: at(9) });
+  expect(before.fired).toBe(false);
+  expect(before.until).toBe('2026-02-10T00:00:00.000Z');
+  const after = evaluateSnoozeCondition(condition, { rawData, since: SINCE, now: at(10) });
+  expect(after.fired).toBe(true);
+  expect(after.reason).toBe('Q1 Board passed');
+});
+
+await test('S1.2 metric_update: fires only on a fact newer than the snooze', () => {
+  const condition = { type: 'metric_update', companyId: 'c1', metricKey: 'mrr' };
+  expect(evaluateSnoozeCondition(condition, { rawData, since: SINCE, now: at(9) }).fired).toBe(false);
+  const updated = { ...rawData, metricFacts: [...rawData.metricFacts, { id: 'mf-2', companyId: 'c1', metricKey: 'mrr', value: 120, asOf: '2026-02-08T00:00:00.000Z' }] };
+  const check = evaluateSnoozeCondition(condition, { rawData: updated, since: SINCE, now: at(9) });
+  expect(check.fired).toBe(true);
+  expect(check.firedAt).toBe('2026-02-08T00:00:00.000Z');
+});
+
+await test('S1.3 deal_status: baseline captured at snooze, fires when status moves', () => {
+  const condition = captureSnoozeBaseline({ type: 'deal_status', dealId: 'd1' }, rawData);
+  expect(condition.fromStatus).toBe('active');
+  expect(evaluateSnoozeCondition(condition, { rawData, since: SINCE, now: at(9) }).fired).toBe(false);
+  const won = { ...rawData, deals: [{ ...rawData.deals[0], status: 'won', asOf: '2026-02-06T00:00:00.000Z' }] };
+  const check = evaluateSnoozeCondition(condition, { rawData: won, since: SINCE, now: at(9) });
+  expect(check.fired).toBe(true);
+  expect(check.reason).toBe('deal d1 is now won');
+});
+
+await test('S1.4 missing data never fires', () => {
+  expect(evaluateSnoozeCondition({ type: 'deal_status', dealId: 'nope', fromStatus: 'active' }, { rawData, since: SINCE }).fired).toBe(false);
+  expect(evaluateSnoozeCondition({ type: 'metric_update', companyId: 'c1', metricKey: 'mrr' }, { since: SINCE }).fired).toBe(false);
+});
+
+await test('S1.5 schema: condition type and required fields', () => {
+  const base = { id: 'e', actionId: 'a1', eventType: 'snoozed', actor: 'tm-partner', timestamp: SINCE };
+  expect(validateActionEvent({ ...base, payload: { condition: { type: 'metric_update', companyId: 'c1', metricKey: 'mrr' } } }).valid).toBe(true);
+  expect(validateActionEvent({ ...base, payload: { condition: { type: 'metric_update', companyId: 'c1' } } }).valid).toBe(false);
+  expect(validateActionEvent({ ...base, payload: { condition: { type: 'full_moon' } } }).valid).toBe(false);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// LIFECYCLE
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nS2 Lifecycle');
+console.log('─'.repeat(50));
+
+await test('S2.1 conditional snooze holds, then resurfaces with the reason', () => {
+  const events = [snooze({ condition: { type: 'constraint', companyId: 'c1', constraintType: 'board_meeting' } })];
+  const held = reduceActionLifecycle('a1', events, at(9), { rawData });
+  expect(held.state).toBe('snoozed');
+  expect(held.overlay.waitingFor).toBe('until Q1 Board');
+  const back = reduceActionLifecycle('a1', events, at(11), { rawData });
+  expect(back.state).toBe('proposed');
+  expect(back.resurfaced.reason).toBe('Q1 Board passed');
+  expect(back.history[0].to).toBe('snoozed');
+});
+
+await test('S2.2 without raw data a conditional snooze holds', () => {
+  const events = [snooze({ condition: { type: 'metric_update', companyId: 'c1', metricKey: 'mrr' } })];
+  expect(reduceActionLifecycle('a1', events, at(28)).state).toBe('snoozed');
+});
+
+await test('S2.3 date or condition: whichever comes first', () => {
+  const events = [snooze({ until: '2026-02-05T00:00:00.000Z', condition: { type: 'constraint', companyId: 'c1', constraintType: 'board_meeting' } })];
+  const back = reduceActionLifecycle('a1', events, at(6), { rawData });
+  expect(back.state).toBe('proposed');
+  expect(back.resurfaced.reason).toBe('snooze date passed');
+});
+
+await test('S2.4 snooze status and exclusion', () => {
+  const lifecycles = buildLifecycleMap([
+    snooze({ until: '2026-03-01T00:00:00.000Z' }, 'held'),
+    snooze({ condition: { type: 'constraint', companyId: 'c1', constraintType: 'demo_day' } }, 'fired')
+  ], at(9), { rawData });
+  const { active, resurfaced } = getSnoozeStatus(lifecycles);
+  expect(active.map(s => s.actionId).join()).toBe('held');
+  expect(resurfaced.map(s => s.actionId).join()).toBe('fired');
+  expect(getExcludedActionIds(lifecycles).join()).toBe('held');
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n' + '═'.repeat(50));
+console.log('SNOOZE CONDITIONS SPEC SUMMARY');
+console.log('═'.repeat(50));
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  failures.forEach(f => console.log(`  - ${f.name}: ${f.error}`));
+  console.log('\n❌ SNOOZE CONDITIONS SPEC FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ SNOOZE CONDITIONS SPEC PASSED');
+  process.exit(0);
+}
@@ -0,0 +1,241 @@
+/**
+ * trace.spec.js — Per-node DAG execution tracing
+ *
+ * Tests: per-node timing, reads and sizes; failed, skipped and cache-reused
+ * nodes; the folded-stack export; and compute() output identical with
+ * tracing on and off.
+ *
+ * Run: node tests/trace.spec.js
+ */
+
+import { createTracer, toFoldedStacks, measureSize } from '../runtime/trace.js';
+import { compute, createEngineCache } from '../runtime/engine.js';
+import { loadRawData } from '../raw/loadRawData.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    failures.push({ name, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) { if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`); },
+    toBeTruthy() { if (!actual) throw new Error(`Expected truthy, got ${actual}`); },
+    toBeGreaterThan(expected) { if (!(actual > expected)) throw new Error(`Expected ${actual} > ${expected}`); },
+  };
+}
+
+// Some derivations read the wall clock (e.g. company age); pin it so
+// traced and untraced runs see the same instant.
+const RealDate = Date;
+const PINNED = RealDate.parse('2026-02-15T00:00:00Z');
+globalThis.Date = class extends RealDate {
+  constructor(...args) { super(...(args.length ? args : [PINNED])); }
+  static now() { return PINNED; }
+};
+
+// Timing fields, cache stats and the trace itself legitimately differ between runs
+const serialize = output => JSON.stringify(output, (key, value) => {
+  if (key === 'executionTimeMs' || key === 'durationMs' || key === 'cache' || key === 'trace') return undefined;
+  if (value instanceof Map) return Array.from(value.entries());
+  return value;
+});
+
+// Two-node graph: b reads a (declared) and c (undeclared)
+const graph = { a: [], b: ['a'] };
+
+// ═══════════════════════════════════════════════════════════════
+// NODE RECORDS
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nT1 Node records');
+console.log('─'.repeat(50));
+
+test('T1.1 each node run records ms, reads and sizes', () => {
+  const tracer = createTracer(graph);
+  const a = tracer.runNode('c1', 'a', {}, () => ({ items: [1, 2, 3] }));
+  const ctx = { a, c: 'unused' };
+  tracer.runNode('c1', 'b', ctx, view => ({ total: view.a.items.length, extra: view.c }));
+  const trace = tracer.finish();
+
+  const [recA, recB] = trace.companies[0].nodes;
+  expect(trace.companies[0].companyId).toBe('c1');
+  expect(typeof recA.ms).toBe('number');
+  expect(recA.outputSize).toBe(measureSize({ items: [1, 2, 3] }));
+  expect(recA.reads.length).toBe(0);
+  expect(recB.reads.join()).toBe('a,c');
+  expect(recB.undeclaredReads.join()).toBe('c');
+  expect(recB.inputSize).toBe(recA.outputSize);
+  expect(recB.cached).toBe(false);
+  expect(recB.error).toBe(null);
+});
+
+test('T1.2 sizes count Map entries; unserializable values report 0', () => {
+  expect(measureSize(new Map([['k', 1]]))).toBe(JSON.stringify([['k', 1]]).length);
+  const loop = {};
+  loop.self = loop;
+  expect(measureSize(loop)).toBe(0);
+  expect(measureSize(undefined)).toBe(0);
+});
+
+test('T1.3 a throwing node is recorded and the error rethrown', () => {
+  const tracer = createTracer(graph);
+  let thrown = null;
+  try {
+    tracer.runNode('c1', 'a', {}, () => { throw new Error('boom'); });
+  } catch (err) {
+    thrown = err;
+  }
+  expect(thrown.message).toBe('boom');
+  const trace = tracer.finish();
+  const [record] = trace.companies[0].nodes;
+  expect(record.error.message).toBe('boom');
+  expect(typeof record.error.stack).toBe('string');
+  expect(trace.byNode.a.errors).toBe(1);
+});
+
+test('T1.4 cache-reused nodes are recorded as cached with their output size', () => {
+  const tracer = createTracer(graph);
+  tracer.reuseNode('c1', 'a', { items: [1] });
+  tracer.runNode('c1', 'b', { a: { items: [1] } }, view => view.a.items.length);
+  const trace = tracer.finish();
+  const [reused, ran] = trace.companies[0].nodes;
+  expect(reused.cached).toBe(true);
+  expect(reused.ms).toBe(0);
+  expect(reused.outputSize).toBe(measureSize({ items: [1] }));
+  // Downstream input size still counts the reused output
+  expect(ran.inputSize).toBe(reused.outputSize);
+  expect(trace.byNode.a.cached).toBe(1);
+});
+
+test('T1.5 nodes skipped for a failed requirement are recorded with that upstream', () => {
+  const tracer = createTracer(graph);
+  try { tracer.runNode('c1', 'a', {}, () => { throw new Error('boom'); }); } catch { /* recorded */ }
+  tracer.skipNode('c1', 'b', ['a']);
+  const trace = tracer.finish();
+  const [, skipped] = trace.companies[0].nodes;
+  expect(skipped.node).toBe('b');
+  expect(skipped.skipped.upstream.join()).toBe('a');
+  expect(skipped.error).toBe(null);
+  expect(skipped.ms).toBe(0);
+  expect(trace.byNode.b.skipped).toBe(1);
+  expect(trace.flamegraph.includes(';b ')).toBe(false);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// FOLDED STACKS
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nT2 Folded stacks');
+console.log('─'.repeat(50));
+
+test('T2.1 one line per run, in microseconds; cached and skipped nodes omitted', () => {
+  const folded = toFoldedStacks({
+    companies: [{ companyId: 'c1', nodes: [
+      { node: 'a', ms: 1.5, cached: false },
+      { node: 'b', ms: 0, cached: true }
+    ] }],
+    phases: [{ phase: 'rerank', ms: 0.25 }]
+  });
+  expect(folded).toBe('compute;c1;a 1500\ncompute;portfolio;rerank 250');
+  const withSkip = toFoldedStacks({ companies: [{ companyId: 'c1', nodes: [{ node: 'b', ms: 0, skipped: { upstream: ['a'] } }] }] });
+  expect(withSkip).toBe('');
+});
+
+test('T2.2 finish() attaches the folded export', () => {
+  const tracer = createTracer(graph);
+  tracer.runNode('c1', 'a', {}, () => 1);
+  tracer.runPhase('rerank', () => null);
+  const trace = tracer.finish();
+  const lines = trace.flamegraph.split('\n');
+  expect(lines.length).toBe(2);
+  expect(/^compute;c1;a \d+$/.test(lines[0])).toBe(true);
+  expect(/^compute;portfolio;rerank \d+$/.test(lines[1])).toBe(true);
+  expect(trace.flamegraph).toBe(toFoldedStacks(trace));
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ENGINE
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nT3 compute() with trace');
+console.log('─'.repeat(50));
+
+const now = new Date(PINNED);
+const raw = loadRawData();
+const plain = compute(raw, now);
+const traced = compute(raw, now, { trace: true });
+
+test('T3.1 output is identical with tracing on and off', () => {
+  expect(plain.trace).toBe(undefined);
+  expect(serialize(traced)).toBe(serialize(plain));
+});
+
+test('T3.2 every company has a record for each node it ran', () => {
+  const { trace } = traced;
+  expect(trace.companies.length).toBeGreaterThan(0);
+  expect(trace.companies.every(c => c.nodes.some(n => n.node === 'actionRanker'))).toBe(true);
+  const ranker = trace.companies[0].nodes.find(n => n.node === 'actionRanker');
+  expect(ranker.reads.includes('actionImpact')).toBe(true);
+  expect(ranker.outputSize).toBeGreaterThan(0);
+  expect(trace.byNode.actionRanker.runs).toBe(trace.companies.length);
+  expect(trace.phases.some(p => p.phase === 'rerank')).toBe(true);
+  // Nothing fails on clean data, so nothing is skipped
+  expect(trace.companies.every(c => c.nodes.every(n => n.skipped === null))).toBe(true);
+  expect(trace.byNode.priority.skipped).toBe(0);
+});
+
+test('T3.3 a node that throws inside compute() is in the trace', () => {
+  const target = raw.companies.find(c => c.isPortfolio);
+  // founderPersonIds must be iterable; a number makes introOpportunity throw
+  const malformed = {
+    ...raw,
+    companies: raw.companies.map(c => (c.id === target.id ? { ...c, founderPersonIds: 5 } : c))
+  };
+  const { trace } = compute(malformed, now, { trace: true });
+  const company = trace.companies.find(c => c.companyId === target.id);
+  const record = company.nodes.find(n => n.node === 'introOpportunity');
+  expect(record.error.message.length).toBeGreaterThan(0);
+  expect(trace.byNode.introOpportunity.errors).toBe(1);
+});
+
+test('T3.4 a warm cache shows up as cached nodes', () => {
+  const cache = createEngineCache();
+  compute(raw, now, { cache });
+  const warm = compute(raw, now, { cache, trace: true });
+  const nodes = warm.trace.companies.flatMap(c => c.nodes);
+  expect(nodes.length).toBeGreaterThan(0);
+  expect(nodes.every(n => n.cached)).toBe(true);
+  expect(warm.trace.flamegraph.includes(`compute;${raw.companies[0].id};`)).toBe(false);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n' + '═'.repeat(50));
+console.log('TRACE SPEC SUMMARY');
+console.log('═'.repeat(50));
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  failures.forEach(f => console.log(`  - ${f.name}: ${f.error}`));
+  console.log('\n❌ TRACE SPEC FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ TRACE SPEC PASSED');
+  process.exit(0);
+}
@@ -0,0 +1,166 @@
+/**
+ * weight_sensitivity.spec.js — Ranking weight overrides and sensitivity
+ *
+ * Tests: resolveWeights validation and immutability, Kendall tau / top-k
+ * comparison, compute(..., { weightOverrides }) through the engine cache,
+ * and a small sensitivity sweep.
+ *
+ * Run: node tests/weight_sensitivity.spec.js
+ */
+
+import { kendallTau, compareTopK, runSensitivity } from '../runtime/sensitivity.js';
+import { compute, createEngineCache } from '../runtime/engine.js';
+import { WEIGHTS, resolveWeights } from '../decide/weights.js';
+import { loadRawData } from '../raw/loadRawData.js';
+
+let passed = 0;
+let failed = 0;
+const failures = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failed++;
+    failures.push({ name, error: error.message });
+    console.log(`  ✗ ${name}`);
+    console.log(`    Error: ${error.message}`);
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) { if (actual !== expected) throw new Error(`Expected ${expected}, got ${actual}`); },
+    toBeCloseTo(expected, eps = 1e-6) { if (Math.abs(actual - expected) > eps) throw new Error(`Expected ~${expected}, got ${actual}`); },
+    toBeGreaterThan(expected) { if (!(actual > expected)) throw new Error(`Expected ${actual} > ${expected}`); },
+    toThrow(pattern) {
+      try {
+        actual();
+      } catch (err) {
+        if (pattern && !pattern.test(err.message)) throw new Error(`Threw "${err.message}", expected ${pattern}`);
+        return;
+      }
+      throw new Error('Expected function to throw');
+    },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+// OVERRIDES
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nW1 resolveWeights');
+console.log('─'.repeat(50));
+
+test('W1.1 partial override merged, WEIGHTS untouched', () => {
+  const resolved = resolveWeights({ trustPenalty: { multiplier: 40 } });
+  expect(resolved.trustPenalty.multiplier).toBe(40);
+  expect(resolved.trustPenalty.threshold).toBe(WEIGHTS.trustPenalty.threshold);
+  expect(WEIGHTS.trustPenalty.multiplier).toBe(20);
+});
+
+test('W1.2 no overrides returns WEIGHTS itself', () => {
+  expect(resolveWeights(null)).toBe(WEIGHTS);
+});
+
+test('W1.3 unknown keys, non-ranking sections and non-numbers rejected', () => {
+  expect(() => resolveWeights({ trustPenalty: { multiplyer: 1 } })).toThrow(/unknown weight/);
+  expect(() => resolveWeights({ intro: { maxPathDepth: 2 } })).toThrow(/not an overridable/);
+  expect(() => resolveWeights({ sourceType: { goalBoost: '5' } })).toThrow(/finite number/);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// STABILITY METRICS
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nW2 Stability metrics');
+console.log('─'.repeat(50));
+
+test('W2.1 kendallTau: same order = 1, reversed = -1', () => {
+  expect(kendallTau(['a', 'b', 'c'], ['a', 'b', 'c', 'd'])).toBe(1);
+  expect(kendallTau(['a', 'b', 'c'], ['c', 'b', 'a'])).toBe(-1);
+  expect(kendallTau(['a'], ['a'])).toBe(null);
+});
+
+test('W2.2 actions missing from the variant tie at the end', () => {
+  // a,b keep order; c missing → (a,b),(a,c),(b,c) all concordant
+  expect(kendallTau(['a', 'b', 'c'], ['a', 'b'])).toBe(1);
+  // b,c both missing → tied pair counts neither way
+  expect(kendallTau(['a', 'b', 'c'], ['a'])).toBeCloseTo(2 / 3);
+});
+
+test('W2.3 compareTopK: overlap and flips', () => {
+  const result = compareTopK(['a', 'b', 'c', 'd'], ['b', 'a', 'd', 'c'], 3);
+  expect(result.overlap).toBeCloseTo(0.667, 1e-3);
+  expect(result.flippedIn.join()).toBe('d');
+  expect(result.flippedOut.join()).toBe('c');
+  expect(result.kendallTau).toBeCloseTo(1 / 3, 1e-3);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// ENGINE
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\nW3 compute(..., { weightOverrides })');
+console.log('─'.repeat(50));
+
+const raw = loadRawData();
+const now = new Date('2026-02-10T00:00:00Z');
+
+test('W3.1 override rescores ranking only; cache reuses upstream nodes', () => {
+  const cache = createEngineCache();
+  const base = compute(raw, now, { cache });
+  const bumped = compute(raw, now, { cache, weightOverrides: { sourceType: { goalBoost: 15 } } });
+  expect(bumped.meta.weightOverrides.sourceType.goalBoost).toBe(15);
+  expect(bumped.meta.cache.nodesReused).toBeGreaterThan(0);
+
+  const goal = base.actions.find(a => a.sources?.[0]?.sourceType === 'GOAL');
+  const after = bumped.actions.find(a => a.actionId === goal.actionId);
+  expect(after.rankComponents.sourceTypeBoost).toBe(15);
+  expect(WEIGHTS.sourceType.goalBoost).toBe(5);
+  expect(base.meta.weightOverrides === undefined).toBe(true);
+});
+
+test('W3.2 invalid overrides reported in meta.errors, defaults used', () => {
+  const output = compute(raw, now, { weightOverrides: { impact: { x: 1 } } });
+  expect(output.meta.errors.some(e => /not an overridable/.test(e))).toBe(true);
+  expect(output.meta.weightOverrides === undefined).toBe(true);
+});
+
+test('W3.3 sensitivity sweep reports one run per weight × factor', () => {
+  const report = runSensitivity(raw, {
+    now,
+    k: 10,
+    factors: [0, 2],
+    params: ['sourceType.issueBoost', 'patternLift.liftMax']
+  });
+  expect(report.runs.length).toBe(4);
+  expect(report.byParam.length).toBe(2);
+  expect(report.byParam[0].minOverlap <= report.byParam[1].minOverlap).toBe(true);
+  for (const run of report.runs) {
+    expect(run.flippedIn.length).toBe(run.flippedOut.length);
+    for (const id of run.flippedIn) expect(typeof report.titles[id]).toBe('string');
+  }
+  expect(() => runSensitivity(raw, { now, params: ['sourceType.nope'] })).toThrow(/unknown weight/);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════════
+
+console.log('\n' + '═'.repeat(50));
+console.log('WEIGHT SENSITIVITY SPEC SUMMARY');
+console.log('═'.repeat(50));
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  failures.forEach(f => console.log(`  - ${f.name}: ${f.error}`));
+  console.log('\n❌ WEIGHT SENSITIVITY SPEC FAILED');
+  process.exit(1);
+} else {
+  console.log('\n✅ WEIGHT SENSITIVITY SPEC PASSED');
+  process.exit(0);
+}
@@ -77,6 +77,11 @@ export default function ActionCard({ action, onClick }) {
                 Preventative
               </span>
             )}
+            {action.sources?.[0]?.sourceType === 'OPPORTUNITY' && (
+              <span className="px-1.5 py-0.5 text-[10px] font-mono rounded bg-bb-lime/20 text-bb-lime uppercase tracking-wide">
+                Opportunity
+              </span>
+            )}
           </div>
 
           {/* Title */}
@@ -1,6 +1,9 @@
 import { useState } from 'react';
 import Link from 'next/link';
 
+// Structured outcome (raw/actionEventsSchema.js VALID_OUTCOMES)
+const OUTCOMES = ['success', 'partial', 'failed', 'abandoned'];
+
 /**
  * ActionDetailModal - Full action detail view
  * 
@@ -8,10 +11,14 @@ import Link from 'next/link';
  * - Metric cards
  * - Goal impacts
  * - Step checklist
+ * - Owner (team assignment)
  * - Execute/Skip actions
+ * - Structured outcome capture after execution
  */
-export default function ActionDetailModal({ action, onClose, onExecute, onObserve, onSkip }) {
+export default function ActionDetailModal({ action, onClose, onExecute, onObserve, onSkip, team = [], onAssign }) {
   const [observation, setObservation] = useState('');
+  const [outcome, setOutcome] = useState(null);
+  const [timeToImpactDays, setTimeToImpactDays] = useState('');
   const [checkedSteps, setCheckedSteps] = useState(new Set());
 
   const {
@@ -28,7 +35,9 @@ export default function ActionDetailModal({ action, onClose, onExecute, onObserv
     steps = [],
     constraintDrivers = [],
     rankComponents = {},
+    assignee = null,
   } = action;
+  const opportunity = action.sources?.[0]?.sourceType === 'OPPORTUNITY' ? action.sources[0] : null;
 
   const handleStepToggle = (index) => {
     setCheckedSteps(prev => {
@@ -47,7 +56,11 @@ export default function ActionDetailModal({ action, onClose, onExecute, onObserv
   };
 
   const handleObserveClick = () => {
-    onObserve(observation);
+    onObserve({
+      notes: observation,
+      outcome,
+      timeToImpactDays: timeToImpactDays === '' ? undefined : Number(timeToImpactDays),
+    });
   };
 
   const handleSkipClick = () => {
@@ -98,7 +111,15 @@ export default function ActionDetailModal({ action, onClose, onExecute, onObserv
               <span className={`px-2 py-0.5 text-xs font-mono rounded ${lifecycleBadgeClass}`}>
                 {lifecycle?.toUpperCase()}
               </span>
+              {opportunity && (
+                <span className="px-2 py-0.5 text-xs font-mono rounded bg-bb-lime/20 text-bb-lime">
+                  OPPORTUNITY
+                </span>
+              )}
             </div>
+            {opportunity?.opportunityRationale && (
+              <p className="text-bb-text-secondary text-xs mt-2">{opportunity.opportunityRationale}</p>
+            )}
           </div>
           <button
             onClick={onClose}
@@ -126,6 +147,25 @@ export default function ActionDetailModal({ action, onClose, onExecute, onObserv
             </div>
           </div>
 
+          {/* Owner */}
+          {team.length > 0 && onAssign && (
+            <div className="flex items-center justify-between bg-bb-card border border-bb-border p-3">
+              <div className="text-bb-text-muted text-xs uppercase tracking-wider font-display">Owner</div>
+              <select
+                value={assignee || ''}
+                onChange={e => onAssign(e.target.value || null)}
+                className="px-2 py-1 bg-bb-panel border border-bb-border text-bb-text text-sm font-mono focus:border-bb-accent focus:outline-none"
+              >
+                <option value="">Unassigned</option>
+                {team.map(member => (
+                  <option key={member.id} value={member.id}>
+                    {member.name}{member.role ? ` · ${member.role}` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
           {/* Constraint Pressure (why this action is time-sensitive) */}
           {constraintDrivers.length > 0 && (
             <div className="bg-bb-card border border-bb-border p-4 border-l-2 border-l-bb-red">
@@ -294,6 +334,29 @@ export default function ActionDetailModal({ action, onClose, onExecute, onObserv
               <div className="text-bb-text-muted text-xs uppercase tracking-wider mb-2 font-display">
                 Observation
               </div>
+              <div className="flex flex-wrap items-center gap-2 mb-3">
+                {OUTCOMES.map(o => (
+                  <button
+                    key={o}
+                    onClick={() => setOutcome(o)}
+                    className={`px-3 py-1 text-xs font-mono border transition-colors ${
+                      outcome === o
+                        ? 'bg-bb-accent text-bb-dark border-bb-accent'
+                        : 'text-bb-text-secondary border-bb-border hover:border-bb-text-muted'
+                    }`}
+                  >
+                    {o}
+                  </button>
+                ))}
+                <input
+                  type="number"
+                  min="0"
+                  value={timeToImpactDays}
+                  onChange={e => setTimeToImpactDays(e.target.value)}
+                  placeholder="days to impact"
+                  className="w-32 px-2 py-1 bg-bb-card border border-bb-border text-bb-text placeholder-bb-text-muted text-xs font-mono focus:border-bb-accent focus:outline-none"
+                />
+              </div>
               <textarea
                 value={observation}
                 onChange={e => setObservation(e.target.value)}
@@ -325,7 +388,8 @@ export default function ActionDetailModal({ action, onClose, onExecute, onObserv
           {lifecycle === 'executed' && (
             <button
               onClick={handleObserveClick}
-              className="px-4 py-2 text-sm font-mono bg-bb-accent text-bb-dark hover:bg-bb-accent/90 transition-colors"
+              disabled={!outcome}
+              className="px-4 py-2 text-sm font-mono bg-bb-accent text-bb-dark hover:bg-bb-accent/90 transition-colors disabled:opacity-40"
             >
               Save Observation
             </button>
@@ -1,7 +1,8 @@
 /**
  * ActionSlot — Single category row within a CompanyCard
  *
- * Shows: category label, action title, impact badge, constraint urgency, done/skip buttons.
+ * Shows: category label, action title, opportunity marker, impact badge,
+ * constraint urgency, done/skip buttons.
  */
 
 import { getImpactBucket } from '../lib/actionCategories';
@@ -60,6 +61,16 @@ export default function ActionSlot({ slot, onActionClick, onDone, onSkip }) {
         {topAction.title}
       </button>
 
+      {/* Opportunity marker */}
+      {topAction.sources?.[0]?.sourceType === 'OPPORTUNITY' && (
+        <span
+          className="px-1 py-0 text-[8px] font-mono rounded bg-bb-lime/20 text-bb-lime flex-shrink-0"
+          title={topAction.sources[0].opportunityRationale || 'Opportunity'}
+        >
+          OPP
+        </span>
+      )}
+
       {/* Constraint urgency pip */}
       <ConstraintPip drivers={topAction.constraintDrivers} />
 
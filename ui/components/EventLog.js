@@ -33,8 +33,13 @@ export default function EventLog({ events, onClose }) {
                   {event.timestamp}
                 </div>
                 <div className="text-gray-800">
-                  {event.type}
+                  {event.eventType || event.type}
                 </div>
+                {(event.eventType || event.type) === 'snoozed' && (
+                  <div className="font-mono text-xs text-gray-500 mt-1">
+                    {snoozeDetail(event.payload)}
+                  </div>
+                )}
                 {event.actionId && (
                   <div className="font-mono text-xs text-gray-400 mt-1">
                     {event.actionId}
@@ -48,3 +53,15 @@ export default function EventLog({ events, onClose }) {
     </div>
   );
 }
+
+// Raw snooze payload: date and/or condition as recorded
+function snoozeDetail(payload = {}) {
+  const { until, condition } = payload;
+  const parts = [];
+  if (until) parts.push(`until ${until}`);
+  if (condition) {
+    const ref = condition.constraintType || condition.metricKey || condition.fromStatus || '';
+    parts.push(`until ${condition.type} ${condition.companyId || condition.dealId || ''} ${ref}`.trim());
+  }
+  return parts.join(' or ');
+}
@@ -0,0 +1,220 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * ManualActionForm - Partner-defined action
+ *
+ * Pick an entity, a resolution template (or write free steps) and the
+ * goals it moves. The definition is stored as a `created` event; impact
+ * and rank come from the engine like any generated action.
+ */
+export default function ManualActionForm({ onClose, onCreated }) {
+  const [options, setOptions] = useState(null);
+  const [entityType, setEntityType] = useState('company');
+  const [companyId, setCompanyId] = useState('');
+  const [entityId, setEntityId] = useState('');
+  const [title, setTitle] = useState('');
+  const [resolutionId, setResolutionId] = useState('');
+  const [stepsText, setStepsText] = useState('');
+  const [goalIds, setGoalIds] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch('/api/actions')
+      .then(res => (res.ok ? res.json() : Promise.reject(new Error('Failed to load form options'))))
+      .then(setOptions)
+      .catch(err => setError(err.message));
+  }, []);
+
+  const company = options?.companies.find(c => c.id === companyId);
+  const template = options?.templates.find(t => t.resolutionId === resolutionId);
+  const entityChoices = entityType === 'deal' ? company?.deals || []
+    : entityType === 'person' ? options?.people || []
+      : [];
+  // Goals belong to companies; portfolio people are rare, so person actions link none
+  const goals = entityType === 'person' ? [] : company?.goals || [];
+  const steps = stepsText.split('\n').map(s => s.trim()).filter(Boolean);
+  const targetId = entityType === 'company' ? companyId : entityId;
+  const canSave = title.trim() && targetId && (resolutionId || steps.length > 0) && !saving;
+
+  const toggleGoal = (goalId) => {
+    setGoalIds(prev => (prev.includes(goalId) ? prev.filter(id => id !== goalId) : [...prev, goalId]));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const res = await fetch('/api/actions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          entityRef: { type: entityType, id: targetId },
+          title,
+          resolutionId: resolutionId || undefined,
+          steps: steps.length > 0 ? steps : undefined,
+          goalIds: goalIds.length > 0 ? goalIds : undefined,
+        }),
+      });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || 'Failed to create action');
+      onCreated(body.actionId);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-2 py-1 bg-bb-card border border-bb-border text-bb-text placeholder-bb-text-muted text-sm font-mono focus:border-bb-accent focus:outline-none';
+  const labelClass = 'text-bb-text-muted text-xs uppercase tracking-wider mb-1 font-display';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+      {/* Backdrop */}
+      <div
+        className="absolute inset-0 bg-black/80 backdrop-blur-sm"
+        onClick={onClose}
+      />
+
+      {/* Modal */}
+      <div className="relative w-full max-w-xl max-h-[90vh] overflow-y-auto bg-bb-panel border border-bb-border animate-slide-up">
+        <div className="sticky top-0 bg-bb-panel border-b border-bb-border p-4 flex items-start justify-between">
+          <h2 className="text-lg font-medium text-bb-text">New Action</h2>
+          <button
+            onClick={onClose}
+            className="text-bb-text-muted hover:text-bb-text text-xl leading-none p-1"
+          >
+            ×
+          </button>
+        </div>
+
+        {!options && !error && (
+          <div className="flex items-center justify-center py-12">
+            <div className="w-6 h-6 border-2 border-bb-accent border-t-transparent rounded-full animate-spin" />
+          </div>
+        )}
+
+        {options && (
+          <div className="p-4 space-y-4">
+            {/* Entity */}
+            <div className="grid grid-cols-3 gap-3">
+              <div>
+                <div className={labelClass}>Type</div>
+                <select
+                  value={entityType}
+                  onChange={e => { setEntityType(e.target.value); setEntityId(''); }}
+                  className={inputClass}
+                >
+                  {options.entityTypes.map(type => (
+                    <option key={type} value={type}>{type}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-span-2">
+                <div className={labelClass}>Company</div>
+                <select
+                  value={companyId}
+                  onChange={e => { setCompanyId(e.target.value); setEntityId(''); setGoalIds([]); }}
+                  className={inputClass}
+                >
+                  <option value="">—</option>
+                  {options.companies.map(c => (
+                    <option key={c.id} value={c.id}>{c.name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {entityType !== 'company' && (
+              <div>
+                <div className={labelClass}>{entityType}</div>
+                <select value={entityId} onChange={e => setEntityId(e.target.value)} className={inputClass}>
+                  <option value="">—</option>
+                  {entityChoices.map(e => (
+                    <option key={e.id} value={e.id}>{e.name}{e.org ? ` · ${e.org}` : ''}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {/* What */}
+            <div>
+              <div className={labelClass}>Title</div>
+              <input
+                value={title}
+                onChange={e => setTitle(e.target.value)}
+                placeholder="What needs to happen?"
+                className={inputClass}
+              />
+            </div>
+
+            <div>
+              <div className={labelClass}>Template</div>
+              <select value={resolutionId} onChange={e => setResolutionId(e.target.value)} className={inputClass}>
+                <option value="">Free steps</option>
+                {options.templates.map(t => (
+                  <option key={t.resolutionId} value={t.resolutionId}>{t.title}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <div className={labelClass}>Steps</div>
+              <textarea
+                value={stepsText}
+                onChange={e => setStepsText(e.target.value)}
+                placeholder={template ? template.steps.join('\n') : 'One step per line'}
+                className={`${inputClass} h-24 resize-none`}
+              />
+            </div>
+
+            {/* Goals */}
+            {goals.length > 0 && (
+              <div>
+                <div className={labelClass}>Goals</div>
+                <div className="flex flex-wrap gap-2">
+                  {goals.map(g => (
+                    <button
+                      key={g.id}
+                      onClick={() => toggleGoal(g.id)}
+                      className={`px-3 py-1 text-xs font-mono border transition-colors ${
+                        goalIds.includes(g.id)
+                          ? 'bg-bb-accent text-bb-dark border-bb-accent'
+                          : 'text-bb-text-secondary border-bb-border hover:border-bb-text-muted'
+                      }`}
+                    >
+                      {g.name}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {error && (
+          <div className="mx-4 mb-4 bg-bb-card border border-bb-red p-3 text-bb-red font-mono text-xs">
+            {error}
+          </div>
+        )}
+
+        <div className="sticky bottom-0 bg-bb-panel border-t border-bb-border p-4 flex items-center justify-end gap-3">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-mono text-bb-text-muted hover:text-bb-text border border-bb-border hover:border-bb-text-muted transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={!canSave}
+            className="px-4 py-2 text-sm font-mono bg-bb-accent text-bb-dark hover:bg-bb-accent/90 transition-colors disabled:opacity-40"
+          >
+            Add Action
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+/**
+ * ProposedMetrics Section
+ * Displays: metricFacts proposed from meeting notes/transcripts, awaiting review
+ *
+ * Fetches the company's pending proposals from /api/meetings/metrics.
+ * Accept, edit (corrected value) or reject each one; accepted facts feed
+ * Core Metrics on the next engine run.
+ */
+import { useState, useEffect } from 'react';
+import SectionWrapper from '../shared/SectionWrapper';
+import EmptyState from '../shared/EmptyState';
+
+function fmtValue(value, unit) {
+  if (unit === 'percentage') return `${value}%`;
+  if (unit === 'count' || unit === 'score') return value.toLocaleString();
+  const money = value >= 1000000 ? `$${(value / 1000000).toFixed(1)}M`
+    : value >= 1000 ? `$${(value / 1000).toFixed(0)}K`
+      : `$${value}`;
+  if (unit === 'usd_monthly') return `${money}/mo`;
+  if (unit === 'usd_annual') return `${money}/yr`;
+  return money;
+}
+
+function ProposalCard({ proposal, onReview }) {
+  const { fact } = proposal;
+  const [editing, setEditing] = useState(false);
+  const [value, setValue] = useState(String(fact.value));
+  const [saving, setSaving] = useState(false);
+
+  const review = async (decision, extra = {}) => {
+    setSaving(true);
+    await onReview(proposal.proposalId, decision, extra);
+    setSaving(false);
+  };
+
+  const buttonClass = 'px-2 py-0.5 text-xs font-mono border border-bb-border hover:border-bb-accent disabled:opacity-50';
+
+  return (
+    <div className="p-3 bg-bb-card border border-bb-border">
+      <div className="flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <div className="text-xs text-bb-text-muted uppercase tracking-wide">{fact.metricKey.replace(/_/g, ' ')}</div>
+          <div className="text-lg font-semibold">{fmtValue(fact.value, fact.unit)}</div>
+          <div className="text-xs text-bb-text-secondary mt-1 truncate" title={proposal.mention}>“{proposal.mention}”</div>
+          <div className="text-xs text-bb-text-muted mt-1">
+            {proposal.meetingTitle} · {fact.asOf.slice(0, 10)}
+          </div>
+        </div>
+        <div className="flex-shrink-0 flex flex-col items-end gap-1">
+          {editing ? (
+            <div className="flex items-center gap-1">
+              <input
+                type="number"
+                value={value}
+                onChange={e => setValue(e.target.value)}
+                className="w-28 px-2 py-0.5 bg-bb-card border border-bb-border text-bb-text text-xs font-mono focus:border-bb-accent focus:outline-none"
+              />
+              <button
+                className={buttonClass}
+                disabled={saving || value === '' || !Number.isFinite(Number(value))}
+                onClick={() => review('edit', { value: Number(value) })}
+              >
+                Save
+              </button>
+            </div>
+          ) : (
+            <div className="flex items-center gap-1">
+              <button className={`${buttonClass} text-bb-green`} disabled={saving} onClick={() => review('accept')}>Accept</button>
+              <button className={buttonClass} disabled={saving} onClick={() => setEditing(true)}>Edit</button>
+              <button className={`${buttonClass} text-bb-red`} disabled={saving} onClick={() => review('reject')}>Reject</button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function ProposedMetrics({ data }) {
+  const [proposals, setProposals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const companyId = data?.id;
+
+  useEffect(() => {
+    if (!companyId) return;
+
+    fetch(`/api/meetings/metrics?companyId=${encodeURIComponent(companyId)}`)
+      .then(res => res.ok ? res.json() : Promise.reject(new Error('Failed')))
+      .then(result => {
+        setProposals(result.proposals || []);
+        setLoading(false);
+      })
+      .catch(() => setLoading(false));
+  }, [companyId]);
+
+  const handleReview = async (proposalId, decision, extra) => {
+    setError(null);
+    try {
+      const res = await fetch('/api/meetings/metrics', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ proposalId, decision, ...extra }),
+      });
+      const body = await res.json();
+      if (!res.ok) throw new Error(body.error || 'Failed to record review');
+      setProposals(prev => prev.filter(p => p.proposalId !== proposalId));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <SectionWrapper label="Proposed Metrics">
+        <div className="text-sm text-bb-text-muted font-mono animate-pulse">Loading...</div>
+      </SectionWrapper>
+    );
+  }
+
+  if (proposals.length === 0) {
+    return (
+      <SectionWrapper label="Proposed Metrics">
+        <EmptyState message="No metrics from meetings awaiting review" />
+      </SectionWrapper>
+    );
+  }
+
+  return (
+    <SectionWrapper label="Proposed Metrics">
+      {error && <div className="text-xs text-bb-red font-mono mb-2">{error}</div>}
+      <div className="space-y-2">
+        {proposals.map(p => (
+          <ProposalCard key={p.proposalId} proposal={p} onReview={handleReview} />
+        ))}
+      </div>
+    </SectionWrapper>
+  );
+}
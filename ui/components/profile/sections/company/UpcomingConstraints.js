@@ -21,6 +21,7 @@ const TYPE_LABELS = {
   ROUND_STALL: 'Round Stall',
   LEAD_VACANCY: 'Lead Vacancy',
   MEETING_RISK: 'Meeting Risk',
+  MEETING_COMMITMENT_OVERDUE: 'Overdue Commitment',
 };
 
 // Type badge colors
@@ -11,8 +11,10 @@ export default function PersonActivitySignals({ data }) {
   // Activity signals would come from events/actions system
   const signals = data?.activitySignals || data?.recentActivity || [];
   const lastTouchAt = data?.relationships?.[0]?.lastTouchAt;
+  // Intro capital from the intro ledger (shown once this person has introduced)
+  const capital = data?.introCapital?.requested > 0 ? data.introCapital : null;
 
-  if (signals.length === 0 && !lastTouchAt) {
+  if (signals.length === 0 && !lastTouchAt && !capital) {
     return (
       <SectionWrapper label="Activity Signals">
         <EmptyState message="No recent activity signals" />
@@ -31,6 +33,20 @@ export default function PersonActivitySignals({ data }) {
             </span>
           </div>
         )}
+        {capital && (
+          <div className="text-sm">
+            <span className="text-bb-text-muted">Intro Capital:</span>{' '}
+            <span className={`font-medium ${capital.capitalRemaining === 0 ? 'text-bb-red' : ''}`}>
+              {capital.capitalRemaining === 0
+                ? 'Exhausted'
+                : `${capital.capitalRemaining} ${capital.capitalRemaining === 1 ? 'ask' : 'asks'} left`}
+            </span>
+            <div className="text-xs text-bb-text-muted">
+              {capital.requested} requested · {capital.sent} sent · {capital.converted} converted
+              {' · '}reputation {Math.round(capital.reputation * 100)}%
+            </div>
+          </div>
+        )}
         {signals.length > 0 && (
           <div className="space-y-2">
             {signals.map((signal, i) => (
@@ -1,13 +1,102 @@
 /**
  * PersonRelationshipMap Section
- * Displays person's relationships with other people
+ * Displays person's relationships with other people, and the best intro
+ * paths to this person from someone you name (/api/intro-paths)
  * 
  * BB-UI-PROFILES-CONTRACT-v1.0: Section [P2]
  */
+import { useState } from 'react';
 import SectionWrapper from '../shared/SectionWrapper';
 import EmptyState from '../shared/EmptyState';
 import EntityLink from '../../../links/EntityLink';
 
+function IntroPath({ path, selected, onSelect }) {
+  return (
+    <div
+      className={`p-2 rounded cursor-pointer ${selected ? 'bg-bb-panel border border-bb-blue' : 'bg-bb-panel hover:bg-bb-card'}`}
+      onClick={onSelect}
+    >
+      <div className="text-sm flex items-center justify-between">
+        <span>
+          {path.path.map((id, i) => (
+            <span key={id}>
+              {i > 0 && <span className="text-bb-text-muted"> → </span>}
+              <EntityLink type="person" id={id} className="text-bb-blue hover:underline">
+                {path.names[i]}
+              </EntityLink>
+            </span>
+          ))}
+        </span>
+        <span className="text-xs font-mono text-bb-text-muted">{path.score}</span>
+      </div>
+      <div className="text-xs text-bb-text-muted mt-1">
+        {path.hops} {path.hops === 1 ? 'hop' : 'hops'}
+        {path.introducer && ` · ${path.introducer.capitalRemaining} asks left`}
+        {' · '}trust risk {path.trustRisk.band}
+      </div>
+      {selected && (
+        <ul className="text-xs text-bb-text-secondary mt-2 space-y-1">
+          {path.explain.map((line, i) => <li key={i}>{line}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function IntroPaths({ personId }) {
+  const [from, setFrom] = useState('');
+  const [result, setResult] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const search = (e) => {
+    e.preventDefault();
+    if (!from.trim()) return;
+    setError(null);
+    fetch(`/api/intro-paths?from=${encodeURIComponent(from.trim())}&to=${encodeURIComponent(personId)}`)
+      .then(res => res.json().then(body => res.ok ? body : Promise.reject(new Error(body.error || 'Failed'))))
+      .then(body => {
+        setResult(body);
+        setSelectedId(body.paths[0]?.id || null);
+      })
+      .catch(err => {
+        setResult(null);
+        setError(err.message);
+      });
+  };
+
+  return (
+    <div>
+      <div className="text-xs text-bb-text-muted uppercase tracking-wide mb-2">Intro Paths</div>
+      <form onSubmit={search} className="flex gap-2 mb-2">
+        <input
+          value={from}
+          onChange={(e) => setFrom(e.target.value)}
+          placeholder="From person id"
+          className="flex-1 text-sm px-2 py-1 bg-bb-panel border border-bb-border rounded"
+        />
+        <button type="submit" className="text-sm px-3 py-1 bg-bb-blue text-white rounded">Find</button>
+      </form>
+      {error && <div className="text-xs text-bb-red">{error}</div>}
+      {result && result.paths.length === 0 && (
+        <div className="text-xs text-bb-text-muted">No path within reach</div>
+      )}
+      {result && (
+        <div className="space-y-2">
+          {result.paths.map(path => (
+            <IntroPath
+              key={path.id}
+              path={path}
+              selected={path.id === selectedId}
+              onSelect={() => setSelectedId(path.id)}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
 export default function PersonRelationshipMap({ data }) {
   const relationships = data?.relationships || [];
 
@@ -54,6 +143,7 @@ export default function PersonRelationshipMap({ data }) {
             </div>
           </div>
         ))}
+        {data?.id && <IntroPaths personId={data.id} />}
       </div>
     </SectionWrapper>
   );
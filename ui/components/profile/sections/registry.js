@@ -23,6 +23,7 @@ import { ENTITY_TYPES } from '../../../lib/entities/entityTypes';
 import CompanySnapshot from './company/CompanySnapshot';
 import CompanyFunding from './company/CompanyFunding';
 import CompanyCoreMetrics from './company/CompanyCoreMetrics';
+import ProposedMetrics from './company/ProposedMetrics';
 import CompanyRelationships from './company/CompanyRelationships';
 import CompanyGoalsIssues from './company/CompanyGoalsIssues';
 import UpcomingConstraints from './company/UpcomingConstraints';
@@ -76,6 +77,7 @@ const SECTION_REGISTRY = {
     { key: 'snapshot', component: CompanySnapshot, label: 'Snapshot' },
     { key: 'funding', component: CompanyFunding, label: 'Funding History' },
     { key: 'core-metrics', component: CompanyCoreMetrics, label: 'Core Metrics' },
+    { key: 'proposed-metrics', component: ProposedMetrics, label: 'Proposed Metrics' },
     { key: 'relationships', component: CompanyRelationships, label: 'Relationships' },
     { key: 'goals-issues', component: CompanyGoalsIssues, label: 'Goals & Issues' },
     { key: 'upcoming-constraints', component: UpcomingConstraints, label: 'Upcoming Constraints' },
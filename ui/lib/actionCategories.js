@@ -24,6 +24,7 @@ const CATEGORY_MAP = {
   RESOLVE_DATA_STALE:       'data',
   INTRODUCTION:             'intros',
   FOLLOWUP:                 'intros',
+  NETWORK_INTRO:            'intros',
 
   // Goal-driven action templates (goalType_category)
   REVENUE_GROWTH:                   'growth',
@@ -71,6 +72,13 @@ const CATEGORY_MAP = {
   RELATIONSHIP_BUILD_INTROS:        'intros',
   RELATIONSHIP_BUILD_GOALS:         'goals',
   RELATIONSHIP_BUILD_PIPELINE:      'pipeline',
+
+  // Opportunity resolutions (positive-sum, predict/opportunityActions.js)
+  LEVERAGE_RELATIONSHIP:    'intros',
+  CAPTURE_TIMING_WINDOW:    'growth',
+  BROKER_PORTFOLIO_SYNERGY: 'intros',
+  APPLY_GOAL_ACCELERATOR:   'goals',
+  BUILD_OPTIONALITY:        'intros',
 };
 
 const CATEGORY_META = {
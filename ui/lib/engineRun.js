@@ -0,0 +1,69 @@
+/**
+ * engineRun.js — Shared engine run for API routes
+ *
+ * One engine cache per server process; every route that needs the ranked
+ * action set (today's queue, write-time action id checks) reuses it. Write
+ * routes check action ids against the last run rather than computing again.
+ */
+
+import { compute, createEngineCache } from '@backbone/core/runtime/engine';
+import { loadRawData } from '@backbone/core/raw/loadRawData.js';
+
+// Engine cache survives across requests in the same server process.
+// Only nodes whose inputs changed since the last request re-run.
+const engineCache = createEngineCache();
+
+// `now` is an engine input; flooring it lets requests within the same
+// minute reuse every cached node instead of invalidating on each call.
+const NOW_GRANULARITY_MS = 60 * 1000;
+
+// Last run in this process: the queue partners are acting on
+let lastRun = null;
+
+// Parse date strings recursively throughout the entire object tree
+export function parseDates(obj) {
+  if (!obj) return obj;
+  if (Array.isArray(obj)) return obj.map(parseDates);
+  if (typeof obj !== 'object') {
+    // Check if this string looks like an ISO date
+    if (typeof obj === 'string' && /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2}(\.\d{3})?Z?)?$/.test(obj)) {
+      return new Date(obj);
+    }
+    return obj;
+  }
+  
+  const parsed = {};
+  for (const [key, value] of Object.entries(obj)) {
+    parsed[key] = parseDates(value);
+  }
+  return parsed;
+}
+
+/**
+ * Run the engine over current raw data and the given event log.
+ * @param {Object[]} events - From eventStore.getEvents()
+ * @returns {{ rawData: Object, now: Date, result: Object }}
+ */
+export function runEngine(events) {
+  // The transcript store is a lazy Map-like object; keep it out of parseDates
+  const { transcripts, ...data } = loadRawData();
+  const rawData = { ...parseDates(data), transcripts };
+  const now = new Date(Math.floor(Date.now() / NOW_GRANULARITY_MS) * NOW_GRANULARITY_MS);
+  const result = compute(rawData, now, { events, cache: engineCache });
+  lastRun = { result, knownActionIds: null };
+  return { rawData, now, result };
+}
+
+/**
+ * Ids of actions the engine currently proposes, from the last run in this
+ * process. Only a process that has not run the engine yet computes here.
+ * @param {Function} loadEvents - Returns the event log (e.g. eventStore.getEvents)
+ * @returns {Promise<Set<string>>}
+ */
+export async function getKnownActionIds(loadEvents) {
+  if (!lastRun) runEngine(await loadEvents());
+  if (!lastRun.knownActionIds) {
+    lastRun.knownActionIds = new Set((lastRun.result.actions || []).map(a => a.actionId));
+  }
+  return lastRun.knownActionIds;
+}
@@ -0,0 +1,43 @@
+/**
+ * introLedger.js — Intro outcome records as action events
+ *
+ * Each change to an IntroOutcome (@backbone/core/raw/introOutcome.js) is
+ * stored as an `intro_outcome` event on the intro action's stream, carrying
+ * the full record. The engine replays them (derive/introLedger.js).
+ */
+
+import { randomUUID } from 'crypto';
+import { createActionEvent } from '@backbone/core/raw/actionEvent.js';
+import { createIntroOutcome } from '@backbone/core/raw/introOutcome.js';
+
+/**
+ * New outcome record for an intro action. Status defaults to 'sent':
+ * records are usually created when the intro goes out.
+ */
+export function newIntroOutcome({ actionId, introducerPersonId, targetPersonId, targetOrgId, companyId, introType, pathType, status = 'sent' }) {
+  return createIntroOutcome({
+    id: `io-${randomUUID().slice(0, 12)}`,
+    actionId,
+    introducerPersonId,
+    targetPersonId: targetPersonId || null,
+    targetOrgId: targetOrgId || null,
+    companyId: companyId || null,
+    introType: introType || null,
+    ...(pathType && { pathType }),
+    status
+  });
+}
+
+/**
+ * The event that persists `outcome` (its current state).
+ */
+export function introOutcomeEvent(outcome, actor) {
+  return createActionEvent({
+    actionId: outcome.actionId,
+    entityId: outcome.companyId,
+    eventType: 'intro_outcome',
+    actor,
+    timestamp: outcome.statusUpdatedAt,
+    payload: { introOutcome: outcome }
+  });
+}
@@ -9,9 +9,28 @@ const nextConfig = {
     resolveAlias: {
       '@backbone/core/runtime/engine': '../packages/core/runtime/engine',
       '@backbone/core/raw/loadRawData.js': '../packages/core/raw/loadRawData.js',
+      '@backbone/core/raw/actionEvent.js': '../packages/core/raw/actionEvent.js',
+      '@backbone/core/raw/actionEventsSchema.js': '../packages/core/raw/actionEventsSchema.js',
+      '@backbone/core/runtime/eventStore.js': '../packages/core/runtime/eventStore.js',
+      '@backbone/core/derive/assignments.js': '../packages/core/derive/assignments.js',
+      '@backbone/core/derive/actionLifecycle.js': '../packages/core/derive/actionLifecycle.js',
+      '@backbone/core/derive/snoozeConditions.js': '../packages/core/derive/snoozeConditions.js',
+      '@backbone/core/predict/manualActions.js': '../packages/core/predict/manualActions.js',
+      '@backbone/core/raw/introOutcome.js': '../packages/core/raw/introOutcome.js',
+      '@backbone/core/derive/introLedger.js': '../packages/core/derive/introLedger.js',
+      '@backbone/core/derive/entityResolution.js': '../packages/core/derive/entityResolution.js',
+      '@backbone/core/derive/metricProposals.js': '../packages/core/derive/metricProposals.js',
+      '@backbone/core/raw/metricFactSchema.js': '../packages/core/raw/metricFactSchema.js',
+      '@backbone/core/predict/introCapital.js': '../packages/core/predict/introCapital.js',
+      '@backbone/core/predict/introPaths.js': '../packages/core/predict/introPaths.js',
+      '@backbone/core/decide/planner.js': '../packages/core/decide/planner.js',
     },
   },
 
+  // Native driver for the sqlite event store backend: load it from
+  // node_modules at runtime rather than bundling it
+  serverExternalPackages: ['better-sqlite3'],
+
   // Include raw data files that loadRawData.js reads via fs at runtime
   // (Turbopack can't trace readFileSync with computed paths)
   outputFileTracingIncludes: {
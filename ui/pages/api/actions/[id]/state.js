@@ -0,0 +1,38 @@
+import { loadRawData } from '@backbone/core/raw/loadRawData.js';
+import { nextEventTypes, reduceActionLifecycle } from '@backbone/core/derive/actionLifecycle.js';
+import { getActionLifecycle, getEvents } from '../../eventStore.js';
+import { getKnownActionIds } from '../../../../lib/engineRun';
+
+/**
+ * GET /api/actions/[id]/state
+ *
+ * Lifecycle state of one action, folded from its events
+ * (derive/actionLifecycle.js): effective state, underlying state,
+ * active skip/snooze overlay (with what a conditional snooze waits for),
+ * how it last resurfaced, transition history, any recorded violations,
+ * and the event types that would be legal next.
+ *
+ * 404 when the action has no events and the engine does not propose it.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id } = req.query;
+
+  try {
+    let lifecycle = await getActionLifecycle(id, new Date(), loadRawData());
+    if (!lifecycle) {
+      if (!(await getKnownActionIds(getEvents)).has(id)) {
+        return res.status(404).json({ error: `Unknown action: ${id}` });
+      }
+      lifecycle = reduceActionLifecycle(id, []);
+    }
+
+    return res.status(200).json({ ...lifecycle, allowedNext: nextEventTypes(lifecycle) });
+  } catch (err) {
+    console.error('Lifecycle state error:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,64 @@
+import { loadRawData } from '@backbone/core/raw/loadRawData.js';
+import { buildAssignmentMap, validateAssignee } from '@backbone/core/derive/assignments.js';
+import { createActionEvent } from '@backbone/core/raw/actionEvent.js';
+import { addEvent, getEvents, getEventsForAction, idempotencyKeyFrom, eventErrorStatus } from '../eventStore.js';
+import { getKnownActionIds } from '../../../lib/engineRun';
+
+/**
+ * Action ownership: Assign endpoint
+ *
+ * Records an 'assigned' event. Ownership is replayed from the event log,
+ * so re-assignment keeps the full history. assignee = null unassigns.
+ *
+ * Body: { actionId, entityId?, assignee, actor? }
+ * Returns the action's current assignment and history.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { actionId, entityId, assignee, actor } = req.body;
+
+  if (!actionId) {
+    return res.status(400).json({ error: 'actionId required' });
+  }
+
+  if (assignee === undefined) {
+    return res.status(400).json({ error: 'assignee required (team member id, or null to unassign)' });
+  }
+
+  try {
+    const team = loadRawData().team || [];
+    const check = validateAssignee(assignee, team);
+    if (!check.valid) {
+      return res.status(400).json({ error: check.error });
+    }
+
+    const current = buildAssignmentMap(await getEventsForAction(actionId)).get(actionId);
+
+    await addEvent(createActionEvent({
+      actionId,
+      entityId: entityId || null,
+      eventType: 'assigned',
+      actor,
+      payload: {
+        assignee,
+        previousAssignee: current?.assignee ?? null
+      }
+    }), {
+      idempotencyKey: idempotencyKeyFrom(req),
+      knownActionIds: await getKnownActionIds(getEvents)
+    });
+
+    const assignment = buildAssignmentMap(await getEventsForAction(actionId)).get(actionId);
+    return res.status(200).json({ actionId, ...assignment });
+  } catch (err) {
+    const status = eventErrorStatus(err);
+    if (status) {
+      return res.status(status).json({ error: err.message, details: err.errors, lifecycle: err.lifecycle });
+    }
+    console.error('Error saving event:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -1,11 +1,13 @@
-import { addEvent } from '../eventStore.js';
+import { createActionEvent } from '@backbone/core/raw/actionEvent.js';
+import { addEvent, getEvents, idempotencyKeyFrom, eventErrorStatus } from '../eventStore.js';
+import { getKnownActionIds } from '../../../lib/engineRun';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { actionId, entityId, completedAt } = req.body;
+  const { actionId, entityId, actionType, completedAt, actor } = req.body;
 
   if (!actionId) {
     return res.status(400).json({ error: 'actionId required' });
@@ -16,18 +18,25 @@ export default async function handler(req, res) {
   }
 
   try {
-    const newEvent = await addEvent({
-      id: `evt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    const newEvent = await addEvent(createActionEvent({
       actionId,
       entityId: entityId || null,
-      type: 'completed',
+      eventType: 'completed',
+      actor,
       timestamp: completedAt,
-      payload: {}
+      payload: { actionType: actionType || null }
+    }), {
+      idempotencyKey: idempotencyKeyFrom(req),
+      knownActionIds: await getKnownActionIds(getEvents)
     });
     
     console.log('Action completed:', newEvent);
     return res.status(204).end();
   } catch (err) {
+    const status = eventErrorStatus(err);
+    if (status) {
+      return res.status(status).json({ error: err.message, details: err.errors, lifecycle: err.lifecycle });
+    }
     console.error('Error saving event:', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
@@ -1,17 +1,28 @@
-import { addEvent } from '../eventStore.js';
+import { createActionEvent } from '@backbone/core/raw/actionEvent.js';
+import { validateIntroOutcome } from '@backbone/core/raw/introOutcome.js';
+import { addEvent, getEvents, idempotencyKeyFrom, eventErrorStatus } from '../eventStore.js';
+import { getKnownActionIds } from '../../../lib/engineRun';
+import { newIntroOutcome, introOutcomeEvent } from '../../../lib/introLedger';
 
 /**
  * UI-2 Action Lifecycle: Execute endpoint
  * 
  * Records the 'executed' event - action was performed.
  * No backward transitions allowed per contract.
+ *
+ * Executing a NETWORK_INTRO action with body.intro
+ * ({ introducerPersonId, targetPersonId?, targetOrgId?, companyId? })
+ * also opens its intro outcome as 'sent' (see /api/intros). The intro is
+ * validated before anything is written, and both appends share the request's
+ * idempotency key (default: action id + executedAt), so a retry after a
+ * partial write completes it instead of failing or duplicating.
  */
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { actionId, entityId, executedAt } = req.body;
+  const { actionId, entityId, actionType, executedAt, actor, intro } = req.body;
 
   if (!actionId) {
     return res.status(400).json({ error: 'actionId required' });
@@ -21,19 +32,41 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: 'executedAt timestamp required' });
   }
 
+  const outcome = actionType === 'NETWORK_INTRO' && intro
+    ? { ...newIntroOutcome({ ...intro, actionId, companyId: intro.companyId || entityId }), createdAt: executedAt, statusUpdatedAt: executedAt }
+    : null;
+  if (outcome) {
+    const { valid, errors } = validateIntroOutcome(outcome);
+    if (!valid) {
+      return res.status(400).json({ error: 'Invalid intro', details: errors });
+    }
+  }
+  const requestKey = idempotencyKeyFrom(req) || `execute-${actionId}-${executedAt}`;
+
   try {
-    const newEvent = await addEvent({
-      id: `evt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    const newEvent = await addEvent(createActionEvent({
       actionId,
       entityId: entityId || null,
-      type: 'executed',
+      eventType: 'executed',
+      actor,
       timestamp: executedAt,
-      payload: {}
+      payload: { actionType: actionType || null }
+    }), {
+      idempotencyKey: requestKey,
+      knownActionIds: await getKnownActionIds(getEvents)
     });
     
     console.log('Action executed:', newEvent);
+
+    if (outcome) {
+      await addEvent(introOutcomeEvent(outcome, actor), { idempotencyKey: `${requestKey}:intro` });
+    }
     return res.status(204).end();
   } catch (err) {
+    const status = eventErrorStatus(err);
+    if (status) {
+      return res.status(status).json({ error: err.message, details: err.errors, lifecycle: err.lifecycle });
+    }
     console.error('Error saving event:', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
@@ -0,0 +1,95 @@
+import { randomUUID } from 'crypto';
+import { loadRawData } from '@backbone/core/raw/loadRawData.js';
+import { createActionEvent } from '@backbone/core/raw/actionEvent.js';
+import {
+  listResolutionTemplates,
+  manualActionId,
+  validateManualDefinition,
+  MANUAL_ENTITY_TYPES
+} from '@backbone/core/predict/manualActions.js';
+import { addEvent, idempotencyKeyFrom, eventErrorStatus } from '../eventStore.js';
+
+/**
+ * Manual actions
+ *
+ * GET  → form options: resolution templates, portfolio companies with their
+ *        goals and deals, people
+ * POST → records a `created` event carrying the definition. The engine
+ *        builds, impact-models and ranks it with generated actions
+ *        (predict/manualActions.js); nothing derived is stored.
+ *
+ * POST body: { entityRef: { type, id }, title, resolutionId?, steps?, goalIds?, note?, actor? }
+ * Returns 201 with { actionId, event }.
+ */
+export default async function handler(req, res) {
+  if (req.method === 'GET') {
+    return res.status(200).json(formOptions(loadRawData()));
+  }
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { entityRef, title, resolutionId, steps, goalIds, note, actor } = req.body;
+  const definition = {
+    manualId: `m-${randomUUID().slice(0, 12)}`,
+    title: typeof title === 'string' ? title.trim() : title,
+    entityRef: entityRef ? { type: entityRef.type, id: entityRef.id } : entityRef,
+    ...(resolutionId && { resolutionId }),
+    ...(steps?.length && { steps }),
+    ...(goalIds?.length && { goalIds }),
+    ...(note && { note })
+  };
+
+  try {
+    const { valid, errors } = validateManualDefinition(definition, loadRawData());
+    if (!valid) {
+      return res.status(400).json({ error: errors[0], details: errors });
+    }
+
+    const event = await addEvent(createActionEvent({
+      actionId: manualActionId(definition),
+      entityId: definition.entityRef.id,
+      eventType: 'created',
+      actor,
+      payload: { manual: definition }
+    }), { idempotencyKey: idempotencyKeyFrom(req) });
+
+    return res.status(201).json({ actionId: event.actionId, event });
+  } catch (err) {
+    const status = eventErrorStatus(err);
+    if (status) {
+      return res.status(status).json({ error: err.message, details: err.errors });
+    }
+    console.error('Error creating action:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+function formOptions(rawData) {
+  const byCompany = (list = []) => {
+    const map = new Map();
+    for (const item of list) {
+      if (!map.has(item.companyId)) map.set(item.companyId, []);
+      map.get(item.companyId).push(item);
+    }
+    return map;
+  };
+  const goals = byCompany(rawData.goals);
+  const deals = byCompany(rawData.deals);
+
+  return {
+    entityTypes: MANUAL_ENTITY_TYPES,
+    templates: listResolutionTemplates(),
+    companies: (rawData.companies || []).filter(c => c.isPortfolio).map(c => ({
+      id: c.id,
+      name: c.name,
+      goals: (goals.get(c.id) || []).map(g => ({ id: g.id, name: g.name || g.type })),
+      deals: (deals.get(c.id) || []).map(d => ({ id: d.id, name: d.firmName || d.id }))
+    })),
+    people: (rawData.people || []).map(p => ({
+      id: p.id,
+      name: [p.fn, p.ln].filter(Boolean).join(' ') || p.id,
+      org: p.orgName || null
+    }))
+  };
+}
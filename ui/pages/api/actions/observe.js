@@ -1,15 +1,28 @@
-import { addEvent } from '../eventStore.js';
+import { loadRawData } from '@backbone/core/raw/loadRawData.js';
+import { createActionEvent } from '@backbone/core/raw/actionEvent.js';
+import { VALID_OUTCOMES } from '@backbone/core/raw/actionEventsSchema.js';
+import { addEvent, getEvents, getEventsForAction, idempotencyKeyFrom, eventErrorStatus } from '../eventStore.js';
+import { getKnownActionIds } from '../../../lib/engineRun';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * UI-2.1 Action Lifecycle: Observe endpoint
  * 
- * Records the 'outcome_recorded' event with optional observation notes.
+ * Records the 'outcome_recorded' event.
  * This completes the action lifecycle: proposed → executed → observed
  * 
  * UI-3: Includes actionType for pattern detection (raw input, not derived)
+ *
+ * Body: { actionId, observedAt, outcome?, timeToImpactDays?, metricChange?, notes?, ... }
+ * - outcome: success | partial | failed | abandoned (what pattern lift and
+ *   calibration learn from; notes alone are neutral)
+ * - timeToImpactDays: defaults to days since the action was executed
+ * - metricChange: { metricFactId } links an observed metricFact (from/to
+ *   filled from the fact and its predecessor), or { metricKey, from, to }
  * 
  * Contract constraints:
- * - Notes are raw text only, no scores or structured outcomes
+ * - Raw facts only, no scores
  * - No backward transitions
  * - Observations do not alter ranking UI (pattern lift is runtime-derived)
  */
@@ -18,7 +31,7 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { actionId, entityId, actionType, notes, observedAt } = req.body;
+  const { actionId, entityId, actionType, notes, observedAt, actor, outcome, timeToImpactDays, metricChange } = req.body;
 
   if (!actionId) {
     return res.status(400).json({ error: 'actionId required' });
@@ -28,23 +41,63 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: 'observedAt timestamp required' });
   }
 
+  if (outcome !== undefined && !VALID_OUTCOMES.includes(outcome)) {
+    return res.status(400).json({ error: `outcome must be one of: ${VALID_OUTCOMES.join(', ')}` });
+  }
+
   try {
-    const newEvent = await addEvent({
-      id: `evt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    const linked = metricChange?.metricFactId ? linkMetricFact(metricChange.metricFactId, loadRawData()) : null;
+    if (metricChange?.metricFactId && !linked) {
+      return res.status(400).json({ error: `Unknown metricFact: ${metricChange.metricFactId}` });
+    }
+
+    const timeToImpact = timeToImpactDays ?? daysSinceExecution(await getEventsForAction(actionId), observedAt);
+
+    const newEvent = await addEvent(createActionEvent({
       actionId,
       entityId: entityId || null,
-      type: 'outcome_recorded',
+      eventType: 'outcome_recorded',
+      actor,
       timestamp: observedAt,
       payload: {
         actionType: actionType || null, // UI-3: for pattern detection
+        ...(outcome !== undefined && { outcome }),
+        ...(timeToImpact !== null && { timeToImpactDays: timeToImpact }),
+        ...(metricChange !== undefined && { metricChange: linked || metricChange }),
         notes: notes || null
       }
+    }), {
+      idempotencyKey: idempotencyKeyFrom(req),
+      knownActionIds: await getKnownActionIds(getEvents)
     });
     
     console.log('Observation recorded:', newEvent);
     return res.status(204).end();
   } catch (err) {
+    const status = eventErrorStatus(err);
+    if (status) {
+      return res.status(status).json({ error: err.message, details: err.errors, lifecycle: err.lifecycle });
+    }
     console.error('Error saving event:', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
 }
+
+// Days from the action's execution to this observation (null if never executed)
+function daysSinceExecution(events, observedAt) {
+  const executed = events.find(e => e.eventType === 'executed' || e.eventType === 'completed');
+  if (!executed) return null;
+  const days = (Date.parse(observedAt) - Date.parse(executed.timestamp)) / DAY_MS;
+  return Number.isFinite(days) ? Math.max(0, Math.round(days * 10) / 10) : null;
+}
+
+// Observed change from a metricFact and the same metric's previous fact
+function linkMetricFact(metricFactId, rawData) {
+  const facts = rawData.metricFacts || [];
+  const fact = facts.find(f => f.id === metricFactId);
+  if (!fact) return null;
+  const previous = facts
+    .filter(f => f.companyId === fact.companyId && f.metricKey === fact.metricKey && Date.parse(f.asOf) < Date.parse(fact.asOf))
+    .reduce((latest, f) => (!latest || Date.parse(f.asOf) > Date.parse(latest.asOf) ? f : latest), null);
+  return { metricKey: fact.metricKey, metricFactId, from: previous?.value ?? null, to: fact.value };
+}
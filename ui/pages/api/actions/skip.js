@@ -1,29 +1,47 @@
-import { addEvent } from '../eventStore.js';
+import { createActionEvent } from '@backbone/core/raw/actionEvent.js';
+import { addEvent, getEvents, idempotencyKeyFrom, eventErrorStatus } from '../eventStore.js';
+import { getKnownActionIds } from '../../../lib/engineRun';
 
+/**
+ * Action Lifecycle: Skip endpoint
+ *
+ * Records the 'skipped' event. Skips are a negative pattern-lift signal
+ * for the action's type, so actionType should be sent with the reason.
+ */
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const { actionId, entityId, reason } = req.body;
+  const { actionId, entityId, actionType, reason, skippedAt, actor } = req.body;
 
   if (!actionId) {
     return res.status(400).json({ error: 'actionId required' });
   }
 
   try {
-    const newEvent = await addEvent({
-      id: `evt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    const newEvent = await addEvent(createActionEvent({
       actionId,
       entityId: entityId || null,
-      type: 'skipped',
-      timestamp: new Date().toISOString(),
-      payload: { reason: reason || 'User skipped' }
+      eventType: 'skipped',
+      actor,
+      timestamp: skippedAt || new Date().toISOString(),
+      payload: {
+        actionType: actionType || null, // pattern lift: skips count against the type
+        reason: reason || 'User skipped'
+      }
+    }), {
+      idempotencyKey: idempotencyKeyFrom(req),
+      knownActionIds: await getKnownActionIds(getEvents)
     });
     
     console.log('Action skipped:', newEvent);
     return res.status(204).end();
   } catch (err) {
+    const status = eventErrorStatus(err);
+    if (status) {
+      return res.status(status).json({ error: err.message, details: err.errors, lifecycle: err.lifecycle });
+    }
     console.error('Error saving event:', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
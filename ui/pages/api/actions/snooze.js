@@ -0,0 +1,78 @@
+import { loadRawData } from '@backbone/core/raw/loadRawData.js';
+import { createActionEvent } from '@backbone/core/raw/actionEvent.js';
+import { captureSnoozeBaseline } from '@backbone/core/derive/snoozeConditions.js';
+import { addEvent, getEvents, getActionLifecycle, idempotencyKeyFrom, eventErrorStatus } from '../eventStore.js';
+import { getKnownActionIds } from '../../../lib/engineRun';
+
+/**
+ * Action Lifecycle: Snooze endpoint
+ *
+ * Records a 'snoozed' event. The action leaves the queue until `until`
+ * passes or `condition` fires (whichever comes first), then resurfaces
+ * on its own (derive/snoozeConditions.js):
+ *
+ *   { type: 'constraint', companyId, constraintType?, constraintId? }
+ *   { type: 'metric_update', companyId, metricKey }
+ *   { type: 'deal_status', dealId }   (current status is recorded as fromStatus)
+ *
+ * Body: { actionId, entityId?, until?, condition?, reason?, actor? }
+ * Returns the action's lifecycle with the active snooze.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { actionId, entityId, until, condition, reason, actor } = req.body;
+
+  if (!actionId) {
+    return res.status(400).json({ error: 'actionId required' });
+  }
+
+  if (until === undefined && condition === undefined) {
+    return res.status(400).json({ error: 'until (ISO date) or condition required' });
+  }
+
+  try {
+    const rawData = loadRawData();
+    const missing = missingConditionRef(condition, rawData);
+    if (missing) {
+      return res.status(400).json({ error: missing });
+    }
+
+    await addEvent(createActionEvent({
+      actionId,
+      entityId: entityId || null,
+      eventType: 'snoozed',
+      actor,
+      payload: {
+        ...(until !== undefined && { until }),
+        ...(condition !== undefined && { condition: captureSnoozeBaseline(condition, rawData) }),
+        reason: reason || 'User snoozed'
+      }
+    }), {
+      idempotencyKey: idempotencyKeyFrom(req),
+      knownActionIds: await getKnownActionIds(getEvents)
+    });
+
+    return res.status(200).json(await getActionLifecycle(actionId, new Date(), rawData));
+  } catch (err) {
+    const status = eventErrorStatus(err);
+    if (status) {
+      return res.status(status).json({ error: err.message, details: err.errors, lifecycle: err.lifecycle });
+    }
+    console.error('Error saving event:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// A condition on a company or deal we do not track would never fire
+function missingConditionRef(condition, rawData) {
+  if (condition?.companyId && !(rawData.companies || []).some(c => c.id === condition.companyId)) {
+    return `Unknown company: ${condition.companyId}`;
+  }
+  if (condition?.dealId && !(rawData.deals || []).some(d => d.id === condition.dealId)) {
+    return `Unknown deal: ${condition.dealId}`;
+  }
+  return null;
+}
@@ -1,25 +1,13 @@
-import { compute } from '@backbone/core/runtime/engine';
-import { loadRawData } from '@backbone/core/raw/loadRawData.js';
-import { getExcludedActionIds, getEvents } from '../eventStore.js';
+import { planActions, PLAN_HORIZONS } from '@backbone/core/decide/planner.js';
+import { buildLifecycleMap, getExcludedActionIds } from '@backbone/core/derive/actionLifecycle.js';
+import { getEvents } from '../eventStore.js';
+import { runEngine } from '../../../lib/engineRun';
 
-// Parse date strings recursively throughout the entire object tree
-function parseDates(obj) {
-  if (!obj) return obj;
-  if (Array.isArray(obj)) return obj.map(parseDates);
-  if (typeof obj !== 'object') {
-    // Check if this string looks like an ISO date
-    if (typeof obj === 'string' && /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2}(\.\d{3})?Z?)?$/.test(obj)) {
-      return new Date(obj);
-    }
-    return obj;
-  }
-  
-  const parsed = {};
-  for (const [key, value] of Object.entries(obj)) {
-    parsed[key] = parseDates(value);
-  }
-  return parsed;
-}
+// Per-person queue: ?assignee=<team member id>, or ?assignee=unassigned
+const UNASSIGNED = 'unassigned';
+
+// Plan horizon: ?horizon=day or ?horizon=week
+const DEFAULT_HORIZON = 'day';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -27,19 +15,34 @@ export default async function handler(req, res) {
   }
 
   try {
-    const rawData = parseDates(loadRawData());
-    const now = new Date();
-    
     // UI-3: Get events for pattern detection
     const events = await getEvents();
-    
-    // Pass events to compute for pattern lift integration
-    const result = compute(rawData, now, { events });
-    
-    // Filter out terminalized actions (UI-2.1: not executed, only observed/skipped)
-    const excludedIds = new Set(await getExcludedActionIds());
+    const { rawData, now, result } = runEngine(events);
+    const team = rawData.team || [];
+    const { assignee, horizon = DEFAULT_HORIZON } = req.query;
+    if (assignee && assignee !== UNASSIGNED && !team.some(m => m.id === assignee)) {
+      return res.status(400).json({ error: `Unknown team member: ${assignee}` });
+    }
+    if (!PLAN_HORIZONS[horizon]) {
+      return res.status(400).json({ error: `Unknown horizon: ${horizon}` });
+    }
+
+    // Lifecycle (HC5): observed/abandoned, skip cooldown and snoozes leave the queue;
+    // conditional snoozes are checked against the same raw data the engine saw
+    const lifecycles = buildLifecycleMap(events, now, { rawData });
+    const excludedIds = new Set(getExcludedActionIds(lifecycles));
     const allActions = result.actions || [];
-    const availableActions = allActions.filter(a => !excludedIds.has(a.actionId));
+    const unexcludedActions = allActions.filter(a => !excludedIds.has(a.actionId));
+
+    // Ownership counts over the full queue, then narrow to one person's queue
+    const byAssignee = {};
+    unexcludedActions.forEach(a => {
+      const owner = a.assignee || UNASSIGNED;
+      byAssignee[owner] = (byAssignee[owner] || 0) + 1;
+    });
+    const availableActions = !assignee
+      ? unexcludedActions
+      : unexcludedActions.filter(a => (a.assignee || UNASSIGNED) === assignee);
     
     // Count by source type
     const bySource = {};
@@ -48,6 +51,16 @@ export default async function handler(req, res) {
       bySource[src] = (bySource[src] || 0) + 1;
     });
     
+    // Capacity-aware plan over what is still available (engine plan does not
+    // see UI exclusions). A person's queue is planned against their hours only.
+    const plan = planActions(availableActions, {
+      horizon,
+      team: assignee && assignee !== UNASSIGNED ? team.filter(m => m.id === assignee) : team,
+      deadlinesByAction: result.context?.deadlinesByAction,
+      assigneeByAction: result.context?.assigneeByAction,
+      goals: rawData.goals || []
+    });
+
     // Collect all preissues from engine output for UI surfaces
     const allPreissues = (result.companies || []).flatMap(c =>
       (c.derived?.preissues || []).map(p => ({
@@ -57,16 +70,31 @@ export default async function handler(req, res) {
       }))
     );
 
+    // Fault isolation: node failures are reported, not fatal.
+    // Stacks only in development, matching the 500 handler below.
+    const nodeFailures = (result.meta?.errors || [])
+      .filter(e => typeof e === 'object')
+      .map(({ stack, ...failure }) => (
+        process.env.NODE_ENV === 'development' ? { ...failure, stack } : failure
+      ));
+
     // Return all available actions + preissues (UI will paginate)
     return res.status(200).json({
       actions: availableActions,
       preissues: allPreissues,
+      plan,
+      team: team.map(({ id, name, role, capacity }) => ({ id, name, role, capacity })),
       metadata: {
         total: availableActions.length,
-        totalAvailable: availableActions.length,
+        totalAvailable: unexcludedActions.length,
         totalExcluded: excludedIds.size,
+        snoozed: result.context?.snoozes?.active.length || 0,
+        resurfaced: result.context?.snoozes?.resurfaced.length || 0,
         totalPreissues: allPreissues.length,
         bySource,
+        byAssignee,
+        assignee: assignee || null,
+        nodeFailures,
         timestamp: now.toISOString()
       }
     });
@@ -3,6 +3,8 @@ import { clearEvents } from './eventStore.js';
 /**
  * Clear all events - development utility
  * POST /api/clear-events
+ *
+ * Only when BACKBONE_EVENT_STORE_ALLOW_CLEAR=1 (the store is append-only).
  */
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -13,6 +15,9 @@ export default async function handler(req, res) {
     await clearEvents();
     return res.status(200).json({ success: true, message: 'Events cleared' });
   } catch (err) {
+    if (err.code === 'CLEAR_DISABLED') {
+      return res.status(403).json({ error: err.message });
+    }
     console.error('Error clearing events:', err);
     return res.status(500).json({ error: 'Internal server error' });
   }
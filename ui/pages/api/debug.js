@@ -6,7 +6,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    const debug = getDebugInfo();
+    const debug = await getDebugInfo();
     const events = await getEvents();
     
     return res.status(200).json({
@@ -13,6 +13,9 @@
  */
 
 import { loadRawData } from '@backbone/core/raw/loadRawData.js';
+import { buildIntroLedger } from '@backbone/core/derive/introLedger.js';
+import { getIntroCapital } from '@backbone/core/predict/introCapital.js';
+import { getEvents } from '../eventStore.js';
 
 // =============================================================================
 // MODULE-SCOPE DATA CACHE
@@ -88,7 +91,7 @@ export default async function handler(req, res) {
   if (type) {
     const entity = findEntityByType(type, id);
     if (entity) {
-      return res.status(200).json(entity);
+      return res.status(200).json(await withIntroCapital(entity));
     }
     return res.status(404).json({ error: `${type} not found: ${id}` });
   }
@@ -100,7 +103,21 @@ export default async function handler(req, res) {
     return res.status(404).json({ error: 'Entity not found', id });
   }
 
-  return res.status(200).json(entity);
+  return res.status(200).json(await withIntroCapital(entity));
+}
+
+/**
+ * People carry their intro capital (requested/sent/converted, reputation,
+ * remaining asks), derived from the intro ledger in the event store.
+ */
+async function withIntroCapital(entity) {
+  if (entity.type !== 'person') return entity;
+  const now = new Date();
+  const { outcomes } = buildIntroLedger(await getEvents(), {
+    introOutcomes: getRawData().introOutcomes || [],
+    now
+  });
+  return { ...entity, introCapital: getIntroCapital(outcomes, entity.id, now) };
 }
 
 /**
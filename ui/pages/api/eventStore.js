@@ -1,144 +1,191 @@
 /**
- * eventStore.js - Persistent event store via Upstash Redis
- * 
- * Uses Upstash Redis for persistence across Vercel deployments.
- * Falls back to in-memory store if Redis is not configured.
- * 
- * Required env vars:
+ * eventStore.js - Durable action event store
+ *
+ * Thin wrapper over the core EventStore (@backbone/core/runtime/eventStore.js),
+ * backend selected by config:
+ *
+ *   BACKBONE_EVENT_STORE       memory | file | sqlite | redis
+ *                              default: redis when Upstash is configured, else memory
+ *                              (not durable; set `file` for a local durable log)
+ *   BACKBONE_EVENT_STORE_PATH  file / sqlite location (default .backbone-data/ in cwd)
+ *   BACKBONE_EVENT_STORE_ALLOW_CLEAR=1  enable /api/clear-events (dev only)
+ *
+ * Redis env vars (redis backend):
  *   UPSTASH_REDIS_REST_URL
  *   UPSTASH_REDIS_REST_TOKEN
+ *
+ * The sqlite backend needs `better-sqlite3` (an optionalDependency, kept
+ * out of the bundle by serverExternalPackages in next.config.js).
+ *
+ * There is no in-memory fallback: store errors propagate to the route.
+ * Events follow the canonical model in @backbone/core/raw/actionEvent.js:
+ * validated on write, upgraded to the current schema version on read.
+ * migrateEvents() compacts the store, rewriting legacy (v1, `type`-keyed)
+ * events in place.
  */
 
+import { migrateActionEvent } from '@backbone/core/raw/actionEvent.js';
+import {
+  assertTransition,
+  buildLifecycleMap,
+  getExcludedActionIds as excludedFromLifecycles
+} from '@backbone/core/derive/actionLifecycle.js';
+import { createEventStore, eventStoreConfigFromEnv } from '@backbone/core/runtime/eventStore.js';
+
 const EVENTS_KEY = 'backbone:events';
 
-// Check if Redis env vars are configured
-const hasRedisConfig = !!(process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN);
+const config = eventStoreConfigFromEnv();
 
-// Lazy-init Redis client with dynamic import
-let redis = null;
-async function getRedis() {
-  if (!hasRedisConfig) return null;
-  if (redis) return redis;
-  
-  try {
+async function openStore() {
+  if (config.backend === 'redis') {
     const { Redis } = await import('@upstash/redis');
-    redis = new Redis({
+    const client = new Redis({
       url: process.env.UPSTASH_REDIS_REST_URL,
       token: process.env.UPSTASH_REDIS_REST_TOKEN,
     });
-  } catch (err) {
-    console.error('Failed to initialize Redis:', err);
-    return null;
+    return createEventStore({ ...config, client, key: EVENTS_KEY });
+  }
+  if (config.backend === 'sqlite') {
+    const { default: Database } = await import('better-sqlite3');
+    return createEventStore({ ...config, Database });
   }
-  return redis;
+  return createEventStore(config);
 }
 
-// In-memory fallback
-if (!global.backboneEvents) {
-  global.backboneEvents = [];
+// One store per server process (survives dev hot reloads)
+function getStore() {
+  if (!global.backboneEventStore) {
+    global.backboneEventStore = openStore().catch(err => {
+      global.backboneEventStore = null;
+      throw err;
+    });
+  }
+  return global.backboneEventStore;
 }
 
 export async function getEvents() {
-  const client = await getRedis();
-  if (client) {
-    try {
-      const events = await client.lrange(EVENTS_KEY, 0, -1);
-      return events || [];
-    } catch (err) {
-      console.error('Redis getEvents error:', err);
-      return global.backboneEvents;
-    }
-  }
-  return global.backboneEvents;
+  const events = await (await getStore()).readAll();
+  return events.map(migrateActionEvent);
 }
 
-export async function addEvent(event) {
-  const client = await getRedis();
-  if (client) {
-    try {
-      await client.rpush(EVENTS_KEY, event);
-    } catch (err) {
-      console.error('Redis addEvent error:', err);
-      global.backboneEvents.push(event);
-    }
-  } else {
-    global.backboneEvents.push(event);
-  }
-  return event;
+export async function getEventsForAction(actionId) {
+  const events = await (await getStore()).readByAction(actionId);
+  return events.map(migrateActionEvent);
+}
+
+export async function getEventsForEntity(entityId) {
+  const events = await (await getStore()).readByEntity(entityId);
+  return events.map(migrateActionEvent);
+}
+
+/**
+ * Validate and append an event. Throws, before anything is written, on:
+ *   - schema violations (`.errors`)
+ *   - illegal lifecycle transitions (code ILLEGAL_TRANSITION, `.lifecycle`)
+ *   - a first event for an id outside knownActionIds (code UNKNOWN_ACTION)
+ * Retries with the same idempotency key (default: the event id) return the
+ * originally stored event instead of appending.
+ *
+ * @param {Object} event
+ * @param {{ idempotencyKey?: string, knownActionIds?: Set<string> }} [options]
+ * @returns {Promise<Object>} Stored event
+ */
+export async function addEvent(event, { idempotencyKey, knownActionIds } = {}) {
+  const { event: stored } = await (await getStore()).append(event, {
+    idempotencyKey,
+    precondition: prior => assertTransition(prior.map(migrateActionEvent), migrateActionEvent(event), { knownActionIds })
+  });
+  return stored;
+}
+
+/**
+ * Current lifecycle of one action (see derive/actionLifecycle.js).
+ * rawData lets conditional snoozes resolve; without it they hold.
+ */
+export async function getActionLifecycle(actionId, now = new Date(), rawData) {
+  return buildLifecycleMap(await getEventsForAction(actionId), now, { rawData }).get(actionId) || null;
+}
+
+/**
+ * Idempotency key for a write request: `Idempotency-Key` header, else body.idempotencyKey.
+ */
+export function idempotencyKeyFrom(req) {
+  return req.headers?.['idempotency-key'] || req.body?.idempotencyKey || undefined;
+}
+
+/**
+ * HTTP status for a rejected append, or null for unexpected errors.
+ */
+export function eventErrorStatus(err) {
+  if (err.errors || err.code === 'BAD_KEY') return 400;
+  if (err.code === 'UNKNOWN_ACTION') return 404;
+  if (err.code === 'APPEND_ONLY' || err.code === 'ILLEGAL_TRANSITION' || err.code === 'CONFLICT') return 409;
+  return null;
 }
 
 export async function getCompletedActionIds() {
   const events = await getEvents();
   return events
-    .filter(e => e.type === 'completed')
+    .filter(e => e.eventType === 'completed')
     .map(e => e.actionId);
 }
 
 export async function getSkippedActionIds() {
   const events = await getEvents();
   return events
-    .filter(e => e.type === 'skipped')
+    .filter(e => e.eventType === 'skipped')
     .map(e => e.actionId);
 }
 
 /**
- * UI-2.1 A1: Terminalization-based exclusion
- * 
- * An Action is excluded when:
- * - outcome_recorded (observation submitted) → permanent
+ * UI-2.1 A1: Terminalization-based exclusion, from the lifecycle reducer
+ * (derive/actionLifecycle.js):
+ * - observed / abandoned → permanent
  * - skipped → 24-hour cooldown, then eligible again
- * 
+ * - snoozed → until the date passes or the condition fires (needs rawData)
+ *
  * 'executed' is NOT a terminal state - Action must remain
  * eligible until observed or skipped.
  */
-export async function getExcludedActionIds() {
-  const events = await getEvents();
-  const now = Date.now();
-  const SKIP_COOLDOWN_MS = 24 * 60 * 60 * 1000; // 24 hours
-  
-  const excluded = new Set();
-  
-  for (const e of events) {
-    if (e.type === 'outcome_recorded') {
-      // Permanent exclusion
-      excluded.add(e.actionId);
-    } else if (e.type === 'skipped') {
-      // 24-hour cooldown
-      const skippedAt = new Date(e.timestamp).getTime();
-      if (now - skippedAt < SKIP_COOLDOWN_MS) {
-        excluded.add(e.actionId);
-      }
-    }
-  }
-  
-  return Array.from(excluded);
+export async function getExcludedActionIds(now = new Date(), rawData) {
+  return excludedFromLifecycles(buildLifecycleMap(await getEvents(), now, { rawData }));
+}
+
+/**
+ * Rewrite stored events in the current schema version (store compaction).
+ * Events that still fail validation after migration are kept as-is and reported.
+ * @returns {Promise<{ total: number, migrated: number, invalid: Object[], reclaimed: number }>}
+ */
+export async function migrateEvents() {
+  return (await getStore()).compact();
 }
 
+/**
+ * Dev utility. Throws (code CLEAR_DISABLED) unless
+ * BACKBONE_EVENT_STORE_ALLOW_CLEAR=1; the store is append-only (HC4).
+ */
 export async function clearEvents() {
-  const client = await getRedis();
-  if (client) {
-    try {
-      await client.del(EVENTS_KEY);
-    } catch (err) {
-      console.error('Redis clearEvents error:', err);
-    }
-  }
-  global.backboneEvents = [];
+  await (await getStore()).clear();
 }
 
 // Debug endpoint helper
-export function getDebugInfo() {
+export async function getDebugInfo() {
   return {
-    hasRedisConfig,
+    store: (await getStore()).describe(),
     redisUrl: process.env.UPSTASH_REDIS_REST_URL ? '***configured***' : 'missing',
-    redisToken: process.env.UPSTASH_REDIS_REST_TOKEN ? '***configured***' : 'missing',
-    memoryEventsCount: global.backboneEvents?.length || 0
+    redisToken: process.env.UPSTASH_REDIS_REST_TOKEN ? '***configured***' : 'missing'
   };
 }
 
 export default {
   getEvents,
+  getEventsForAction,
+  getEventsForEntity,
   addEvent,
+  getActionLifecycle,
+  idempotencyKeyFrom,
+  eventErrorStatus,
+  migrateEvents,
   getCompletedActionIds,
   getSkippedActionIds,
   getExcludedActionIds,
@@ -1,12 +1,14 @@
 /**
  * GET /api/events
  * GET /api/events?entityId=velocity
+ * GET /api/events?actionId=action-123
  * 
- * Returns raw event log. Optional entityId filter.
+ * Returns raw event log. Optional entityId / actionId filter
+ * (actionId gives one action's lifecycle, incl. re-assignment history).
  * UI-1 compliant: inspect only.
  */
 
-import { getEvents } from './eventStore';
+import { getEvents, getEventsForAction, getEventsForEntity } from './eventStore';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -14,12 +16,15 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { entityId } = req.query;
-    let events = await getEvents();
-    
-    // Filter by entityId if provided
-    if (entityId) {
-      events = events.filter(e => e.entityId === entityId);
+    const { entityId, actionId } = req.query;
+    let events;
+    if (actionId) {
+      events = await getEventsForAction(actionId);
+      if (entityId) events = events.filter(e => e.entityId === entityId);
+    } else if (entityId) {
+      events = await getEventsForEntity(entityId);
+    } else {
+      events = await getEvents();
     }
     
     // Return raw events, newest first
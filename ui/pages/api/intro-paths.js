@@ -0,0 +1,70 @@
+import { loadRawData } from '@backbone/core/raw/loadRawData.js';
+import { buildIntroLedger } from '@backbone/core/derive/introLedger.js';
+import { buildIntroCapital } from '@backbone/core/predict/introCapital.js';
+import { findIntroPaths, DEFAULT_K, MAX_SEARCH_HOPS } from '@backbone/core/predict/introPaths.js';
+import { getEvents } from './eventStore.js';
+
+/**
+ * GET /api/intro-paths?from=&to=
+ *
+ * The k best intro paths to a person or firm, each scored on relationship
+ * strength, recency, introducer capital and trust risk, with per-edge
+ * explanations.
+ *
+ * Query:
+ * - from: person id, or comma-separated ids (people asking)
+ * - to: target person id or firm id
+ * - k: number of paths (default 3, max 10)
+ * - maxHops: search depth (default introMaxPathDepth, max 4)
+ *
+ * Returns { from, to, targets, paths, considered }.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { from, to, k, maxHops } = req.query;
+  if (!from || !to) {
+    return res.status(400).json({ error: 'from and to are required' });
+  }
+  const count = k === undefined ? DEFAULT_K : Number(k);
+  const depth = maxHops === undefined ? undefined : Number(maxHops);
+  if (!Number.isInteger(count) || count < 1 || count > 10) {
+    return res.status(400).json({ error: 'k must be an integer from 1 to 10' });
+  }
+  if (depth !== undefined && (!Number.isInteger(depth) || depth < 1 || depth > MAX_SEARCH_HOPS)) {
+    return res.status(400).json({ error: `maxHops must be an integer from 1 to ${MAX_SEARCH_HOPS}` });
+  }
+
+  try {
+    const rawData = loadRawData();
+    const people = rawData.people || [];
+    const fromPersonIds = String(from).split(',').map(s => s.trim()).filter(Boolean);
+    const unknown = fromPersonIds.filter(id => !people.some(p => p.id === id));
+    if (unknown.length > 0) {
+      return res.status(404).json({ error: `Unknown person: ${unknown.join(', ')}` });
+    }
+
+    const now = new Date();
+    const { outcomes } = buildIntroLedger(await getEvents(), { introOutcomes: rawData.introOutcomes || [], now });
+    const result = findIntroPaths({
+      fromPersonIds,
+      to,
+      people,
+      relationships: rawData.relationships || [],
+      introCapital: buildIntroCapital(outcomes, now),
+      k: count,
+      ...(depth !== undefined && { maxHops: depth }),
+      now
+    });
+    if (result.targets.length === 0) {
+      return res.status(404).json({ error: `No person or firm found for: ${to}` });
+    }
+
+    return res.status(200).json({ from: fromPersonIds, to, ...result });
+  } catch (err) {
+    console.error('Error finding intro paths:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,61 @@
+import { loadRawData } from '@backbone/core/raw/loadRawData.js';
+import { updateOutcomeStatus, INTRO_STATUSES } from '@backbone/core/raw/introOutcome.js';
+import { buildIntroLedger, checkIntroUpdate } from '@backbone/core/derive/introLedger.js';
+import { addEvent, getEvents, idempotencyKeyFrom, eventErrorStatus } from '../eventStore.js';
+import { getKnownActionIds } from '../../../lib/engineRun';
+import { introOutcomeEvent } from '../../../lib/introLedger';
+
+/**
+ * Advance one intro outcome
+ *
+ * POST body: { status, actor? }
+ * The intro may come from an event or from the raw-data seed
+ * (rawData.introOutcomes), as in the engine's ledger.
+ * Status changes follow INTRO_TRANSITIONS (raw/introOutcome.js); nothing
+ * moves back. An auto-ghosted intro is still 'sent' in the ledger, so a
+ * late reply can be recorded.
+ *
+ * Returns the updated record; 404 for an unknown id, 409 for an illegal change.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id } = req.query;
+  const { status, actor } = req.body;
+  if (!INTRO_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${INTRO_STATUSES.join(', ')}` });
+  }
+
+  try {
+    // Stored state, without read-time ghosting
+    const events = await getEvents();
+    const seeded = loadRawData().introOutcomes || [];
+    const { outcomes } = buildIntroLedger(events, { introOutcomes: seeded });
+    const current = outcomes.find(o => o.id === id);
+    if (!current) {
+      return res.status(404).json({ error: `Unknown intro: ${id}` });
+    }
+
+    const next = updateOutcomeStatus(current, status);
+    const check = checkIntroUpdate(current, next);
+    if (!check.allowed) {
+      return res.status(409).json({ error: check.reason, intro: current });
+    }
+
+    // Seeded intros name actions from raw data the engine may no longer propose
+    await addEvent(introOutcomeEvent(next, actor), {
+      idempotencyKey: idempotencyKeyFrom(req),
+      knownActionIds: new Set([...await getKnownActionIds(() => events), ...seeded.map(o => o.actionId)])
+    });
+    return res.status(200).json({ intro: next });
+  } catch (err) {
+    const status = eventErrorStatus(err);
+    if (status) {
+      return res.status(status).json({ error: err.message, details: err.errors });
+    }
+    console.error('Error advancing intro outcome:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
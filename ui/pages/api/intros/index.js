@@ -0,0 +1,61 @@
+import { loadRawData } from '@backbone/core/raw/loadRawData.js';
+import { buildIntroLedger, checkIntroUpdate } from '@backbone/core/derive/introLedger.js';
+import { addEvent, getEvents, idempotencyKeyFrom, eventErrorStatus } from '../eventStore.js';
+import { getKnownActionIds } from '../../../lib/engineRun';
+import { newIntroOutcome, introOutcomeEvent } from '../../../lib/introLedger';
+
+/**
+ * Intro outcome ledger
+ *
+ * GET  → current records, raw-data seeds included (stale 'sent' intros
+ *        read as ghosted).
+ *        Query: ?companyId= &actionId= &status=
+ * POST → records a new outcome for an intro action (default status 'sent').
+ *        Body: { actionId, introducerPersonId, targetPersonId?, targetOrgId?,
+ *                companyId?, introType?, pathType?, status?, actor? }
+ *        Returns 201 with { intro, event }.
+ *
+ * Advance a record with POST /api/intros/[id].
+ */
+export default async function handler(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const { companyId, actionId, status } = req.query;
+      const { outcomes, violations } = buildIntroLedger(await getEvents(), {
+        introOutcomes: loadRawData().introOutcomes || [],
+        now: new Date()
+      });
+      const intros = outcomes.filter(o =>
+        (!companyId || o.companyId === companyId) &&
+        (!actionId || o.actionId === actionId) &&
+        (!status || o.status === status));
+      return res.status(200).json({ intros, violations });
+    }
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { actor, ...fields } = req.body;
+    if (fields.status && !['drafted', 'sent'].includes(fields.status)) {
+      return res.status(400).json({ error: 'New intros start as drafted or sent' });
+    }
+    const outcome = newIntroOutcome(fields);
+    const check = checkIntroUpdate(null, outcome);
+    if (!check.allowed) {
+      return res.status(400).json({ error: check.reason });
+    }
+
+    const event = await addEvent(introOutcomeEvent(outcome, actor), {
+      idempotencyKey: idempotencyKeyFrom(req),
+      knownActionIds: await getKnownActionIds(getEvents)
+    });
+    return res.status(201).json({ intro: outcome, event });
+  } catch (err) {
+    const status = eventErrorStatus(err);
+    if (status) {
+      return res.status(status).json({ error: err.message, details: err.errors });
+    }
+    console.error('Error recording intro outcome:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,77 @@
+import { loadRawData } from '@backbone/core/raw/loadRawData.js';
+import { createActionEvent } from '@backbone/core/raw/actionEvent.js';
+import { METRIC_REVIEW_DECISIONS } from '@backbone/core/raw/actionEventsSchema.js';
+import { resolveMeetings, collectMatchReviews } from '@backbone/core/derive/entityResolution.js';
+import { proposeMetricFacts, collectMetricReviews, PROPOSAL_STATUSES } from '@backbone/core/derive/metricProposals.js';
+import { addEvent, getEvents, idempotencyKeyFrom, eventErrorStatus } from '../eventStore.js';
+
+/**
+ * Metric facts proposed from meeting notes and transcripts
+ *
+ * GET  → proposals, newest meeting first, each with the proposed metricFact
+ *        and the sentence it came from.
+ *        Query: ?companyId= &status=pending|accepted|edited|rejected (default pending)
+ * POST → records a partner decision as a `metric_reviewed` event.
+ *        Body: { proposalId, decision, value?, unit?, metricKey?, actor? }
+ *        'accept' adds the fact as proposed; 'edit' adds it with the given
+ *        corrections; 'reject' drops it. Accepted facts feed the snapshot.
+ *        Returns 201 with { event }; 404 for an unknown proposal.
+ */
+export default async function handler(req, res) {
+  try {
+    const raw = loadRawData();
+    const events = await getEvents();
+    const { byCompany } = resolveMeetings(raw.meetings, {
+      companies: raw.companies,
+      people: raw.people,
+      reviews: collectMatchReviews(events)
+    });
+    const proposals = proposeMetricFacts(byCompany, {
+      transcripts: raw.transcripts,
+      reviews: collectMetricReviews(events)
+    });
+
+    if (req.method === 'GET') {
+      const { companyId, status = 'pending' } = req.query;
+      if (!PROPOSAL_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${PROPOSAL_STATUSES.join(', ')}` });
+      }
+      const items = proposals.filter(p => p.status === status && (!companyId || p.companyId === companyId));
+      return res.status(200).json({ proposals: items });
+    }
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { proposalId, decision, value, unit, metricKey, actor } = req.body;
+    if (!METRIC_REVIEW_DECISIONS.includes(decision)) {
+      return res.status(400).json({ error: `decision must be one of: ${METRIC_REVIEW_DECISIONS.join(', ')}` });
+    }
+    const proposal = proposals.find(p => p.proposalId === proposalId);
+    if (!proposal) {
+      return res.status(404).json({ error: `Unknown proposal: ${proposalId}` });
+    }
+
+    const event = await addEvent(createActionEvent({
+      actionId: `metric-review-${proposalId}`,
+      entityId: proposal.companyId,
+      eventType: 'metric_reviewed',
+      actor,
+      payload: {
+        proposalId,
+        decision,
+        ...(decision === 'edit' && value !== undefined && { value }),
+        ...(decision === 'edit' && unit !== undefined && { unit }),
+        ...(decision === 'edit' && metricKey !== undefined && { metricKey })
+      }
+    }), { idempotencyKey: idempotencyKeyFrom(req) });
+    return res.status(201).json({ event });
+  } catch (err) {
+    const status = eventErrorStatus(err);
+    if (status) {
+      return res.status(status).json({ error: err.message, details: err.errors });
+    }
+    console.error('Error reviewing proposed metric:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
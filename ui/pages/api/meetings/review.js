@@ -0,0 +1,82 @@
+import { loadRawData } from '@backbone/core/raw/loadRawData.js';
+import { createActionEvent } from '@backbone/core/raw/actionEvent.js';
+import { MATCH_REVIEW_DECISIONS, MATCH_TARGET_TYPES } from '@backbone/core/raw/actionEventsSchema.js';
+import { resolveMeetings, collectMatchReviews } from '@backbone/core/derive/entityResolution.js';
+import { addEvent, getEvents, idempotencyKeyFrom, eventErrorStatus } from '../eventStore.js';
+
+/**
+ * Meeting entity match review queue
+ *
+ * GET  → matches the resolver could not settle (confidence between
+ *        REVIEW_MIN_CONFIDENCE and AUTO_MATCH_CONFIDENCE, or tied people),
+ *        best first, each with its evidence and alternatives.
+ *        Query: ?meetingId= &targetType=company|person
+ * POST → records a partner decision as a `match_reviewed` event.
+ *        Body: { meetingId, targetType, targetId, participantIndex?, decision, actor? }
+ *        decision 'confirm' pins the match (confidence 1); 'reject' drops it.
+ *        A confirm may name a target the resolver never proposed.
+ *        Returns 201 with { event }; 404 for an unknown meeting or target.
+ */
+export default async function handler(req, res) {
+  try {
+    const raw = loadRawData();
+
+    if (req.method === 'GET') {
+      const { meetingId, targetType } = req.query;
+      const { review } = resolveMeetings(raw.meetings, {
+        companies: raw.companies,
+        people: raw.people,
+        reviews: collectMatchReviews(await getEvents())
+      });
+      const items = review.filter(r =>
+        (!meetingId || r.meetingId === meetingId) &&
+        (!targetType || r.targetType === targetType));
+      return res.status(200).json({ review: items });
+    }
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { meetingId, targetType, targetId, participantIndex, decision, actor } = req.body;
+    if (!MATCH_TARGET_TYPES.includes(targetType)) {
+      return res.status(400).json({ error: `targetType must be one of: ${MATCH_TARGET_TYPES.join(', ')}` });
+    }
+    if (!MATCH_REVIEW_DECISIONS.includes(decision)) {
+      return res.status(400).json({ error: `decision must be one of: ${MATCH_REVIEW_DECISIONS.join(', ')}` });
+    }
+
+    const meeting = raw.meetings.find(m => m.id === meetingId);
+    if (!meeting) {
+      return res.status(404).json({ error: `Unknown meeting: ${meetingId}` });
+    }
+    const targets = targetType === 'company' ? raw.companies : raw.people;
+    if (!targets.some(t => t.id === targetId)) {
+      return res.status(404).json({ error: `Unknown ${targetType}: ${targetId}` });
+    }
+    if (targetType === 'person' && !meeting.participants?.[participantIndex]) {
+      return res.status(400).json({ error: `participantIndex must name a participant of ${meetingId}` });
+    }
+
+    const event = await addEvent(createActionEvent({
+      actionId: `meeting-review-${meetingId}`,
+      entityId: targetType === 'company' ? targetId : null,
+      eventType: 'match_reviewed',
+      actor,
+      payload: {
+        meetingId,
+        targetType,
+        targetId,
+        ...(targetType === 'person' && { participantIndex }),
+        decision
+      }
+    }), { idempotencyKey: idempotencyKeyFrom(req) });
+    return res.status(201).json({ event });
+  } catch (err) {
+    const status = eventErrorStatus(err);
+    if (status) {
+      return res.status(status).json({ error: err.message, details: err.errors });
+    }
+    console.error('Error reviewing meeting match:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,22 @@
+import { migrateEvents } from './eventStore.js';
+
+/**
+ * Upgrade stored events to the current action event schema
+ * POST /api/migrate-events
+ *
+ * Idempotent: already-current events are left untouched.
+ * Returns { total, migrated, invalid } — invalid events are kept as stored.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const result = await migrateEvents();
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error('Error migrating events:', err);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
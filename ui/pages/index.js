@@ -1,6 +1,7 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import ActionDetailModal from '../components/ActionDetailModal';
 import CompanyCard from '../components/CompanyCard';
+import ManualActionForm from '../components/ManualActionForm';
 import { AppLayout } from '../components/nav';
 import { groupActionsByCompanyCategory } from '../lib/actionCategories';
 
@@ -11,12 +12,26 @@ import { groupActionsByCompanyCategory } from '../lib/actionCategories';
  * and one action per category. Actions sorted by rankScore from API.
  */
 
+// Executed intro actions open their outcome record (/api/intros)
+function introOf(action) {
+  if (action.resolutionId !== 'NETWORK_INTRO' || !action.introducerId) return undefined;
+  return {
+    introducerPersonId: action.introducerId,
+    targetPersonId: action.targetPersonId,
+    companyId: action.companyId,
+  };
+}
+
 export default function Home() {
   const [actions, setActions] = useState([]);
   const [companies, setCompanies] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedAction, setSelectedAction] = useState(null);
+  const [team, setTeam] = useState([]);
+  const [assigneeFilter, setAssigneeFilter] = useState('');
+  const [sourceFilter, setSourceFilter] = useState('');
+  const [showNewAction, setShowNewAction] = useState(false);
 
   const completedThisSession = useRef(new Set());
 
@@ -26,7 +41,7 @@ export default function Home() {
 
     try {
       const [actionsRes, companiesRes] = await Promise.all([
-        fetch('/api/actions/today'),
+        fetch(assigneeFilter ? `/api/actions/today?assignee=${encodeURIComponent(assigneeFilter)}` : '/api/actions/today'),
         fetch('/api/companies'),
       ]);
 
@@ -41,6 +56,7 @@ export default function Home() {
       );
 
       setActions(available);
+      setTeam(actionsData.team || []);
       setCompanies(companiesData.companies || []);
     } catch (err) {
       setError(err.message);
@@ -49,7 +65,7 @@ export default function Home() {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [assigneeFilter]);
 
   useEffect(() => {
     fetchData();
@@ -64,7 +80,9 @@ export default function Home() {
         body: JSON.stringify({
           actionId: action.actionId,
           entityId: action.entityRef?.id,
+          actionType: action.resolutionId || null,
           executedAt: new Date().toISOString(),
+          intro: introOf(action),
         }),
       });
       await fetch('/api/actions/observe', {
@@ -93,6 +111,7 @@ export default function Home() {
         body: JSON.stringify({
           actionId: action.actionId,
           entityId: action.entityRef?.id,
+          actionType: action.resolutionId || null,
           reason: 'Skipped via command board',
           skippedAt: new Date().toISOString(),
         }),
@@ -114,7 +133,9 @@ export default function Home() {
         body: JSON.stringify({
           actionId: selectedAction.actionId,
           entityId: selectedAction.entityRef?.id,
+          actionType: selectedAction.resolutionId || null,
           executedAt,
+          intro: introOf(selectedAction),
         }),
       });
     } catch (err) {
@@ -122,7 +143,7 @@ export default function Home() {
     }
   }, [selectedAction]);
 
-  const handleObserve = useCallback(async (notes) => {
+  const handleObserve = useCallback(async ({ notes, outcome, timeToImpactDays }) => {
     if (!selectedAction) return;
     try {
       await fetch('/api/actions/observe', {
@@ -132,6 +153,8 @@ export default function Home() {
           actionId: selectedAction.actionId,
           entityId: selectedAction.entityRef?.id,
           actionType: selectedAction.resolutionId || null,
+          outcome,
+          timeToImpactDays,
           notes,
           observedAt: new Date().toISOString(),
         }),
@@ -153,6 +176,7 @@ export default function Home() {
         body: JSON.stringify({
           actionId: selectedAction.actionId,
           entityId: selectedAction.entityRef?.id,
+          actionType: selectedAction.resolutionId || null,
           reason,
           skippedAt: new Date().toISOString(),
         }),
@@ -165,8 +189,35 @@ export default function Home() {
     }
   }, [selectedAction]);
 
+  const handleAssign = useCallback(async (assignee) => {
+    if (!selectedAction) return;
+    try {
+      const res = await fetch('/api/actions/assign', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          actionId: selectedAction.actionId,
+          entityId: selectedAction.entityRef?.id,
+          assignee,
+        }),
+      });
+      if (!res.ok) throw new Error('Failed to assign action');
+      const { assignedAt } = await res.json();
+      const update = a => (a.actionId === selectedAction.actionId ? { ...a, assignee, assignedAt } : a);
+      setSelectedAction(prev => update(prev));
+      setActions(prev => prev.map(update));
+    } catch (err) {
+      console.error('Assign error:', err);
+    }
+  }, [selectedAction]);
+
+  // Opportunities are positive-sum; everything else is firefighting
+  const visibleActions = sourceFilter === ''
+    ? actions
+    : actions.filter(a => (a.sources?.[0]?.sourceType === 'OPPORTUNITY') === (sourceFilter === 'opportunity'));
+
   // Group actions by company → category
-  const actionsByCompany = groupActionsByCompanyCategory(actions);
+  const actionsByCompany = groupActionsByCompanyCategory(visibleActions);
 
   // Sort companies by aggregate impact (sum of top action rankScores)
   const sortedCompanies = [...companies].sort((a, b) => {
@@ -186,9 +237,37 @@ export default function Home() {
             <h1 className="text-2xl font-display text-bb-text">Portfolio Command Board</h1>
             {!loading && (
               <p className="text-bb-text-muted text-xs font-mono mt-1">
-                {companies.length} companies &middot; {actions.length} actions
+                {companies.length} companies &middot; {visibleActions.length} actions
               </p>
             )}
+            <button
+              onClick={() => setShowNewAction(true)}
+              className="mt-3 mr-2 px-2 py-1 text-xs font-mono border border-bb-border text-bb-text-secondary hover:border-bb-accent hover:text-bb-accent transition-colors"
+            >
+              + New Action
+            </button>
+            <select
+              value={sourceFilter}
+              onChange={e => setSourceFilter(e.target.value)}
+              className="mt-3 mr-2 px-2 py-1 bg-bb-card border border-bb-border text-bb-text text-xs font-mono focus:border-bb-accent focus:outline-none"
+            >
+              <option value="">All sources</option>
+              <option value="opportunity">Opportunities</option>
+              <option value="firefighting">Firefighting</option>
+            </select>
+            {team.length > 0 && (
+              <select
+                value={assigneeFilter}
+                onChange={e => setAssigneeFilter(e.target.value)}
+                className="mt-3 px-2 py-1 bg-bb-card border border-bb-border text-bb-text text-xs font-mono focus:border-bb-accent focus:outline-none"
+              >
+                <option value="">Everyone</option>
+                {team.map(member => (
+                  <option key={member.id} value={member.id}>{member.name}</option>
+                ))}
+                <option value="unassigned">Unassigned</option>
+              </select>
+            )}
           </div>
 
           {/* Loading */}
@@ -228,6 +307,17 @@ export default function Home() {
         </div>
       </div>
 
+      {/* Manual Action Form */}
+      {showNewAction && (
+        <ManualActionForm
+          onClose={() => setShowNewAction(false)}
+          onCreated={() => {
+            setShowNewAction(false);
+            fetchData();
+          }}
+        />
+      )}
+
       {/* Detail Modal */}
       {selectedAction && (
         <ActionDetailModal
@@ -236,6 +326,8 @@ export default function Home() {
           onExecute={handleExecute}
           onObserve={handleObserve}
           onSkip={handleModalSkip}
+          team={team}
+          onAssign={handleAssign}
         />
       )}
     </AppLayout>